@@ -10,6 +10,78 @@ const TAB_HANDOVER_RECORDS = 'HandoverRecords';
 const TAB_SPECIAL_ACTIVITY = 'SpecialActivityLogs';
 const TAB_INSPECTORS = 'Inspectors';
 const TAB_SITES = 'Sites';  // For Route A/B locations
+const TAB_ACTIVITY_LOG = 'VKS_ActivityLog';  // Shared audit trail (same columns as the QC Dashboard)
+const TAB_CHECKLIST_TEMPLATES = 'ChecklistTemplates';  // Step 3 / 4 checklists per site type or site (edited on the Dashboard Settings page)
+const TAB_CHECKLIST_ITEMS = 'ChecklistItems';
+const TAB_INSPECTION_RESULTS = 'InspectionResults';  // One row per answered checklist item
+const TAB_SCORING_RULES = 'ScoringRules';  // Pass threshold, critical cap and rating weights per site type
+const TAB_PATROL_PLANS = 'PatrolPlans';  // date + shift + route + site, planned on the Dashboard Calendar page
+
+const PHOTO_FOLDER_ID = '1WMmdSqDeUP3GmDVJ1pxAr-_3Sj05tfl9';  // Drive folder for inspection photos
+// Client-generated report / photo IDs (JavaScript.html createClientId): the retry key of the offline queue
+const CLIENT_ID_PATTERN = /^(RPT|PHO)-[A-Za-z0-9]{6,40}$/;
+
+const ACTIVITY_LOG_COLUMNS = ['Timestamp', 'UserID', 'UserName', 'Action', 'Page', 'Target', 'Details', 'Entity', 'EntityID', 'Changes', 'Source'];
+const INSPECTION_RESULT_COLUMNS = ['inspectionId', 'timestamp', 'siteName', 'siteType', 'patrolName', 'guardName', 'templateId', 'itemId', 'step', 'section', 'label', 'answer', 'detail', 'weight', 'critical'];
+
+// InspectionLogs X onwards (A-W are the original report columns)
+const INSPECTION_LOG_EXTRA_COLUMNS = ['syncedAt', 'inspectionId', 'checklistId', 'ratingCommunication', 'ratingUniform',
+  'checklistPoints', 'checklistMaxPoints', 'weightedScore', 'passThreshold', 'scoreResult', 'criticalFailures', 'reportId',
+  'gpsStart', 'gpsFinish', 'presenceDistance', 'presence', 'unplannedReason', 'planStatus'];
+
+// Proof of presence: the visit's GPS fixes against the site fence (same fence rules as the Stationary Guard App:
+// Sites geofencePolygon, else geofenceRadius around lat/lng)
+const PRESENCE_DEFAULT_RADIUS_M = 150;  // allows for GPS drift
+const PRESENCE_MAX_GPS_SLACK_M = 50;    // reported accuracy we forgive, at most
+const PRESENCE_NEAR_MARGIN_M = 300;     // outside the fence by up to this much = near
+const PRESENCE_FIX_SKEW_MS = 10 * 60 * 1000; // a fix this long before the form opened or after the finish time is stale
+// Best first; on-site is the only verified presence, no-site-location counts without a check (Dashboard getPatrolCompliance)
+const PRESENCE_FLAGS = ['on-site', 'near', 'off-site', 'no-fix', 'no-site-location'];
+
+// Used when no ScoringRules row covers a site type (same values as SCORING_DEFAULTS in the Dashboard's Config.gs)
+const SCORING_DEFAULTS = { passThreshold: 70, capScore: 50, communicationWeight: 2, uniformWeight: 2 };
+
+// InspectionLogs L-R keep their fixed columns: a checklist item fills one through its legacyField
+const LEGACY_CHECK_FIELDS = {
+  flashlight: 'equip_flashlight',
+  uniform: 'equip_uniform',
+  defenseTools: 'equip_defense',
+  logbook: 'logbookStatus',
+  gates: 'check_gates',
+  lighting: 'check_lights',
+  fireSafety: 'check_fire'
+};
+
+// Served when no ChecklistTemplates row covers a site (same items as DEFAULT_CHECKLIST_ITEMS in the Dashboard's Config.gs)
+// type: status = pass / fail radio pair, check = ticked when verified OK
+// optionMode: missing = tick what is missing, reason = pick one reason (options are required when the item fails)
+// weight: points of the item in the weighted score; critical: cap = a fail caps the score, zero = a fail scores 0
+const DEFAULT_CHECKLIST = {
+  id: 'default',
+  name: 'Standard',
+  items: [
+    { id: 'uniform', step: 3, section: 'ເຄື່ອງແບບ', icon: 'checkroom', label: 'ເຄື່ອງແບບ', type: 'status', passLabel: 'ຄົບຖ້ວນ', failLabel: 'ບໍ່ຄົບຖ້ວນ',
+      options: ['🎩 ໝວກ', '👕 ເສື້ອ', '👖 ໂສ້ງ', '👞 ເກີບ', '🟡 ສາຍອຳນາດ', '📛 ປ້າຍຊື່', '📢 ໝາກຫວິດ'], optionMode: 'missing', issueLabel: 'ເຄື່ອງແບບບໍ່ຄົບ', legacyField: 'uniform', weight: 1, critical: '' },
+    { id: 'defense', step: 3, section: 'ອຸປະກອນປ້ອງກັນຕົວ', icon: 'shield', label: 'ອຸປະກອນປ້ອງກັນຕົວ', type: 'status', passLabel: 'ຄົບຖ້ວນ', failLabel: 'ບໍ່ຄົບຖ້ວນ',
+      options: ['⬛ ສາຍແອວໃຫຍ່', '🔗 ກຸນແຈມື', '🪵 ໄມ້ຄ້ອນສັ້ນ', '⚡ ໄມ້ຊ໊ອກໄຟຟ້າ'], optionMode: 'missing', issueLabel: 'ອຸປະກອນປ້ອງກັນບໍ່ຄົບ', legacyField: 'defenseTools', weight: 1, critical: '' },
+    { id: 'flashlight', step: 3, section: 'ໄຟສາຍ', icon: 'flashlight_on', label: 'ໄຟສາຍ', type: 'status', passLabel: 'ມີໄຟສາຍ', failLabel: 'ບໍ່ມີ',
+      options: [], optionMode: '', issueLabel: '', legacyField: 'flashlight', weight: 1, critical: '' },
+    { id: 'logbook', step: 3, section: 'ປື້ມບັນທຶກ', icon: 'menu_book', label: 'ປື້ມບັນທຶກ', type: 'status', passLabel: 'ມີ', failLabel: 'ບໍ່ມີ',
+      options: [], optionMode: '', issueLabel: '', legacyField: 'logbook', weight: 1, critical: '' },
+    { id: 'sleep', step: 3, section: 'ນອນຫຼັບ', icon: 'bedtime', label: 'ນອນຫຼັບ', type: 'status', passLabel: 'ບໍ່ນອນ', failLabel: 'ນອນຫຼັບ',
+      options: ['😴 ເມື່ອຍ', '🤒 ບໍ່ສະບາຍ', '🍺 ມຶນເມົາ'], optionMode: 'reason', issueLabel: '😴 ນອນຫຼັບ', legacyField: '', weight: 2, critical: 'zero' },
+    { id: 'position', step: 3, section: 'ບໍ່ຢູ່ຈຸດ', icon: 'wrong_location', label: 'ບໍ່ຢູ່ຈຸດ', type: 'status', passLabel: 'ຢູ່ປະຈຳຈຸດ', failLabel: 'ບໍ່ຢູ່ຈຸດ',
+      options: ['🚽 ໄປຫ້ອງນ້ຳ', '🛒 ໄປຊື້ເຄື່ອງ', '❓ ບໍ່ມີເຫດຜົນ'], optionMode: 'reason', issueLabel: '❌ ບໍ່ຢູ່ຈຸດ', legacyField: '', weight: 2, critical: 'cap' },
+    { id: 'fire_extinguisher', step: 4, section: 'ກວດກາອຸປະກອນຄວາມປອດໄພ', icon: 'fire_extinguisher', label: 'ຖັງດັບເພີງ', type: 'check', passLabel: '', failLabel: '',
+      options: [], optionMode: '', issueLabel: '', legacyField: 'fireSafety', weight: 1, critical: '' },
+    { id: 'camera', step: 4, section: 'ກວດກາອຸປະກອນຄວາມປອດໄພ', icon: 'videocam', label: 'ກ້ອງວົງຈອນປິດ', type: 'check', passLabel: '', failLabel: '',
+      options: [], optionMode: '', issueLabel: 'ກ້ອງວົງຈອນປິດບໍ່ປົກກະຕິ', legacyField: '', weight: 1, critical: '' },
+    { id: 'door', step: 4, section: 'ກວດກາອຸປະກອນຄວາມປອດໄພ', icon: 'door_front', label: 'ປະຕູ/ທາງເຂົ້າ', type: 'check', passLabel: '', failLabel: '',
+      options: [], optionMode: '', issueLabel: '', legacyField: 'gates', weight: 1, critical: '' },
+    { id: 'lights', step: 4, section: 'ກວດກາອຸປະກອນຄວາມປອດໄພ', icon: 'lightbulb', label: 'ລະບົບໄຟເຍືອງທາງ', type: 'check', passLabel: '', failLabel: '',
+      options: [], optionMode: '', issueLabel: '', legacyField: 'lighting', weight: 1, critical: '' }
+  ]
+};
 
 // Legacy tab names (Patrol Sheet - for reference only)
 // const TAB_LOGS = 'Logs';
@@ -124,6 +196,8 @@ function saveSiteComment(siteName, guardName, comment, customTime) {
     commentSheet.appendRow([id, timestamp, siteName, guardName, comment, null]);
     SpreadsheetApp.flush();
     lock.releaseLock();
+    logPatrolAudit_(ss, 'Handovers', id, guardName,
+      { id: id, timestamp: timestamp, siteName: siteName, guardName: guardName, comment: comment });
     
     console.log("Saved handover comment to QC HandoverRecords: " + id);
     return { success: true, id: id };
@@ -137,14 +211,14 @@ function saveSiteComment(siteName, guardName, comment, customTime) {
 // NOW: Routes from QC Sheet Sites tab (with status filtering), Patrol Names from QC Inspectors
 function getFormConfig() {
   const cache = CacheService.getScriptCache();
-  const cacheKey = 'vks_patrol_config_v5'; // v5: Production with QC integration
+  const cacheKey = 'vks_patrol_config_v8'; // v8: Site fences for proof of presence
   const cached = cache.get(cacheKey);
   
   // Return cached data if available (2-minute cache)
   if (cached) {
     try {
       const data = JSON.parse(cached);
-      console.log("Serving config from CACHE (v5 - QC Production)");
+      console.log("Serving config from CACHE (v7 - QC Production)");
       data.isCached = true;
       return data;
     } catch (e) {
@@ -158,6 +232,8 @@ function getFormConfig() {
   // 1. Read Sites from QC Sheet (NEW: Unified Data Source)
   let routeA = [];
   let routeB = [];
+  let sites = [];  // {name, id, type} of every active site, for checklist matching
+  let siteLocations = {};  // siteName: {lat, lng, radius, polygon} for proof of presence (processForm)
   let sitesSource = 'QC_Sites';
   let debugInfo = { step: 'init' };
   
@@ -182,6 +258,12 @@ function getFormConfig() {
       const nameIdx = headers.indexOf('nameen');
       const routeIdx = headers.indexOf('route');
       const statusIdx = headers.indexOf('status');
+      const idIdx = headers.indexOf('id');
+      const typeIdx = headers.indexOf('type');
+      const latIdx = headers.indexOf('lat');
+      const lngIdx = headers.indexOf('lng');
+      const radiusIdx = headers.indexOf('geofenceradius');
+      const polygonIdx = headers.indexOf('geofencepolygon');
       
       debugInfo.columnMapping = { nameEN: nameIdx, route: routeIdx, status: statusIdx };
       console.log("QC Sites - Column Mapping: nameEN=" + nameIdx + ", route=" + routeIdx + ", status=" + statusIdx);
@@ -208,6 +290,17 @@ function getFormConfig() {
           if (!name) continue;
           
           activeCount++;
+          sites.push({
+            name: name,
+            id: idIdx > -1 ? String(data[i][idIdx] || '').trim() : '',
+            type: typeIdx > -1 ? String(data[i][typeIdx] || '').trim() : ''
+          });
+          siteLocations[name] = {
+            lat: latIdx > -1 ? parseFloat(data[i][latIdx]) || null : null,
+            lng: lngIdx > -1 ? parseFloat(data[i][lngIdx]) || null : null,
+            radius: radiusIdx > -1 ? parseFloat(data[i][radiusIdx]) || null : null,
+            polygon: polygonIdx > -1 ? parseGeofencePolygon_(data[i][polygonIdx]) : null
+          };
           
           // Categorize by route (flexible matching)
           const routeUpper = route.toUpperCase();
@@ -282,6 +375,25 @@ function getFormConfig() {
     // No fallback - inspectors must come from QC
   }
 
+  // 3. Checklist template of every site (Step 3 / Step 4)
+  let checklistConfig = { checklists: {}, siteChecklists: {}, siteTypes: {} };
+  try {
+    checklistConfig = readChecklists_(SpreadsheetApp.openById(QC_SHEET_ID), sites);
+  } catch (e) {
+    console.error("Failed to read checklist templates from QC Sheet", e);
+  }
+  if (!checklistConfig.checklists[DEFAULT_CHECKLIST.id]) {
+    checklistConfig.checklists[DEFAULT_CHECKLIST.id] = DEFAULT_CHECKLIST;
+  }
+
+  // 4. Scoring rules per site type (processForm)
+  let scoringRules = {};
+  try {
+    scoringRules = readScoringRules_(SpreadsheetApp.openById(QC_SHEET_ID));
+  } catch (e) {
+    console.error("Failed to read scoring rules from QC Sheet", e);
+  }
+
   // Get current site comments for handover popups (Don't cache this as it needs to be live)
   const currentComments = getSiteComments();
 
@@ -289,6 +401,11 @@ function getFormConfig() {
     routeA: routeA,
     routeB: routeB,
     patrolNames: patrolNames,
+    checklists: checklistConfig.checklists,
+    siteChecklists: checklistConfig.siteChecklists,
+    siteTypes: checklistConfig.siteTypes,
+    scoringRules: scoringRules,
+    siteLocations: siteLocations,
     currentComments: currentComments,
     sitesSource: sitesSource,
     inspectorsSource: 'QC_Inspectors',
@@ -309,8 +426,7 @@ function getFormConfig() {
 // --- API: Individual Photo Upload ---
 function uploadPatrolPhoto(photoData, photoMime, fileName) {
   try {
-    const FOLDER_ID = '1WMmdSqDeUP3GmDVJ1pxAr-_3Sj05tfl9';
-    const folder = DriveApp.getFolderById(FOLDER_ID);
+    const folder = DriveApp.getFolderById(PHOTO_FOLDER_ID);
     
     const blob = Utilities.newBlob(Utilities.base64Decode(photoData), photoMime, fileName);
     const file = folder.createFile(blob);
@@ -323,8 +439,59 @@ function uploadPatrolPhoto(photoData, photoMime, fileName) {
   }
 }
 
+// --- API: Queued Photo Upload ---
+// Photos of a report are uploaded from the client's photo queue after the report itself,
+// then added to column T of the InspectionLogs row carrying the same reportId.
+// Safe to retry: the Drive file is named after the photo ID and a URL is only added once.
+function attachPatrolPhoto(reportId, photoId, photoData, photoMime, fileName) {
+  try {
+    if (!CLIENT_ID_PATTERN.test(reportId || '') || !CLIENT_ID_PATTERN.test(photoId || '')) {
+      return { success: false, error: "Invalid report or photo ID" };
+    }
+    const logSheet = SpreadsheetApp.openById(QC_SHEET_ID).getSheetByName(TAB_INSPECTION_LOGS);
+    if (!logSheet || findReportRow_(logSheet, reportId) === -1) {
+      // The report is still in the client's queue: keep the photo queued
+      return { success: false, pending: true, error: "Report not received yet" };
+    }
+
+    const folder = DriveApp.getFolderById(PHOTO_FOLDER_ID);
+    const driveName = photoId + '_' + String(fileName || 'photo.jpg').replace(/[\\/]/g, '');
+    const existing = folder.getFilesByName(driveName);
+    let file;
+    if (existing.hasNext()) {
+      file = existing.next();
+    } else {
+      file = folder.createFile(Utilities.newBlob(Utilities.base64Decode(photoData), photoMime, driveName));
+      file.setSharing(DriveApp.Access.ANYONE_WITH_LINK, DriveApp.Permission.VIEW);
+    }
+    const url = file.getUrl();
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+      const row = findReportRow_(logSheet, reportId);
+      if (row === -1) return { success: false, error: "Report row was removed" };
+      const cell = logSheet.getRange(row, 20); // T: Photo URLs
+      const current = String(cell.getValue() || '');
+      const urls = current && current !== "No Photo" ? current.split("\n") : [];
+      if (urls.indexOf(url) === -1) {
+        urls.push(url);
+        cell.setValue(urls.join("\n"));
+      }
+    } finally {
+      lock.releaseLock();
+    }
+    return { success: true, url: url };
+  } catch (e) {
+    console.error("Photo attach failed:", e);
+    return { success: false, error: e.toString() };
+  }
+}
+
 // --- API: Submit Report ---
 // NOW WRITES TO QC Sheet InspectionLogs tab
+// formData.reportId (client-generated) makes resubmission safe: a report already in InspectionLogs
+// is not written again and comes back as { success: true, duplicate: true }
 function processForm(formData) {
   try {
     const FOLDER_ID = '1WMmdSqDeUP3GmDVJ1pxAr-_3Sj05tfl9'; // Specific Folder ID
@@ -347,7 +514,7 @@ function processForm(formData) {
     
     const cache = CacheService.getScriptCache();
     if (cache.get(rateKey)) {
-      return { success: false, error: "ໄວເກີນໄປ! ກະລຸນາລໍຖ້າ 5 ວິນາທີ ກ່ອນສົ່ງລາຍງານຖັດໄປ." };
+      return { success: false, retry: true, error: "ໄວເກີນໄປ! ກະລຸນາລໍຖ້າ 5 ວິນາທີ ກ່ອນສົ່ງລາຍງານຖັດໄປ." };
     }
     // Set 5s cooldown (Reduced from 10s)
     cache.put(rateKey, "true", 5);
@@ -374,7 +541,48 @@ function processForm(formData) {
     formData.check_gates = formData.check_gates || "No";
     formData.check_lights = formData.check_lights || "No";
     formData.check_fire = formData.check_fire || "No";
+
+    // Reports from app versions before the offline queue carry no reportId and are always written
+    const reportId = CLIENT_ID_PATTERN.test(formData.reportId || '') ? formData.reportId : '';
+
+    // Checklist answers (forms loaded before checklist templates send only the fixed fields above)
+    const inspectionId = 'INS-' + Utilities.getUuid().substring(0, 8).toUpperCase();
+    const checklists = config.checklists || {};
+    const checklist = checklists[formData.checklistId] ||
+      checklists[(config.siteChecklists || {})[submittedSite]] || DEFAULT_CHECKLIST;
+    const checklistResults = Array.isArray(formData.checklistAnswers)
+      ? matchChecklistAnswers_(checklist, formData.checklistAnswers)
+      : [];
+    if (checklistResults.length > 0) {
+      // Columns L-R: ✓ = passed / verified, ✗ = failed, — = not on this checklist or not verified
+      Object.keys(LEGACY_CHECK_FIELDS).forEach(field => { formData[LEGACY_CHECK_FIELDS[field]] = "—"; });
+      checklistResults.forEach(r => {
+        if (!r.item.legacyField) return;
+        formData[LEGACY_CHECK_FIELDS[r.item.legacyField]] = r.answer === 'pass' ? "✓" : (r.answer === 'fail' ? "✗" : "—");
+      });
+    }
     
+    // Weighted score (ScoringRules of the site type; ratings only count when the form sent them)
+    const ratings = {
+      communication: parseFloat(formData.ratingCommunication),
+      uniform: parseFloat(formData.ratingUniform)
+    };
+    const scoringRules = config.scoringRules || {};
+    const siteType = (config.siteTypes || {})[submittedSite] || '';
+    const scoring = scoreInspection_(checklistResults, ratings,
+      scoringRules[siteType.toUpperCase()] || scoringRules[''] || SCORING_DEFAULTS);
+
+    // Proof of presence from the start / finish GPS fixes (the Maps link in S stays as before)
+    const visitWindow = getVisitWindow_(formData.startTime, formData.finishTime);
+    const gpsStart = normalizeGpsFix_(formData.gpsStart, visitWindow);
+    const gpsFinish = normalizeGpsFix_(formData.gpsFinish, visitWindow);
+    const presence = checkVisitPresence_([gpsStart, gpsFinish], (config.siteLocations || {})[submittedSite]);
+
+    // Planned or not, worked out again here: the form only asks for a reason when it has loaded the plan (not offline).
+    // An unplanned report without one is still written (it may be an offline replay) and shows as such on the Dashboard
+    const planStatus = getReportPlanStatus_(ss, formData.patrolName, formData.route, submittedSite);
+    const unplannedReason = planStatus === 'planned' ? '' : String(formData.unplannedReason || '').trim().substring(0, 500);
+
     // 1. Handle Duration Calculation (Using dual manual inputs)
     const startTimeSys = new Date(parseInt(formData.startTime));
     const now = new Date();
@@ -399,7 +607,7 @@ function processForm(formData) {
       photoUrlString = formData.photoUrls.join("\n");
     }
 
-    // 3. Prepare Row Data (21-column layout)
+    // 3. Prepare Row Data (41-column layout: A-W report, X onwards INSPECTION_LOG_EXTRA_COLUMNS)
     const rowData = [
       now,                        // A: Timestamp
       formData.patrolName,        // B: Patrol Name
@@ -410,8 +618,8 @@ function processForm(formData) {
       formData.startTimeManual,   // G: Start Time (Manual)
       formData.finishTime,        // H: Finish Time (Manual)
       durationMins + " min",      // I: Duration
-      // J: Score - Average of Communication + Uniform ratings
-      ((parseFloat(formData.ratingCommunication) || 3) + (parseFloat(formData.ratingUniform) || 3)) / 2,
+      // J: Score - Average of Communication + Uniform ratings (1-5 stars; weighted score in AE)
+      ((ratings.communication || 3) + (ratings.uniform || 3)) / 2,
       formData.siteStatus,        // K: Status (Normal/Issue)
       // Equipment Checks (L-N) - ✓ = has item, — = not verified
       formData.equip_flashlight,  // L: Flashlight
@@ -424,35 +632,173 @@ function processForm(formData) {
       formData.check_fire,        // R: Fire Safety
       formData.gpsLocation,       // S: GPS Link
       photoUrlString,             // T: Photo URLs
-      // U: Notes/Details - Include ratings for Dashboard V2 parsing
-      (formData.ratingCommunication && formData.ratingUniform 
-        ? "[Ratings | Comm: " + formData.ratingCommunication + "/5, Unif: " + formData.ratingUniform + "/5] " 
-        : "") + (formData.notes || ""),
+      formData.notes || "",       // U: Notes/Details (ratings are in AA-AB)
       formData.issues,            // V: Issues Found (comma-separated or "ບໍ່ມີບັນຫາ")
-      formData.handoverComment || "" // W: Handover Comment (Archived historically)
+      formData.handoverComment || "", // W: Handover Comment (Archived historically)
+      "",                         // X: syncedAt (Dashboard, unused)
+      inspectionId,               // Y: Inspection ID (InspectionResults.inspectionId)
+      checklistResults.length > 0 ? checklist.id : "", // Z: Checklist template
+      isNaN(ratings.communication) ? "" : ratings.communication, // AA: Communication rating (1-5)
+      isNaN(ratings.uniform) ? "" : ratings.uniform, // AB: Uniform rating (1-5)
+      scoring.checklistPoints,    // AC: Checklist points earned
+      scoring.checklistMaxPoints, // AD: Checklist points possible (items counted)
+      scoring.weightedScore,      // AE: Weighted score (0-100)
+      scoring.passThreshold,      // AF: Pass threshold of the site type
+      scoring.scoreResult,        // AG: pass / fail
+      scoring.criticalFailures.join(", "), // AH: Failed critical items
+      reportId,                   // AI: Client report ID (duplicate check, queued photos)
+      gpsStart ? JSON.stringify(gpsStart) : "",   // AJ: GPS fix at the start of the visit
+      gpsFinish ? JSON.stringify(gpsFinish) : "", // AK: GPS fix at the finish
+      presence.distance === null ? "" : presence.distance, // AL: Meters from the site (best fix)
+      presence.presence,          // AM: on-site / near / off-site / no-fix / no-site-location
+      unplannedReason,            // AN: Why a site outside the patrol plan was visited
+      planStatus                  // AO: planned / unplanned / no-plan by getReportPlanStatus_ ('' = plan unreadable)
     ];
+    const resultRows = checklistResults.map(r => [
+      inspectionId, now, formData.siteName, siteType, formData.patrolName,
+      formData.guardName, checklist.id, r.item.id, r.item.step, r.item.section, r.item.label, r.answer, r.detail,
+      r.item.weight === undefined ? 1 : r.item.weight, r.item.critical || ''
+    ]);
 
     try {
         lock.waitLock(30000); // Wait for lock
+        // A replay of a report that already arrived (e.g. the first attempt timed out on the client)
+        if (reportId && findReportRow_(logSheet, reportId) !== -1) {
+          lock.releaseLock();
+          console.log("Duplicate report rejected: " + reportId);
+          return { success: true, duplicate: true, reportId: reportId };
+        }
+        if (logSheet.getMaxColumns() < rowData.length) {
+          logSheet.insertColumnsAfter(logSheet.getMaxColumns(), rowData.length - logSheet.getMaxColumns());
+        }
+        if (logSheet.getRange(1, rowData.length).getValue() !== INSPECTION_LOG_EXTRA_COLUMNS[INSPECTION_LOG_EXTRA_COLUMNS.length - 1]) {
+          logSheet.getRange(1, 24, 1, INSPECTION_LOG_EXTRA_COLUMNS.length).setValues([INSPECTION_LOG_EXTRA_COLUMNS]);
+        }
         logSheet.appendRow(rowData);
+        writeInspectionResults_(ss, resultRows);
         SpreadsheetApp.flush(); // Force write
         lock.releaseLock();
     } catch (e) {
-        return { success: false, error: "System Busy. Please try again." };
+        return { success: false, retry: true, error: "System Busy. Please try again." };
     }
+
+    const headers = logSheet.getRange(1, 1, 1, rowData.length).getValues()[0];
+    const record = {};
+    headers.forEach((h, i) => { record[h || ('col' + (i + 1))] = rowData[i]; });
+    logPatrolAudit_(ss, 'Inspection Logs', inspectionId, formData.patrolName, record);
     
     // 4. Save Handover Comment (for next patrol guard to see)
     if (formData.handoverComment && formData.handoverComment.trim() !== "") {
       saveSiteComment(formData.siteName, formData.patrolName, formData.handoverComment, now);
     }
     
-    return { success: true };
+    return { success: true, reportId: reportId, presence: presence.presence, planStatus: planStatus };
     
   } catch (e) {
     return { success: false, error: e.toString() };
   }
 }
 
+/**
+ * 1-based InspectionLogs row whose reportId column (AI) holds reportId, or -1
+ */
+function findReportRow_(logSheet, reportId) {
+  const col = 24 + INSPECTION_LOG_EXTRA_COLUMNS.indexOf('reportId');
+  const lastRow = logSheet.getLastRow();
+  if (lastRow < 2 || logSheet.getLastColumn() < col) return -1;
+  const match = logSheet.getRange(2, col, lastRow - 1, 1)
+    .createTextFinder(reportId).matchEntireCell(true).findNext();
+  return match ? match.getRow() : -1;
+}
+
+// --- API: Patrol Plan of the current shift ---
+// Plan entries for the operational date + shift a report sent now would count toward, each marked the way the
+// Dashboard's getPatrolCompliance (PatrolPlans.gs) will mark it: visited / unverified (matched, presence not
+// accepted) / pending. Sites outside the plan, or already visited, need an unplannedReason on submit (processForm
+// records its own planStatus, as the form cannot check without the plan).
+function getPatrolPlanStatus(patrolName) {
+  try {
+    const status = readPatrolPlanEntries_(SpreadsheetApp.openById(QC_SHEET_ID), patrolName);
+    return { success: true, date: status.date, shift: status.shift, plans: status.plans };
+  } catch (e) {
+    console.error("getPatrolPlanStatus failed", e);
+    return { success: false, error: e.toString() };
+  }
+}
+
+/**
+ * Whether a report sent now by patrolName for route + site is planned: 'planned' when an entry of the shift's plan
+ * for it is still open, 'unplanned' when the shift has a plan but no such entry (or it was visited already),
+ * 'no-plan' when the shift has no plan, '' when the plan could not be read
+ */
+function getReportPlanStatus_(ss, patrolName, route, siteName) {
+  try {
+    const plans = readPatrolPlanEntries_(ss, patrolName).plans;
+    if (plans.length === 0) return 'no-plan';
+    const routeKey = String(route || '').trim().toUpperCase();
+    const site = String(siteName || '').trim().toLowerCase();
+    return plans.some(plan => plan.route === routeKey && plan.status !== 'visited' &&
+      plan.siteName.trim().toLowerCase() === site) ? 'planned' : 'unplanned';
+  } catch (e) {
+    console.error("getReportPlanStatus_ failed", e);
+    return '';
+  }
+}
+
+/**
+ * Plan entries of the operational date + shift patrolName is in now, marked visited / unverified / pending
+ * @returns {Object} {date, shift, plans: [{planId, siteName, route, status, patrolName, time}]}
+ */
+function readPatrolPlanEntries_(ss, patrolName) {
+  const tz = Session.getScriptTimeZone();
+  const inspectorShifts = readInspectorShifts_(ss);
+  const current = classifyPatrolTime_(new Date(), inspectorShifts[String(patrolName || '').trim().toLowerCase()] || '');
+
+  // 1. Plan entries of this date + shift (all routes)
+  const plans = readTabObjects_(ss, TAB_PATROL_PLANS)
+    .map(row => ({
+      id: String(row.id || ''),
+      date: row.date instanceof Date ? Utilities.formatDate(row.date, tz, 'yyyy-MM-dd') : String(row.date || '').trim(),
+      shift: normalizePlanShift_(row.shift),
+      route: String(row.route || '').toUpperCase(),
+      siteId: String(row.siteId || ''),
+      siteName: String(row.siteName || '')
+    }))
+    .filter(plan => plan.date === current.date && plan.shift === current.shift && plan.siteName);
+
+  // 2. Logs counted toward the same date + shift, earliest first
+  const siteIds = readSiteIdsByName_(ss);
+  const logs = readPatrolShiftLogs_(ss, current, inspectorShifts, siteIds);
+
+  // 3. Tier 1 of getPatrolCompliance: site + shift + route, a verified log wins over an unverified one
+  const used = {};
+  const entries = plans.map(plan => {
+    const planSite = plan.siteName.trim().toLowerCase();
+    let matchIndex = -1;
+    for (let l = 0; l < logs.length; l++) {
+      const log = logs[l];
+      if (used[l] || log.route !== plan.route) continue;
+      if (!((log.siteId && plan.siteId && log.siteId === plan.siteId) || log.siteName.toLowerCase() === planSite)) continue;
+      if (isPresenceAccepted_(log.presence)) {
+        matchIndex = l;
+        break;
+      }
+      if (matchIndex === -1) matchIndex = l;
+    }
+    const entry = { planId: plan.id, siteName: plan.siteName, route: plan.route, status: 'pending', patrolName: '', time: '' };
+    if (matchIndex !== -1) {
+      used[matchIndex] = true;
+      const log = logs[matchIndex];
+      entry.status = isPresenceAccepted_(log.presence) ? 'visited' : 'unverified';
+      entry.patrolName = log.patrolName;
+      entry.time = log.time;
+    }
+    return entry;
+  });
+
+  return { date: current.date, shift: current.shift, plans: entries };
+}
+
 // --- API: Admin Dashboard Data ---
 function getDashboardData() {
   try {
@@ -557,6 +903,10 @@ function submitSpecialActivity(data) {
       }
     }
 
+    logPatrolAudit_(ss, 'Special Duty', id, data.patrol, {
+      id: id, timestamp: timestamp, type: data.type, patrolName: data.patrol, siteName: data.site,
+      targetGuard: data.target, status: data.status, ratings: data.ratings, notes: data.notes
+    });
     return { success: true, id: id };
 
   } catch (e) {
@@ -564,3 +914,517 @@ function submitSpecialActivity(data) {
     throw e; // Frontend handles failure
   }
 }
+
+
+// ===========================================
+// AUDIT TRAIL
+// ===========================================
+
+/**
+ * Active checklist templates and the one each site uses.
+ * A template lists site IDs / names (siteIds) and site types (siteTypes); the first active template
+ * naming the site wins, then the first one naming its type, then the first with neither (all sites).
+ * Sites no template covers get DEFAULT_CHECKLIST.
+ * @param {Spreadsheet} ss - QC spreadsheet
+ * @param {Object[]} sites - {name, id, type} of the active sites
+ * @returns {Object} {checklists: {id: {id, name, items}}, siteChecklists: {siteName: id}, siteTypes: {siteName: type}}
+ */
+function readChecklists_(ss, sites) {
+  const result = { checklists: {}, siteChecklists: {}, siteTypes: {} };
+  sites.forEach(site => { result.siteTypes[site.name] = site.type; });
+
+  const templateRows = readTabObjects_(ss, TAB_CHECKLIST_TEMPLATES);
+  if (templateRows.length === 0) return result;
+
+  const itemsByTemplate = {};
+  readTabObjects_(ss, TAB_CHECKLIST_ITEMS).forEach(row => {
+    const templateId = String(row.templateId || '').trim();
+    const label = String(row.label || '').trim();
+    if (!templateId || !label) return;
+    const split = value => String(value || '').split(',').map(v => v.trim()).filter(String);
+    (itemsByTemplate[templateId] = itemsByTemplate[templateId] || []).push({
+      id: String(row.id || '').trim(),
+      step: parseInt(row.step, 10) === 4 ? 4 : 3,
+      sortOrder: parseFloat(row.sortOrder) || 0,
+      section: String(row.section || '').trim() || label,
+      icon: String(row.icon || '').trim(),
+      label: label,
+      type: String(row.type || '').trim().toLowerCase() === 'check' ? 'check' : 'status',
+      passLabel: String(row.passLabel || '').trim(),
+      failLabel: String(row.failLabel || '').trim(),
+      options: split(row.options),
+      optionMode: String(row.optionMode || '').trim().toLowerCase(),
+      issueLabel: String(row.issueLabel || '').trim(),
+      legacyField: LEGACY_CHECK_FIELDS[String(row.legacyField || '').trim()] ? String(row.legacyField).trim() : '',
+      weight: row.weight === '' || row.weight === undefined || isNaN(parseFloat(row.weight)) ? 1 : Math.max(0, parseFloat(row.weight)),
+      critical: ['cap', 'zero'].indexOf(String(row.critical || '').trim().toLowerCase()) > -1 ? String(row.critical).trim().toLowerCase() : ''
+    });
+  });
+
+  const upperList = value => String(value || '').split(',').map(v => v.trim().toUpperCase()).filter(String);
+  const templates = templateRows
+    .filter(row => row.id && String(row.active).toLowerCase() !== 'false' && itemsByTemplate[String(row.id).trim()])
+    .map(row => {
+      const id = String(row.id).trim();
+      return {
+        id: id,
+        name: String(row.name || id),
+        siteKeys: upperList(row.siteIds),
+        siteTypes: upperList(row.siteTypes),
+        items: itemsByTemplate[id]
+          .filter(item => item.id)
+          .sort((a, b) => a.step - b.step || a.sortOrder - b.sortOrder)
+      };
+    });
+
+  sites.forEach(site => {
+    const keys = [site.name, site.id].filter(String).map(k => k.toUpperCase());
+    const type = site.type.toUpperCase();
+    const match = templates.find(t => t.siteKeys.some(k => keys.indexOf(k) > -1)) ||
+      templates.find(t => type && t.siteTypes.indexOf(type) > -1) ||
+      templates.find(t => t.siteKeys.length === 0 && t.siteTypes.length === 0);
+    if (!match) return;
+    result.siteChecklists[site.name] = match.id;
+    result.checklists[match.id] = { id: match.id, name: match.name, items: match.items };
+  });
+  return result;
+}
+
+/**
+ * Rows of a QC tab as objects keyed by header ([] when the tab is missing or empty)
+ */
+function readTabObjects_(ss, tabName) {
+  const sheet = ss.getSheetByName(tabName);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0].map(h => String(h).trim());
+  return data.slice(1).map(row => {
+    const record = {};
+    headers.forEach((h, i) => { if (h) record[h] = row[i]; });
+    return record;
+  });
+}
+
+/**
+ * Match submitted checklist answers to the template items.
+ * Only items of the template are kept; unanswered ones are recorded as 'skip'.
+ * @param {Object} checklist - Template served by getFormConfig
+ * @param {Object[]} answers - [{itemId, answer: pass / fail / skip, detail}] from the Patrol form
+ * @returns {Object[]} [{item, answer, detail}] in template order
+ */
+function matchChecklistAnswers_(checklist, answers) {
+  const byId = {};
+  (answers || []).forEach(a => { if (a && a.itemId) byId[String(a.itemId)] = a; });
+  return checklist.items.map(item => {
+    const submitted = byId[item.id] || {};
+    const answer = ['pass', 'fail', 'skip'].indexOf(submitted.answer) > -1 ? submitted.answer : 'skip';
+    return {
+      item: item,
+      answer: answer,
+      detail: answer === 'fail' ? String(submitted.detail || '').substring(0, 500) : ''
+    };
+  });
+}
+
+/**
+ * Append one InspectionResults row per checklist item of a submitted inspection.
+ * Never throws: the InspectionLogs row is already written.
+ */
+function writeInspectionResults_(ss, rows) {
+  if (rows.length === 0) return;
+  try {
+    let sheet = ss.getSheetByName(TAB_INSPECTION_RESULTS);
+    if (!sheet) {
+      sheet = ss.insertSheet(TAB_INSPECTION_RESULTS);
+      sheet.appendRow(INSPECTION_RESULT_COLUMNS);
+      sheet.setFrozenRows(1);
+    } else if (sheet.getLastColumn() < INSPECTION_RESULT_COLUMNS.length) {
+      sheet.getRange(1, 1, 1, INSPECTION_RESULT_COLUMNS.length).setValues([INSPECTION_RESULT_COLUMNS]);
+    }
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, INSPECTION_RESULT_COLUMNS.length).setValues(rows);
+  } catch (e) {
+    console.error("Inspection results write failed", e);
+  }
+}
+
+/**
+ * Active ScoringRules rows keyed by upper-cased site type ('' = the rule for every other type).
+ * Missing values fall back to SCORING_DEFAULTS.
+ */
+function readScoringRules_(ss) {
+  const rules = {};
+  const number = (value, fallback) => value === '' || value === undefined || isNaN(parseFloat(value)) ? fallback : parseFloat(value);
+  readTabObjects_(ss, TAB_SCORING_RULES)
+    .filter(row => row.id && String(row.active).toLowerCase() !== 'false')
+    .forEach(row => {
+      rules[String(row.siteType || '').trim().toUpperCase()] = {
+        id: String(row.id).trim(),
+        passThreshold: number(row.passThreshold, SCORING_DEFAULTS.passThreshold),
+        capScore: number(row.capScore, SCORING_DEFAULTS.capScore),
+        communicationWeight: Math.max(0, number(row.communicationWeight, SCORING_DEFAULTS.communicationWeight)),
+        uniformWeight: Math.max(0, number(row.uniformWeight, SCORING_DEFAULTS.uniformWeight))
+      };
+    });
+  return rules;
+}
+
+/**
+ * Weighted 0-100 score of one inspection.
+ * Each item earns its weight when passed. A status item left unanswered doesn't count; an unticked check item
+ * counts as 0 points. A 1-5 rating earns weight x rating / 5. A failed critical status item caps the score at
+ * the rule's capScore (cap) or sets it to 0 (zero).
+ * @param {Object[]} results - matchChecklistAnswers_ output
+ * @param {Object} ratings - {communication, uniform} (NaN = not rated)
+ * @param {Object} rule - readScoringRules_ entry for the site type, or SCORING_DEFAULTS
+ * @returns {Object} {checklistPoints, checklistMaxPoints (items counted), weightedScore, passThreshold, scoreResult: pass / fail / '', criticalFailures[]}
+ */
+function scoreInspection_(results, ratings, rule) {
+  let points = 0;
+  let maxPoints = 0;
+  let cap = 100;
+  const criticalFailures = [];
+  results.forEach(r => {
+    if (r.answer === 'skip' && r.item.type !== 'check') return;
+    const weight = r.item.weight === undefined ? 1 : r.item.weight;
+    maxPoints += weight;
+    if (r.answer === 'pass') {
+      points += weight;
+    } else if (r.answer === 'fail' && r.item.critical) {
+      criticalFailures.push(r.item.label);
+      cap = Math.min(cap, r.item.critical === 'zero' ? 0 : rule.capScore);
+    }
+  });
+
+  let earned = points;
+  let possible = maxPoints;
+  [['communication', rule.communicationWeight], ['uniform', rule.uniformWeight]].forEach(([key, weight]) => {
+    const value = ratings[key];
+    if (isNaN(value) || weight <= 0) return;
+    earned += weight * Math.min(5, Math.max(1, value)) / 5;
+    possible += weight;
+  });
+
+  const round = n => Math.round(n * 10) / 10;
+  if (possible === 0) {
+    return { checklistPoints: 0, checklistMaxPoints: 0, weightedScore: '', passThreshold: rule.passThreshold, scoreResult: '', criticalFailures: [] };
+  }
+  const score = round(Math.min(cap, earned / possible * 100));
+  return {
+    checklistPoints: round(points),
+    checklistMaxPoints: round(maxPoints),
+    weightedScore: score,
+    passThreshold: rule.passThreshold,
+    scoreResult: score >= rule.passThreshold ? 'pass' : 'fail',
+    criticalFailures: criticalFailures
+  };
+}
+
+/**
+ * Record a report created from this app in the QC activity log (Source = Patrol).
+ * Never throws: a failed log line must not fail the patrol submission.
+ * @param {Spreadsheet} ss - QC spreadsheet
+ * @param {string} entity - Entity name as shown on the Activity Logs page
+ * @param {string} entityId - Record ID
+ * @param {string} patrolName - Inspector who submitted
+ * @param {Object} record - Saved fields, logged as the "to" side of each change
+ */
+function logPatrolAudit_(ss, entity, entityId, patrolName, record) {
+  try {
+    let sheet = ss.getSheetByName(TAB_ACTIVITY_LOG);
+    if (!sheet) {
+      sheet = ss.insertSheet(TAB_ACTIVITY_LOG);
+      sheet.appendRow(ACTIVITY_LOG_COLUMNS);
+      sheet.setFrozenRows(1);
+    }
+
+    const changes = Object.keys(record)
+      .filter(field => record[field] !== '' && record[field] !== null && record[field] !== undefined)
+      .map(field => ({
+        field: field,
+        from: '',
+        to: record[field] instanceof Date ? record[field].toISOString() : String(record[field]).substring(0, 500)
+      }));
+
+    const values = {
+      Timestamp: new Date().toISOString(),
+      UserID: '',
+      UserName: patrolName || 'Patrol',
+      Action: 'CREATE',
+      Page: entity,
+      Target: entity + ': ' + entityId,
+      Details: 'Submitted from Patrol app',
+      Entity: entity,
+      EntityID: String(entityId),
+      Changes: JSON.stringify(changes),
+      Source: 'Patrol'
+    };
+    // Match the tab's own header order; older tabs only have the first seven columns
+    let headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const missing = ACTIVITY_LOG_COLUMNS.filter(col => headers.indexOf(col) === -1);
+    if (missing.length > 0) {
+      sheet.getRange(1, headers.length + 1, 1, missing.length).setValues([missing]);
+      headers = headers.concat(missing);
+    }
+    sheet.appendRow(headers.map(h => values[h] !== undefined ? values[h] : ''));
+  } catch (e) {
+    console.error("Audit log write failed", e);
+  }
+}
+
+// ===========================================
+// PROOF OF PRESENCE
+// ===========================================
+
+/**
+ * Span of device time a visit's fixes must fall in: from the form's startTime (ms, set when the form opens) to the
+ * manual finish time (HH:mm, the first such time after startTime), widened by PRESENCE_FIX_SKEW_MS
+ * @returns {Object|null} {from, to} in ms, null when startTime is missing
+ */
+function getVisitWindow_(startTime, finishTime) {
+  const start = parseInt(startTime, 10);
+  if (isNaN(start) || start <= 0) return null;
+  let finish = start;
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(finishTime || '').trim());
+  if (match) {
+    const startClock = Utilities.formatDate(new Date(start), Session.getScriptTimeZone(), 'HH:mm').split(':').map(Number);
+    const minutes = (Number(match[1]) * 60 + Number(match[2]) - (startClock[0] * 60 + startClock[1]) + 1440) % 1440;
+    finish = start + minutes * 60000;
+  }
+  return { from: start - PRESENCE_FIX_SKEW_MS, to: finish + PRESENCE_FIX_SKEW_MS };
+}
+
+/**
+ * GPS fix sent by the form ({lat, lng, accuracy, at}), or null when missing / not a coordinate / stale
+ * @param {Object|null} visitWindow - getVisitWindow_ result; a fix without an at inside it is not this visit's
+ */
+function normalizeGpsFix_(fix, visitWindow) {
+  if (!fix || typeof fix !== 'object') return null;
+  const lat = parseFloat(fix.lat);
+  const lng = parseFloat(fix.lng);
+  if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180 || (lat === 0 && lng === 0)) return null;
+  const at = new Date(fix.at);
+  if (!visitWindow || isNaN(at.getTime()) || at.getTime() < visitWindow.from || at.getTime() > visitWindow.to) return null;
+  const accuracy = parseFloat(fix.accuracy);
+  return {
+    lat: Math.round(lat * 1e6) / 1e6,
+    lng: Math.round(lng * 1e6) / 1e6,
+    accuracy: isNaN(accuracy) ? null : Math.round(accuracy),
+    at: at.toISOString()
+  };
+}
+
+/**
+ * Presence of a visit: the best flag over its fixes (one fix inside the fence proves the inspector was there)
+ * @param {Object[]} fixes - normalizeGpsFix_ results (null = no fix)
+ * @param {Object} site - config.siteLocations entry {lat, lng, radius, polygon}
+ * @returns {Object} {presence: one of PRESENCE_FLAGS, distance: meters or null}
+ */
+function checkVisitPresence_(fixes, site) {
+  if (!site || (!site.polygon && (site.lat === null || site.lng === null))) {
+    return { presence: 'no-site-location', distance: null };
+  }
+  return fixes.filter(Boolean)
+    .map(fix => checkFixPresence_(fix, site))
+    .reduce((best, r) => {
+      const rank = PRESENCE_FLAGS.indexOf(r.presence) - PRESENCE_FLAGS.indexOf(best.presence);
+      return rank < 0 || (rank === 0 && r.distance < best.distance) ? r : best;
+    }, { presence: 'no-fix', distance: null });
+}
+
+/**
+ * One fix against the site fence. distance = meters outside the polygon (0 inside), or from the site point
+ */
+function checkFixPresence_(fix, site) {
+  const slackM = Math.min(fix.accuracy || 0, PRESENCE_MAX_GPS_SLACK_M);
+  let distance;
+  let outsideM;
+  if (site.polygon) {
+    distance = isPointInPolygon_(fix.lat, fix.lng, site.polygon) ? 0 : Math.round(getDistanceToPolygonM_(fix.lat, fix.lng, site.polygon));
+    outsideM = distance - slackM;
+  } else {
+    distance = Math.round(getDistanceM_(fix.lat, fix.lng, site.lat, site.lng));
+    outsideM = distance - slackM - (site.radius || PRESENCE_DEFAULT_RADIUS_M);
+  }
+  const presence = outsideM <= 0 ? 'on-site' : (outsideM <= PRESENCE_NEAR_MARGIN_M ? 'near' : 'off-site');
+  return { presence: presence, distance: distance };
+}
+
+// Haversine distance in meters
+function getDistanceM_(lat1, lng1, lat2, lng2) {
+  const R = 6371000;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Sites geofencePolygon cell -> [[lat, lng], ...] (at least 3 points) or null
+function parseGeofencePolygon_(raw) {
+  if (!raw) return null;
+  try {
+    const points = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    if (!Array.isArray(points)) return null;
+    const clean = points
+      .map(p => [parseFloat(p[0]), parseFloat(p[1])])
+      .filter(p => !isNaN(p[0]) && !isNaN(p[1]));
+    return clean.length >= 3 ? clean : null;
+  } catch (e) {
+    console.warn('Invalid geofencePolygon: ' + raw);
+    return null;
+  }
+}
+
+// Ray casting on lat/lng - fine at site scale
+function isPointInPolygon_(lat, lng, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    const crosses = ((lngI > lng) !== (lngJ > lng)) &&
+      (lat < (latJ - latI) * (lng - lngI) / (lngJ - lngI) + latI);
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+// Meters from a point to the nearest polygon edge, using a local flat projection
+function getDistanceToPolygonM_(lat, lng, polygon) {
+  const mPerDegLat = 111320;
+  const mPerDegLng = 111320 * Math.cos(lat * Math.PI / 180);
+  const toXY = p => [(p[1] - lng) * mPerDegLng, (p[0] - lat) * mPerDegLat];
+
+  let best = Infinity;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [ax, ay] = toXY(polygon[j]);
+    const [bx, by] = toXY(polygon[i]);
+    const dx = bx - ax, dy = by - ay;
+    const lenSq = dx * dx + dy * dy;
+    const t = lenSq ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lenSq)) : 0;
+    const px = ax + t * dx, py = ay + t * dy;
+    best = Math.min(best, Math.sqrt(px * px + py * py));
+  }
+  return best;
+}
+
+// ===========================================
+// PATROL PLAN (same rules as the Dashboard's getPatrolCompliance, PatrolPlans.gs)
+// ===========================================
+
+/**
+ * Operational date + shift of a timestamp, as getPatrolCompliance assigns a log to a plan.
+ * Overlap windows go to the inspector's assigned shift: 05:30-06:29 morning / night, 13:30-14:30 morning / evening,
+ * 21:30-22:30 evening / night. Otherwise morning 06:30-13:59, evening 14:00-21:29, night 21:30-06:29.
+ * Night before 06:30 belongs to the previous day's plan.
+ * @param {Date} date - Timestamp
+ * @param {string} assignedShift - morning / evening / night from Inspectors, '' when unknown
+ * @returns {Object} {date: 'yyyy-MM-dd', shift}
+ */
+function classifyPatrolTime_(date, assignedShift) {
+  const tz = Session.getScriptTimeZone();
+  const minutes = parseInt(Utilities.formatDate(date, tz, 'HH'), 10) * 60 + parseInt(Utilities.formatDate(date, tz, 'mm'), 10);
+  let shift;
+  if (minutes >= 330 && minutes < 390) {
+    shift = assignedShift === 'morning' ? 'morning' : 'night';
+  } else if (minutes >= 810 && minutes <= 870) {
+    shift = assignedShift === 'morning' ? 'morning' : 'evening';
+  } else if (minutes >= 1290 && minutes <= 1350) {
+    shift = assignedShift === 'evening' ? 'evening' : 'night';
+  } else if (minutes >= 390 && minutes < 840) {
+    shift = 'morning';
+  } else if (minutes >= 840 && minutes < 1290) {
+    shift = 'evening';
+  } else {
+    shift = 'night';
+  }
+
+  const day = new Date(date.getTime());
+  if (shift === 'night' && minutes < 390) day.setDate(day.getDate() - 1);
+  return { date: Utilities.formatDate(day, tz, 'yyyy-MM-dd'), shift: shift };
+}
+
+/**
+ * Inspectors name (lower-case) -> assigned shift; shift cells hold 1 / 2 / 3 or a Lao / English shift name
+ */
+function readInspectorShifts_(ss) {
+  const byNumber = { '1': 'morning', '2': 'evening', '3': 'night' };
+  const shifts = {};
+  readTabObjects_(ss, TAB_INSPECTORS).forEach(row => {
+    const name = String(row.name || '').trim();
+    const raw = String(row.shift || '').trim();
+    if (!name || !raw) return;
+    const number = raw.match(/\b([123])\b/);
+    shifts[name.toLowerCase()] = byNumber[raw] || (number && byNumber[number[1]]) || normalizePlanShift_(raw) || 'morning';
+  });
+  return shifts;
+}
+
+/**
+ * morning / evening / night from a plan or shift cell ('afternoon' and the Lao ພາກ... names included), '' if none
+ */
+function normalizePlanShift_(value) {
+  const text = String(value || '').trim();
+  const lower = text.toLowerCase();
+  if (lower === 'afternoon') return 'evening';
+  if (/\u0E9E\u0EB2\u0E81\u0EC0\u0E8A\u0EBB\u0EC9\u0EB2/.test(text) || lower.indexOf('morning') >= 0) return 'morning';
+  if (/\u0E9E\u0EB2\u0E81\u0EC1\u0EA5\u0E87|\u0E9E\u0EB2\u0E81\u0E9A\u0EC8\u0EB2\u0E8D/.test(text) || lower.indexOf('evening') >= 0) return 'evening';
+  if (/\u0E9E\u0EB2\u0E81\u0E84\u0ECD\u0EB2|\u0E9E\u0EB2\u0E81\u0E84\u0EB3/.test(text) || lower.indexOf('night') >= 0) return 'night';
+  return '';
+}
+
+/**
+ * Sites nameEN (lower-case) -> id, so a log and a plan entry match by site ID when both have one
+ * (reports carry the nameEN chosen in Step 1)
+ */
+function readSiteIdsByName_(ss) {
+  const ids = {};
+  readTabObjects_(ss, TAB_SITES).forEach(row => {
+    const id = String(row.id || '').trim();
+    const name = String(row.nameEN || '').trim().toLowerCase();
+    if (id && name) ids[name] = id;
+  });
+  return ids;
+}
+
+/**
+ * InspectionLogs rows that count toward current.date + current.shift, earliest first
+ * @returns {Object[]} {siteName, siteId, route (A / B), patrolName, time 'HH:mm', presence}
+ */
+function readPatrolShiftLogs_(ss, current, inspectorShifts, siteIds) {
+  const sheet = ss.getSheetByName(TAB_INSPECTION_LOGS);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const tz = Session.getScriptTimeZone();
+  const presenceCol = 23 + INSPECTION_LOG_EXTRA_COLUMNS.indexOf('presence');
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, Math.max(sheet.getLastColumn(), 6)).getValues();
+  const logs = [];
+  data.forEach(row => {
+    const timestamp = row[0] instanceof Date ? row[0] : new Date(row[0]);
+    if (!row[0] || isNaN(timestamp.getTime())) return;
+    const patrolName = String(row[1] || '').trim();
+    const slot = classifyPatrolTime_(timestamp, inspectorShifts[patrolName.toLowerCase()] || '');
+    if (slot.date !== current.date || slot.shift !== current.shift) return;
+
+    const siteName = String(row[3] || '').trim();
+    const route = String(row[2] || '').trim().toUpperCase();
+    const routeKey = route === 'A' || route === 'B' ? route : ((route.match(/\b([AB])\b/) || [])[1] || route);
+    logs.push({
+      at: timestamp.getTime(),
+      siteName: siteName,
+      siteId: siteIds[siteName.toLowerCase()] || '',
+      route: routeKey,
+      patrolName: patrolName,
+      time: Utilities.formatDate(timestamp, tz, 'HH:mm'),
+      presence: presenceCol < row.length ? String(row[presenceCol] || '').trim().toLowerCase() : ''
+    });
+  });
+  return logs.sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Whether an InspectionLogs presence flag lets the visit count: on-site, or nothing to check it against
+ * (blank = logged before the presence check, no-site-location = the site has no lat/lng or fence)
+ */
+function isPresenceAccepted_(flag) {
+  const value = String(flag || '').trim().toLowerCase();
+  return !value || value === 'on-site' || value === 'no-site-location';
+}
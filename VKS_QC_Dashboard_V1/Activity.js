@@ -9,7 +9,7 @@
  * @param {Object} filters { date, siteId, guardId }
  */
 // VERSION 25 - WRAPPER PATTERN
-function getGuardActivity(filters) {
+function getGuardActivity_(filters) {
   const result = {
     success: false,
     version: 'v25-WRAPPER',
@@ -58,7 +58,9 @@ function getGuardActivity(filters) {
         guard: getCIIndex(h, ['guardId']),
         status: getCIIndex(h, ['status']),
         cp: getCIIndex(h, ['checkpointId', 'checkpoint']),
-        note: getCIIndex(h, ['note', 'notes'])
+        note: getCIIndex(h, ['note', 'notes']),
+        photo: getCIIndex(h, ['photo']),
+        photoThumb: getCIIndex(h, ['photoThumb'])
       };
 
       scansData.slice(1).forEach(row => {
@@ -72,6 +74,9 @@ function getGuardActivity(filters) {
         if (dStr === targetDate) {
           const rSite = String(row[idx.site] || '');
           const rGuard = String(row[idx.guard] || '');
+          // Legacy rows still hold base64 in the cell - too heavy to ship with every event
+          const photo = idx.photo !== -1 ? String(row[idx.photo] || '') : '';
+          const photoUrl = photo.indexOf('data:') === 0 ? '' : photo;
           
           if (filterSite && normId(rSite) !== filterSite) return;
           if (filterGuard && normId(rGuard) !== filterGuard) return;
@@ -86,7 +91,9 @@ function getGuardActivity(filters) {
             siteId: rSite,
             details: String(row[idx.cp] || ''),
             status: String(row[idx.status] || 'valid').toLowerCase(),
-            notes: String(row[idx.note] || '')
+            notes: String(row[idx.note] || ''),
+            photoUrl: photoUrl,
+            photoThumb: idx.photoThumb !== -1 ? String(row[idx.photoThumb] || '') : ''
           });
         }
       });
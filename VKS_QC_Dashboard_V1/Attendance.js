@@ -0,0 +1,423 @@
+/**
+ * Attendance.js - Shift Roster vs Guard Check-in Reconciliation
+ *
+ * Features:
+ * - Pairs each rostered Shifts row with the guard's CHECKIN/CHECKOUT scans at that site
+ * - Sets the shift status (STATUS.shift): confirmed (on site), completed (checked out), absent (no check-in)
+ * - Flags late starts and early leaves in minutes (grace from the attendanceGrace setting)
+ * - Lists guards who checked in without being rostered
+ * - Daily attendance board (Page_Attendance) and getAttendanceRecords_ for the overtime calculation
+ */
+
+// ===========================================
+// CONFIG
+// ===========================================
+
+// Shifts columns owned by the reconciler (added on first run)
+const ATTENDANCE_SHIFT_COLUMNS = ['status', 'checkinAt', 'checkoutAt', 'lateStartMin', 'earlyLeaveMin', 'attendanceFlags', 'actualHrs', 'reconciledAt'];
+
+const ATTENDANCE_FLAGS = {
+  LATE_START: 'late_start',
+  EARLY_LEAVE: 'early_leave'
+};
+
+const ATTENDANCE_EARLY_CHECKIN_HOURS = 2; // A check-in this long before the start still counts for the shift
+const ATTENDANCE_LATE_CHECKOUT_HOURS = 6; // A checkout this long after the end still closes the shift
+
+// ===========================================
+// TRIGGER
+// ===========================================
+
+/**
+ * Install the 30-minute attendance reconciler trigger (run once from the editor)
+ */
+function setupAttendanceTrigger() {
+  requireScriptOwner_();
+  removeAttendanceTrigger();
+
+  ScriptApp.newTrigger('runAttendanceReconciler')
+    .timeBased()
+    .everyMinutes(30)
+    .create();
+
+  Logger.log('Attendance reconciler trigger created (every 30 minutes)');
+  return { success: true };
+}
+
+/**
+ * Remove the attendance reconciler trigger
+ */
+function removeAttendanceTrigger() {
+  requireScriptOwner_();
+  let removed = 0;
+  ScriptApp.getProjectTriggers().forEach(t => {
+    if (t.getHandlerFunction() === 'runAttendanceReconciler') {
+      ScriptApp.deleteTrigger(t);
+      removed++;
+    }
+  });
+  Logger.log(`Removed ${removed} attendance reconciler trigger(s)`);
+  return { success: true, removed: removed };
+}
+
+/**
+ * Reconcile yesterday's and today's rostered shifts (yesterday covers night shifts)
+ */
+function runAttendanceReconciler(e) {
+  requireTriggerRun_(e);
+  try {
+    const now = new Date();
+    const today = Utilities.formatDate(now, 'Asia/Vientiane', 'yyyy-MM-dd');
+    const yesterday = Utilities.formatDate(new Date(now.getTime() - 86400000), 'Asia/Vientiane', 'yyyy-MM-dd');
+
+    const result = reconcileAttendance_(SpreadsheetApp.openById(SPREADSHEET_ID_QC), yesterday, today, true);
+    Logger.log(`Attendance: ${result.shifts.length} shift(s) reconciled, ${result.updated} updated, ${result.unrostered.length} unrostered check-in(s)`);
+    return { success: true, updated: result.updated };
+  } catch (e) {
+    Logger.log('Error in runAttendanceReconciler: ' + e.message + '\n' + e.stack);
+    return { success: false, message: e.message };
+  }
+}
+
+// ===========================================
+// BOARD
+// ===========================================
+
+/**
+ * Daily attendance board, reconciled live from the scans without writing to Shifts
+ * (the Shifts status is written by runAttendanceReconciler only)
+ * @param {string} date - yyyy-MM-dd (defaults to today)
+ * @returns {Object} {success, date, holidays, shifts, unrostered, summary}
+ */
+function getAttendanceBoard_(date) {
+  try {
+    const day = date || Utilities.formatDate(new Date(), 'Asia/Vientiane', 'yyyy-MM-dd');
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+    const result = reconcileAttendance_(ss, day, day, false);
+    const siteNames = getGeofenceSiteNames_(ss);
+    const guardNames = getGeofenceGuardNames_(ss);
+
+    const toClient = r => {
+      const holiday = getHolidayFor_(r.date, r.siteId);
+      return Object.assign({}, r, {
+        guardName: guardNames[r.guardId] || r.guardId,
+        siteName: siteNames[String(r.siteId).toUpperCase()] || r.siteId,
+        holiday: holiday ? holiday.name : ''
+      });
+    };
+    const inScope = r => isInCallerScope_([r.siteId, r.siteName]);
+    const shifts = result.shifts.map(toClient).filter(inScope).sort((a, b) => new Date(a.start) - new Date(b.start));
+    const unrostered = result.unrostered.map(toClient).filter(inScope);
+
+    const summary = { scheduled: shifts.length, confirmed: 0, completed: 0, absent: 0, pending: 0, lateStart: 0, earlyLeave: 0, unrostered: unrostered.length };
+    shifts.forEach(s => {
+      if (s.status === STATUS.shift.CONFIRMED) summary.confirmed++;
+      else if (s.status === STATUS.shift.COMPLETED) summary.completed++;
+      else if (s.status === STATUS.shift.ABSENT) summary.absent++;
+      else summary.pending++;
+      if (s.flags.indexOf(ATTENDANCE_FLAGS.LATE_START) > -1) summary.lateStart++;
+      if (s.flags.indexOf(ATTENDANCE_FLAGS.EARLY_LEAVE) > -1) summary.earlyLeave++;
+    });
+
+    // Site-wide days for the banner (client special days show on their shifts)
+    const holidays = getHolidaysInRange_(day, day).filter(h => h.type !== 'client');
+
+    return JSON.parse(JSON.stringify({ success: true, date: day, holidays: holidays, shifts: shifts, unrostered: unrostered, summary: summary }));
+  } catch (e) {
+    Logger.log('Error in getAttendanceBoard: ' + e.message);
+    return { success: false, message: e.message, shifts: [], unrostered: [] };
+  }
+}
+
+/**
+ * Reconciled shifts and unrostered check-ins for a date range, without writing to the sheet (used by Overtime)
+ * @param {string} startDate - yyyy-MM-dd
+ * @param {string} endDate - yyyy-MM-dd
+ * @returns {Object} {shifts, unrostered} - times as Date objects; isOT when the guard checked in as overtime
+ */
+function getAttendanceRecords_(ss, startDate, endDate) {
+  const result = reconcileAttendance_(ss, startDate, endDate, false);
+  return { shifts: result.shifts, unrostered: result.unrostered };
+}
+
+// ===========================================
+// ENGINE
+// ===========================================
+
+/**
+ * Match rostered shifts between two dates (inclusive) with CHECKIN/CHECKOUT sessions
+ * @param {boolean} write - Save status/flags back to the Shifts tab (only changed cells)
+ * @returns {Object} {shifts, unrostered, updated}
+ */
+function reconcileAttendance_(ss, startDate, endDate, write) {
+  const now = new Date();
+  const settings = getSettings_();
+  const grace = parseInt(settings.attendanceGrace) || 10;
+  const absentAfter = parseInt(settings.missedCheckin) || 30;
+
+  const sheet = ss.getSheetByName(SHEET_SHIFTS);
+  if (!sheet || sheet.getLastRow() < 2) return { shifts: [], unrostered: [], updated: 0 };
+
+  const headers = write ? ensureSheetColumns_(sheet, ATTENDANCE_SHIFT_COLUMNS) : sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const data = sheet.getRange(1, 1, sheet.getLastRow(), headers.length).getValues();
+  const col = name => getCIIndex(headers, [name]);
+  const idx = {
+    id: col('id'), guardId: col('guardId'), siteId: col('siteId'), date: col('date'), shiftType: col('shiftType'),
+    startTime: col('startTime'), endTime: col('endTime')
+  };
+
+  const guardKeys = getAttendanceGuardKeys_(ss);
+  const siteKeys = getAttendanceSiteKeys_(ss);
+  const toDay = val => val instanceof Date ? Utilities.formatDate(val, 'Asia/Vientiane', 'yyyy-MM-dd') : String(val || '').substring(0, 10);
+
+  // The day before the range is matched too, so a night shift keeps its own late check-in
+  const matchFrom = Utilities.formatDate(new Date(new Date(startDate + 'T00:00:00+07:00').getTime() - 86400000), 'Asia/Vientiane', 'yyyy-MM-dd');
+
+  const rostered = [];
+  data.slice(1).forEach((row, i) => {
+    const day = toDay(row[idx.date]);
+    if (!day || day < matchFrom || day > endDate) return;
+    const window = getAttendanceShiftWindow_(day, row[idx.startTime], row[idx.endTime], row[idx.shiftType]);
+    if (!window) return;
+    rostered.push({
+      rowNum: i + 2,
+      row: row,
+      inRange: day >= startDate,
+      id: String(row[idx.id] || ''),
+      guardId: guardKeys[String(row[idx.guardId] || '').trim()] || String(row[idx.guardId] || '').trim(),
+      siteId: siteKeys[String(row[idx.siteId] || '').trim().toUpperCase()] || String(row[idx.siteId] || '').trim(),
+      date: day,
+      shiftType: String(row[idx.shiftType] || ''),
+      start: window.start,
+      end: window.end
+    });
+  });
+  rostered.sort((a, b) => a.start - b.start);
+
+  const rangeStart = new Date(new Date(matchFrom + 'T00:00:00+07:00').getTime() - ATTENDANCE_EARLY_CHECKIN_HOURS * 3600000);
+  const rangeEnd = new Date(new Date(endDate + 'T00:00:00+07:00').getTime() + (2 * 24 + ATTENDANCE_LATE_CHECKOUT_HOURS) * 3600000);
+  const sessions = readAttendanceSessions_(ss, siteKeys, rangeStart, rangeEnd);
+
+  const shifts = [];
+  let updated = 0;
+
+  rostered.forEach(shift => {
+    const session = sessions.find(s => !s.used && s.guardId === shift.guardId && s.siteId === shift.siteId &&
+      s.checkinAt >= new Date(shift.start.getTime() - ATTENDANCE_EARLY_CHECKIN_HOURS * 3600000) && s.checkinAt < shift.end);
+    if (session) session.used = true;
+    if (!shift.inRange) return;
+
+    const result = buildAttendanceResult_(shift, session, now, grace, absentAfter);
+    shifts.push(result);
+
+    if (write) updated += writeAttendanceResult_(sheet, headers, shift, result, now);
+  });
+
+  // Check-ins inside the range that no rostered shift claimed
+  const unrostered = sessions
+    .filter(s => !s.used && toDay(s.checkinAt) >= startDate && toDay(s.checkinAt) <= endDate)
+    .map(s => ({
+      guardId: s.guardId,
+      siteId: s.siteId,
+      date: toDay(s.checkinAt),
+      checkinAt: s.checkinAt,
+      checkoutAt: s.checkoutAt || '',
+      isOT: s.isOT,
+      actualHrs: s.checkoutAt ? Math.round((s.checkoutAt - s.checkinAt) / 36000) / 100 : ''
+    }));
+
+  return { shifts: shifts, unrostered: unrostered, updated: updated };
+}
+
+function buildAttendanceResult_(shift, session, now, grace, absentAfter) {
+  const result = {
+    id: shift.id,
+    guardId: shift.guardId,
+    siteId: shift.siteId,
+    date: shift.date,
+    shiftType: shift.shiftType,
+    start: shift.start,
+    end: shift.end,
+    scheduledHrs: Math.round((shift.end - shift.start) / 36000) / 100,
+    status: STATUS.shift.SCHEDULED,
+    checkinAt: '',
+    checkoutAt: '',
+    lateStartMin: '',
+    earlyLeaveMin: '',
+    actualHrs: '',
+    isOT: false,
+    flags: []
+  };
+
+  if (!session) {
+    if (now.getTime() > shift.start.getTime() + absentAfter * 60000) result.status = STATUS.shift.ABSENT;
+    return result;
+  }
+
+  result.checkinAt = session.checkinAt;
+  result.isOT = session.isOT;
+  result.status = STATUS.shift.CONFIRMED;
+
+  const lateMin = Math.round((session.checkinAt - shift.start) / 60000);
+  if (lateMin > 0) result.lateStartMin = lateMin;
+  if (lateMin > grace) result.flags.push(ATTENDANCE_FLAGS.LATE_START);
+
+  if (session.checkoutAt) {
+    result.checkoutAt = session.checkoutAt;
+    result.status = STATUS.shift.COMPLETED;
+    result.actualHrs = Math.round((session.checkoutAt - session.checkinAt) / 36000) / 100;
+
+    const earlyMin = Math.round((shift.end - session.checkoutAt) / 60000);
+    if (earlyMin > 0) result.earlyLeaveMin = earlyMin;
+    if (earlyMin > grace) result.flags.push(ATTENDANCE_FLAGS.EARLY_LEAVE);
+  }
+  return result;
+}
+
+/**
+ * Write one shift's result back, touching only cells whose value changed
+ * @returns {number} 1 if the row changed, otherwise 0
+ */
+function writeAttendanceResult_(sheet, headers, shift, result, now) {
+  const values = {
+    status: result.status,
+    checkinAt: result.checkinAt,
+    checkoutAt: result.checkoutAt,
+    lateStartMin: result.lateStartMin,
+    earlyLeaveMin: result.earlyLeaveMin,
+    attendanceFlags: result.flags.join(','),
+    actualHrs: result.actualHrs
+  };
+
+  const same = (a, b) => (a instanceof Date ? a.getTime() : String(a)) === (b instanceof Date ? b.getTime() : String(b));
+  const changed = Object.keys(values).filter(key => {
+    const c = getCIIndex(headers, [key]);
+    return c !== -1 && !same(shift.row[c], values[key]);
+  });
+  if (changed.length === 0) return 0;
+
+  values.reconciledAt = now;
+  changed.concat(['reconciledAt']).forEach(key => {
+    sheet.getRange(shift.rowNum, getCIIndex(headers, [key]) + 1).setValue(values[key]);
+  });
+  return 1;
+}
+
+/**
+ * CHECKIN -> CHECKOUT sessions per guard and site, oldest first.
+ * A second CHECKIN while a session is open at the same site (re-login) keeps the first one.
+ * Out-of-fence scans pending geofence review count as their geoIntent (readPatrolScanStatus_, PatrolMonitor.gs).
+ */
+function readAttendanceSessions_(ss, siteKeys, from, to) {
+  const sheet = ss.getSheetByName(SHEET_SCANS);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const h = data[0];
+  const idx = {
+    timestamp: getCIIndex(h, ['timestamp']),
+    guardId: getCIIndex(h, ['guardId']),
+    siteId: getCIIndex(h, ['siteId']),
+    status: getCIIndex(h, ['status']),
+    isOT: getCIIndex(h, ['isOT']),
+    geoIntent: getCIIndex(h, ['geoIntent']),
+    geoReview: getCIIndex(h, ['geoReview'])
+  };
+  const truthy = val => val === true || String(val).toUpperCase() === 'TRUE';
+
+  const events = [];
+  data.slice(1).forEach(row => {
+    const status = readPatrolScanStatus_(row, idx);
+    if (status !== 'CHECKIN' && status !== 'CHECKOUT') return;
+    const ts = row[idx.timestamp] instanceof Date ? row[idx.timestamp] : new Date(row[idx.timestamp]);
+    if (isNaN(ts.getTime()) || ts < from || ts > to) return;
+    const guardId = String(row[idx.guardId] || '').trim();
+    if (!guardId) return;
+    const rawSite = String(row[idx.siteId] || '').trim();
+    events.push({
+      at: ts, status: status, guardId: guardId, siteId: siteKeys[rawSite.toUpperCase()] || rawSite,
+      isOT: idx.isOT !== -1 && truthy(row[idx.isOT])
+    });
+  });
+  events.sort((a, b) => a.at - b.at);
+
+  const sessions = [];
+  const open = {};
+  events.forEach(ev => {
+    const current = open[ev.guardId];
+    if (ev.status === 'CHECKIN') {
+      if (current && current.siteId === ev.siteId) return;
+      open[ev.guardId] = { guardId: ev.guardId, siteId: ev.siteId, checkinAt: ev.at, checkoutAt: null, isOT: ev.isOT, used: false };
+      sessions.push(open[ev.guardId]);
+    } else if (current && ev.at - current.checkinAt <= 24 * 3600000) {
+      current.checkoutAt = ev.at;
+      delete open[ev.guardId];
+    }
+  });
+  return sessions;
+}
+
+/**
+ * Shift window from the roster row (startTime/endTime, else the SHIFT_TYPES default for shiftType)
+ * @returns {Object|null} {start, end} - end rolls over midnight for night shifts
+ */
+function getAttendanceShiftWindow_(day, startTime, endTime, shiftType) {
+  const preset = SHIFT_TYPES[String(shiftType || '').toUpperCase()] || null;
+  const hhmm = val => {
+    if (val instanceof Date) return Utilities.formatDate(val, 'Asia/Vientiane', 'HH:mm');
+    const m = String(val || '').match(/(\d{1,2}):(\d{2})/);
+    return m ? m[1].padStart(2, '0') + ':' + m[2] : '';
+  };
+
+  const startStr = hhmm(startTime) || (preset ? preset.start : '');
+  if (!startStr) return null;
+  const endStr = hhmm(endTime) || (preset ? preset.end : '');
+
+  const start = new Date(day + 'T' + startStr + ':00+07:00');
+  let end = endStr ? new Date(day + 'T' + endStr + ':00+07:00') : new Date(start.getTime() + 8 * 3600000);
+  if (end <= start) end = new Date(end.getTime() + 86400000);
+  return { start: start, end: end };
+}
+
+/**
+ * Guards id AND empId -> empId (Scans store the employee ID, the roster may store either)
+ */
+function getAttendanceGuardKeys_(ss) {
+  const sheet = ss.getSheetByName(SHEET_GUARDS);
+  const keys = {};
+  if (!sheet || sheet.getLastRow() < 2) return keys;
+
+  const data = sheet.getDataRange().getValues();
+  const idCol = getCIIndex(data[0], ['id']);
+  const empCol = getCIIndex(data[0], ['empId']);
+  if (empCol === -1) return keys;
+
+  data.slice(1).forEach(row => {
+    const empId = String(row[empCol] || '').trim();
+    if (!empId) return;
+    keys[empId] = empId;
+    if (idCol !== -1 && row[idCol]) keys[String(row[idCol]).trim()] = empId;
+  });
+  return keys;
+}
+
+/**
+ * Sites upper-case id AND code -> Sites id
+ */
+function getAttendanceSiteKeys_(ss) {
+  const sheet = ss.getSheetByName(SHEET_SITES);
+  const keys = {};
+  if (!sheet || sheet.getLastRow() < 2) return keys;
+
+  const data = sheet.getDataRange().getValues();
+  const idCol = getCIIndex(data[0], ['id']);
+  const codeCol = getCIIndex(data[0], ['code', 'site code']);
+
+  data.slice(1).forEach(row => {
+    const id = String(row[idCol] || '').trim();
+    if (!id) return;
+    keys[id.toUpperCase()] = id;
+    if (codeCol !== -1 && row[codeCol]) keys[String(row[codeCol]).trim().toUpperCase()] = id;
+  });
+  return keys;
+}
@@ -0,0 +1,255 @@
+/**
+ * Audit.js - Activity log and before/after audit trail
+ *
+ * Features:
+ * - One tab for everything: SHEET_ACTIVITY_LOG (COLUMNS.activityLog). logActivity writes plain
+ *   user actions (LOGIN, EXPORT, DENIED...), logAudit_ writes data changes
+ * - A data change row names the entity (AUDIT_ENTITIES), its ID, every changed field with its
+ *   old and new value (Changes = JSON [{field, from, to}]) and the app it came from (AUDIT_SOURCES)
+ * - The Patrol app and Guard App write the same columns with their own copy of the writer
+ * - getRecordHistory drives the record history view on the Activity Logs page
+ */
+
+// ===========================================
+// CONFIG
+// ===========================================
+
+// Fields left out of Changes: bookkeeping that changes on every save, and secrets
+const AUDIT_IGNORED_FIELDS = ['updatedAt', 'UpdatedAt', 'UpdatedBy', 'syncedAt', 'LastLogin', 'PasswordHash', 'pinHash', 'pinSalt', 'deviceHash'];
+
+// Longest value kept per field (photos / signatures are data URLs)
+const AUDIT_VALUE_MAX = 500;
+
+// ===========================================
+// API
+// ===========================================
+
+/**
+ * Every logged change to one record, oldest first
+ * @param {string} userId - Admin user
+ * @param {string} entity - AUDIT_ENTITIES value
+ * @param {string} entityId - Record ID
+ * @returns {Object} {success, entries}
+ */
+function getRecordHistory_(userId, entity, entityId) {
+  try {
+    if (!isAdmin_(userId)) return { success: false, message: 'Unauthorized.' };
+    if (!entity || !entityId) return { success: false, message: 'Entity and record ID are required.' };
+
+    const entries = readActivityLog_().filter(log =>
+      log.entity === String(entity) && log.entityId === String(entityId)).reverse();
+    return { success: true, entries: entries };
+  } catch (e) {
+    Logger.log('getRecordHistory error: ' + e.toString());
+    return { success: false, message: 'Failed to load record history.' };
+  }
+}
+
+// ===========================================
+// WRITERS
+// ===========================================
+
+/**
+ * Record a create / update / delete made from the dashboard
+ * @param {string} action - AUDIT_ACTIONS value
+ * @param {string} entity - AUDIT_ENTITIES value
+ * @param {string} entityId - Record ID
+ * @param {Object|null} before - Record before the change (null on create)
+ * @param {Object|null} after - Record after the change (null on delete)
+ * @param {string} details - Optional note (defaults to the changed field names)
+ */
+function logAudit_(action, entity, entityId, before, after, details) {
+  logAuditBatch_(action, entity, [{ id: entityId, before: before, after: after }], details);
+}
+
+/**
+ * Record the same change to many records in one write (batch plan saves / deletes)
+ * @param {string} action - AUDIT_ACTIONS value
+ * @param {string} entity - AUDIT_ENTITIES value
+ * @param {Array} records - [{id, before, after}]
+ * @param {string} details - Optional note shared by every row
+ */
+function logAuditBatch_(action, entity, records, details) {
+  const userId = getAuditUserId_();
+  const entries = [];
+  records.forEach(record => {
+    const changes = diffAuditRecords_(record.before, record.after);
+    // Saving a form without touching anything is not a change
+    if (action === AUDIT_ACTIONS.UPDATE && changes.length === 0 && !details) return;
+
+    entries.push({
+      userId: userId,
+      action: action,
+      page: entity,
+      target: entity + ': ' + record.id,
+      details: details || describeAuditChanges_(action, changes),
+      entity: entity,
+      entityId: String(record.id),
+      changes: JSON.stringify(changes),
+      source: AUDIT_SOURCES.DASHBOARD
+    });
+  });
+  writeActivityRows_(entries);
+}
+
+/**
+ * Append one row to the activity log
+ * @param {Object} entry - {userId, action, page, target, details, entity, entityId, changes, source}
+ */
+function writeActivityRow_(entry) {
+  writeActivityRows_([entry]);
+}
+
+/**
+ * Append rows to the activity log. Never throws: logging must not break the action itself.
+ * @param {Array} entries - Entries as for writeActivityRow_
+ */
+function writeActivityRows_(entries) {
+  if (!entries.length) return;
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName(SHEET_ACTIVITY_LOG);
+    if (!sheet) {
+      sheet = ss.insertSheet(SHEET_ACTIVITY_LOG);
+      sheet.appendRow(COLUMNS.activityLog);
+      sheet.setFrozenRows(1);
+    }
+    // Older tabs only have the first seven columns
+    const headers = ensureSheetColumns_(sheet, COLUMNS.activityLog);
+
+    const timestamp = new Date().toISOString();
+    const userNames = {};
+    const rows = entries.map(entry => {
+      const userId = entry.userId || '';
+      if (!(userId in userNames)) userNames[userId] = getAuthUserName_(userId) || 'System';
+      const values = {
+        Timestamp: timestamp,
+        UserID: userId,
+        UserName: userNames[userId],
+        Action: entry.action,
+        Page: entry.page || '',
+        Target: entry.target || '',
+        Details: entry.details || '',
+        Entity: entry.entity || '',
+        EntityID: entry.entityId || '',
+        Changes: entry.changes || '',
+        Source: entry.source || AUDIT_SOURCES.DASHBOARD
+      };
+      const row = headers.map(() => '');
+      COLUMNS.activityLog.forEach(col => {
+        row[getCIIndex(headers, [col])] = values[col];
+      });
+      return row;
+    });
+
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, headers.length).setValues(rows);
+    SpreadsheetApp.flush();
+  } catch (e) {
+    Logger.log('writeActivityRows_ error: ' + e.toString());
+  }
+}
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Session user of the call being run ('' for triggers and editor runs, logged as System)
+ */
+function getAuditUserId_() {
+  return AUTH_CONTEXT_ ? AUTH_CONTEXT_.userId : '';
+}
+
+/**
+ * Sheet row as {header: value}, the snapshot passed to logAudit_
+ */
+function toAuditRecord_(headers, row) {
+  const record = {};
+  headers.forEach((h, i) => {
+    if (h !== '') record[h] = row[i];
+  });
+  return record;
+}
+
+/**
+ * Read a row back after writing it (1-based row number)
+ */
+function readAuditRecord_(sheet, rowNumber) {
+  const lastCol = sheet.getLastColumn();
+  const headers = sheet.getRange(1, 1, 1, lastCol).getValues()[0];
+  return toAuditRecord_(headers, sheet.getRange(rowNumber, 1, 1, lastCol).getValues()[0]);
+}
+
+/**
+ * Fields that differ between two snapshots
+ * @returns {Array} [{field, from, to}]
+ */
+function diffAuditRecords_(before, after) {
+  const a = before || {};
+  const b = after || {};
+  const fields = Object.keys(a).concat(Object.keys(b).filter(k => !Object.prototype.hasOwnProperty.call(a, k)));
+
+  return fields
+    .filter(field => AUDIT_IGNORED_FIELDS.indexOf(field) === -1)
+    .map(field => ({ field: field, from: toAuditValue_(a[field]), to: toAuditValue_(b[field]) }))
+    .filter(change => change.from !== change.to);
+}
+
+/**
+ * Comparable, size-capped string for a cell value
+ */
+function toAuditValue_(value) {
+  if (value === null || value === undefined) return '';
+  const str = value instanceof Date ? (isNaN(value.getTime()) ? '' : value.toISOString()) :
+    typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return str.length > AUDIT_VALUE_MAX ? str.substring(0, AUDIT_VALUE_MAX) + '…' : str;
+}
+
+/**
+ * Default Details text, e.g. "Changed status, notes"
+ */
+function describeAuditChanges_(action, changes) {
+  if (action === AUDIT_ACTIONS.CREATE) return 'Created';
+  if (action === AUDIT_ACTIONS.DELETE) return 'Deleted';
+  return 'Changed ' + changes.map(c => c.field).join(', ');
+}
+
+/**
+ * All activity rows, newest first
+ * @returns {Array} [{timestamp, userId, userName, action, page, target, details, entity, entityId, changes, source}]
+ */
+function readActivityLog_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_ACTIVITY_LOG);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const idx = {};
+  COLUMNS.activityLog.forEach(col => { idx[col] = getCIIndex(headers, [col]); });
+  const cell = (row, col) => idx[col] > -1 ? String(row[idx[col]] === null ? '' : row[idx[col]]) : '';
+
+  const logs = [];
+  for (let i = data.length - 1; i >= 1; i--) {
+    const row = data[i];
+    let changes = [];
+    try {
+      changes = cell(row, 'Changes') ? JSON.parse(cell(row, 'Changes')) : [];
+    } catch (e) {
+      // Hand-edited cell: show the row without its field list
+    }
+    logs.push({
+      timestamp: row[idx.Timestamp] instanceof Date ? row[idx.Timestamp].toISOString() : cell(row, 'Timestamp'),
+      userId: cell(row, 'UserID'),
+      userName: cell(row, 'UserName'),
+      action: cell(row, 'Action'),
+      page: cell(row, 'Page'),
+      target: cell(row, 'Target'),
+      details: cell(row, 'Details'),
+      entity: cell(row, 'Entity'),
+      entityId: cell(row, 'EntityID'),
+      changes: changes,
+      source: cell(row, 'Source') || AUDIT_SOURCES.DASHBOARD
+    });
+  }
+  return logs;
+}
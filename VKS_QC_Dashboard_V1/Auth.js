@@ -4,7 +4,7 @@
  * Get current logged-in user info
  * @returns {Object} User object with name, role, email, avatar
  */
-function getCurrentUser() {
+function getCurrentUser_() {
   const email = Session.getActiveUser().getEmail();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const userSheet = ss.getSheetByName('Users');
@@ -36,45 +36,13 @@ function getCurrentUser() {
 }
 
 /**
- * Check if user has permission for an action
- * @param {string} action - Action to check (view, create, edit, delete, export)
+ * Check if the current caller has permission for an action (role matrix in Permissions.gs)
+ * @param {string} action - Action to check (view, create, edit, delete, export, admin)
  * @param {string} resource - Resource type (incidents, guards, sites, etc.)
  * @returns {boolean} Has permission
  */
 function checkPermission(action, resource) {
-  const user = getCurrentUser();
-  const role = user.role;
-  
-  // Role-based permissions matrix
-  const permissions = {
-    'Admin': ['view', 'create', 'edit', 'delete', 'export'],
-    'QC Lead': ['view', 'create', 'edit', 'export'],
-    'Supervisor': ['view', 'create', 'edit'],
-    'Staff': ['view', 'create'],
-    'Viewer': ['view'],
-    'Guest': ['view']
-  };
-  
-  const allowed = permissions[role] || permissions['Guest'];
-  return allowed.includes(action);
-}
-
-/**
- * Log user activity
- * @param {string} action - Action performed
- * @param {string} details - Additional details
- */
-function logActivity(action, details) {
-  const user = getCurrentUser();
-  const logSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('ActivityLog');
-  
-  if (logSheet) {
-    logSheet.appendRow([
-      new Date(),
-      user.email,
-      user.name,
-      action,
-      details
-    ]);
-  }
+  if (!AUTH_CONTEXT_) return false;
+  // "create" predates the matrix; creating is part of edit
+  return hasPermission_(AUTH_CONTEXT_.role, resource + '.' + (action === 'create' ? 'edit' : action));
 }
@@ -43,7 +43,7 @@ function generateUUID() {
 }
 
 // ─── ENSURE AUTH TABS EXIST ──────────────────────
-function ensureAuthTabs() {
+function ensureAuthTabs_() {
   var ss = SpreadsheetApp.getActiveSpreadsheet();
   
   // VKS_Users
@@ -58,7 +58,7 @@ function ensureAuthTabs() {
   var logSheet = ss.getSheetByName(AUTH_SHEETS.ACTIVITY_LOG);
   if (!logSheet) {
     logSheet = ss.insertSheet(AUTH_SHEETS.ACTIVITY_LOG);
-    logSheet.appendRow(['Timestamp', 'UserID', 'UserName', 'Action', 'Page', 'Target', 'Details']);
+    logSheet.appendRow(COLUMNS.activityLog);
     logSheet.setFrozenRows(1);
   }
   
@@ -68,7 +68,8 @@ function ensureAuthTabs() {
 // ─── SEED ADMIN ACCOUNT ─────────────────────────
 // Run this ONCE manually from the GAS editor to create the admin account.
 function seedAdminAccount() {
-  ensureAuthTabs();
+  requireScriptOwner_();
+  ensureAuthTabs_();
   var ss = SpreadsheetApp.getActiveSpreadsheet();
   var sheet = ss.getSheetByName(AUTH_SHEETS.USERS);
   var data = sheet.getDataRange().getValues();
@@ -81,7 +82,8 @@ function seedAdminAccount() {
     }
   }
   
-  var password = 'VKS@admin2024';
+  // Random, never a known default: it is only shown in the editor log
+  var password = generatePassword();
   var pwdHash = hashPassword(password);
   
   Logger.log('Admin password hash: ' + pwdHash);
@@ -105,9 +107,9 @@ function seedAdminAccount() {
 }
 
 // ─── VALIDATE LOGIN ─────────────────────────────
-function validateLogin(email, passwordHash) {
+function validateLogin_(email, passwordHash) {
   try {
-    ensureAuthTabs();
+    ensureAuthTabs_();
     var ss = SpreadsheetApp.getActiveSpreadsheet();
     var sheet = ss.getSheetByName(AUTH_SHEETS.USERS);
     var data = sheet.getDataRange().getValues();
@@ -147,16 +149,17 @@ function validateLogin(email, passwordHash) {
           }
           
           // Log the login
-          logActivity(String(row[0]), 'LOGIN', 'System', 'Authentication', 'Login successful');
+          logActivity_(String(row[0]), 'LOGIN', 'System', 'Authentication', 'Login successful');
           
           return {
             success: true,
+            sessionToken: createSession_(String(row[0])),
             user: {
               userId: String(row[0]),
               name: String(row[1] || ''),
               surname: String(row[2] || ''),
               email: String(row[3] || ''),
-              role: String(row[5] || 'user')
+              role: normalizeRole_(row[5] || 'user')
             }
           };
         } else {
@@ -174,10 +177,13 @@ function validateLogin(email, passwordHash) {
 }
 
 // ─── CREATE USER (Admin Only) ───────────────────
-function createUser(adminUserId, userData) {
+function createUser_(adminUserId, userData) {
+  var denied = requirePermission_('users.admin');
+  if (denied) return denied;
+
   try {
     // Verify admin
-    if (!isAdmin(adminUserId)) {
+    if (!isAdmin_(adminUserId)) {
       return { success: false, message: 'Unauthorized. Admin access required.' };
     }
     
@@ -224,7 +230,8 @@ function createUser(adminUserId, userData) {
     
     SpreadsheetApp.flush();
     
-    logActivity(adminUserId, 'CREATE', 'User Management', 'User: ' + name + ' ' + surname, 'Created new user account');
+    logAudit_(AUDIT_ACTIONS.CREATE, AUDIT_ENTITIES.USERS, userId, null, readAuditRecord_(sheet, sheet.getLastRow()),
+      'Created user account ' + name + ' ' + surname);
     
     return {
       success: true,
@@ -242,9 +249,9 @@ function createUser(adminUserId, userData) {
 }
 
 // ─── GET ALL USERS (Admin Only) ─────────────────
-function getUsers(adminUserId) {
+function getUsers_(adminUserId) {
   try {
-    if (!isAdmin(adminUserId)) {
+    if (!isAdmin_(adminUserId)) {
       return { success: false, message: 'Unauthorized.' };
     }
     
@@ -259,10 +266,11 @@ function getUsers(adminUserId) {
         name: String(data[i][1] || ''),
         surname: String(data[i][2] || ''),
         email: String(data[i][3] || ''),
-        role: String(data[i][5] || 'user'),
+        role: normalizeRole_(data[i][5] || 'user'),
         status: String(data[i][6] || 'active'),
         createdAt: String(data[i][7] || ''),
-        lastLogin: String(data[i][9] || '')
+        lastLogin: String(data[i][9] || ''),
+        scope: readUserScope_(data[0], data[i])
       });
     }
     
@@ -274,9 +282,12 @@ function getUsers(adminUserId) {
 }
 
 // ─── UPDATE USER (Admin Only) ───────────────────
-function updateUser(adminUserId, userId, updates) {
+function updateUser_(adminUserId, userId, updates) {
+  var denied = requirePermission_('users.admin');
+  if (denied) return denied;
+
   try {
-    if (!isAdmin(adminUserId)) {
+    if (!isAdmin_(adminUserId)) {
       return { success: false, message: 'Unauthorized.' };
     }
     
@@ -286,12 +297,28 @@ function updateUser(adminUserId, userId, updates) {
     
     for (var i = 1; i < data.length; i++) {
       if (String(data[i][0]) === userId) {
+        if (updates.role && userId === adminUserId && normalizeRole_(updates.role) !== ROLES.ADMIN) {
+          return { success: false, message: 'You cannot remove your own admin role.' };
+        }
+
         if (updates.name) sheet.getRange(i + 1, 2).setValue(updates.name);
         if (updates.surname) sheet.getRange(i + 1, 3).setValue(updates.surname);
         if (updates.status) sheet.getRange(i + 1, 7).setValue(updates.status);
+        if (updates.role) sheet.getRange(i + 1, 6).setValue(normalizeRole_(updates.role));
+        if (updates.scope) {
+          // Scope columns are added the first time an admin sets a scope
+          var headers = ensureSheetColumns_(sheet, Object.keys(USER_SCOPE_COLUMNS).map(function (k) { return USER_SCOPE_COLUMNS[k]; }));
+          Object.keys(USER_SCOPE_COLUMNS).forEach(function (key) {
+            var col = getCIIndex(headers, [USER_SCOPE_COLUMNS[key]]);
+            sheet.getRange(i + 1, col + 1).setValue(splitScopeList_(updates.scope[key]).join(', '));
+          });
+        }
         SpreadsheetApp.flush();
         
-        logActivity(adminUserId, 'UPDATE', 'User Management', 'User: ' + (updates.name || data[i][1]), 'Updated user profile');
+        var details = 'Updated user profile';
+        if (updates.role) details = 'Role changed to ' + normalizeRole_(updates.role);
+        if (updates.scope) details = 'Scope changed to ' + describeUserScope_(updates.scope);
+        logAudit_(AUDIT_ACTIONS.UPDATE, AUDIT_ENTITIES.USERS, userId, toAuditRecord_(data[0], data[i]), readAuditRecord_(sheet, i + 1), details);
         return { success: true, message: 'User updated.' };
       }
     }
@@ -304,9 +331,12 @@ function updateUser(adminUserId, userId, updates) {
 }
 
 // ─── RESET USER PASSWORD (Admin Only) ───────────
-function resetUserPassword(adminUserId, userId) {
+function resetUserPassword_(adminUserId, userId) {
+  var denied = requirePermission_('users.admin');
+  if (denied) return denied;
+
   try {
-    if (!isAdmin(adminUserId)) {
+    if (!isAdmin_(adminUserId)) {
       return { success: false, message: 'Unauthorized.' };
     }
     
@@ -321,7 +351,7 @@ function resetUserPassword(adminUserId, userId) {
         sheet.getRange(i + 1, 5).setValue(newHash);
         SpreadsheetApp.flush();
         
-        logActivity(adminUserId, 'UPDATE', 'User Management', 'User: ' + data[i][1] + ' ' + data[i][2], 'Password reset by admin');
+        logActivity_(adminUserId, 'UPDATE', 'User Management', 'User: ' + data[i][1] + ' ' + data[i][2], 'Password reset by admin');
         return { success: true, password: newPassword };
       }
     }
@@ -334,7 +364,7 @@ function resetUserPassword(adminUserId, userId) {
 }
 
 // ─── CHANGE MY PASSWORD ─────────────────────────
-function changeMyPassword(userId, oldPasswordHash, newPasswordHash) {
+function changeMyPassword_(userId, oldPasswordHash, newPasswordHash) {
   try {
     var ss = SpreadsheetApp.getActiveSpreadsheet();
     var sheet = ss.getSheetByName(AUTH_SHEETS.USERS);
@@ -350,7 +380,7 @@ function changeMyPassword(userId, oldPasswordHash, newPasswordHash) {
         sheet.getRange(i + 1, 5).setValue(newPasswordHash);
         SpreadsheetApp.flush();
         
-        logActivity(userId, 'UPDATE', 'Settings', 'Password', 'Changed own password');
+        logActivity_(userId, 'UPDATE', 'Settings', 'Password', 'Changed own password');
         return { success: true, message: 'Password changed successfully.' };
       }
     }
@@ -363,7 +393,7 @@ function changeMyPassword(userId, oldPasswordHash, newPasswordHash) {
 }
 
 // ─── IS ADMIN CHECK ─────────────────────────────
-function isAdmin(userId) {
+function isAdmin_(userId) {
   var ss = SpreadsheetApp.getActiveSpreadsheet();
   var sheet = ss.getSheetByName(AUTH_SHEETS.USERS);
   var data = sheet.getDataRange().getValues();
@@ -376,72 +406,50 @@ function isAdmin(userId) {
   return false;
 }
 
-// ─── LOG ACTIVITY ───────────────────────────────
-function logActivity(userId, action, page, target, details) {
-  try {
-    var ss = SpreadsheetApp.getActiveSpreadsheet();
-    var sheet = ss.getSheetByName(AUTH_SHEETS.ACTIVITY_LOG);
-    if (!sheet) return;
-    
-    // Get user name
-    var userName = 'System';
-    var usersSheet = ss.getSheetByName(AUTH_SHEETS.USERS);
-    if (usersSheet) {
-      var usersData = usersSheet.getDataRange().getValues();
-      for (var i = 1; i < usersData.length; i++) {
-        if (String(usersData[i][0]) === userId) {
-          userName = String(usersData[i][1]) + ' ' + String(usersData[i][2]);
-          break;
-        }
-      }
+// ─── GET USER DISPLAY NAME ──────────────────────
+function getAuthUserName_(userId) {
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  var sheet = ss.getSheetByName(AUTH_SHEETS.USERS);
+  if (!sheet || !userId) return '';
+  var data = sheet.getDataRange().getValues();
+
+  for (var i = 1; i < data.length; i++) {
+    if (String(data[i][0]) === String(userId)) {
+      return (String(data[i][1]) + ' ' + String(data[i][2])).trim();
     }
-    
-    sheet.appendRow([
-      new Date().toISOString(),
-      userId,
-      userName.trim(),
-      action,
-      page,
-      target || '',
-      details || ''
-    ]);
-    SpreadsheetApp.flush();
-  } catch (e) {
-    Logger.log('logActivity error: ' + e.toString());
   }
+  return '';
+}
+
+// ─── LOG ACTIVITY ───────────────────────────────
+// Plain user action; data changes go through logAudit_ (Audit.gs)
+function logActivity_(userId, action, page, target, details) {
+  writeActivityRow_({ userId: userId, action: action, page: page, target: target, details: details });
 }
 
 // ─── GET ACTIVITY LOGS (Admin Only) ─────────────
-function getActivityLogs(adminUserId, filters) {
+function getActivityLogs_(adminUserId, filters) {
   try {
-    if (!isAdmin(adminUserId)) {
+    if (!isAdmin_(adminUserId)) {
       return { success: false, message: 'Unauthorized.' };
     }
     
-    var ss = SpreadsheetApp.getActiveSpreadsheet();
-    var sheet = ss.getSheetByName(AUTH_SHEETS.ACTIVITY_LOG);
-    if (!sheet) return { success: true, logs: [] };
-    
-    var data = sheet.getDataRange().getValues();
     var logs = [];
+    var all = readActivityLog_();
     
-    for (var i = data.length - 1; i >= 1; i--) {
-      var row = data[i];
-      var log = {
-        timestamp: String(row[0] || ''),
-        userId: String(row[1] || ''),
-        userName: String(row[2] || ''),
-        action: String(row[3] || ''),
-        page: String(row[4] || ''),
-        target: String(row[5] || ''),
-        details: String(row[6] || '')
-      };
+    for (var i = 0; i < all.length; i++) {
+      var log = all[i];
       
       // Apply filters
       if (filters) {
         if (filters.action && log.action !== filters.action) continue;
         if (filters.userId && log.userId !== filters.userId) continue;
         if (filters.page && log.page !== filters.page) continue;
+        if (filters.source && log.source !== filters.source) continue;
+        if (filters.search) {
+          var term = String(filters.search).toLowerCase();
+          if ((log.entityId + ' ' + log.target + ' ' + log.details).toLowerCase().indexOf(term) === -1) continue;
+        }
         if (filters.startDate) {
           var logDate = new Date(log.timestamp);
           var startDate = new Date(filters.startDate);
@@ -468,14 +476,15 @@ function getActivityLogs(adminUserId, filters) {
   }
 }
 
-// ─── TEMPORARY: RESET ADMIN PASSWORD ─────────────
-// Run this ONCE from the GAS editor, then DELETE this function.
+// ─── RESET ADMIN PASSWORD ─────────────────────────
+// Run from the GAS editor when the admin is locked out; the new random password is in the log.
 function resetAdminPassword() {
+  requireScriptOwner_();
   var ss = SpreadsheetApp.getActiveSpreadsheet();
   var sheet = ss.getSheetByName(AUTH_SHEETS.USERS);
   var data = sheet.getDataRange().getValues();
   
-  var newPassword = 'VKS@admin2024';
+  var newPassword = generatePassword();
   var newHash = hashPassword(newPassword);
   
   for (var i = 1; i < data.length; i++) {
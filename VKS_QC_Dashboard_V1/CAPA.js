@@ -0,0 +1,425 @@
+/**
+ * CAPA.js - Corrective and preventive action items of incidents and complaints
+ *
+ * Features:
+ * - Each preventive measure is an action item (SHEET_CAPA_ACTIONS) with an owner, site and due date,
+ *   linked to the case it came from. Items are added in the resolve modal (transitionCase 'resolve'
+ *   with fields.capaActions) or later from the case detail panel
+ * - Steps (CAPA_TRANSITIONS): the owner completes it, QC verifies or rejects it, and once verified an
+ *   effectiveness check falls due (Settings capaEffectivenessDays). The check needs an inspection
+ *   of the site logged after the verification; a failed check sends the item back to open
+ * - Every step goes to the case timeline (kind 'capa') and the audit log
+ * - Overdue items and due effectiveness checks show as dashboard alerts (getCapaAlerts_)
+ */
+
+// ===========================================
+// API
+// ===========================================
+
+/**
+ * Action items of one case, with the inspection that can back an effectiveness check
+ * @param {string} caseType - 'incident' | 'complaint'
+ * @param {string} caseId - Incidents / Complaints row ID
+ * @returns {Object} {success, actions, canEdit}
+ */
+function getCapaActions_(caseType, caseId) {
+  try {
+    const found = findCaseRow_(caseType, caseId);
+    if (!found) return { success: false, message: 'Case not found: ' + caseId };
+    if (!isInCallerScope_([found.record.siteId, found.record.siteName])) {
+      return { success: false, message: 'This case is outside your site scope.' };
+    }
+
+    const now = new Date();
+    const actions = readCapaActions_()
+      .filter(a => a.caseType === caseType && a.caseId === String(caseId))
+      .map(a => {
+        const view = toCapaView_(a, now);
+        if (a.status === CAPA_STATUS.VERIFIED) view.inspection = findCapaInspection_(a, found.record);
+        return view;
+      });
+
+    return {
+      success: true,
+      actions: actions,
+      canEdit: !!AUTH_CONTEXT_ && hasPermission_(AUTH_CONTEXT_.role, getCaseType_(caseType).permission + '.edit')
+    };
+  } catch (e) {
+    Logger.log('Error in getCapaActions: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Add an action item to a case
+ * @param {string} caseType - 'incident' | 'complaint'
+ * @param {string} caseId - Incidents / Complaints row ID
+ * @param {Object} data - {action, ownerId, dueDate (yyyy-MM-dd)}
+ * @returns {Object} {success, id}
+ */
+function saveCapaAction_(caseType, caseId, data) {
+  const type = getCaseType_(caseType);
+  if (!type) return { success: false, message: 'Unknown case type: ' + caseType };
+  const denied = requirePermission_(type.permission + '.edit');
+  if (denied) return denied;
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    const found = findCaseRow_(caseType, caseId);
+    if (!found) return { success: false, message: 'Case not found: ' + caseId };
+    if (!isInCallerScope_([found.record.siteId, found.record.siteName])) {
+      return { success: false, message: 'This case is outside your site scope.' };
+    }
+
+    const items = normalizeCapaItems_(caseType, [data]);
+    if (items.error) return { success: false, message: items.error };
+    const ids = createCapaActions_(caseType, caseId, found.record, items);
+    setUpdateSignal_('master');
+    return { success: true, id: ids[0] };
+  } catch (e) {
+    Logger.log('Error in saveCapaAction: ' + e.message);
+    return { success: false, message: e.message };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Move an action item along its steps
+ * @param {string} caseType - 'incident' | 'complaint' (of the linked case)
+ * @param {string} capaId - CAPA action ID
+ * @param {string} step - CAPA_TRANSITIONS key (complete, verify, reject, effective, not_effective)
+ * @param {Object} fields - {note, dueDate (new due date on not_effective)}
+ * @returns {Object} {success, status}
+ */
+function updateCapaAction_(caseType, capaId, step, fields) {
+  const type = getCaseType_(caseType);
+  if (!type) return { success: false, message: 'Unknown case type: ' + caseType };
+  const denied = requirePermission_(type.permission + '.edit');
+  if (denied) return denied;
+
+  const rule = CAPA_TRANSITIONS[step];
+  if (!rule) return { success: false, message: 'Unknown step: ' + step };
+  fields = fields || {};
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    const row = findCapaRow_(capaId);
+    if (!row || row.record.caseType !== caseType) return { success: false, message: 'Action item not found: ' + capaId };
+    const action = normalizeCapaRecord_(row.record);
+    const found = findCaseRow_(caseType, action.caseId);
+    const caseRecord = found ? found.record : {};
+    if (!isInCallerScope_([action.siteId, caseRecord.siteName])) {
+      return { success: false, message: 'This action item is outside your site scope.' };
+    }
+    if (rule.from.indexOf(action.status) === -1) {
+      return { success: false, message: 'Cannot ' + step.replace('_', ' ') + ' an action item that is ' + action.status + '.' };
+    }
+
+    const note = String(fields.note || '').trim();
+    const dueDate = fields.dueDate ? parseCapaDate_(fields.dueDate) : null;
+    const missing = rule.required.filter(key => key === 'note' ? !note : key === 'dueDate' ? !dueDate : false);
+    if (missing.length > 0) {
+      return { success: false, code: 'MISSING_FIELDS', missing: missing, message: 'Required to ' + step.replace('_', ' ') + ': ' + missing.join(', ') };
+    }
+
+    const userName = getAuthUserName_(getAuditUserId_()) || getAuditUserId_() || 'System';
+    const now = new Date();
+    const updates = { status: rule.to, updatedAt: now };
+
+    if (step === 'complete') Object.assign(updates, { completedBy: userName, completedAt: now, completionNote: note });
+    if (step === 'verify') {
+      const effectiveDue = new Date(now.getTime() + getCapaEffectivenessDays_() * 86400000);
+      Object.assign(updates, { verifiedBy: userName, verifiedAt: now, effectivenessDueDate: effectiveDue });
+    }
+    if (step === 'reject') Object.assign(updates, { completedBy: '', completedAt: '', completionNote: '' });
+    if (step === 'effective' || step === 'not_effective') {
+      // The check is a re-inspection: an inspection of the site after the fix was verified
+      const inspection = findCapaInspection_(action, caseRecord);
+      if (!inspection) {
+        return { success: false, message: 'No inspection of this site since ' + formatCapaDate_(action.verifiedAt) + '. Re-inspect the site first.' };
+      }
+      Object.assign(updates, {
+        effectivenessResult: step === 'effective' ? 'effective' : 'not_effective',
+        effectivenessCheckedBy: userName,
+        effectivenessCheckedAt: now,
+        effectivenessNote: note,
+        inspectionRef: inspection.timestamp + ' / ' + inspection.patrolName + (inspection.score !== '' ? ' / ' + inspection.score : '')
+      });
+    }
+    // Rework starts a fresh round: new due date, done / verified fields cleared
+    if (step === 'not_effective') {
+      Object.assign(updates, {
+        dueDate: dueDate, completedBy: '', completedAt: '', completionNote: '',
+        verifiedBy: '', verifiedAt: '', effectivenessDueDate: ''
+      });
+    }
+
+    Object.keys(updates).forEach(key => {
+      const col = row.headers.indexOf(key);
+      if (col !== -1) row.sheet.getRange(row.rowNumber, col + 1).setValue(updates[key]);
+    });
+
+    const text = capaId + ' ' + describeCapaStep_(step) + ': ' + action.action +
+      (note ? ' - ' + note : '') + (updates.inspectionRef ? ' (inspection ' + updates.inspectionRef + ')' : '') +
+      (step === 'not_effective' ? ', due ' + formatCapaDate_(dueDate) : '');
+    appendCaseTimeline_(caseType, action.caseId, 'capa', '', '', text, '');
+    logAudit_(AUDIT_ACTIONS.UPDATE, AUDIT_ENTITIES.CAPA, capaId, row.record, readAuditRecord_(row.sheet, row.rowNumber),
+      'CAPA: ' + step + ' (' + action.status + ' → ' + rule.to + ')');
+    setUpdateSignal_('master');
+
+    return { success: true, status: rule.to };
+  } catch (e) {
+    Logger.log('Error in updateCapaAction: ' + e.message);
+    return { success: false, message: e.message };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// ===========================================
+// SHARED (CaseLifecycle.gs, Dashboard.gs)
+// ===========================================
+
+/**
+ * Validate action items from a form
+ * @param {string} caseType - 'incident' | 'complaint'
+ * @param {Array} items - [{action, ownerId, dueDate}]
+ * @returns {Array|Object} [{action, ownerId, owner, dueDate}] or {error}
+ */
+function normalizeCapaItems_(caseType, items) {
+  const owners = listAssignableUsers_(caseType);
+  const result = [];
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i] || {};
+    const text = String(item.action || '').trim();
+    if (!text) return { error: 'Action item ' + (i + 1) + ': describe the action.' };
+    const owner = owners.find(u => u.userId === String(item.ownerId || ''));
+    if (!owner) return { error: 'Action item ' + (i + 1) + ': choose an owner who can work on ' + caseType + 's.' };
+    const dueDate = parseCapaDate_(item.dueDate);
+    if (!dueDate) return { error: 'Action item ' + (i + 1) + ': due date is required.' };
+    result.push({ action: text.substring(0, 1000), ownerId: owner.userId, owner: owner.name, dueDate: dueDate });
+  }
+  return result;
+}
+
+/**
+ * Append action items for a case, one timeline entry and audit row each (call under the script lock)
+ * @param {Object} caseRecord - Incidents / Complaints row as {header: value}
+ * @param {Array} items - normalizeCapaItems_ result
+ * @returns {Array} New IDs
+ */
+function createCapaActions_(caseType, caseId, caseRecord, items) {
+  if (!items.length) return [];
+  const sheet = getCapaSheet_();
+  const headers = ensureSheetColumns_(sheet, COLUMNS.capaActions);
+  const createdBy = getAuthUserName_(getAuditUserId_()) || getAuditUserId_() || 'System';
+  const now = new Date();
+
+  return items.map(item => {
+    const record = {
+      id: 'CAPA-' + Utilities.getUuid().substring(0, 8).toUpperCase(),
+      caseType: caseType,
+      caseId: String(caseId),
+      siteId: String(caseRecord.siteId || ''),
+      action: item.action,
+      ownerId: item.ownerId,
+      owner: item.owner,
+      dueDate: item.dueDate,
+      status: CAPA_STATUS.OPEN,
+      createdBy: createdBy,
+      createdAt: now,
+      updatedAt: now
+    };
+    sheet.appendRow(headers.map(h => record[h] !== undefined ? record[h] : ''));
+    appendCaseTimeline_(caseType, caseId, 'capa', '', '',
+      record.id + ' added: ' + item.action + ' → ' + item.owner + ', due ' + formatCapaDate_(item.dueDate), '');
+    logAudit_(AUDIT_ACTIONS.CREATE, AUDIT_ENTITIES.CAPA, record.id, null, readAuditRecord_(sheet, sheet.getLastRow()));
+    return record.id;
+  });
+}
+
+/**
+ * Dashboard alerts: open items past their due date and effectiveness checks that are due
+ * @returns {Array} Alerts as built by getDashboardAlerts
+ */
+function getCapaAlerts_() {
+  const now = new Date();
+  const siteNames = buildSiteLookupMap_();
+  const label = a => a.caseId + ' · ' + a.action;
+
+  return readCapaActions_()
+    .filter(a => isInCallerScope_([a.siteId, siteNames[a.siteId]]))
+    .map(a => {
+      if (a.status === CAPA_STATUS.OPEN && a.dueDate && a.dueDate < now) {
+        return { a: a, since: a.dueDate, title: 'Overdue Corrective Action', type: 'warning', description: label(a) + ' (' + a.owner + ')' };
+      }
+      if (a.status === CAPA_STATUS.VERIFIED && a.effectivenessDueDate && a.effectivenessDueDate < now) {
+        return { a: a, since: a.effectivenessDueDate, title: 'CAPA Effectiveness Check Due', type: 'info', description: 'Re-inspect the site: ' + label(a) };
+      }
+      return null;
+    })
+    .filter(Boolean)
+    .sort((x, y) => x.since - y.since)
+    .slice(0, 5)
+    .map(item => {
+      const hours = Math.floor((now - item.since) / 3600000);
+      return {
+        id: 'capa-' + item.a.id,
+        title: item.title,
+        description: item.description,
+        type: item.type,
+        capa: true,
+        caseType: item.a.caseType,
+        caseId: item.a.caseId,
+        timeAgo: hours < 48 ? hours + 'h overdue' : Math.floor(hours / 24) + 'd overdue',
+        siteName: siteNames[item.a.siteId] || item.a.siteId || 'Unknown Site',
+        siteId: item.a.siteId
+      };
+    });
+}
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+function getCapaSheet_() {
+  const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+  let sheet = ss.getSheetByName(SHEET_CAPA_ACTIONS);
+  if (!sheet) {
+    sheet = ss.insertSheet(SHEET_CAPA_ACTIONS);
+    sheet.appendRow(COLUMNS.capaActions);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Every action item, typed (dates as Date, status defaulting to open)
+ */
+function readCapaActions_() {
+  const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(SHEET_CAPA_ACTIONS);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  const data = sheet.getDataRange().getValues();
+  return data.slice(1).map(row => normalizeCapaRecord_(toAuditRecord_(data[0], row))).filter(a => a.id);
+}
+
+function normalizeCapaRecord_(r) {
+  const date = value => {
+    if (!value) return null;
+    const d = value instanceof Date ? value : new Date(value);
+    return isNaN(d.getTime()) ? null : d;
+  };
+  return {
+    id: String(r.id || ''),
+    caseType: String(r.caseType || ''),
+    caseId: String(r.caseId || ''),
+    siteId: String(r.siteId || ''),
+    action: String(r.action || ''),
+    ownerId: String(r.ownerId || ''),
+    owner: String(r.owner || ''),
+    dueDate: date(r.dueDate),
+    status: String(r.status || CAPA_STATUS.OPEN),
+    completedBy: String(r.completedBy || ''),
+    completedAt: date(r.completedAt),
+    completionNote: String(r.completionNote || ''),
+    verifiedBy: String(r.verifiedBy || ''),
+    verifiedAt: date(r.verifiedAt),
+    effectivenessDueDate: date(r.effectivenessDueDate),
+    effectivenessResult: String(r.effectivenessResult || ''),
+    effectivenessCheckedBy: String(r.effectivenessCheckedBy || ''),
+    effectivenessNote: String(r.effectivenessNote || ''),
+    inspectionRef: String(r.inspectionRef || ''),
+    createdBy: String(r.createdBy || '')
+  };
+}
+
+/**
+ * Action item for the browser (ISO dates, overdue flags)
+ */
+function toCapaView_(a, now) {
+  const view = Object.assign({}, a);
+  ['dueDate', 'completedAt', 'verifiedAt', 'effectivenessDueDate'].forEach(key => {
+    view[key] = a[key] ? a[key].toISOString() : '';
+  });
+  view.overdue = a.status === CAPA_STATUS.OPEN && !!a.dueDate && a.dueDate < now;
+  view.effectivenessDue = a.status === CAPA_STATUS.VERIFIED && !!a.effectivenessDueDate && a.effectivenessDueDate < now;
+  return view;
+}
+
+/**
+ * Row of one action item
+ * @returns {Object|null} {sheet, headers, rowNumber, record}
+ */
+function findCapaRow_(capaId) {
+  const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(SHEET_CAPA_ACTIONS);
+  if (!sheet || sheet.getLastRow() < 2) return null;
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const idCol = Math.max(headers.indexOf('id'), 0);
+  const rowIndex = data.findIndex((row, i) => i > 0 && String(row[idCol]) === String(capaId));
+  if (rowIndex === -1) return null;
+  return { sheet: sheet, headers: headers, rowNumber: rowIndex + 1, record: toAuditRecord_(headers, data[rowIndex]) };
+}
+
+/**
+ * Latest inspection of the item's site logged after it was verified (InspectionLogs, matched by site name)
+ * @param {Object} action - normalizeCapaRecord_ result
+ * @param {Object} caseRecord - Linked case row (its siteName is tried as well)
+ * @returns {Object|null} {timestamp, patrolName, score}
+ */
+function findCapaInspection_(action, caseRecord) {
+  if (!action.verifiedAt) return null;
+  const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(SHEET_INSPECTION_LOGS);
+  if (!sheet || sheet.getLastRow() < 2) return null;
+
+  const names = [buildSiteLookupMap_()[action.siteId], caseRecord && caseRecord.siteName, action.siteId]
+    .filter(Boolean).map(n => String(n).trim().toLowerCase());
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const col = name => getCIIndex(headers, [name]);
+  const idx = { timestamp: col('timestamp'), patrolName: col('patrolName'), siteName: col('siteName'), score: col('score') };
+  if (idx.timestamp === -1 || idx.siteName === -1) return null;
+
+  for (let i = data.length - 1; i >= 1; i--) {
+    const row = data[i];
+    const at = row[idx.timestamp] instanceof Date ? row[idx.timestamp] : new Date(row[idx.timestamp]);
+    if (isNaN(at.getTime()) || at < action.verifiedAt) continue;
+    if (names.indexOf(String(row[idx.siteName]).trim().toLowerCase()) === -1) continue;
+    return {
+      timestamp: Utilities.formatDate(at, 'Asia/Vientiane', 'yyyy-MM-dd HH:mm'),
+      patrolName: idx.patrolName > -1 ? String(row[idx.patrolName] || '') : '',
+      score: idx.score > -1 ? row[idx.score] : ''
+    };
+  }
+  return null;
+}
+
+function getCapaEffectivenessDays_() {
+  const days = parseInt(getSettings_().capaEffectivenessDays, 10);
+  return days > 0 ? days : CAPA_EFFECTIVENESS_DAYS;
+}
+
+/**
+ * yyyy-MM-dd (or ISO) from a form -> end of that day, Vientiane time
+ */
+function parseCapaDate_(value) {
+  const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 23, 59, 59);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function formatCapaDate_(date) {
+  return date ? Utilities.formatDate(date, 'Asia/Vientiane', 'MMM dd, yyyy') : '-';
+}
+
+/**
+ * Past-tense step name for the timeline
+ */
+function describeCapaStep_(step) {
+  const names = { complete: 'done', verify: 'verified', reject: 'rejected', effective: 'effective', not_effective: 'not effective' };
+  return names[step] || step;
+}
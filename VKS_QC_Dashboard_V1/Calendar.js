@@ -5,6 +5,6 @@
  * Patrol planning is now handled by PatrolPlans.js.
  * 
  * Shift calendar backend functions remain in Scheduling.js:
- * - getCalendarShifts()
- * - saveShift()
+ * - getCalendarShifts_()
+ * - saveShift_()
  */
@@ -0,0 +1,411 @@
+/**
+ * CaseLifecycle.js - Incident and complaint lifecycle, assignment and timeline
+ *
+ * Features:
+ * - One status path for both case types (STATUS.case):
+ *   new -> acknowledged -> assigned -> in_progress -> resolved -> verified -> closed,
+ *   plus dismiss (false alarm), reopen, and hold / resume while waiting on the customer (the SLA
+ *   clock is paused meanwhile, SLA.gs). CASE_TRANSITIONS (Config.gs) lists where each
+ *   action may start and which fields it needs (e.g. resolution + rootCause to resolve)
+ * - Statuses from before the lifecycle (waiting, completed, cancelled) are read through
+ *   CASE_LEGACY_STATUS, so old rows keep working without a migration
+ * - Every step, assignment and comment goes to SHEET_CASE_TIMELINE; comments can be answered
+ *   (one level of replies under a comment). CAPA action items (CAPA.gs) log their steps there too
+ * - Merged duplicates (CaseLinks.gs) cannot move any more; a master's timeline includes theirs
+ * - The SOS flow (Sos.gs) keeps its shortcut from new straight to in_progress when a responder
+ *   is dispatched, and writes its steps to the same timeline
+ */
+
+// ===========================================
+// API
+// ===========================================
+
+/**
+ * Timeline of one case plus what the caller may do next
+ * @param {string} caseType - 'incident' | 'complaint'
+ * @param {string} caseId - Incidents / Complaints row ID
+ * @returns {Object} {success, status, assignedTo, assignedToId, actions, canLink, mergedInto, merged, related, sla, entries}
+ *   (merged / related / mergedInto: CaseLinks.gs)
+ */
+function getCaseTimeline_(caseType, caseId) {
+  try {
+    const found = findCaseRow_(caseType, caseId);
+    if (!found) return { success: false, message: 'Case not found: ' + caseId };
+
+    const record = found.record;
+    if (!isInCallerScope_([record.siteId, record.siteName])) {
+      return { success: false, message: 'This case is outside your site scope.' };
+    }
+    const status = normalizeCaseStatus_(record.status);
+    const entries = readCaseTimeline_(caseType, caseId);
+    const merged = getMergedCases_(caseType, caseId);
+
+    // Cases created before the timeline existed: start from the row itself
+    if (!entries.some(e => e.kind === 'created')) {
+      const createdAt = record.createdAt || record.reportedTime || record.timestamp;
+      entries.unshift({
+        id: '', kind: 'created', fromStatus: '', toStatus: '', text: '', parentId: '',
+        userName: String(record.recordedBy || record.reportedBy || ''),
+        createdAt: createdAt instanceof Date ? createdAt.toISOString() : String(createdAt || '')
+      });
+    }
+
+    // Timelines of merged duplicates read as part of this one, tagged with their case ID
+    merged.forEach(m => {
+      readCaseTimeline_(m.caseType, m.id).forEach(e => entries.push(Object.assign(e, { fromCase: m.id })));
+    });
+    if (merged.length) entries.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    const canEdit = AUTH_CONTEXT_ && hasPermission_(AUTH_CONTEXT_.role, getCaseType_(caseType).permission + '.edit');
+    const mergedInto = parseCaseRef_(record.mergedInto);
+    return {
+      success: true,
+      status: status,
+      assignedTo: String(record.assignedTo || ''),
+      assignedToId: String(record.assignedToId || ''),
+      actions: canEdit && !mergedInto ? getCaseActions_(status) : [],
+      canLink: !!canEdit && !mergedInto,
+      mergedInto: mergedInto,
+      merged: merged,
+      related: getRelatedCases_(record),
+      canComment: !!canEdit,
+      sla: {
+        status: getSlaStatus_(record),
+        dueDate: record.dueDate instanceof Date ? record.dueDate.toISOString() : String(record.dueDate || ''),
+        pausedMinutes: parseInt(record.slaPausedMinutes) || 0,
+        escalationLevel: parseInt(record.slaEscalationLevel) || 0
+      },
+      entries: entries
+    };
+  } catch (e) {
+    Logger.log('Error in getCaseTimeline: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Move a case along its lifecycle
+ * @param {string} caseType - 'incident' | 'complaint'
+ * @param {string} caseId - Incidents / Complaints row ID
+ * @param {string} action - CASE_TRANSITIONS key (acknowledge, assign, start, resolve, verify, close, dismiss, reopen, hold, resume)
+ * @param {Object} fields - {note, assignedToId, resolution, rootCause, preventiveMeasures, disciplinaryAction,
+ *   capaActions: [{action, ownerId, dueDate}] on resolve (CAPA.gs)}
+ * @returns {Object} {success, status, message}
+ */
+function transitionCase_(caseType, caseId, action, fields) {
+  const type = getCaseType_(caseType);
+  if (!type) return { success: false, message: 'Unknown case type: ' + caseType };
+  const denied = requirePermission_(type.permission + '.edit');
+  if (denied) return denied;
+
+  const rule = CASE_TRANSITIONS[action];
+  if (!rule) return { success: false, message: 'Unknown action: ' + action };
+  fields = fields || {};
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    const found = findCaseRow_(caseType, caseId, true);
+    if (!found) return { success: false, message: 'Case not found: ' + caseId };
+    if (!isInCallerScope_([found.record.siteId, found.record.siteName])) {
+      return { success: false, message: 'This case is outside your site scope.' };
+    }
+
+    // A merged duplicate lives on in its master case (CaseLinks.gs)
+    if (found.record.mergedInto) {
+      return { success: false, message: caseId + ' was merged into ' + String(found.record.mergedInto).split(':')[1] + '.' };
+    }
+
+    const fromStatus = normalizeCaseStatus_(found.record.status);
+    if (rule.from.indexOf(fromStatus) === -1) {
+      return { success: false, message: 'Cannot ' + action + ' a case that is ' + fromStatus + '.' };
+    }
+
+    const userId = getAuditUserId_();
+    const userName = getAuthUserName_(userId) || userId || 'System';
+    const now = new Date();
+    const updates = { status: rule.to, updatedAt: now };
+
+    // Fields the user filled in for this step
+    ['resolution', 'rootCause', 'preventiveMeasures', 'disciplinaryAction'].forEach(key => {
+      if (fields[key] !== undefined && String(fields[key]).trim() !== '') updates[key] = String(fields[key]).trim();
+    });
+    if (fields.assignedToId && (action === 'assign' || action === 'reopen')) {
+      const assignee = listAssignableUsers_(caseType).find(u => u.userId === String(fields.assignedToId));
+      if (!assignee) return { success: false, message: 'Assignee cannot work on ' + caseType + 's.' };
+      Object.assign(updates, { assignedToId: assignee.userId, assignedTo: assignee.name, assignedAt: now });
+    }
+
+    const merged = Object.assign({}, found.record, updates, { note: String(fields.note || '').trim() });
+    const missing = rule.required.filter(key => String(merged[key] === undefined || merged[key] === null ? '' : merged[key]).trim() === '');
+    if (missing.length > 0) {
+      return { success: false, code: 'MISSING_FIELDS', missing: missing, message: 'Required to ' + action + ': ' + missing.join(', ') };
+    }
+
+    // Preventive measures as CAPA action items (CAPA.gs), checked before anything is written
+    let capaItems = [];
+    if (action === 'resolve' && Array.isArray(fields.capaActions) && fields.capaActions.length > 0) {
+      capaItems = normalizeCapaItems_(caseType, fields.capaActions);
+      if (capaItems.error) return { success: false, message: capaItems.error };
+      if (!updates.preventiveMeasures) updates.preventiveMeasures = capaItems.map(item => item.action).join('; ');
+    }
+
+    // Who / when of the step
+    if (action === 'acknowledge') Object.assign(updates, { acknowledgedBy: userName, acknowledgedAt: now });
+    if (action === 'resolve') {
+      updates.resolvedBy = userName;
+      updates[type.resolvedAt] = now;
+    }
+    if (action === 'verify') {
+      Object.assign(updates, { verifiedBy: userName, verifiedAt: now });
+      if (caseType === 'complaint') updates.approvedBy = userName;
+    }
+    if (rule.to === STATUS.case.CLOSED) Object.assign(updates, { closedBy: userName, closedAt: now });
+    if (action === 'reopen') updates.reopenCount = (parseInt(found.record.reopenCount, 10) || 0) + 1;
+    Object.assign(updates, getSlaClockUpdates_(caseType, found.record, fromStatus, rule.to, now));
+
+    const headers = found.headers;
+    Object.keys(updates).forEach(key => {
+      const col = headers.indexOf(key);
+      if (col !== -1) found.sheet.getRange(found.rowNumber, col + 1).setValue(updates[key]);
+    });
+
+    const text = action === 'assign' || (action === 'reopen' && updates.assignedTo)
+      ? ['→ ' + updates.assignedTo, merged.note].filter(Boolean).join(' - ')
+      : action === 'resolve' ? [updates.resolution, merged.note].filter(Boolean).join(' - ')
+        : merged.note;
+    // Leaving a pause moves the SLA due date by the paused time
+    const clockNote = updates.dueDate
+      ? 'SLA paused ' + formatSlaMinutes_(updates.slaPausedMinutes - (parseInt(found.record.slaPausedMinutes) || 0)) +
+        ', now due ' + Utilities.formatDate(updates.dueDate, 'Asia/Vientiane', 'MMM dd, HH:mm')
+      : '';
+    appendCaseTimeline_(caseType, caseId, 'status', fromStatus, rule.to, [text, clockNote].filter(Boolean).join(' - '), '');
+    createCapaActions_(caseType, caseId, found.record, capaItems);
+
+    logAudit_(AUDIT_ACTIONS.UPDATE, type.entity, caseId, found.record, readAuditRecord_(found.sheet, found.rowNumber),
+      'Lifecycle: ' + action + ' (' + fromStatus + ' → ' + rule.to + ')');
+    setUpdateSignal_('master');
+
+    // SOS trail gets its RESOLVED step when the emergency is resolved or dismissed
+    if (caseType === 'incident' && String(found.record.category).toLowerCase() === SOS_CATEGORY &&
+        (action === 'resolve' || action === 'dismiss')) {
+      recordSOSResolved_(caseId, userName, updates.resolution || merged.note);
+    }
+
+    return { success: true, status: rule.to };
+  } catch (e) {
+    Logger.log('Error in transitionCase: ' + e.message);
+    return { success: false, message: e.message };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Comment on a case, or reply to a comment
+ * @param {string} caseType - 'incident' | 'complaint'
+ * @param {string} caseId - Incidents / Complaints row ID
+ * @param {string} text - Comment
+ * @param {string} parentId - Comment being answered (optional)
+ * @returns {Object} {success, entry}
+ */
+function addCaseComment_(caseType, caseId, text, parentId) {
+  const type = getCaseType_(caseType);
+  if (!type) return { success: false, message: 'Unknown case type: ' + caseType };
+  const denied = requirePermission_(type.permission + '.edit');
+  if (denied) return denied;
+
+  try {
+    const comment = String(text || '').trim();
+    if (!comment) return { success: false, message: 'Comment is empty.' };
+
+    const found = findCaseRow_(caseType, caseId);
+    if (!found) return { success: false, message: 'Case not found: ' + caseId };
+    if (!isInCallerScope_([found.record.siteId, found.record.siteName])) {
+      return { success: false, message: 'This case is outside your site scope.' };
+    }
+
+    // Replies stay one level deep: answering a reply answers its comment
+    let threadId = String(parentId || '');
+    if (threadId) {
+      const parent = readCaseTimeline_(caseType, caseId).find(e => e.id === threadId);
+      if (!parent || parent.kind !== 'comment') return { success: false, message: 'Comment not found.' };
+      threadId = parent.parentId || parent.id;
+    }
+
+    const entry = appendCaseTimeline_(caseType, caseId, 'comment', '', '', comment.substring(0, 2000), threadId);
+    setUpdateSignal_('master');
+    return { success: true, entry: entry };
+  } catch (e) {
+    Logger.log('Error in addCaseComment: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Users a case of this type can be assigned to (active, with edit permission on the type)
+ * @param {string} caseType - 'incident' | 'complaint'
+ * @returns {Object} {success, users: [{userId, name}]}
+ */
+function getAssignableUsers_(caseType) {
+  try {
+    return { success: true, users: listAssignableUsers_(caseType) };
+  } catch (e) {
+    Logger.log('Error in getAssignableUsers: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+// ===========================================
+// SHARED
+// ===========================================
+
+/**
+ * Lifecycle status of a stored value ('' and legacy values included)
+ */
+function normalizeCaseStatus_(status) {
+  const s = String(status || '').trim().toLowerCase();
+  if (!s) return STATUS.case.NEW;
+  return CASE_LEGACY_STATUS[s] || s;
+}
+
+/**
+ * Still needs work (not resolved, verified or closed)
+ */
+function isCaseOpen_(status) {
+  const s = normalizeCaseStatus_(status);
+  return s !== STATUS.case.RESOLVED && s !== STATUS.case.VERIFIED && s !== STATUS.case.CLOSED;
+}
+
+/**
+ * Status change requested by value rather than action (updateIncidentStatus / updateComplaintStatus)
+ * @returns {Object} transitionCase result
+ */
+function transitionCaseTo_(caseType, caseId, status, fields) {
+  const found = findCaseRow_(caseType, caseId);
+  if (!found) return { success: false, message: 'Case not found: ' + caseId };
+  const target = normalizeCaseStatus_(status);
+  const action = getCaseActions_(normalizeCaseStatus_(found.record.status))
+    .find(a => CASE_TRANSITIONS[a].to === target);
+  if (!action) {
+    return { success: false, message: 'Cannot move a ' + normalizeCaseStatus_(found.record.status) + ' case to ' + target + '.' };
+  }
+  return transitionCase_(caseType, caseId, action, fields);
+}
+
+/**
+ * Add one timeline row (the acting user is the session user)
+ * @returns {Object} The entry as returned by getCaseTimeline
+ */
+function appendCaseTimeline_(caseType, caseId, kind, fromStatus, toStatus, text, parentId) {
+  const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+  let sheet = ss.getSheetByName(SHEET_CASE_TIMELINE);
+  if (!sheet) {
+    sheet = ss.insertSheet(SHEET_CASE_TIMELINE);
+    sheet.appendRow(COLUMNS.caseTimeline);
+    sheet.setFrozenRows(1);
+  }
+
+  const userId = getAuditUserId_();
+  const entry = {
+    id: 'CTL-' + Utilities.getUuid().substring(0, 8).toUpperCase(),
+    caseType: caseType,
+    caseId: String(caseId),
+    kind: kind,
+    fromStatus: fromStatus || '',
+    toStatus: toStatus || '',
+    text: text || '',
+    parentId: parentId || '',
+    userId: userId,
+    userName: getAuthUserName_(userId) || 'System',
+    createdAt: new Date().toISOString()
+  };
+  sheet.appendRow(COLUMNS.caseTimeline.map(col => entry[col]));
+  return entry;
+}
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Sheet, entity and permission per case type (a function so Config.gs constants are loaded first)
+ */
+function getCaseType_(caseType) {
+  const types = {
+    incident: { sheet: SHEET_INCIDENTS, entity: AUDIT_ENTITIES.INCIDENTS, permission: 'incidents', resolvedAt: 'resolvedTime' },
+    complaint: { sheet: SHEET_COMPLAINTS, entity: AUDIT_ENTITIES.COMPLAINTS, permission: 'complaints', resolvedAt: 'completionDate' }
+  };
+  return types[caseType] || null;
+}
+
+/**
+ * Actions that may start from a status
+ */
+function getCaseActions_(status) {
+  return Object.keys(CASE_TRANSITIONS).filter(action => CASE_TRANSITIONS[action].from.indexOf(status) !== -1);
+}
+
+/**
+ * Row of one case
+ * @param {boolean} withLifecycleColumns - Add CASE_LIFECYCLE_COLUMNS first (before writing)
+ * @returns {Object|null} {sheet, headers, rowNumber, record}
+ */
+function findCaseRow_(caseType, caseId, withLifecycleColumns) {
+  const type = getCaseType_(caseType);
+  if (!type) return null;
+  const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(type.sheet);
+  if (!sheet || sheet.getLastRow() < 2) return null;
+
+  if (withLifecycleColumns) ensureSheetColumns_(sheet, CASE_LIFECYCLE_COLUMNS.concat([type.resolvedAt]));
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const idCol = Math.max(headers.indexOf('id'), 0);
+  const rowIndex = data.findIndex((row, i) => i > 0 && String(row[idCol]) === String(caseId));
+  if (rowIndex === -1) return null;
+
+  return { sheet: sheet, headers: headers, rowNumber: rowIndex + 1, record: toAuditRecord_(headers, data[rowIndex]) };
+}
+
+/**
+ * Timeline rows of one case, oldest first
+ */
+function readCaseTimeline_(caseType, caseId) {
+  const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(SHEET_CASE_TIMELINE);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  return data.slice(1)
+    .map(row => toAuditRecord_(headers, row))
+    .filter(e => e.caseType === caseType && String(e.caseId) === String(caseId))
+    .map(e => ({
+      id: String(e.id),
+      kind: String(e.kind),
+      fromStatus: String(e.fromStatus || ''),
+      toStatus: String(e.toStatus || ''),
+      text: String(e.text || ''),
+      parentId: String(e.parentId || ''),
+      userName: String(e.userName || ''),
+      createdAt: e.createdAt instanceof Date ? e.createdAt.toISOString() : String(e.createdAt || '')
+    }));
+}
+
+function listAssignableUsers_(caseType) {
+  const type = getCaseType_(caseType);
+  if (!type) return [];
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(AUTH_SHEETS.USERS);
+  if (!sheet) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const col = name => getCIIndex(headers, [name]);
+  return data.slice(1)
+    .filter(row => String(row[col('Status')] || '').toLowerCase() === 'active' &&
+      hasPermission_(normalizeRole_(row[col('Role')]), type.permission + '.edit'))
+    .map(row => ({
+      userId: String(row[col('ID')]),
+      name: (String(row[col('Name')] || '') + ' ' + String(row[col('Surname')] || '')).trim()
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
@@ -0,0 +1,351 @@
+/**
+ * CaseLinks.js - Duplicate detection, linking and merging of incidents and complaints
+ *
+ * Features:
+ * - Intake check (findSimilarCases): before a new report is saved the form looks for open cases of
+ *   the same site reported within DUPLICATE_CHECK.windowHours, with the same category or a similar
+ *   description (character bigrams, so Lao text without spaces compares too). Both case types are
+ *   searched: a guard's incident and a client's complaint are often the same event
+ * - The reporter can save as new, link to a match (relatedCases on both rows) or merge into it
+ * - Merging closes the duplicate with mergedInto = the master. Nothing is copied: the master's
+ *   timeline, evidence register (Evidence.gs) and reporter list include its merged cases
+ * - Only cases that could still be dismissed (CASE_TRANSITIONS.dismiss.from) can be merged; work that
+ *   has started is finished through its own lifecycle
+ * - Merged cases are left out of getIssuePerformance_ (Performance.gs) and take no further
+ *   lifecycle step, reopen included (transitionCase_)
+ *
+ * Case references are stored as '<caseType>:<id>', e.g. 'complaint:CMP-20260210-XY98'.
+ */
+
+// ===========================================
+// API
+// ===========================================
+
+/**
+ * Open cases that may report the same event as a new one
+ * @param {string} caseType - 'incident' | 'complaint' (the new report)
+ * @param {Object} data - Form data: {id, siteId, category, title, description, incidentTime | timestamp}
+ * @returns {Object} {success, matches: [{caseType, id, title, category, status, reporter, reportedAt, score, sameCategory}]}
+ */
+function findSimilarCases_(caseType, data) {
+  try {
+    if (!getCaseType_(caseType)) return { success: false, message: 'Unknown case type: ' + caseType };
+    data = data || {};
+    // Existing case (case panel "find duplicates"): compare its saved row
+    if (data.id && !data.siteId) {
+      const found = findCaseRow_(caseType, data.id);
+      if (found) data = found.record;
+    }
+    const siteId = String(data.siteId || '');
+    if (!siteId) return { success: true, matches: [] };
+
+    const self = caseType + ':' + String(data.id || '');
+    const eventTime = getCaseEventTime_(caseType, data) || new Date();
+    const category = String(data.category || '').trim().toLowerCase();
+    const text = getCaseText_(caseType, data);
+    const windowMs = DUPLICATE_CHECK.windowHours * 3600000;
+
+    const matches = [];
+    ['incident', 'complaint'].forEach(type => {
+      if (AUTH_CONTEXT_ && !hasPermission_(AUTH_CONTEXT_.role, getCaseType_(type).permission + '.view')) return;
+      readCaseRecords_(type).forEach(record => {
+        if (type + ':' + record.id === self || record.mergedInto) return;
+        if (String(record.siteId || '') !== siteId || !isCaseOpen_(record.status)) return;
+        if (!isInCallerScope_([record.siteId, record.siteName])) return;
+
+        const at = getCaseEventTime_(type, record);
+        if (!at || Math.abs(at.getTime() - eventTime.getTime()) > windowMs) return;
+
+        const sameCategory = !!category && String(record.category || '').trim().toLowerCase() === category;
+        const similarity = getTextSimilarity_(text, getCaseText_(type, record));
+        if (!sameCategory && similarity < DUPLICATE_CHECK.textSimilarity) return;
+
+        matches.push({
+          caseType: type,
+          id: record.id,
+          title: String(record.title || record.description || '').substring(0, 120),
+          category: String(record.category || ''),
+          status: normalizeCaseStatus_(record.status),
+          reporter: getCaseReporter_(type, record),
+          reportedAt: at.toISOString(),
+          score: Math.round(((sameCategory ? 0.5 : 0) + similarity * 0.5) * 100),
+          sameCategory: sameCategory
+        });
+      });
+    });
+
+    matches.sort((a, b) => b.score - a.score);
+    return { success: true, matches: matches.slice(0, DUPLICATE_CHECK.maxMatches) };
+  } catch (e) {
+    Logger.log('Error in findSimilarCases: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Link two cases about the same event; both stay open and list each other
+ * @param {string} caseType - 'incident' | 'complaint'
+ * @param {string} caseId - Incidents / Complaints row ID
+ * @param {Object} other - {caseType, id}
+ * @param {string} note - Optional
+ * @returns {Object} {success}
+ */
+function linkCases_(caseType, caseId, other, note) {
+  const denied = requireCasePairPermission_(caseType, other);
+  if (denied) return denied;
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    return applyCaseLink_(caseType, caseId, other, note);
+  } catch (e) {
+    Logger.log('Error in linkCases: ' + e.message);
+    return { success: false, message: e.message };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Merge a duplicate into a master case: the duplicate is closed and its reporter, evidence and
+ * timeline show under the master. The duplicate must be new or acknowledged (like dismiss).
+ * @param {string} caseType - 'incident' | 'complaint' (the duplicate)
+ * @param {string} caseId - Duplicate row ID
+ * @param {Object} master - {caseType, id}
+ * @param {string} note - Optional
+ * @returns {Object} {success}
+ */
+function mergeCase_(caseType, caseId, master, note) {
+  const denied = requireCasePairPermission_(caseType, master);
+  if (denied) return denied;
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    return applyCaseMerge_(caseType, caseId, master, note);
+  } catch (e) {
+    Logger.log('Error in mergeCase: ' + e.message);
+    return { success: false, message: e.message };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// ===========================================
+// SHARED (Issues.gs, CaseLifecycle.gs, Evidence.gs)
+// ===========================================
+
+/**
+ * Link / merge chosen on the intake form, after the new case is saved.
+ * A failure here is logged and does not undo the saved report.
+ * @param {Object} data - saveIncident / saveComplaint data with linkTo / mergeInto ({caseType, id})
+ */
+function applyIntakeCaseLinks_(caseType, caseId, data) {
+  try {
+    let result = null;
+    if (data.mergeInto && data.mergeInto.id) {
+      result = mergeCase_(caseType, caseId, data.mergeInto, 'Merged at intake');
+    } else if (data.linkTo && data.linkTo.id) {
+      result = linkCases_(caseType, caseId, data.linkTo, 'Linked at intake');
+    }
+    if (result && !result.success) Logger.log('Intake link of ' + caseId + ' failed: ' + result.message);
+  } catch (e) {
+    Logger.log('Error in applyIntakeCaseLinks_: ' + e.message);
+  }
+}
+
+/**
+ * Cases merged into a master
+ * @returns {Array} [{caseType, id, reporter, reportedAt, title, mergedAt}]
+ */
+function getMergedCases_(caseType, caseId) {
+  const ref = caseType + ':' + caseId;
+  const merged = [];
+  ['incident', 'complaint'].forEach(type => {
+    readCaseRecords_(type).filter(r => String(r.mergedInto) === ref).forEach(r => {
+      const at = getCaseEventTime_(type, r);
+      merged.push({
+        caseType: type,
+        id: r.id,
+        reporter: getCaseReporter_(type, r),
+        reportedAt: at ? at.toISOString() : '',
+        title: String(r.title || r.description || '').substring(0, 120),
+        mergedAt: r.mergedAt instanceof Date ? r.mergedAt.toISOString() : String(r.mergedAt || '')
+      });
+    });
+  });
+  return merged;
+}
+
+/**
+ * Linked cases of a row, with their current status
+ * @returns {Array} [{caseType, id, status}]
+ */
+function getRelatedCases_(record) {
+  return parseCaseRefs_(record.relatedCases).map(ref => {
+    const found = findCaseRow_(ref.caseType, ref.id);
+    return {
+      caseType: ref.caseType,
+      id: ref.id,
+      status: found ? normalizeCaseStatus_(found.record.status) : ''
+    };
+  });
+}
+
+function parseCaseRef_(value) {
+  const parts = String(value || '').split(':');
+  return parts.length === 2 && getCaseType_(parts[0]) && parts[1] ? { caseType: parts[0], id: parts[1] } : null;
+}
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+function applyCaseLink_(caseType, caseId, other, note) {
+  if (!other || !getCaseType_(other.caseType)) return { success: false, message: 'Unknown case to link.' };
+  const ref = caseType + ':' + caseId;
+  const otherRef = other.caseType + ':' + other.id;
+  if (ref === otherRef) return { success: false, message: 'A case cannot be linked to itself.' };
+
+  const rows = [findCaseRow_(caseType, caseId, true), findCaseRow_(other.caseType, other.id, true)];
+  if (!rows[0] || !rows[1]) return { success: false, message: 'Case not found: ' + (!rows[0] ? caseId : other.id) };
+  if (rows.some(r => !isInCallerScope_([r.record.siteId, r.record.siteName]))) {
+    return { success: false, message: 'This case is outside your site scope.' };
+  }
+
+  const text = String(note || '').trim();
+  [[rows[0], caseType, caseId, otherRef], [rows[1], other.caseType, other.id, ref]].forEach(([found, type, id, target]) => {
+    const refs = String(found.record.relatedCases || '').split(',').map(r => r.trim()).filter(Boolean);
+    if (refs.indexOf(target) !== -1) return;
+    refs.push(target);
+    found.sheet.getRange(found.rowNumber, found.headers.indexOf('relatedCases') + 1).setValue(refs.join(','));
+    appendCaseTimeline_(type, id, 'link', '', '', ['Linked to ' + target.split(':')[1], text].filter(Boolean).join(' - '), '');
+    logAudit_(AUDIT_ACTIONS.UPDATE, getCaseType_(type).entity, id, found.record, readAuditRecord_(found.sheet, found.rowNumber),
+      'Linked to ' + target);
+  });
+
+  setUpdateSignal_('master');
+  return { success: true };
+}
+
+function applyCaseMerge_(caseType, caseId, master, note) {
+  if (!master || !getCaseType_(master.caseType)) return { success: false, message: 'Unknown master case.' };
+  const masterRef = master.caseType + ':' + master.id;
+  if (caseType + ':' + caseId === masterRef) return { success: false, message: 'A case cannot be merged into itself.' };
+
+  const dup = findCaseRow_(caseType, caseId, true);
+  const target = findCaseRow_(master.caseType, master.id, true);
+  if (!dup || !target) return { success: false, message: 'Case not found: ' + (!dup ? caseId : master.id) };
+  if ([dup, target].some(r => !isInCallerScope_([r.record.siteId, r.record.siteName]))) {
+    return { success: false, message: 'This case is outside your site scope.' };
+  }
+  if (dup.record.mergedInto) return { success: false, message: caseId + ' is already merged into ' + dup.record.mergedInto.split(':')[1] + '.' };
+  if (target.record.mergedInto) {
+    return { success: false, message: master.id + ' was merged into ' + target.record.mergedInto.split(':')[1] + '; merge into that case instead.' };
+  }
+  if (getMergedCases_(caseType, caseId).length > 0) {
+    return { success: false, message: caseId + ' already has merged cases; merge the other case into it instead.' };
+  }
+  // A merge closes the duplicate like a dismiss, so it starts from the same statuses
+  const fromStatus = normalizeCaseStatus_(dup.record.status);
+  if (CASE_TRANSITIONS.dismiss.from.indexOf(fromStatus) === -1) {
+    return { success: false, message: caseId + ' is ' + fromStatus + '; only new or acknowledged cases can be merged. Link it instead.' };
+  }
+
+  const userName = getAuthUserName_(getAuditUserId_()) || 'System';
+  const now = new Date();
+  const updates = Object.assign({
+    status: STATUS.case.CLOSED,
+    mergedInto: masterRef,
+    mergedAt: now,
+    updatedAt: now,
+    closedBy: userName,
+    closedAt: now
+  }, getSlaClockUpdates_(caseType, dup.record, fromStatus, STATUS.case.CLOSED, now));
+  Object.keys(updates).forEach(key => {
+    const col = dup.headers.indexOf(key);
+    if (col !== -1) dup.sheet.getRange(dup.rowNumber, col + 1).setValue(updates[key]);
+  });
+
+  const text = String(note || '').trim();
+  appendCaseTimeline_(caseType, caseId, 'merge', fromStatus, STATUS.case.CLOSED,
+    ['Merged into ' + master.id, text].filter(Boolean).join(' - '), '');
+  appendCaseTimeline_(master.caseType, master.id, 'merge', '', '',
+    [caseId + ' merged into this case (reported by ' + (getCaseReporter_(caseType, dup.record) || '-') + ')', text].filter(Boolean).join(' - '), '');
+  logAudit_(AUDIT_ACTIONS.UPDATE, getCaseType_(caseType).entity, caseId, dup.record, readAuditRecord_(dup.sheet, dup.rowNumber),
+    'Merged into ' + masterRef);
+  setUpdateSignal_('master');
+  return { success: true };
+}
+
+/**
+ * Edit permission on both case types involved
+ */
+function requireCasePairPermission_(caseType, other) {
+  const type = getCaseType_(caseType);
+  if (!type) return { success: false, message: 'Unknown case type: ' + caseType };
+  const otherType = getCaseType_(other && other.caseType);
+  if (!otherType) return { success: false, message: 'Unknown case type: ' + (other && other.caseType) };
+  return requirePermission_(type.permission + '.edit') || requirePermission_(otherType.permission + '.edit');
+}
+
+/**
+ * Every row of a case tab as a record
+ */
+function readCaseRecords_(caseType) {
+  const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(getCaseType_(caseType).sheet);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  const data = sheet.getDataRange().getValues();
+  return data.slice(1).map(row => toAuditRecord_(data[0], row)).filter(r => r.id);
+}
+
+function parseCaseRefs_(value) {
+  return String(value || '').split(',').map(parseCaseRef_).filter(Boolean);
+}
+
+/**
+ * When the event happened: incidentTime / timestamp, else when it was reported
+ */
+function getCaseEventTime_(caseType, record) {
+  const fields = caseType === 'incident' ? ['incidentTime', 'reportedTime', 'createdAt'] : ['timestamp', 'complaintTime', 'createdAt'];
+  for (let i = 0; i < fields.length; i++) {
+    const value = record[fields[i]];
+    if (!value) continue;
+    const d = value instanceof Date ? value : new Date(value);
+    if (!isNaN(d.getTime())) return d;
+  }
+  return null;
+}
+
+function getCaseText_(caseType, record) {
+  return caseType === 'incident'
+    ? [record.title, record.description].filter(Boolean).join(' ')
+    : String(record.description || '');
+}
+
+function getCaseReporter_(caseType, record) {
+  return String(caseType === 'incident'
+    ? record.reportedBy || ''
+    : record.customerName || record.notifiedBy || record.recordedBy || '');
+}
+
+/**
+ * Dice coefficient of the character bigrams of two texts (0-1), ignoring case, spaces and punctuation
+ */
+function getTextSimilarity_(a, b) {
+  const bigrams = text => {
+    const clean = String(text || '').toLowerCase().replace(/[\s\p{P}\p{S}]+/gu, '');
+    const counts = {};
+    for (let i = 0; i < clean.length - 1; i++) {
+      const pair = clean.substring(i, i + 2);
+      counts[pair] = (counts[pair] || 0) + 1;
+    }
+    return { counts: counts, total: Math.max(clean.length - 1, 0) };
+  };
+  const x = bigrams(a);
+  const y = bigrams(b);
+  if (!x.total || !y.total) return 0;
+  let shared = 0;
+  Object.keys(x.counts).forEach(pair => { shared += Math.min(x.counts[pair], y.counts[pair] || 0); });
+  return (2 * shared) / (x.total + y.total);
+}
@@ -9,6 +9,7 @@
  * Run this from the Apps Script editor: validateHtmlSyntax()
  */
 function validateHtmlSyntax() {
+  requireScriptOwner_();
   const htmlFiles = [
     'Page_InspectionLogs',
     'Page_PatrolStatus', 
@@ -60,7 +61,7 @@ function validateHtmlSyntax() {
 /**
  * Test if a specific HTML file can be evaluated without errors
  */
-function testHtmlFile(fileName) {
+function testHtmlFile_(fileName) {
   try {
     const template = HtmlService.createTemplateFromFile(fileName || 'Page_InspectionLogs');
     const html = template.evaluate().getContent();
@@ -76,13 +77,15 @@ function testHtmlFile(fileName) {
  * Quick test for the inspection logs page specifically
  */
 function testInspectionLogs() {
-  return testHtmlFile('Page_InspectionLogs');
+  requireScriptOwner_();
+  return testHtmlFile_('Page_InspectionLogs');
 }
 
 /**
  * Test all main pages
  */
 function testAllPages() {
+  requireScriptOwner_();
   const pages = [
     'Index',
     'Page_Dashboard',
@@ -95,7 +98,7 @@ function testAllPages() {
   
   const results = {};
   pages.forEach(function(page) {
-    results[page] = testHtmlFile(page);
+    results[page] = testHtmlFile_(page);
   });
   
   Logger.log('=== All Pages Test Complete ===');
@@ -0,0 +1,486 @@
+/**
+ * Checklists.js - Patrol app inspection checklists and their per-item results
+ *
+ * Features:
+ * - Checklist templates (SHEET_CHECKLIST_TEMPLATES) with their Step 3 / Step 4 items
+ *   (SHEET_CHECKLIST_ITEMS), edited on the Settings page. A template applies to the sites it names
+ *   (siteIds), else to the site types it lists (siteTypes), else to every site when both are blank.
+ *   Sites no active template covers get DEFAULT_CHECKLIST_ITEMS
+ * - The Patrol app (getFormConfig / processForm) serves each site its template and writes one
+ *   SHEET_INSPECTION_RESULTS row per item; the InspectionLogs row links them through inspectionId
+ * - Fail rates per item and site type for the Inspection Logs page, and the answers of one inspection
+ */
+
+// ===========================================
+// CONFIG
+// ===========================================
+
+const CHECKLIST_DEFAULT_ID = 'default';        // Template ID the Patrol app writes for DEFAULT_CHECKLIST_ITEMS
+const CHECKLIST_RESULTS_DEFAULT_DAYS = 30;     // Results window when no date range is given
+const CHECKLIST_TOP_DETAILS = 3;               // Most frequent missing items / reasons shown per item
+
+// ===========================================
+// API
+// ===========================================
+
+/**
+ * Checklist templates with their items, plus what the Settings editor offers
+ * @returns {Object} {success, templates, siteTypes, sites, defaultItems, legacyFields}
+ */
+function getChecklistTemplates_() {
+  try {
+    return {
+      success: true,
+      templates: JSON.parse(JSON.stringify(readChecklistTemplates_())),
+      siteTypes: SITE_TYPES,
+      sites: readChecklistSites_(),
+      defaultItems: DEFAULT_CHECKLIST_ITEMS,
+      legacyFields: CHECKLIST_LEGACY_FIELDS
+    };
+  } catch (e) {
+    Logger.log('Error in getChecklistTemplates: ' + e.message);
+    return { success: false, message: e.message, templates: [] };
+  }
+}
+
+/**
+ * Create or update a checklist template and replace its items
+ * @param {Object} data - {id?, name, siteTypes[], siteIds[], active, items: [{id?, step, section, icon, label, type,
+ *   passLabel, failLabel, options[], optionMode, issueLabel, legacyField, weight, critical}]} (items in display order)
+ * @returns {Object} {success, id}
+ */
+function saveChecklistTemplate_(data) {
+  const denied = requirePermission_('settings.edit');
+  if (denied) return denied;
+
+  try {
+    data = data || {};
+    const template = normalizeChecklistTemplate_(data);
+    const items = (data.items || []).map((item, i) => Object.assign(normalizeChecklistItem_(item), { sortOrder: i + 1 }));
+    const invalid = validateChecklistTemplate_(template, items);
+    if (invalid) return { success: false, message: invalid };
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    let isNew = false;
+    let before = null;
+    let after = null;
+    try {
+      const sheet = getChecklistSheet_(SHEET_CHECKLIST_TEMPLATES, COLUMNS.checklistTemplates);
+      const headers = ensureSheetColumns_(sheet, COLUMNS.checklistTemplates);
+      const rows = sheet.getDataRange().getValues();
+      const idCol = getCIIndex(headers, ['id']);
+      const now = new Date();
+
+      const rowIndex = template.id ? rows.findIndex((row, i) => i > 0 && String(row[idCol]) === template.id) : -1;
+      const existingItems = rowIndex === -1 ? [] : readChecklistItems_()[template.id] || [];
+      if (rowIndex === -1) {
+        isNew = true;
+        template.id = template.id || 'CHK-' + Utilities.getUuid().substring(0, 8).toUpperCase();
+        template.createdAt = now;
+      } else {
+        template.createdAt = rows[rowIndex][getCIIndex(headers, ['createdAt'])] || now;
+        before = Object.assign(toAuditRecord_(headers, rows[rowIndex]), { items: describeChecklistItems_(existingItems) });
+      }
+      template.updatedAt = now;
+
+      // Item IDs stay stable across edits so results of the same item can be compared over time
+      const usedIds = {};
+      items.forEach(item => {
+        if (!item.id || usedIds[item.id]) item.id = 'ITM-' + Utilities.getUuid().substring(0, 8).toUpperCase();
+        usedIds[item.id] = true;
+        item.templateId = template.id;
+      });
+
+      const record = Object.assign({}, template, {
+        siteTypes: template.siteTypes.join(', '),
+        siteIds: template.siteIds.join(', ')
+      });
+      const row = headers.map(h => record[h] !== undefined ? record[h] : '');
+      after = Object.assign(toAuditRecord_(headers, row), { items: describeChecklistItems_(items) });
+      if (isNew) {
+        sheet.appendRow(row);
+      } else {
+        sheet.getRange(rowIndex + 1, 1, 1, row.length).setValues([row]);
+      }
+      writeChecklistItems_(template.id, items);
+    } finally {
+      lock.releaseLock();
+    }
+
+    logAudit_(isNew ? AUDIT_ACTIONS.CREATE : AUDIT_ACTIONS.UPDATE, AUDIT_ENTITIES.CHECKLISTS, template.id, before, after);
+    return { success: true, id: template.id };
+  } catch (e) {
+    Logger.log('Error in saveChecklistTemplate: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Delete a checklist template and its items (results already written keep their labels)
+ */
+function deleteChecklistTemplate_(templateId) {
+  const denied = requirePermission_('settings.edit');
+  if (denied) return denied;
+
+  try {
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    let before = null;
+    try {
+      const sheet = getChecklistSheet_(SHEET_CHECKLIST_TEMPLATES, COLUMNS.checklistTemplates);
+      const rows = sheet.getDataRange().getValues();
+      const headers = rows[0];
+      const idCol = getCIIndex(headers, ['id']);
+      const rowIndex = rows.findIndex((row, i) => i > 0 && String(row[idCol]) === String(templateId));
+      if (rowIndex === -1) return { success: false, message: 'Checklist not found: ' + templateId };
+
+      before = Object.assign(toAuditRecord_(headers, rows[rowIndex]), {
+        items: describeChecklistItems_(readChecklistItems_()[String(templateId)] || [])
+      });
+      sheet.deleteRow(rowIndex + 1);
+      writeChecklistItems_(String(templateId), []);
+    } finally {
+      lock.releaseLock();
+    }
+
+    logAudit_(AUDIT_ACTIONS.DELETE, AUDIT_ENTITIES.CHECKLISTS, templateId, before, null);
+    return { success: true };
+  } catch (e) {
+    Logger.log('Error in deleteChecklistTemplate: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Pass / fail counts per checklist item and per site type over a range of operational dates
+ * @param {Object} filters - {startDate, endDate (yyyy-MM-dd, default the last 30 days), siteName}
+ * @returns {Object} {success, inspections, items: [{templateId, templateName, itemId, step, section, label,
+ *   answered, passed, failed, skipped, failRate, topDetails}], siteTypes: [{siteType, inspections, answered, failed, failRate}]}
+ */
+function getChecklistResults_(filters) {
+  try {
+    filters = filters || {};
+    const empty = { success: true, inspections: 0, items: [], siteTypes: [] };
+    const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(SHEET_INSPECTION_RESULTS);
+    if (!sheet || sheet.getLastRow() < 2) return empty;
+
+    const end = filters.endDate ? new Date(filters.endDate) : new Date();
+    end.setHours(23, 59, 59, 999);
+    const start = filters.startDate ? new Date(filters.startDate) : new Date(end.getTime() - CHECKLIST_RESULTS_DEFAULT_DAYS * 86400000);
+    start.setHours(0, 0, 0, 0);
+    const siteFilter = String(filters.siteName || '').trim();
+
+    const data = sheet.getDataRange().getValues();
+    const headers = data[0];
+    const col = name => getCIIndex(headers, [name]);
+    const idx = {};
+    COLUMNS.inspectionResults.forEach(name => { idx[name] = col(name); });
+
+    const templateNames = { [CHECKLIST_DEFAULT_ID]: 'Standard' };
+    readChecklistTemplates_().forEach(t => { templateNames[t.id] = t.name; });
+
+    const items = {};
+    const types = {};
+    const inspections = {};
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      const timestamp = row[idx.timestamp] instanceof Date ? row[idx.timestamp] : new Date(row[idx.timestamp]);
+      if (isNaN(timestamp.getTime())) continue;
+      const opDate = getOperationalDate_(timestamp);
+      if (opDate < start || opDate > end) continue;
+
+      const siteName = String(row[idx.siteName] || '');
+      if (siteFilter && siteName !== siteFilter) continue;
+      if (!isInCallerScope_(siteName)) continue;
+
+      const inspectionId = String(row[idx.inspectionId] || '');
+      const templateId = String(row[idx.templateId] || '');
+      const answer = String(row[idx.answer] || '').toLowerCase();
+      const key = templateId + '|' + row[idx.itemId];
+      const stats = items[key] = items[key] || {
+        templateId: templateId,
+        templateName: templateNames[templateId] || templateId,
+        itemId: String(row[idx.itemId] || ''),
+        step: parseInt(row[idx.step], 10) || 3,
+        section: '', label: '',
+        answered: 0, passed: 0, failed: 0, skipped: 0,
+        details: {}
+      };
+      // Latest wording wins: rows are appended in submit order
+      stats.section = String(row[idx.section] || '');
+      stats.label = String(row[idx.label] || stats.itemId);
+
+      const siteType = String(row[idx.siteType] || '') || 'Other';
+      const typeStats = types[siteType] = types[siteType] || { siteType: siteType, inspections: {}, answered: 0, failed: 0 };
+      typeStats.inspections[inspectionId] = true;
+      inspections[inspectionId] = true;
+
+      if (answer === 'skip') {
+        stats.skipped++;
+        continue;
+      }
+      stats.answered++;
+      typeStats.answered++;
+      if (answer === 'fail') {
+        stats.failed++;
+        typeStats.failed++;
+        String(row[idx.detail] || '').split(',').map(d => d.trim()).filter(String).forEach(d => {
+          stats.details[d] = (stats.details[d] || 0) + 1;
+        });
+      } else {
+        stats.passed++;
+      }
+    }
+
+    const rate = (failed, answered) => answered > 0 ? Math.round(failed / answered * 1000) / 10 : 0;
+    return {
+      success: true,
+      inspections: Object.keys(inspections).length,
+      items: Object.keys(items).map(key => {
+        const s = items[key];
+        const topDetails = Object.keys(s.details)
+          .map(text => ({ text: text, count: s.details[text] }))
+          .sort((a, b) => b.count - a.count)
+          .slice(0, CHECKLIST_TOP_DETAILS);
+        delete s.details;
+        return Object.assign(s, { failRate: rate(s.failed, s.answered), topDetails: topDetails });
+      }).sort((a, b) => b.failRate - a.failRate || b.failed - a.failed),
+      siteTypes: Object.keys(types).map(type => ({
+        siteType: type,
+        inspections: Object.keys(types[type].inspections).length,
+        answered: types[type].answered,
+        failed: types[type].failed,
+        failRate: rate(types[type].failed, types[type].answered)
+      })).sort((a, b) => b.failRate - a.failRate)
+    };
+  } catch (e) {
+    Logger.log('Error in getChecklistResults: ' + e.message);
+    return { success: false, message: e.message, items: [], siteTypes: [] };
+  }
+}
+
+/**
+ * Checklist answers of one inspection (InspectionLogs inspectionId)
+ * @returns {Object} {success, templateId, templateName, items: [{itemId, step, section, label, answer, detail, weight, critical}]}
+ */
+function getInspectionChecklist_(inspectionId) {
+  try {
+    const id = String(inspectionId || '').trim();
+    const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(SHEET_INSPECTION_RESULTS);
+    if (!id || !sheet || sheet.getLastRow() < 2) return { success: true, items: [] };
+
+    // Rows of one inspection are written in one batch: find them on the ID column, then read that block
+    const lastCol = sheet.getLastColumn();
+    const headers = sheet.getRange(1, 1, 1, lastCol).getValues()[0];
+    const idCol = getCIIndex(headers, ['inspectionId']);
+    const ids = sheet.getRange(2, idCol + 1, sheet.getLastRow() - 1, 1).getValues();
+    const first = ids.findIndex(r => String(r[0]) === id);
+    if (first === -1) return { success: true, items: [] };
+    let count = 1;
+    while (first + count < ids.length && String(ids[first + count][0]) === id) count++;
+
+    const rows = sheet.getRange(first + 2, 1, count, lastCol).getValues().map(row => toAuditRecord_(headers, row));
+    if (!isInCallerScope_(rows[0].siteName)) {
+      return { success: false, message: 'This inspection is outside your site scope.' };
+    }
+
+    const templateId = String(rows[0].templateId || '');
+    const template = readChecklistTemplates_().find(t => t.id === templateId);
+    return {
+      success: true,
+      templateId: templateId,
+      templateName: template ? template.name : (templateId === CHECKLIST_DEFAULT_ID ? 'Standard' : templateId),
+      items: rows.map(r => ({
+        itemId: String(r.itemId || ''),
+        step: parseInt(r.step, 10) || 3,
+        section: String(r.section || ''),
+        label: String(r.label || ''),
+        answer: String(r.answer || '').toLowerCase(),
+        detail: String(r.detail || ''),
+        weight: r.weight === '' || r.weight === undefined ? 1 : parseFloat(r.weight) || 0,
+        critical: String(r.critical || '')
+      }))
+    };
+  } catch (e) {
+    Logger.log('Error in getInspectionChecklist: ' + e.message);
+    return { success: false, message: e.message, items: [] };
+  }
+}
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Templates with their items (display order)
+ */
+function readChecklistTemplates_() {
+  const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(SHEET_CHECKLIST_TEMPLATES);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const itemsByTemplate = readChecklistItems_();
+  return data.slice(1)
+    .map(row => normalizeChecklistTemplate_(toAuditRecord_(headers, row)))
+    .filter(t => t.id)
+    .map(t => Object.assign(t, { items: itemsByTemplate[t.id] || [] }));
+}
+
+/**
+ * Items of every template, keyed by templateId and sorted by step then sortOrder
+ */
+function readChecklistItems_() {
+  const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(SHEET_CHECKLIST_ITEMS);
+  if (!sheet || sheet.getLastRow() < 2) return {};
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const byTemplate = {};
+  data.slice(1).forEach(row => {
+    const record = toAuditRecord_(headers, row);
+    const templateId = String(record.templateId || '').trim();
+    if (!templateId) return;
+    (byTemplate[templateId] = byTemplate[templateId] || []).push(normalizeChecklistItem_(record));
+  });
+  Object.keys(byTemplate).forEach(id => {
+    byTemplate[id].sort((a, b) => a.step - b.step || a.sortOrder - b.sortOrder);
+  });
+  return byTemplate;
+}
+
+/**
+ * Replace the item rows of one template (no items = remove them)
+ */
+function writeChecklistItems_(templateId, items) {
+  const sheet = getChecklistSheet_(SHEET_CHECKLIST_ITEMS, COLUMNS.checklistItems);
+  const headers = ensureSheetColumns_(sheet, COLUMNS.checklistItems);
+  const data = sheet.getDataRange().getValues();
+  const templateCol = getCIIndex(headers, ['templateId']);
+
+  const kept = data.slice(1).filter(row => String(row[templateCol]) !== templateId);
+  const added = items.map(item => {
+    const record = Object.assign({}, item, { options: item.options.join(', ') });
+    return headers.map(h => record[h] !== undefined ? record[h] : '');
+  });
+  const rows = kept.map(row => headers.map((h, i) => row[i] !== undefined ? row[i] : '')).concat(added);
+
+  if (data.length > 1) sheet.getRange(2, 1, data.length - 1, sheet.getLastColumn()).clearContent();
+  if (rows.length > 0) sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+}
+
+/**
+ * Trimmed, typed template fields (form input or sheet row)
+ */
+function normalizeChecklistTemplate_(data) {
+  const list = value => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(v => String(v).trim()).filter(String);
+  return {
+    id: String(data.id || '').trim(),
+    name: String(data.name || '').trim(),
+    siteTypes: list(data.siteTypes),
+    siteIds: list(data.siteIds),
+    active: data.active === undefined || data.active === '' ? true : data.active === true || String(data.active).toLowerCase() === 'true',
+    updatedAt: data.updatedAt instanceof Date ? data.updatedAt.toISOString() : String(data.updatedAt || '')
+  };
+}
+
+/**
+ * Trimmed, typed item fields (form input or sheet row)
+ */
+function normalizeChecklistItem_(data) {
+  const options = (Array.isArray(data.options) ? data.options : String(data.options || '').split(','))
+    .map(v => String(v).trim()).filter(String);
+  const label = String(data.label || '').trim();
+  return {
+    id: String(data.id || '').trim(),
+    step: parseInt(data.step, 10) || 3,
+    sortOrder: parseFloat(data.sortOrder) || 0,
+    section: String(data.section || '').trim() || label,
+    icon: String(data.icon || '').trim(),
+    label: label,
+    type: String(data.type || 'status').trim().toLowerCase(),
+    passLabel: String(data.passLabel || '').trim(),
+    failLabel: String(data.failLabel || '').trim(),
+    options: options,
+    optionMode: options.length ? String(data.optionMode || 'missing').trim().toLowerCase() : '',
+    issueLabel: String(data.issueLabel || '').trim(),
+    legacyField: String(data.legacyField || '').trim(),
+    weight: data.weight === '' || data.weight === undefined || data.weight === null ? 1 : parseFloat(data.weight),
+    critical: String(data.critical || '').trim().toLowerCase()
+  };
+}
+
+/**
+ * First problem with a template and its items, or '' when it can be saved
+ */
+function validateChecklistTemplate_(template, items) {
+  if (!template.name) return 'Checklist name is required.';
+  const badType = template.siteTypes.find(type => SITE_TYPES.indexOf(type) === -1);
+  if (badType) return 'Unknown site type: ' + badType;
+  if (items.length === 0) return 'A checklist needs at least one item.';
+
+  const legacy = {};
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const name = 'Item ' + (i + 1);
+    if (!item.label) return name + ': label is required.';
+    if (CHECKLIST_STEPS.indexOf(item.step) === -1) return name + ': step must be 3 or 4.';
+    if (CHECKLIST_ITEM_TYPES.indexOf(item.type) === -1) return name + ': invalid type ' + item.type;
+    if (item.type === 'check' && item.options.length) return name + ': tick items cannot have missing items or reasons.';
+    if (item.optionMode && CHECKLIST_OPTION_MODES.indexOf(item.optionMode) === -1) return name + ': invalid option mode ' + item.optionMode;
+    if (isNaN(item.weight) || item.weight < 0) return name + ': weight must be 0 or more.';
+    if (item.critical && CHECKLIST_CRITICAL_MODES.indexOf(item.critical) === -1) return name + ': invalid critical mode ' + item.critical;
+    if (item.critical && item.type === 'check') return name + ': only pass / fail items can be critical.';
+    if (item.legacyField) {
+      if (CHECKLIST_LEGACY_FIELDS.indexOf(item.legacyField) === -1) return name + ': unknown InspectionLogs column ' + item.legacyField;
+      if (legacy[item.legacyField]) return name + ': ' + item.legacyField + ' is already filled by "' + legacy[item.legacyField] + '".';
+      legacy[item.legacyField] = item.label;
+    }
+  }
+  return '';
+}
+
+/**
+ * Item list as one audit field ("3: Uniform (status, x1) | 3: Sleeping (status, x2, zero) ...")
+ */
+function describeChecklistItems_(items) {
+  return items.map(item => item.step + ': ' + item.label + ' (' + item.type + ', x' + item.weight +
+    (item.critical ? ', ' + item.critical : '') + ')').join(' | ');
+}
+
+/**
+ * Active sites for the template editor's site picker
+ */
+function readChecklistSites_() {
+  const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(SHEET_SITES);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const idCol = getCIIndex(headers, ['id']);
+  const nameCol = getCIIndex(headers, ['nameEN', 'name']);
+  const typeCol = getCIIndex(headers, ['type']);
+  const statusCol = getCIIndex(headers, ['status']);
+  return data.slice(1)
+    .filter(row => row[nameCol] && (statusCol === -1 || String(row[statusCol] || 'active').trim().toLowerCase() === 'active'))
+    .map(row => ({
+      id: String(row[idCol] || '').trim(),
+      name: String(row[nameCol]).trim(),
+      type: typeCol > -1 ? String(row[typeCol] || '').trim() : ''
+    }))
+    .filter(site => isInCallerScope_([site.id, site.name]))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function getChecklistSheet_(name, columns) {
+  const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+  let sheet = ss.getSheetByName(name);
+  if (!sheet) {
+    sheet = ss.insertSheet(name);
+    sheet.appendRow(columns);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
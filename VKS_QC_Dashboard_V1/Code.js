@@ -8,11 +8,21 @@
  */
 function doGet(e) {
   // Auto-initialize sheets on first load (creates Incidents/Complaints if missing)
-  initializeSheets();
+  initializeSheets_();
   
-  // Public Info Page (for QR scans by non-app users)
+  // Public Info Page (for QR scans by non-app users): site contacts, complaint form and
+  // tracking-code lookup (PublicComplaints.gs)
   if (e.parameter.type === 'info') {
-    return HtmlService.createTemplateFromFile('Page_PublicInfo')
+    const page = HtmlService.createTemplateFromFile('Page_PublicInfo');
+    let site = null;
+    try {
+      site = findPublicSite_(e.parameter.siteId, e.parameter.locId);
+    } catch (err) {
+      Logger.log('doGet info site lookup error: ' + err.message);
+    }
+    page.site = JSON.stringify(site || { siteId: '', siteName: e.parameter.site || '', siteNameLO: '', checkpointName: '' });
+    page.track = e.parameter.track || '';
+    return page
       .evaluate()
       .setTitle('VKS Site Information')
       .addMetaTag('viewport', 'width=device-width, initial-scale=1')
@@ -41,24 +51,24 @@ function include(filename) {
 /**
  * Get dashboard statistics (uses active spreadsheet)
  */
-function getDashboardStats() {
+function getDashboardStats_() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   
   return {
-    totalSites: getSheetRowCount(ss, 'Sites'),
-    onDuty: getActiveGuardCount(ss),
-    latePatrols: getLatePatrolCount(ss),
-    liveIssues: getOpenIssueCount(ss),
-    qualityScore: calculateQualityScore(ss)
+    totalSites: getSheetRowCount_(ss, 'Sites'),
+    onDuty: getActiveGuardCount_(ss),
+    latePatrols: getLatePatrolCount_(ss),
+    liveIssues: getOpenIssueCount_(ss),
+    qualityScore: calculateQualityScore_(ss)
   };
 }
 
-function getSheetRowCount(ss, sheetName) {
+function getSheetRowCount_(ss, sheetName) {
   const sheet = ss.getSheetByName(sheetName);
   return sheet ? Math.max(0, sheet.getLastRow() - 1) : 0;
 }
 
-function getActiveGuardCount(ss) {
+function getActiveGuardCount_(ss) {
   const sheet = ss.getSheetByName('Guards');
   if (!sheet) return 0;
   
@@ -68,12 +78,12 @@ function getActiveGuardCount(ss) {
   return data.slice(1).filter(row => row[statusCol] === 'On Duty').length;
 }
 
-function getLatePatrolCount(ss) {
-  // Implement based on your patrol tracking logic
-  return 0;
+function getLatePatrolCount_(ss) {
+  // Late + missed rounds recorded today by runPatrolMonitor (PatrolMonitor.js)
+  return countLatePatrolRounds_(ss);
 }
 
-function getOpenIssueCount(ss) {
+function getOpenIssueCount_(ss) {
   let count = 0;
   
   // Use new Incidents tab
@@ -82,7 +92,7 @@ function getOpenIssueCount(ss) {
     const data = incidents.getDataRange().getValues();
     const statusCol = data[0].indexOf('status');
     if (statusCol >= 0) {
-      count += data.slice(1).filter(row => row[statusCol] !== 'resolved' && row[statusCol] !== 'closed').length;
+      count += data.slice(1).filter(row => isCaseOpen_(row[statusCol])).length;
     }
   }
   
@@ -92,14 +102,14 @@ function getOpenIssueCount(ss) {
     const data = complaints.getDataRange().getValues();
     const statusCol = data[0].indexOf('status');
     if (statusCol >= 0) {
-      count += data.slice(1).filter(row => row[statusCol] !== 'resolved' && row[statusCol] !== 'closed').length;
+      count += data.slice(1).filter(row => isCaseOpen_(row[statusCol])).length;
     }
   }
   
   return count;
 }
 
-function calculateQualityScore(ss) {
+function calculateQualityScore_(ss) {
   // Implement based on your quality metrics
   return 9.4;
 }
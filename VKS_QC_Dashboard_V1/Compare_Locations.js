@@ -8,6 +8,7 @@
  * Returns list of locations missing in QC Sheet
  */
 function compareLocations() {
+    requireScriptOwner_();
     Logger.log('=== Comparing Locations ===');
 
     // 1. Read from Patrol Sheet (Sites tab - Route A & Route B)
@@ -86,6 +87,7 @@ function compareLocations() {
  * Run this after compareLocations() to add missing locations
  */
 function syncMissingLocations() {
+    requireScriptOwner_();
     const comparison = compareLocations();
 
     if (comparison.error) {
@@ -70,8 +70,22 @@ const SHEET_LOCATIONS = 'Locations';
 const SHEET_INSPECTION_LOGS = 'InspectionLogs';
 const SHEET_SETTINGS = 'Settings';
 const SHEET_USERS = 'Users';
-const SHEET_ACTIVITY_LOG = 'ActivityLog';
+const SHEET_ACTIVITY_LOG = 'VKS_ActivityLog'; // User actions + data change audit trail (Audit.js), also written by Patrol / Guard App
 const SHEET_PATROL_PLANS = 'PatrolPlans';
+const SHEET_QR_KEYS = 'QR_Keys'; // Hidden - checkpoint QR signing keys (read by Guard App)
+const SHEET_SOS_TRAIL = 'SOS_Trail'; // Guard SOS acknowledgement trail (written by Guard App + Dashboard)
+const SHEET_PATROL_ROUNDS = 'PatrolRounds'; // Late/missed round results (written by PatrolMonitor.js)
+const SHEET_HOLIDAYS = 'Holidays'; // Lao public holidays + client special days (OT rates)
+const SHEET_PAY_PERIODS = 'PayPeriods'; // Monthly OT pay periods, locked on payroll export
+const SHEET_GUARD_ENROLLMENTS = 'GuardEnrollments'; // Unknown employee IDs from the Guard App, approved on the Guards page
+const SHEET_CASE_TIMELINE = 'CaseTimeline'; // Status changes, assignments and comments per incident / complaint (CaseLifecycle.js)
+const SHEET_SLA_POLICIES = 'SLAPolicies';   // Resolution targets per case type / category / severity / client group (SLA.js)
+const SHEET_CAPA_ACTIONS = 'CAPAActions';   // Corrective / preventive action items of resolved incidents and complaints (CAPA.js)
+const SHEET_EVIDENCE = 'EvidenceRegister';  // SHA-256, uploader and GPS of every incident / complaint evidence file (Evidence.js)
+const SHEET_CHECKLIST_TEMPLATES = 'ChecklistTemplates'; // Patrol app inspection checklists per site type / site (Checklists.js)
+const SHEET_CHECKLIST_ITEMS = 'ChecklistItems';         // Step 3 / Step 4 items of each checklist template
+const SHEET_INSPECTION_RESULTS = 'InspectionResults';   // One row per answered checklist item (written by the Patrol app)
+const SHEET_SCORING_RULES = 'ScoringRules';             // Pass threshold, critical cap and rating weights per site type (Scoring.js)
 
 // NEW: Migration target tabs
 const SHEET_INSPECTORS = 'Inspectors';
@@ -84,29 +98,66 @@ const SHEET_SPECIAL_ACTIVITY = 'SpecialActivityLogs';
 
 const COLUMNS = {
   guards: ['id', 'name', 'surname', 'empId', 'phone', 'email', 'siteId', 'status', 'photo', 'startDate', 'createdAt', 'updatedAt'],
+  guardEnrollments: ['id', 'empId', 'name', 'surname', 'phone', 'deviceLabel', 'status', 'requestedAt', 'decidedBy', 'decidedAt', 'guardId', 'note'],
   sites: ['id', 'code', 'nameEN', 'nameLO', 'type', 'route', 'address', 'district', 'province', 'lat', 'lng', 'contactName', 'contactPhone', 'contactEmail', 'status', 'notes', 'checkpointTarget', 'roundsTarget', 'patrolConditions', 'shiftType', 'shiftStart', 'shiftEnd', 'createdAt', 'updatedAt'],
   locations: ['id', 'siteId', 'siteName', 'code', 'name', 'type', 'order', 'required', 'qrStatus', 'driveUrl', 'generatedAt', 'updatedAt'],
   checkpoints: ['id', 'siteId', 'name', 'location', 'sequence', 'required', 'createdAt'],
   scans: ['id', 'guardId', 'checkpointId', 'siteId', 'timestamp', 'lat', 'lng', 'accuracy', 'status', 'round'],
-  // 22 columns matching Patrol Dashboard
+  // 41 columns matching Patrol Dashboard (inspectionId / checklistId link the InspectionResults rows;
+  // ratingCommunication onwards = weighted score breakdown, Scoring.gs; reportId = Patrol app offline-queue key;
+  // gpsStart ... presence = proof of presence, Geofence.gs; unplannedReason = why a site outside the patrol plan was visited;
+  // planStatus = planned / unplanned / no-plan as the Patrol app's processForm worked it out)
   inspectionLogs: [
     'timestamp', 'patrolName', 'route', 'siteName', 'guardName', 'shift',
     'startTime', 'finishTime', 'duration', 'score', 'status',
     'flashlight', 'uniform', 'defenseTools', 'logbook', 'gates',
     'lighting', 'fireSafety', 'gps', 'patrolLogs', 'details', 'issues',
-    'handoverComment', 'syncedAt' // Local only
+    'handoverComment', 'syncedAt', // Local only
+    'inspectionId', 'checklistId',
+    'ratingCommunication', 'ratingUniform', 'checklistPoints', 'checklistMaxPoints',
+    'weightedScore', 'passThreshold', 'scoreResult', 'criticalFailures',
+    'reportId', 'gpsStart', 'gpsFinish', 'presenceDistance', 'presence', 'unplannedReason', 'planStatus'
   ],
   shifts: ['id', 'guardId', 'siteId', 'date', 'shiftType', 'startTime', 'endTime', 'status', 'notes', 'createdAt'],
   overtime: ['id', 'guardId', 'siteId', 'date', 'scheduledHrs', 'actualHrs', 'otHrs', 'rate', 'status', 'approvedBy', 'approvedAt', 'notes'],
+  holidays: ['id', 'name', 'nameLO', 'date', 'type', 'recurring', 'moveRule', 'siteId', 'rate', 'active', 'notes', 'createdAt', 'updatedAt'],
+  payPeriods: ['period', 'status', 'lockedBy', 'lockedAt', 'exportedBy', 'exportedAt', 'approvedHours', 'recordCount', 'notes'],
   issues: ['id', 'type', 'category', 'severity', 'priority', 'location', 'reportDate', 'incidentTime', 'description', 'reporterName', 'reporterType', 'guardId', 'status', 'dueDate', 'resolvedAt', 'resolution', 'createdAt', 'updatedAt'],
   settings: ['key', 'value', 'description', 'updatedAt'],
   users: ['id', 'email', 'name', 'role', 'status', 'lastLogin'],
-  activityLog: ['id', 'userId', 'action', 'entity', 'entityId', 'details', 'timestamp'],
+  // Entity / EntityID / Changes / Source are filled for data changes (logAudit_); Changes = JSON [{field, from, to}]
+  activityLog: ['Timestamp', 'UserID', 'UserName', 'Action', 'Page', 'Target', 'Details', 'Entity', 'EntityID', 'Changes', 'Source'],
   // NEW: Migration target columns
   inspectors: ['id', 'name', 'status', 'shift', 'createdAt', 'updatedAt'],
   handoverRecords: ['id', 'timestamp', 'siteName', 'guardName', 'comment', 'syncedAt'],
   specialActivity: ['id', 'timestamp', 'type', 'patrolName', 'siteName', 'targetGuard', 'startTime', 'endTime', 'duration', 'status', 'ratings', 'photoUrl', 'notes', 'syncedAt'],
-  patrolPlans: ['id', 'date', 'shift', 'route', 'siteId', 'siteName', 'createdBy', 'createdAt']
+  patrolPlans: ['id', 'date', 'shift', 'route', 'siteId', 'siteName', 'createdBy', 'createdAt'],
+  // kind: created / status / comment / escalation / capa / link / merge; parentId threads a reply under a comment
+  caseTimeline: ['id', 'caseType', 'caseId', 'kind', 'fromStatus', 'toStatus', 'text', 'parentId', 'userId', 'userName', 'createdAt'],
+  slaPolicies: ['id', 'caseType', 'category', 'severity', 'clientGroup', 'hours', 'businessHours', 'active', 'createdAt', 'updatedAt'],
+  capaActions: [
+    'id', 'caseType', 'caseId', 'siteId', 'action', 'ownerId', 'owner', 'dueDate', 'status',
+    'completedBy', 'completedAt', 'completionNote', 'verifiedBy', 'verifiedAt',
+    'effectivenessDueDate', 'effectivenessResult', 'effectivenessCheckedBy', 'effectivenessCheckedAt',
+    'effectivenessNote', 'inspectionRef', 'createdBy', 'createdAt', 'updatedAt'
+  ],
+  evidence: [
+    'id', 'caseType', 'caseId', 'siteId', 'fileId', 'fileName', 'originalName', 'mimeType', 'sizeBytes', 'sha256',
+    'uploadedBy', 'uploaderName', 'uploadedAt', 'capturedAt', 'lat', 'lng', 'accuracy', 'source'
+  ],
+  // siteTypes / siteIds: comma lists (SITE_TYPES values; site IDs or names), both blank = every site
+  checklistTemplates: ['id', 'name', 'siteTypes', 'siteIds', 'active', 'createdAt', 'updatedAt'],
+  checklistItems: [
+    'id', 'templateId', 'step', 'sortOrder', 'section', 'icon', 'label', 'type', 'passLabel', 'failLabel',
+    'options', 'optionMode', 'issueLabel', 'legacyField', 'weight', 'critical'
+  ],
+  // answer: pass / fail / skip (check item not ticked); detail = missing items or reason of a failed item
+  inspectionResults: [
+    'inspectionId', 'timestamp', 'siteName', 'siteType', 'patrolName', 'guardName', 'templateId', 'itemId',
+    'step', 'section', 'label', 'answer', 'detail', 'weight', 'critical'
+  ],
+  // siteType blank = every type without its own rule
+  scoringRules: ['id', 'siteType', 'passThreshold', 'capScore', 'communicationWeight', 'uniformWeight', 'active', 'createdAt', 'updatedAt']
 };
 
 // ===========================================
@@ -128,7 +179,14 @@ const STATUS = {
     ON_TIME: 'on_time',
     LATE: 'late',
     MISSED: 'missed',
-    GPS_MISMATCH: 'gps_mismatch'
+    GPS_MISMATCH: 'gps_mismatch',
+    GEO_VIOLATION: 'GEO_VIOLATION', // Written by Guard App (upper-case like CHECKIN/PATROL)
+    QR_REJECTED: 'QR_REJECTED'      // Revoked / forged / expired-legacy checkpoint QR
+  },
+  geofence: {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
   },
   shift: {
     SCHEDULED: 'scheduled',
@@ -141,13 +199,105 @@ const STATUS = {
     APPROVED: 'approved',
     REJECTED: 'rejected'
   },
+  payPeriod: {
+    OPEN: 'open',
+    LOCKED: 'locked'
+  },
+  enrollment: {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+  },
   issue: {
     WAITING: 'waiting',
     IN_PROGRESS: 'in_progress',
     COMPLETED: 'completed'
+  },
+  // Incident / complaint lifecycle (CASE_TRANSITIONS)
+  case: {
+    NEW: 'new',
+    ACKNOWLEDGED: 'acknowledged',
+    ASSIGNED: 'assigned',
+    IN_PROGRESS: 'in_progress',
+    WAITING_CUSTOMER: 'waiting_customer', // SLA clock paused (SLA_PAUSE_STATUSES)
+    RESOLVED: 'resolved',
+    VERIFIED: 'verified',
+    CLOSED: 'closed'
   }
 };
 
+// ===========================================
+// CASE LIFECYCLE
+// ===========================================
+
+// Statuses written before the lifecycle existed -> lifecycle status
+const CASE_LEGACY_STATUS = {
+  waiting: 'new',
+  pending: 'new',
+  completed: 'resolved',
+  cancelled: 'closed'
+};
+
+// Action -> statuses it may start from, status it leads to, and fields that must be filled
+// (from the request or already on the row). "note" is the timeline text of the step.
+const CASE_TRANSITIONS = {
+  acknowledge: { from: ['new'], to: 'acknowledged', required: [] },
+  assign: { from: ['new', 'acknowledged', 'assigned', 'in_progress'], to: 'assigned', required: ['assignedToId'] },
+  start: { from: ['assigned'], to: 'in_progress', required: ['assignedToId'] },
+  resolve: { from: ['in_progress'], to: 'resolved', required: ['resolution', 'rootCause'] },
+  verify: { from: ['resolved'], to: 'verified', required: [] },
+  close: { from: ['resolved', 'verified'], to: 'closed', required: [] },
+  dismiss: { from: ['new', 'acknowledged'], to: 'closed', required: ['note'] },   // False alarm / no action needed
+  reopen: { from: ['resolved', 'verified', 'closed'], to: 'in_progress', required: ['note', 'assignedToId'] },
+  hold: { from: ['assigned', 'in_progress'], to: 'waiting_customer', required: ['note'] },       // Waiting on the customer
+  resume: { from: ['waiting_customer'], to: 'in_progress', required: [] }
+};
+
+// CAPA action item statuses (CAPA.gs)
+const CAPA_STATUS = {
+  OPEN: 'open',           // Owner has to carry it out
+  DONE: 'done',           // Owner says it is done, waiting for verification
+  VERIFIED: 'verified',   // Checked; effectiveness check due after a re-inspection of the site
+  CLOSED: 'closed'        // Re-inspection showed it worked
+};
+
+// CAPA step -> statuses it may start from, status it leads to, fields that must be filled.
+// effective / not_effective also need an inspection of the site logged after the verification.
+const CAPA_TRANSITIONS = {
+  complete: { from: ['open'], to: 'done', required: ['note'] },
+  verify: { from: ['done'], to: 'verified', required: [] },
+  reject: { from: ['done'], to: 'open', required: ['note'] },                       // Not done properly
+  effective: { from: ['verified'], to: 'closed', required: [] },
+  not_effective: { from: ['verified'], to: 'open', required: ['note', 'dueDate'] }  // Problem came back: rework
+};
+
+// Days after verification before the effectiveness re-inspection is due (Settings capaEffectivenessDays overrides)
+const CAPA_EFFECTIVENESS_DAYS = 30;
+
+// Incidents / Complaints columns only the lifecycle writes (added on first use; not editable from the case forms)
+const CASE_LIFECYCLE_COLUMNS = [
+  'assignedTo', 'assignedToId', 'assignedAt', 'acknowledgedBy', 'acknowledgedAt',
+  'resolution', 'rootCause', 'preventiveMeasures', 'resolvedBy', 'verifiedBy', 'verifiedAt',
+  'closedBy', 'closedAt', 'reopenCount', 'slaPausedAt', 'slaPausedMinutes', 'slaEscalationLevel', 'slaEscalatedAt',
+  'mergedInto', 'mergedAt', 'relatedCases'
+];
+
+// Intake duplicate check (CaseLinks.gs): open cases of the same site reported within windowHours of the new one
+// match on the same category or on description text at least textSimilarity alike (0-1, character bigrams)
+const DUPLICATE_CHECK = {
+  windowHours: 24,
+  textSimilarity: 0.45,
+  maxMatches: 5
+};
+
+// ===========================================
+// GUARD IDENTITY
+// ===========================================
+
+// Guards columns added by the Guard App on first enrollment (Identity.gs). Hashes never leave the server.
+const GUARD_IDENTITY_COLUMNS = ['pinHash', 'pinSetAt', 'pinFailures', 'deviceHash', 'deviceLabel', 'deviceBoundAt', 'pinSalt'];
+const GUARD_PIN_MAX_FAILURES = 5; // PIN_MAX_FAILURES in the Guard App
+
 // ===========================================
 // SHIFT TYPES
 // ===========================================
@@ -158,6 +308,86 @@ const SHIFT_TYPES = {
   NIGHT: { name: 'Night', start: '22:00', end: '06:00', icon: '🌙' }
 };
 
+// ===========================================
+// OT RATE TIERS
+// ===========================================
+
+// Tier behind each calculateOTRate result (payroll export columns)
+const OT_RATE_TIERS = {
+  NORMAL: 'normal',
+  WEEKEND: 'weekend',
+  NIGHT: 'night',
+  HOLIDAY: 'holiday'
+};
+
+// ===========================================
+// AUDIT TRAIL
+// ===========================================
+
+// Action column of data-change rows in SHEET_ACTIVITY_LOG
+const AUDIT_ACTIONS = {
+  CREATE: 'CREATE',
+  UPDATE: 'UPDATE',
+  DELETE: 'DELETE'
+};
+
+// Evidence custody rows that change nothing (Evidence.gs): a file opened from the register, a file put in an export bundle
+const EVIDENCE_ACTIONS = {
+  VIEW: 'VIEW',
+  EXPORT: 'EXPORT'
+};
+
+// App that made the change (Source column)
+const AUDIT_SOURCES = {
+  DASHBOARD: 'Dashboard',
+  PATROL: 'Patrol',
+  GUARD_APP: 'Guard App',
+  PUBLIC: 'Public QR'  // Unauthenticated complaint form (PublicComplaints.gs)
+};
+
+// Entity column (also the Page column, so Activity Logs can filter on it)
+const AUDIT_ENTITIES = {
+  SITES: 'Sites',
+  GUARDS: 'Guards',
+  GUARD_ENROLLMENTS: 'Guard Enrollments',
+  CHECKPOINTS: 'Checkpoints',
+  INCIDENTS: 'Incidents',
+  COMPLAINTS: 'Complaints',
+  PATROL_PLANS: 'Patrol Plans',
+  SHIFTS: 'Shifts',
+  OVERTIME: 'Overtime',
+  HOLIDAYS: 'Holidays',
+  SETTINGS: 'Settings',
+  SLA_POLICIES: 'SLA Policies',
+  CAPA: 'CAPA Actions',
+  EVIDENCE: 'Evidence',
+  CHECKLISTS: 'Inspection Checklists',
+  SCORING_RULES: 'Scoring Rules',
+  USERS: 'User Management',
+  INSPECTIONS: 'Inspection Logs',
+  HANDOVERS: 'Handovers',
+  SPECIAL_DUTY: 'Special Duty',
+  SCANS: 'Scans'
+};
+
+// ===========================================
+// HOLIDAY TYPES
+// ===========================================
+
+// rate = default OT multiplier (Settings holidayRateNational / holidayRateClient / holidayRateSpecial override)
+const HOLIDAY_TYPES = {
+  national: { name: 'National Holiday', rate: 3.0 },
+  client: { name: 'Client Special Day', rate: 2.0 },  // Applies to one site only (siteId)
+  special: { name: 'Company Special Day', rate: 2.0 }
+};
+
+// What happens when a holiday falls on a weekend
+const HOLIDAY_MOVE_RULES = {
+  NONE: 'none',                      // Stays on the date
+  NEXT_WEEKDAY: 'next_weekday',      // Sat/Sun -> Monday (or the next free weekday)
+  NEAREST_WEEKDAY: 'nearest_weekday' // Sat -> Friday, Sun -> Monday
+};
+
 // ===========================================
 // SITE TYPES
 // ===========================================
@@ -168,6 +398,49 @@ const SITE_TYPES = [
   'Embassy', 'Other'
 ];
 
+// ===========================================
+// INSPECTION CHECKLISTS
+// ===========================================
+
+// Patrol app Step 3 (guard evaluation) / Step 4 (site security) checklists (Checklists.gs).
+// type: status = pass / fail pair, check = ticked when verified OK (not ticked = skip)
+// optionMode: missing = tick what is missing, reason = pick one reason (options required on a fail)
+const CHECKLIST_STEPS = [3, 4];
+const CHECKLIST_ITEM_TYPES = ['status', 'check'];
+const CHECKLIST_OPTION_MODES = ['missing', 'reason'];
+// InspectionLogs columns an item can keep filled (✓ / ✗ / —) for pages that still read the fixed columns
+const CHECKLIST_LEGACY_FIELDS = ['flashlight', 'uniform', 'defenseTools', 'logbook', 'gates', 'lighting', 'fireSafety'];
+// critical: cap = a fail caps the weighted score at the site type's capScore, zero = a fail scores 0
+const CHECKLIST_CRITICAL_MODES = ['cap', 'zero'];
+
+// Weighted inspection score (Scoring.gs; computed by the Patrol app's processForm).
+// Used when no ScoringRules row covers a site type (SCORING_DEFAULTS in the Patrol app's Code.gs)
+const SCORING_DEFAULTS = { passThreshold: 70, capScore: 50, communicationWeight: 2, uniformWeight: 2 };
+
+// Items the Patrol app serves when no template covers a site (DEFAULT_CHECKLIST in the Patrol app's Code.gs)
+const DEFAULT_CHECKLIST_ITEMS = [
+  { id: 'uniform', step: 3, section: 'ເຄື່ອງແບບ', icon: 'checkroom', label: 'ເຄື່ອງແບບ', type: 'status', passLabel: 'ຄົບຖ້ວນ', failLabel: 'ບໍ່ຄົບຖ້ວນ',
+    options: ['🎩 ໝວກ', '👕 ເສື້ອ', '👖 ໂສ້ງ', '👞 ເກີບ', '🟡 ສາຍອຳນາດ', '📛 ປ້າຍຊື່', '📢 ໝາກຫວິດ'], optionMode: 'missing', issueLabel: 'ເຄື່ອງແບບບໍ່ຄົບ', legacyField: 'uniform', weight: 1, critical: '' },
+  { id: 'defense', step: 3, section: 'ອຸປະກອນປ້ອງກັນຕົວ', icon: 'shield', label: 'ອຸປະກອນປ້ອງກັນຕົວ', type: 'status', passLabel: 'ຄົບຖ້ວນ', failLabel: 'ບໍ່ຄົບຖ້ວນ',
+    options: ['⬛ ສາຍແອວໃຫຍ່', '🔗 ກຸນແຈມື', '🪵 ໄມ້ຄ້ອນສັ້ນ', '⚡ ໄມ້ຊ໊ອກໄຟຟ້າ'], optionMode: 'missing', issueLabel: 'ອຸປະກອນປ້ອງກັນບໍ່ຄົບ', legacyField: 'defenseTools', weight: 1, critical: '' },
+  { id: 'flashlight', step: 3, section: 'ໄຟສາຍ', icon: 'flashlight_on', label: 'ໄຟສາຍ', type: 'status', passLabel: 'ມີໄຟສາຍ', failLabel: 'ບໍ່ມີ',
+    options: [], optionMode: '', issueLabel: '', legacyField: 'flashlight', weight: 1, critical: '' },
+  { id: 'logbook', step: 3, section: 'ປື້ມບັນທຶກ', icon: 'menu_book', label: 'ປື້ມບັນທຶກ', type: 'status', passLabel: 'ມີ', failLabel: 'ບໍ່ມີ',
+    options: [], optionMode: '', issueLabel: '', legacyField: 'logbook', weight: 1, critical: '' },
+  { id: 'sleep', step: 3, section: 'ນອນຫຼັບ', icon: 'bedtime', label: 'ນອນຫຼັບ', type: 'status', passLabel: 'ບໍ່ນອນ', failLabel: 'ນອນຫຼັບ',
+    options: ['😴 ເມື່ອຍ', '🤒 ບໍ່ສະບາຍ', '🍺 ມຶນເມົາ'], optionMode: 'reason', issueLabel: '😴 ນອນຫຼັບ', legacyField: '', weight: 2, critical: 'zero' },
+  { id: 'position', step: 3, section: 'ບໍ່ຢູ່ຈຸດ', icon: 'wrong_location', label: 'ບໍ່ຢູ່ຈຸດ', type: 'status', passLabel: 'ຢູ່ປະຈຳຈຸດ', failLabel: 'ບໍ່ຢູ່ຈຸດ',
+    options: ['🚽 ໄປຫ້ອງນ້ຳ', '🛒 ໄປຊື້ເຄື່ອງ', '❓ ບໍ່ມີເຫດຜົນ'], optionMode: 'reason', issueLabel: '❌ ບໍ່ຢູ່ຈຸດ', legacyField: '', weight: 2, critical: 'cap' },
+  { id: 'fire_extinguisher', step: 4, section: 'ກວດກາອຸປະກອນຄວາມປອດໄພ', icon: 'fire_extinguisher', label: 'ຖັງດັບເພີງ', type: 'check', passLabel: '', failLabel: '',
+    options: [], optionMode: '', issueLabel: '', legacyField: 'fireSafety', weight: 1, critical: '' },
+  { id: 'camera', step: 4, section: 'ກວດກາອຸປະກອນຄວາມປອດໄພ', icon: 'videocam', label: 'ກ້ອງວົງຈອນປິດ', type: 'check', passLabel: '', failLabel: '',
+    options: [], optionMode: '', issueLabel: 'ກ້ອງວົງຈອນປິດບໍ່ປົກກະຕິ', legacyField: '', weight: 1, critical: '' },
+  { id: 'door', step: 4, section: 'ກວດກາອຸປະກອນຄວາມປອດໄພ', icon: 'door_front', label: 'ປະຕູ/ທາງເຂົ້າ', type: 'check', passLabel: '', failLabel: '',
+    options: [], optionMode: '', issueLabel: '', legacyField: 'gates', weight: 1, critical: '' },
+  { id: 'lights', step: 4, section: 'ກວດກາອຸປະກອນຄວາມປອດໄພ', icon: 'lightbulb', label: 'ລະບົບໄຟເຍືອງທາງ', type: 'check', passLabel: '', failLabel: '',
+    options: [], optionMode: '', issueLabel: '', legacyField: 'lighting', weight: 1, critical: '' }
+];
+
 // ===========================================
 // PATROL ROUTES
 // ===========================================
@@ -182,15 +455,70 @@ const ROUTES = {
 // SLA RULES
 // ===========================================
 
-const SLA = {
-  incident: {
-    light: { priority: 'high', hours: 24 },
-    medium: { priority: 'critical', hours: 12 },
-    severe: { priority: 'critical', hours: 4 }
-  },
-  complaint: {
-    light: { priority: 'low', days: 7 },
-    medium: { priority: 'medium', days: 5 },
-    severe: { priority: 'high', days: 3 }
-  }
+// Resolution hours per severity when no SHEET_SLA_POLICIES row matches a case
+// (Settings slaCritical / slaHigh / slaMedium / slaLow override)
+const SLA_DEFAULT_HOURS = { critical: 4, high: 24, medium: 72, low: 168 };
+
+// Complaint priority codes -> severity (the complaint form sends p1-p4)
+const SLA_PRIORITY_SEVERITY = { p1: 'critical', p2: 'high', p3: 'medium', p4: 'low' };
+
+// Case statuses that stop the SLA clock
+const SLA_PAUSE_STATUSES = ['waiting_customer'];
+
+// Open cases due within this many hours are at risk
+const SLA_AT_RISK_HOURS = 4;
+
+// Roles a breach can be escalated to, in default chain order (Settings slaEscalationChain reorders / shortens it)
+const SLA_ESCALATION_ROLES = {
+  supervisor: 'Supervisor',
+  qc_lead: 'QC Lead',
+  admin: 'Manager'
 };
+
+// ===========================================
+// PUBLIC COMPLAINTS (site QR page)
+// ===========================================
+
+// Limits for the unauthenticated report form on Page_PublicInfo (PublicComplaints.gs)
+const PUBLIC_COMPLAINT_LIMITS = {
+  challengeSeconds: 600,   // How long a challenge stays answerable
+  minFillSeconds: 5,       // Faster than this from challenge to submit is treated as a bot
+  perSiteHour: 10,         // Reports per site per hour
+  perReporterDay: 3,       // Reports per phone / email per day
+  allHour: 60,             // Reports across all sites per hour
+  lookupsPerCodeHour: 10,  // Lookups of one tracking code per hour
+  workDigits: 4,           // Proof of work: SHA-256(token:nonce) must start with this many zero hex digits
+  descriptionMax: 2000,    // Characters
+  photoMaxChars: 3000000   // Data URL length (the page shrinks photos before sending)
+};
+
+// Complaint categories a member of the public can pick (billing stays internal)
+const PUBLIC_COMPLAINT_CATEGORIES = ['service', 'behavior', 'punctuality', 'uniform', 'communication', 'other'];
+
+// ===========================================
+// ROLES & PERMISSIONS
+// ===========================================
+
+// VKS_Users Role column values (Permissions.gs)
+const ROLES = {
+  ADMIN: 'admin',
+  QC_LEAD: 'qc_lead',
+  SUPERVISOR: 'supervisor',
+  USER: 'user',     // Staff - the role createUser gives new accounts
+  VIEWER: 'viewer'
+};
+
+// Permissions are "<resource>.<action>" (action: view / edit / delete / export / admin).
+// "*" matches everything, "sites.*" every action on sites, "*.view" viewing anything.
+// A Settings row "permissions.<role>" (comma-separated) replaces the role's list below.
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: ['*'],
+  qc_lead: ['*.view', '*.edit', '*.export'],
+  supervisor: ['*.view', '*.edit'],
+  user: ['*.view', 'incidents.edit', 'complaints.edit', 'handovers.edit', 'sos.edit'],
+  viewer: ['*.view']
+};
+
+// Roles that always see every site. Other roles are limited to the routes / sites /
+// client groups on their VKS_Users row (no scope set = every site).
+const GLOBAL_SCOPE_ROLES = [ROLES.ADMIN, ROLES.QC_LEAD];
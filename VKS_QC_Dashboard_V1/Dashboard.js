@@ -5,7 +5,7 @@
 /**
  * Get dashboard data
  */
-function getDashboardData() {
+function getDashboardData_() {
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
 
@@ -39,7 +39,7 @@ function getDashboardData() {
 
     if (issuesSheet) {
       issuesSheet.getDataRange().getValues().slice(1).forEach(row => {
-        if (row[6] !== 'resolved' && row[6] !== 'closed') liveIssues++;
+        if (isCaseOpen_(row[6])) liveIssues++;
         const createdDate = row[3] instanceof Date
           ? Utilities.formatDate(row[3], 'Asia/Vientiane', 'yyyy-MM-dd')
           : '';
@@ -47,12 +47,17 @@ function getDashboardData() {
       });
     }
 
+    // Late + missed rounds from the patrol monitor, compared with yesterday
+    const latePatrols = countLatePatrolRounds_(ss, todayStr);
+    const yesterdayStr = Utilities.formatDate(new Date(today.getTime() - 86400000), 'Asia/Vientiane', 'yyyy-MM-dd');
+    const lateChange = latePatrols - countLatePatrolRounds_(ss, yesterdayStr);
+
     return {
       totalSites: totalSites || 42,
       onDuty: onDuty || 156,
       coverage: 98,
-      latePatrols: 3,
-      lateChange: -1,
+      latePatrols: latePatrols,
+      lateChange: lateChange,
       liveIssues: liveIssues || 12,
       newIssues: newIssues || 3,
       qualityScore: 9.4,
@@ -74,19 +79,24 @@ function getDashboardData() {
 /**
  * Get dashboard alerts
  */
-function getDashboardAlerts() {
+function getDashboardAlerts_() {
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     const issuesSheet = ss.getSheetByName(SHEET_ISSUES);
 
-    if (!issuesSheet) return getSampleAlerts();
+    // Guard SOS always comes first, then rounds the patrol monitor marked missed, then CAPA follow-ups
+    const inScope = a => isInCallerScope_([a.siteId, a.siteName]);
+    const priorityAlerts = getSOSAlerts_(ss).concat(getPatrolRoundAlerts_(ss), getCapaAlerts_()).filter(inScope);
+
+    if (!issuesSheet) return priorityAlerts.length > 0 ? priorityAlerts : getSampleAlerts_();
 
     const data = issuesSheet.getDataRange().getValues();
     const headers = data[0];
     const now = new Date();
 
     const alerts = data.slice(1)
-      .filter(row => row[headers.indexOf('status')] !== 'resolved' && row[headers.indexOf('status')] !== 'closed')
+      .filter(row => isCaseOpen_(row[headers.indexOf('status')]) &&
+        inScope({ siteId: row[headers.indexOf('siteId')], siteName: row[headers.indexOf('siteName')] || row[headers.indexOf('location')] }))
       .slice(0, 5)
       .map(row => {
         const severity = row[headers.indexOf('severity')] || 'medium';
@@ -104,16 +114,17 @@ function getDashboardAlerts() {
         };
       });
 
-    return alerts.length > 0 ? alerts : getSampleAlerts();
+    const combined = priorityAlerts.concat(alerts);
+    return combined.length > 0 ? combined : getSampleAlerts_();
   } catch (e) {
-    return getSampleAlerts();
+    return getSampleAlerts_();
   }
 }
 
 /**
  * Sample alerts
  */
-function getSampleAlerts() {
+function getSampleAlerts_() {
   return [
     { id: 'alert-001', title: 'Perimeter Breach', description: 'Sensor 4B detected motion at North Gate. No authorization found.', type: 'critical', timeAgo: '2m ago' },
     { id: 'alert-002', title: 'Missed Checkpoint', description: 'Guard at Site 7 has not scanned CP-12 in over 2 hours.', type: 'warning', timeAgo: '15m ago' },
@@ -124,7 +135,7 @@ function getSampleAlerts() {
 /**
  * Get recent activity
  */
-function getRecentActivity() {
+function getRecentActivity_() {
   return [
     { type: 'scan', text: 'Somchai scanned Checkpoint 7 at BCEL HQ', timeAgo: '2 min ago' },
     { type: 'handover', text: 'Shift handover completed at Crowne Plaza', timeAgo: '15 min ago' },
@@ -137,7 +148,7 @@ function getRecentActivity() {
 /**
  * Get performance data
  */
-function getPerformanceData() {
+function getPerformanceData_() {
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     const sitesSheet = ss.getSheetByName(SHEET_SITES);
@@ -182,7 +193,7 @@ function getPerformanceData() {
 /**
  * Get map data
  */
-function getMapData() {
+function getMapData_() {
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     const sitesSheet = ss.getSheetByName(SHEET_SITES);
@@ -215,8 +226,8 @@ function getMapData() {
 /**
  * Get site status specifically for the dashboard map
  */
-function getSiteStatusForMap() {
-  const data = getMapData();
+function getSiteStatusForMap_() {
+  const data = getMapData_();
   return data.sites.map(s => ({
     name: s.name,
     lat: s.lat,
@@ -228,7 +239,7 @@ function getSiteStatusForMap() {
 /**
  * Get recent submissions for the dashboard
  */
-function getRecentSubmissions() {
+function getRecentSubmissions_() {
   return [
     { type: 'check', title: 'Perimeter Check', meta: 'J. Doe • Site 4', time: '2m', icon: 'description' },
     { type: 'car', title: 'Vehicle Inspection', meta: 'M. Smith • Garage B', time: '8m', icon: 'directions_car' },
@@ -240,7 +251,7 @@ function getRecentSubmissions() {
  * Get real activity chart data for the last 12 days
  * @returns {Object} { labels: string[], patrols: number[], incidents: number[] }
  */
-function getActivityChartData() {
+function getActivityChartData_() {
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     const scansSheet = ss.getSheetByName(SHEET_SCANS);
@@ -295,7 +306,7 @@ function getActivityChartData() {
  * Get recent handover for dashboard widget
  * @returns {Object|null} Last handover record or null
  */
-function getRecentHandover() {
+function getRecentHandover_() {
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     const sheet = ss.getSheetByName('Handovers');
@@ -335,15 +346,15 @@ function getRecentHandover() {
  * Saves ~1.5 seconds on cold Dashboard load
  * @returns {Object} { kpis, alerts, submissions, mapMarkers }
  */
-function getDashboardBundle() {
+function getDashboardBundle_() {
   try {
     return {
-      kpis: getDashboardData(),
-      alerts: getDashboardAlerts(),
-      submissions: getRecentSubmissions(),
-      mapMarkers: getSiteStatusForMap(),
-      activityChart: getActivityChartData(),
-      recentHandover: getRecentHandover()
+      kpis: getDashboardData_(),
+      alerts: getDashboardAlerts_(),
+      submissions: getRecentSubmissions_(),
+      mapMarkers: getSiteStatusForMap_(),
+      activityChart: getActivityChartData_(),
+      recentHandover: getRecentHandover_()
     };
   } catch (e) {
     Logger.log('getDashboardBundle error: ' + e.message);
@@ -15,6 +15,12 @@ const SHEET_MAP = {
   'settings': 'Settings'
 };
 
+// Columns (lower-cased) that tie a generic row to a site, for the caller's site scope.
+// Sites rows are matched on their own id / code / names; users and settings have no site.
+const DATA_SITE_COLUMNS = ['siteid', 'site', 'sitename', 'sitecode'];
+const DATA_SITE_OWN_COLUMNS = ['id', 'code', 'nameen', 'namelo'];
+const DATA_UNSCOPED_TYPES = ['users', 'settings'];
+
 /**
  * Get handover records for a specific date/site
  * Reads from QC HandoverRecords sheet (synced data)
@@ -23,7 +29,7 @@ const SHEET_MAP = {
  * @param {Object} filters - {startDate, endDate, siteId, date}
  * @returns {Array} Handover record objects
  */
-function getHandoverRecords(filters) {
+function getHandoverRecords_(filters) {
   try {
     const ssQC = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     const sitesSheet = ssQC.getSheetByName(SHEET_SITES);
@@ -132,7 +138,7 @@ function getHandoverRecords(filters) {
 }
 
 // Legacy function removed or kept as empty stub if needed
-function getSampleHandoverRecords(dateStr, guards, sites) { return []; }
+function getSampleHandoverRecords_(dateStr, guards, sites) { return []; }
 
 
 /**
@@ -141,7 +147,7 @@ function getSampleHandoverRecords(dateStr, guards, sites) { return []; }
  * @param {Object} filters - Optional filters {status:'', site:'', dateFrom:'', dateTo:'', search:''}
  * @returns {Array} Array of objects
  */
-function getData(type, filters = {}) {
+function getData_(type, filters = {}) {
   const sheetName = SHEET_MAP[type];
   if (!sheetName) throw new Error('Unknown data type: ' + type);
 
@@ -158,6 +164,14 @@ function getData(type, filters = {}) {
     return obj;
   });
 
+  // Guard sign-in hashes never leave the server; callers get pinSet / deviceBound instead (Guards.gs)
+  if (type === 'guards') result.forEach(toGuardIdentityView_);
+
+  // Scoped callers only get rows for their sites (Permissions.gs)
+  if (DATA_UNSCOPED_TYPES.indexOf(type) === -1 && getCallerScope_()) {
+    result = result.filter(r => isDataRowInCallerScope_(type, r));
+  }
+
   // Apply filters
   if (filters.status) {
     result = result.filter(r => r.Status === filters.status);
@@ -185,14 +199,29 @@ function getData(type, filters = {}) {
   return result;
 }
 
+/**
+ * Is a generic row inside the caller's site scope? Rows without a site column are not.
+ */
+function isDataRowInCallerScope_(type, record) {
+  const siteColumns = type === 'sites' ? DATA_SITE_OWN_COLUMNS : DATA_SITE_COLUMNS;
+  const keys = [];
+  let route = '';
+  Object.keys(record).forEach(h => {
+    const col = String(h).trim().toLowerCase();
+    if (siteColumns.indexOf(col) > -1) keys.push(String(record[h] || '').trim());
+    if (col === 'route') route = record[h];
+  });
+  return isInCallerScope_(keys, route);
+}
+
 /**
  * Get single record by ID
  * @param {string} type - Data type
  * @param {string} id - Record ID
  * @returns {Object|null} Record or null
  */
-function getById(type, id) {
-  const data = getData(type);
+function getById_(type, id) {
+  const data = getData_(type);
   return data.find(r => r.ID === id) || null;
 }
 
@@ -202,7 +231,10 @@ function getById(type, id) {
  * @param {Object} data - Data to save
  * @returns {Object} {success: boolean, id: string}
  */
-function saveData(type, data) {
+function saveData_(type, data) {
+  const denied = requirePermission_(dataPermission_('edit')([type]));
+  if (denied) return denied;
+
   const sheetName = SHEET_MAP[type];
   if (!sheetName) throw new Error('Unknown data type: ' + type);
 
@@ -222,12 +254,13 @@ function saveData(type, data) {
         data.UpdatedBy = Session.getActiveUser().getEmail();
         const row = headers.map(h => data[h] !== undefined ? data[h] : allData[i][headers.indexOf(h)]);
         sheet.getRange(i + 1, 1, 1, row.length).setValues([row]);
-        logActivity('UPDATE', type + ':' + data.ID);
+        logAudit_(AUDIT_ACTIONS.UPDATE, getDataAuditEntity_(type), data.ID,
+          toAuditRecord_(headers, allData[i]), toAuditRecord_(headers, row));
 
         // Trigger signaling
-        if (type === 'guards') setUpdateSignal('guards');
-        if (type === 'sites') setUpdateSignal('sites');
-        if (type === 'handovers' || type === 'incidents' || type === 'complaints') setUpdateSignal('master');
+        if (type === 'guards') setUpdateSignal_('guards');
+        if (type === 'sites') setUpdateSignal_('sites');
+        if (type === 'handovers' || type === 'incidents' || type === 'complaints') setUpdateSignal_('master');
 
         return { success: true, id: data.ID };
       }
@@ -240,12 +273,12 @@ function saveData(type, data) {
   data.CreatedBy = Session.getActiveUser().getEmail();
   const row = headers.map(h => data[h] || '');
   sheet.appendRow(row);
-  logActivity('CREATE', type + ':' + data.ID);
+  logAudit_(AUDIT_ACTIONS.CREATE, getDataAuditEntity_(type), data.ID, null, toAuditRecord_(headers, row));
 
   // Trigger signaling
-  if (type === 'guards') setUpdateSignal('guards');
-  if (type === 'sites') setUpdateSignal('sites');
-  if (type === 'handovers' || type === 'incidents' || type === 'complaints') setUpdateSignal('master');
+  if (type === 'guards') setUpdateSignal_('guards');
+  if (type === 'sites') setUpdateSignal_('sites');
+  if (type === 'handovers' || type === 'incidents' || type === 'complaints') setUpdateSignal_('master');
 
   return { success: true, id: data.ID };
 }
@@ -256,7 +289,10 @@ function saveData(type, data) {
  * @param {string} id - Record ID
  * @returns {Object} {success: boolean}
  */
-function deleteData(type, id) {
+function deleteData_(type, id) {
+  const denied = requirePermission_(dataPermission_('delete')([type]));
+  if (denied) return denied;
+
   const sheetName = SHEET_MAP[type];
   if (!sheetName) throw new Error('Unknown data type: ' + type);
 
@@ -269,7 +305,7 @@ function deleteData(type, id) {
   for (let i = 1; i < data.length; i++) {
     if (data[i][idCol] === id) {
       sheet.deleteRow(i + 1);
-      logActivity('DELETE', type + ':' + id);
+      logAudit_(AUDIT_ACTIONS.DELETE, getDataAuditEntity_(type), id, toAuditRecord_(data[0], data[i]), null);
       return { success: true };
     }
   }
@@ -277,13 +313,20 @@ function deleteData(type, id) {
   throw new Error('Record not found');
 }
 
+/**
+ * Audit entity for a SHEET_MAP type ("guards" -> AUDIT_ENTITIES.GUARDS)
+ */
+function getDataAuditEntity_(type) {
+  return AUDIT_ENTITIES[String(type).toUpperCase()] || type;
+}
+
 /**
  * Get options for dropdowns (sites, guards, etc.)
  * @param {string} type - Data type
  * @returns {Array} [{id, name}, ...]
  */
-function getOptions(type) {
-  const data = getData(type);
+function getOptions_(type) {
+  const data = getData_(type);
   return data.map(r => ({
     id: r.ID,
     name: r.Name || r.Title || r.ID
@@ -295,7 +338,7 @@ function getOptions(type) {
  * @param {string} siteName - Site name to search for
  * @returns {Object} Site details including lat/lng
  */
-function getSiteByName(siteName) {
+function getSiteByName_(siteName) {
   try {
     const ssQC = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     const sitesSheet = ssQC.getSheetByName(SHEET_SITES);
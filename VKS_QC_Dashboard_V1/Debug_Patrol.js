@@ -12,6 +12,7 @@ function onOpen() {
 }
 
 function debugPatrolData() {
+  requireScriptOwner_();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   let logSheet = ss.getSheetByName('Debug_Log');
   if (!logSheet) {
@@ -194,9 +195,9 @@ function debugPatrolData() {
     }
 
     // 5. REAL API CHECK
-    addLog('API_CHECK', 'Calling actual getPatrolStatus()', '--------------------------------');
+    addLog('API_CHECK', 'Calling actual getPatrolStatus_()', '--------------------------------');
     try {
-      const apiResult = getPatrolStatus();
+      const apiResult = getPatrolStatus_();
       const targetSite = apiResult.find(s => s.siteId === 'SITE-A-E2E3F3' || s.siteCode === 'VKS-A-001');
       
       if (targetSite) {
@@ -212,10 +213,10 @@ function debugPatrolData() {
     }
     
     // 6. ACTIVITY API CHECK (V25 Wrapper)
-    addLog('ACT_CHECK', 'Testing getGuardActivity() V25...', '--------------------------------');
+    addLog('ACT_CHECK', 'Testing getGuardActivity_() V25...', '--------------------------------');
     try {
       const filters = { date: Utilities.formatDate(new Date(), 'Asia/Vientiane', 'yyyy-MM-dd') };
-      const response = getGuardActivity(filters);
+      const response = getGuardActivity_(filters);
       
       if (response && response.version) {
          addLog('ACT_VER', 'Backend Version', response.version);
@@ -260,6 +261,7 @@ function debugPatrolData() {
 // 4. SITE OPTIONS DIAGNOSTIC
 // ==========================================
 function debugSiteOptions() {
+  requireScriptOwner_();
   const log = [];
   function addLog(label, msg) { 
     const line = `[${label}] ${msg}`;
@@ -269,7 +271,7 @@ function debugSiteOptions() {
   
   try {
     addLog('INIT', 'Starting debugSiteOptions... (V36 CHECK)');
-    const opts = getSiteOptions();
+    const opts = getSiteOptions_();
     addLog('RESULT', `Returned ${opts.length} options`);
     
     // Check first 5 items
@@ -0,0 +1,374 @@
+/**
+ * Evidence.js - Chain of custody for incident photos and complaint evidence
+ *
+ * Features:
+ * - Every file saved by uploadEvidence_ (Issues.gs) is hashed (SHA-256) at intake and registered in
+ *   SHEET_EVIDENCE with the uploader, upload time and the GPS fix the browser took when the file was picked
+ * - Files are private to the script owner; case rows hold evidence IDs and openEvidence is the only way
+ *   to view a file (it returns the content, not a link)
+ * - Intake, every file opened from the register and every export go to the activity log
+ *   (entity AUDIT_ENTITIES.EVIDENCE, one row per file), which is the custody trail of the file
+ * - A master case lists the files of the duplicates merged into it (CaseLinks.gs)
+ * - Export bundle: a ZIP of the files, manifest.json (register rows + custody trail) and SHA256SUMS.txt,
+ *   which `sha256sum -c SHA256SUMS.txt` checks without this system. Files are hashed again while
+ *   bundling and a mismatch with the intake hash is reported
+ */
+
+// ===========================================
+// API
+// ===========================================
+
+/**
+ * Evidence register of one case, with the custody trail of each file
+ * @param {string} caseType - 'incident' | 'complaint'
+ * @param {string} caseId - Incidents / Complaints row ID
+ * @returns {Object} {success, items, canExport}
+ */
+function getEvidenceRegister_(caseType, caseId) {
+  try {
+    const found = findEvidenceCase_(caseType, caseId);
+    if (found.error) return { success: false, message: found.error };
+
+    const items = readCaseEvidence_(caseType, caseId);
+    const trails = readEvidenceTrails_(items);
+    return {
+      success: true,
+      items: items.map(e => Object.assign(toEvidenceView_(e), { trail: trails[e.id] || [] })),
+      canExport: !!AUTH_CONTEXT_ && hasPermission_(AUTH_CONTEXT_.role, getCaseType_(caseType).permission + '.export')
+    };
+  } catch (e) {
+    Logger.log('Error in getEvidenceRegister: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Open one registered file: logs the access and returns its content
+ * @param {string} caseType - 'incident' | 'complaint' (case whose register it was opened from)
+ * @param {string} evidenceId - EvidenceRegister row ID
+ * @returns {Object} {success, fileName, mimeType, data (data URL)}
+ */
+function openEvidence_(caseType, evidenceId) {
+  try {
+    const item = readEvidence_().find(e => e.id === String(evidenceId));
+    if (!item) return { success: false, message: 'Evidence not found: ' + evidenceId };
+    // A file of a merged duplicate of the other type needs view rights on that type too
+    if (item.caseType !== caseType) {
+      const denied = requirePermission_(getCaseType_(item.caseType).permission + '.view');
+      if (denied) return denied;
+    }
+    const found = findEvidenceCase_(item.caseType, item.caseId);
+    if (found.error) return { success: false, message: found.error };
+
+    const blob = DriveApp.getFileById(item.fileId).getBlob();
+    writeEvidenceRows_(EVIDENCE_ACTIONS.VIEW, [item], 'Opened from the evidence register');
+    return {
+      success: true,
+      fileName: item.fileName,
+      mimeType: blob.getContentType(),
+      data: 'data:' + blob.getContentType() + ';base64,' + Utilities.base64Encode(blob.getBytes())
+    };
+  } catch (e) {
+    Logger.log('Error in openEvidence: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Export bundle of a case: every registered file, manifest.json and SHA256SUMS.txt in one ZIP
+ * @param {string} caseType - 'incident' | 'complaint'
+ * @param {string} caseId - Incidents / Complaints row ID
+ * @returns {Object} {success, fileName, data (data URL of the ZIP), sha256, fileCount, mismatches}
+ */
+function exportEvidenceBundle_(caseType, caseId) {
+  try {
+    const found = findEvidenceCase_(caseType, caseId);
+    if (found.error) return { success: false, message: found.error };
+
+    const items = readCaseEvidence_(caseType, caseId);
+    if (!items.length) return { success: false, message: 'No registered evidence for this case.' };
+
+    const now = new Date();
+    const stamp = Utilities.formatDate(now, Session.getScriptTimeZone(), 'yyyyMMdd-HHmmss');
+    const bundleName = 'Evidence_' + caseId + '_' + stamp;
+    const blobs = [];
+    const sums = [];
+    const files = [];
+    const mismatches = [];
+
+    items.forEach((item, idx) => {
+      const name = ('0' + (idx + 1)).slice(-2) + '_' + item.id + '_' + item.fileName.replace(/[\\/:*?"<>|\s]/g, '_');
+      let hash = '';
+      let error = '';
+      try {
+        const blob = DriveApp.getFileById(item.fileId).getBlob().setName(name);
+        hash = sha256Hex_(blob.getBytes());
+        blobs.push(blob);
+        sums.push(hash + '  ' + name);
+      } catch (fileErr) {
+        error = fileErr.message;
+      }
+      const intact = hash !== '' && hash === item.sha256;
+      if (!intact) mismatches.push(item.id);
+      files.push(Object.assign(toEvidenceView_(item), {
+        bundleFile: hash ? name : '',
+        exportSha256: hash,
+        intact: intact,
+        error: error
+      }));
+    });
+
+    const trails = readEvidenceTrails_(items);
+    files.forEach(f => { f.trail = trails[f.id] || []; });
+
+    const manifest = {
+      bundle: bundleName,
+      caseType: caseType,
+      caseId: String(caseId),
+      siteId: String(found.record.siteId || ''),
+      title: String(found.record.title || found.record.description || '').substring(0, 200),
+      exportedAt: now.toISOString(),
+      exportedBy: getAuthUserName_(getAuditUserId_()) || 'System',
+      hashAlgorithm: 'SHA-256',
+      verify: 'sha256sum -c SHA256SUMS.txt (every file must print OK); each exportSha256 must equal its sha256 taken at intake',
+      files: files
+    };
+    blobs.push(Utilities.newBlob(JSON.stringify(manifest, null, 2), 'application/json', 'manifest.json'));
+    // The manifest is hashed too, so an edited manifest fails the check like an edited photo
+    sums.push(sha256Hex_(blobs[blobs.length - 1].getBytes()) + '  manifest.json');
+    blobs.push(Utilities.newBlob(sums.join('\n') + '\n', 'text/plain', 'SHA256SUMS.txt'));
+
+    const zip = Utilities.zip(blobs, bundleName + '.zip');
+    const zipHash = sha256Hex_(zip.getBytes());
+    writeEvidenceRows_(EVIDENCE_ACTIONS.EXPORT, items,
+      'Exported in ' + bundleName + '.zip (SHA-256 ' + zipHash + ')' + (mismatches.length ? '; hash mismatch: ' + mismatches.join(', ') : ''));
+
+    return {
+      success: true,
+      fileName: bundleName + '.zip',
+      data: 'data:application/zip;base64,' + Utilities.base64Encode(zip.getBytes()),
+      sha256: zipHash,
+      fileCount: items.length - mismatches.length,
+      mismatches: mismatches
+    };
+  } catch (e) {
+    Logger.log('Error in exportEvidenceBundle: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Take link sharing off every registered file (files uploaded before evidence became private).
+ * Run once from the GAS editor.
+ */
+function makeEvidencePrivate() {
+  requireScriptOwner_();
+  let changed = 0;
+  readEvidence_().forEach(item => {
+    try {
+      const file = DriveApp.getFileById(item.fileId);
+      if (file.getSharingAccess() === DriveApp.Access.PRIVATE) return;
+      file.setSharing(DriveApp.Access.PRIVATE, DriveApp.Permission.NONE);
+      changed++;
+    } catch (e) {
+      Logger.log('Could not update ' + item.id + ': ' + e.message);
+    }
+  });
+  Logger.log(`Evidence sharing removed from ${changed} file(s)`);
+  return { success: true, changed: changed };
+}
+
+// ===========================================
+// SHARED (Issues.gs)
+// ===========================================
+
+/**
+ * Register a file saved by uploadEvidence: hash, uploader, time and GPS, plus the intake custody row
+ * @param {Object} file - Drive file just created
+ * @param {Array} bytes - File content as uploaded
+ * @param {Object} photo - Client upload {name, type, lat, lng, accuracy, capturedAt}
+ * @param {Object} meta - {caseType, caseId, siteId, source, uploaderName}
+ * @returns {Object} Register record
+ */
+function registerEvidence_(file, bytes, photo, meta) {
+  const now = new Date();
+  const userId = getAuditUserId_();
+  const num = value => (value === '' || value === null || value === undefined || isNaN(Number(value))) ? '' : Number(value);
+  const captured = photo.capturedAt ? new Date(photo.capturedAt) : null;
+  const record = {
+    id: 'EVD-' + Utilities.getUuid().substring(0, 8).toUpperCase(),
+    caseType: meta.caseType,
+    caseId: String(meta.caseId),
+    siteId: meta.siteId || '',
+    fileId: file.getId(),
+    fileName: file.getName(),
+    originalName: String(photo.name || '').substring(0, 200),
+    mimeType: file.getMimeType(),
+    sizeBytes: bytes.length,
+    sha256: sha256Hex_(bytes),
+    uploadedBy: userId,
+    uploaderName: meta.uploaderName || getAuthUserName_(userId) || 'System',
+    uploadedAt: now,
+    capturedAt: captured && !isNaN(captured.getTime()) ? captured : '',
+    lat: num(photo.lat),
+    lng: num(photo.lng),
+    accuracy: num(photo.accuracy),
+    source: meta.source || AUDIT_SOURCES.DASHBOARD
+  };
+
+  const sheet = getEvidenceSheet_();
+  const headers = ensureSheetColumns_(sheet, COLUMNS.evidence);
+  sheet.appendRow(headers.map(h => record[h] !== undefined ? record[h] : ''));
+
+  writeActivityRow_({
+    userId: userId,
+    action: AUDIT_ACTIONS.CREATE,
+    page: AUDIT_ENTITIES.EVIDENCE,
+    target: AUDIT_ENTITIES.EVIDENCE + ': ' + record.id,
+    details: 'Intake of ' + record.fileName + ' for ' + record.caseId + ' (SHA-256 ' + record.sha256 + ')',
+    entity: AUDIT_ENTITIES.EVIDENCE,
+    entityId: record.id,
+    changes: JSON.stringify(diffAuditRecords_(null, toAuditRecord_(headers, headers.map(h => record[h])))),
+    source: record.source
+  });
+  return record;
+}
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Case row of the caller's scope, or {error}
+ */
+function findEvidenceCase_(caseType, caseId) {
+  const found = findCaseRow_(caseType, caseId);
+  if (!found) return { error: 'Case not found: ' + caseId };
+  if (!isInCallerScope_([found.record.siteId, found.record.siteName])) {
+    return { error: 'This case is outside your site scope.' };
+  }
+  return found;
+}
+
+/**
+ * Register rows of a case and of the cases merged into it
+ */
+function readCaseEvidence_(caseType, caseId) {
+  const refs = [caseType + ':' + caseId].concat(getMergedCases_(caseType, caseId).map(m => m.caseType + ':' + m.id));
+  return readEvidence_().filter(e => refs.indexOf(e.caseType + ':' + e.caseId) !== -1);
+}
+
+function getEvidenceSheet_() {
+  const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+  let sheet = ss.getSheetByName(SHEET_EVIDENCE);
+  if (!sheet) {
+    sheet = ss.insertSheet(SHEET_EVIDENCE);
+    sheet.appendRow(COLUMNS.evidence);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Every register row (oldest first)
+ */
+function readEvidence_() {
+  const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(SHEET_EVIDENCE);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  const data = sheet.getDataRange().getValues();
+  const date = value => value instanceof Date ? value : (value ? new Date(value) : null);
+  const num = value => (value === '' || value === null || value === undefined) ? '' : Number(value);
+  return data.slice(1).map(row => {
+    const r = toAuditRecord_(data[0], row);
+    return {
+      id: String(r.id || ''),
+      caseType: String(r.caseType || ''),
+      caseId: String(r.caseId || ''),
+      siteId: String(r.siteId || ''),
+      fileId: String(r.fileId || ''),
+      fileName: String(r.fileName || ''),
+      originalName: String(r.originalName || ''),
+      mimeType: String(r.mimeType || ''),
+      sizeBytes: Number(r.sizeBytes) || 0,
+      sha256: String(r.sha256 || '').toLowerCase(),
+      uploadedBy: String(r.uploadedBy || ''),
+      uploaderName: String(r.uploaderName || ''),
+      uploadedAt: date(r.uploadedAt),
+      capturedAt: date(r.capturedAt),
+      lat: num(r.lat),
+      lng: num(r.lng),
+      accuracy: num(r.accuracy),
+      source: String(r.source || '')
+    };
+  }).filter(e => e.id);
+}
+
+/**
+ * What the client and the manifest get (dates as ISO strings)
+ */
+function toEvidenceView_(e) {
+  const iso = d => d && !isNaN(d.getTime()) ? d.toISOString() : '';
+  return {
+    id: e.id,
+    caseType: e.caseType,
+    caseId: e.caseId,
+    fileName: e.fileName,
+    originalName: e.originalName,
+    mimeType: e.mimeType,
+    sizeBytes: e.sizeBytes,
+    sha256: e.sha256,
+    uploadedBy: e.uploadedBy,
+    uploaderName: e.uploaderName,
+    uploadedAt: iso(e.uploadedAt),
+    capturedAt: iso(e.capturedAt),
+    lat: e.lat,
+    lng: e.lng,
+    accuracy: e.accuracy,
+    source: e.source
+  };
+}
+
+/**
+ * Custody trail per evidence ID from the activity log, oldest first
+ * @returns {Object} evidenceId -> [{timestamp, userName, action, details, source}]
+ */
+function readEvidenceTrails_(items) {
+  const ids = {};
+  items.forEach(e => { ids[e.id] = []; });
+  readActivityLog_().forEach(log => {
+    if (log.entity !== AUDIT_ENTITIES.EVIDENCE || !ids[log.entityId]) return;
+    ids[log.entityId].unshift({
+      timestamp: log.timestamp,
+      userName: log.userName,
+      action: log.action,
+      details: log.details,
+      source: log.source
+    });
+  });
+  return ids;
+}
+
+/**
+ * One custody row per file for an access (view / export)
+ */
+function writeEvidenceRows_(action, items, details) {
+  const userId = getAuditUserId_();
+  writeActivityRows_(items.map(item => ({
+    userId: userId,
+    action: action,
+    page: AUDIT_ENTITIES.EVIDENCE,
+    target: AUDIT_ENTITIES.EVIDENCE + ': ' + item.id,
+    details: item.caseId + ' / ' + item.fileName + ': ' + details,
+    entity: AUDIT_ENTITIES.EVIDENCE,
+    entityId: item.id
+  })));
+}
+
+/**
+ * Lower-case hex SHA-256 of raw bytes (same output as sha256sum)
+ */
+function sha256Hex_(bytes) {
+  return Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, bytes)
+    .map(b => ('0' + (b & 0xff).toString(16)).slice(-2))
+    .join('');
+}
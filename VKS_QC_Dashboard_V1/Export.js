@@ -6,8 +6,8 @@
  * @param {object} filters - Optional filters
  * @returns {string} URL of the new spreadsheet
  */
-function exportToSheet(type, filters = {}) {
-  const data = getData(type, filters);
+function exportToSheet_(type, filters = {}) {
+  const data = getData_(type, filters);
   if (!data.length) {
     throw new Error('No data to export');
   }
@@ -28,7 +28,7 @@ function exportToSheet(type, filters = {}) {
   // Auto-resize columns
   headers.forEach((_, i) => sheet.autoResizeColumn(i + 1));
   
-  logActivity('EXPORT', type + ' to Sheet: ' + ss.getId());
+  logActivity_(getAuditUserId_(), 'EXPORT', 'Reports', type, 'Exported to Sheet: ' + ss.getId());
   return ss.getUrl();
 }
 
@@ -38,8 +38,8 @@ function exportToSheet(type, filters = {}) {
  * @param {object} filters - Optional filters
  * @returns {string} CSV content
  */
-function exportToCSV(type, filters = {}) {
-  const data = getData(type, filters);
+function exportToCSV_(type, filters = {}) {
+  const data = getData_(type, filters);
   if (!data.length) {
     throw new Error('No data to export');
   }
@@ -68,62 +68,101 @@ function exportToCSV(type, filters = {}) {
  * @param {object} filters - Date range, site filters
  * @returns {string} Sheet URL
  */
-function exportInspections(filters) {
-  return exportToSheet('inspections', filters);
+function exportInspections_(filters) {
+  return exportToSheet_('inspections', filters);
 }
 
+// Payroll OT layout agreed with the payroll office - do not reorder or rename
+const PAYROLL_OT_COLUMNS = [
+  'PAY_PERIOD', 'EMP_ID', 'EMPLOYEE_NAME',
+  'OT_NORMAL_HRS', 'OT_WEEKEND_HRS', 'OT_NIGHT_HRS', 'OT_HOLIDAY_HRS',
+  'OT_TOTAL_HRS', 'OT_WEIGHTED_HRS', 'RECORD_COUNT'
+];
+
 /**
- * Export overtime data for payroll processing
+ * Export approved overtime for payroll processing, one row per guard (PAYROLL_OT_COLUMNS).
+ * Hours are split by rate tier; OT_WEIGHTED_HRS = sum of hours x rate.
+ * The export locks the pay period so its approved records can no longer change
+ * (unlockPayPeriod in Overtime.gs reopens it).
+ * @param {string} userId - Logged-in user (recorded as exportedBy)
  * @param {string} period - Pay period (e.g., "2026-01")
- * @param {object} filters - Additional filters
- * @returns {string} Sheet URL
+ * @param {string} format - 'sheet' (default) or 'csv'
+ * @returns {object} {success, url} for a sheet, {success, fileName, content} for CSV
  */
-function exportOTReport(period, filters = {}) {
-  // Add period filter
-  const [year, month] = period.split('-');
-  filters.dateFrom = new Date(year, month - 1, 1).toISOString();
-  filters.dateTo = new Date(year, month, 0).toISOString();
-  
-  const data = getData('overtime', filters);
-  
-  // Calculate totals
-  let totalHours = 0;
-  data.forEach(ot => {
-    totalHours += parseFloat(ot.OTHours) || 0;
-  });
-  
-  // Create export with summary
-  const fileName = 'VKS_OT_Report_' + period;
-  const ss = SpreadsheetApp.create(fileName);
-  const sheet = ss.getActiveSheet();
-  
-  // Summary section
-  sheet.getRange(1, 1).setValue('Overtime Report - ' + period);
-  sheet.getRange(1, 1).setFontWeight('bold').setFontSize(14);
-  sheet.getRange(2, 1).setValue('Total OT Hours:');
-  sheet.getRange(2, 2).setValue(totalHours.toFixed(2));
-  sheet.getRange(3, 1).setValue('Records:');
-  sheet.getRange(3, 2).setValue(data.length);
-  
-  // Data section
-  if (data.length > 0) {
-    const headers = ['Date', 'Guard', 'Site', 'OT Hours', 'Rate', 'Status', 'Approved By'];
-    sheet.getRange(5, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
-    
-    const rows = data.map(ot => [
-      ot.Date,
-      ot.GuardID,
-      ot.SiteID,
-      ot.OTHours,
-      ot.Rate || '1.5x',
-      ot.Status,
-      ot.ApprovedBy || ''
-    ]);
-    sheet.getRange(6, 1, rows.length, headers.length).setValues(rows);
+function exportOTReport_(userId, period, format = 'sheet') {
+  const denied = requirePermission_('overtime.export');
+  if (denied) return denied;
+
+  try {
+    if (!userId) return { success: false, message: 'Login required.' };
+    period = String(period || '').trim();
+    if (!isValidPayPeriod_(period)) return { success: false, message: 'Pay period must be yyyy-MM.' };
+
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+    const range = getPayPeriodRange_(period);
+    const rows = readOvertimeRows_(ss, range.start, range.end);
+
+    // Payroll must not be paid on a partial month
+    const pending = rows.filter(r => r.status === STATUS.overtime.PENDING).length;
+    if (pending > 0) {
+      return { success: false, message: pending + ' overtime record(s) in ' + period + ' are still pending - approve or reject them first.' };
+    }
+
+    const approved = rows.filter(r => r.status === STATUS.overtime.APPROVED);
+    if (!approved.length) return { success: false, message: 'No approved overtime in ' + period + '.' };
+
+    const tierColumn = {};
+    tierColumn[OT_RATE_TIERS.NORMAL] = 'OT_NORMAL_HRS';
+    tierColumn[OT_RATE_TIERS.WEEKEND] = 'OT_WEEKEND_HRS';
+    tierColumn[OT_RATE_TIERS.NIGHT] = 'OT_NIGHT_HRS';
+    tierColumn[OT_RATE_TIERS.HOLIDAY] = 'OT_HOLIDAY_HRS';
+
+    const guardNames = getGeofenceGuardNames_(ss);
+    const byGuard = {};
+    approved.forEach(r => {
+      if (!byGuard[r.guardId]) {
+        byGuard[r.guardId] = {
+          PAY_PERIOD: period, EMP_ID: r.guardId, EMPLOYEE_NAME: guardNames[r.guardId] || '',
+          OT_NORMAL_HRS: 0, OT_WEEKEND_HRS: 0, OT_NIGHT_HRS: 0, OT_HOLIDAY_HRS: 0,
+          OT_TOTAL_HRS: 0, OT_WEIGHTED_HRS: 0, RECORD_COUNT: 0
+        };
+      }
+      const line = byGuard[r.guardId];
+      line[tierColumn[r.rateTier] || 'OT_NORMAL_HRS'] += r.otHrs;
+      line.OT_TOTAL_HRS += r.otHrs;
+      line.OT_WEIGHTED_HRS += r.otHrs * r.rate;
+      line.RECORD_COUNT++;
+    });
+
+    const round = n => Math.round(n * 100) / 100;
+    const lines = Object.keys(byGuard).sort().map(id => PAYROLL_OT_COLUMNS.map(c =>
+      typeof byGuard[id][c] === 'number' && c !== 'RECORD_COUNT' ? round(byGuard[id][c]) : byGuard[id][c]
+    ));
+    const approvedHours = round(approved.reduce((sum, r) => sum + r.otHrs, 0));
+    const fileName = 'VKS_Payroll_OT_' + period;
+
+    let result;
+    if (format === 'csv') {
+      const csv = [PAYROLL_OT_COLUMNS].concat(lines).map(line => line.map(toCSVValue_).join(',')).join('\n') + '\n';
+      result = { success: true, fileName: fileName + '.csv', content: csv };
+    } else {
+      const out = SpreadsheetApp.create(fileName);
+      const sheet = out.getActiveSheet();
+      sheet.getRange(1, 1, 1, PAYROLL_OT_COLUMNS.length).setValues([PAYROLL_OT_COLUMNS]).setFontWeight('bold');
+      // EMP_ID stays text so leading zeros survive
+      sheet.getRange(2, 2, lines.length, 1).setNumberFormat('@');
+      sheet.getRange(2, 1, lines.length, PAYROLL_OT_COLUMNS.length).setValues(lines);
+      result = { success: true, url: out.getUrl() };
+    }
+
+    lockPayPeriod_(ss, period, userId, { approvedHours: approvedHours, recordCount: approved.length });
+    logActivity_(userId, 'EXPORT', 'Overtime', 'Pay period: ' + period,
+      `Payroll OT export (${format === 'csv' ? 'CSV' : 'Sheet'}): ${lines.length} guards, ${approvedHours} h - period locked`);
+    return result;
+  } catch (e) {
+    Logger.log('Error in exportOTReport: ' + e.message);
+    return { success: false, message: e.message };
   }
-  
-  logActivity('EXPORT', 'OT Report: ' + period);
-  return ss.getUrl();
 }
 
 /**
@@ -131,8 +170,8 @@ function exportOTReport(period, filters = {}) {
  * @param {object} filters - Date, site, guard filters
  * @returns {string} Sheet URL
  */
-function exportActivity(filters) {
-  return exportToSheet('activity', filters);
+function exportActivity_(filters) {
+  return exportToSheet_('activity', filters);
 }
 
 /**
@@ -141,7 +180,7 @@ function exportActivity(filters) {
  * @param {number} size - Size in pixels
  * @returns {string} Base64 image data
  */
-function generateQRCode(content, size = 200) {
+function generateQRCode_(content, size = 200) {
   const url = 'https://api.qrserver.com/v1/create-qr-code/?size=' + size + 'x' + size + '&data=' + encodeURIComponent(content);
   const response = UrlFetchApp.fetch(url);
   const blob = response.getBlob();
@@ -154,8 +193,10 @@ function generateQRCode(content, size = 200) {
  * @param {string} layout - Layout type (3x3, 2x3, 2x2)
  * @returns {string} PDF URL or base64
  */
-function printQRSheet(checkpointIds, layout = '2x3') {
-  const checkpoints = checkpointIds.map(id => getById('checkpoints', id)).filter(cp => cp);
+function printQRSheet_(checkpointIds, layout = '2x3') {
+  // Signed content comes from getCheckpointsBySite; revoked checkpoints have none and are skipped
+  const checkpoints = getCheckpointsBySite_('all-locations')
+    .filter(cp => checkpointIds.indexOf(cp.id) > -1 && cp.qrContent);
   
   if (!checkpoints.length) {
     throw new Error('No checkpoints found');
@@ -185,12 +226,11 @@ function printQRSheet(checkpointIds, layout = '2x3') {
   
   html += '<div class="qr-container">';
   checkpoints.forEach(cp => {
-    const content = 'VKS-CP-' + cp.SiteID + '-' + cp.ID;
-    const qrImage = generateQRCode(content, 200);
+    const qrImage = generateQRCode_(cp.qrContent, 200);
     html += '<div class="qr-item">';
     html += '<img src="' + qrImage + '" alt="QR">';
-    html += '<div class="qr-name">' + cp.Name + '</div>';
-    html += '<div class="qr-site">' + cp.SiteID + '</div>';
+    html += '<div class="qr-name">' + cp.name + '</div>';
+    html += '<div class="qr-site">' + cp.siteName + '</div>';
     html += '</div>';
   });
   html += '</div></body></html>';
@@ -204,8 +244,8 @@ function printQRSheet(checkpointIds, layout = '2x3') {
  * @param {string} siteId - Site ID
  * @returns {string} Download URL
  */
-function downloadQRBundle(siteId) {
-  const checkpoints = getData('checkpoints', { site: siteId });
+function downloadQRBundle_(siteId) {
+  const checkpoints = getCheckpointsBySite_(siteId).filter(cp => cp.qrContent);
   
   if (!checkpoints.length) {
     throw new Error('No checkpoints found for this site');
@@ -217,17 +257,24 @@ function downloadQRBundle(siteId) {
   
   // Generate and save each QR code
   checkpoints.forEach(cp => {
-    const content = 'VKS-CP-' + cp.SiteID + '-' + cp.ID;
-    const url = 'https://api.qrserver.com/v1/create-qr-code/?size=500x500&data=' + encodeURIComponent(content);
+    const url = 'https://api.qrserver.com/v1/create-qr-code/?size=500x500&data=' + encodeURIComponent(cp.qrContent);
     const response = UrlFetchApp.fetch(url);
-    const blob = response.getBlob().setName(cp.Name.replace(/[^a-zA-Z0-9]/g, '_') + '.png');
+    const blob = response.getBlob().setName(cp.name.replace(/[^a-zA-Z0-9]/g, '_') + '.png');
     folder.createFile(blob);
   });
   
-  logActivity('EXPORT', 'QR Bundle for site: ' + siteId);
+  logActivity_(getAuditUserId_(), 'EXPORT', 'QR Generator', 'Site: ' + siteId, 'QR bundle exported');
   return folder.getUrl();
 }
 
+/**
+ * Quote a CSV value when it contains a comma, quote or newline
+ */
+function toCSVValue_(val) {
+  val = String(val === undefined || val === null ? '' : val).replace(/"/g, '""');
+  return /[",\n]/.test(val) ? '"' + val + '"' : val;
+}
+
 // Helper function
 function formatDateForFile(date) {
   return Utilities.formatDate(date, 'GMT+7', 'yyyyMMdd_HHmm');
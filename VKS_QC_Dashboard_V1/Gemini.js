@@ -21,7 +21,7 @@
  * @param {Object} options - { temperature, maxTokens }
  * @returns {string|null}
  */
-function callGemini(prompt, options) {
+function callGemini_(prompt, options) {
     options = options || {};
     var temperature = options.temperature || 0.7;
     var maxTokens = options.maxTokens || 2048;
@@ -111,7 +111,7 @@ var INSIGHT_SCHEMA_INSTRUCTIONS = ''
  * Designed for time trigger at 06:00 AM
  * @returns {Object} { success, insights[], references{} }
  */
-function generateDailyBriefing() {
+function generateDailyBriefing_() {
     try {
         var ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
         var yesterday = new Date();
@@ -187,7 +187,7 @@ function generateDailyBriefing() {
                     var sev = (incData[j][iH.indexOf('severity')] || '').toString().toLowerCase();
                     if (sev === 'critical' || sev === 'high') incStats.critical++;
                     var incSt = (incData[j][iH.indexOf('status')] || '').toString().toLowerCase();
-                    if (incSt === 'completed' || incSt === 'resolved') incStats.resolved++;
+                    if (!isCaseOpen_(incSt)) incStats.resolved++;
                     var cat = (incData[j][iH.indexOf('category')] || 'Other').toString();
                     incStats.categories[cat] = (incStats.categories[cat] || 0) + 1;
 
@@ -231,7 +231,7 @@ function generateDailyBriefing() {
                 if (cmpStr === yesterdayStr) {
                     cmpStats.total++;
                     var cmpSt = (cmpData[k][cH.indexOf('status')] || '').toString().toLowerCase();
-                    if (cmpSt === 'completed' || cmpSt === 'resolved') cmpStats.resolved++;
+                    if (!isCaseOpen_(cmpSt)) cmpStats.resolved++;
                 }
             }
         }
@@ -306,7 +306,7 @@ function generateDailyBriefing() {
             + (refKeysList || 'None') + '\n\n'
             + INSIGHT_SCHEMA_INSTRUCTIONS;
 
-        var aiText = callGemini(prompt, { temperature: 0.5, maxTokens: 1500 });
+        var aiText = callGemini_(prompt, { temperature: 0.5, maxTokens: 1500 });
         var insights = parseGeminiJSON_(aiText);
 
         if (!insights || !Array.isArray(insights)) {
@@ -337,7 +337,7 @@ function generateDailyBriefing() {
  * @param {string} topic - 'patrols' | 'inspections' | 'incidents' | 'sites'
  * @returns {Object} { success, insights[], references{} }
  */
-function analyzePerformanceTopic(topic) {
+function analyzePerformanceTopic_(topic) {
     try {
         if (!topic) return { success: false, error: 'No topic provided' };
 
@@ -571,7 +571,7 @@ function analyzePerformanceTopic(topic) {
             + (refKeysList || 'None') + '\n\n'
             + INSIGHT_SCHEMA_INSTRUCTIONS;
 
-        var aiText = callGemini(prompt, { temperature: 0.5, maxTokens: 1500 });
+        var aiText = callGemini_(prompt, { temperature: 0.5, maxTokens: 1500 });
         var insights = parseGeminiJSON_(aiText);
 
         if (!insights || !Array.isArray(insights)) {
@@ -602,7 +602,7 @@ function analyzePerformanceTopic(topic) {
  * Designed for time trigger on Monday 07:00 AM
  * @returns {Object} { success, insights[], references{} }
  */
-function generateWeeklyPatterns() {
+function generateWeeklyPatterns_() {
     try {
         var ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
         var today = new Date();
@@ -697,7 +697,7 @@ function generateWeeklyPatterns() {
             + 'FOCUS ON: recurring locations, time-of-day patterns, category trends, escalating severity.\n\n'
             + INSIGHT_SCHEMA_INSTRUCTIONS;
 
-        var aiText = callGemini(prompt, { temperature: 0.4, maxTokens: 1500 });
+        var aiText = callGemini_(prompt, { temperature: 0.4, maxTokens: 1500 });
         var insights = parseGeminiJSON_(aiText);
 
         if (!insights || !Array.isArray(insights)) {
@@ -753,7 +753,7 @@ function saveBriefing_(type, date, content, rawData) {
  * Get latest daily briefing (structured)
  * @returns {Object|null} { success, insights[], references{}, date }
  */
-function getAIBriefing() {
+function getAIBriefing_() {
     try {
         var ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
         var sheet = ss.getSheetByName('AI_Briefings');
@@ -795,7 +795,7 @@ function getAIBriefing() {
  * Get latest risk patterns (structured)
  * @returns {Object|null} { success, insights[], references{} }
  */
-function getAIPatternAnalysis() {
+function getAIPatternAnalysis_() {
     try {
         var ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
         var sheet = ss.getSheetByName('AI_Briefings');
@@ -829,18 +829,23 @@ function getAIPatternAnalysis() {
 /**
  * Manual regeneration triggers (called from frontend)
  */
-function regenerateDailyBriefing() {
-    return generateDailyBriefing();
+function regenerateDailyBriefing_() {
+    var denied = requirePermission_('ai.edit');
+    if (denied) return denied;
+    return generateDailyBriefing_();
 }
 
-function regenerateWeeklyPatterns() {
-    return generateWeeklyPatterns();
+function regenerateWeeklyPatterns_() {
+    var denied = requirePermission_('ai.edit');
+    if (denied) return denied;
+    return generateWeeklyPatterns_();
 }
 
 /**
  * Diagnostic: Test Gemini API connectivity
  */
 function testGeminiConnection() {
+    requireScriptOwner_();
     Logger.log('=== Gemini API Test ===');
     Logger.log('Model: ' + GEMINI_MODEL);
     try {
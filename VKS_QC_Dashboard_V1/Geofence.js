@@ -0,0 +1,346 @@
+/**
+ * Geofence.js - Geofence Exceptions & Supervisor Override
+ *
+ * Features:
+ * - Per-site fence settings on the Sites tab (radius or polygon, policy per scan type)
+ * - Review queue for GEO_VIOLATION scans written by the Stationary Guard App
+ * - Approve (scan counts as its original CHECKIN/PATROL/CHECKOUT) or reject (stays excluded)
+ * - Inspector proof of presence: the Patrol app checks each visit's start / finish GPS fixes against the same
+ *   fence and stores the flag in InspectionLogs (presence); only on-site counts as a verified visit
+ */
+
+// ===========================================
+// CONFIG
+// ===========================================
+
+// Sites columns owned by the geofence feature (added on first save)
+const GEOFENCE_SITE_COLUMNS = ['geofenceRadius', 'geofencePolygon', 'geofenceCheckin', 'geofencePatrol', 'geofenceCheckout'];
+
+// Scans columns written by the Guard App / this review queue
+const GEOFENCE_SCAN_COLUMNS = ['geoIntent', 'geoCheck', 'geoDistance', 'geoRadius', 'geoReason', 'geoReview', 'geoReviewedBy', 'geoReviewedAt', 'geoReviewNote'];
+
+const GEOFENCE_POLICIES = ['off', 'review', 'block'];
+
+// InspectionLogs presence flags written by the Patrol app (processForm), best first
+const PRESENCE_FLAGS = ['on-site', 'near', 'off-site', 'no-fix', 'no-site-location'];
+
+/**
+ * Normalize geofence settings coming from the Sites modal
+ * @param {Object} config - {geofenceRadius, geofencePolygon, geofenceCheckin, geofencePatrol, geofenceCheckout}
+ * @returns {Object} Values ready to write to the Sites tab
+ */
+function normalizeGeofenceConfig_(config) {
+  const policy = (val) => {
+    const p = String(val || '').trim().toLowerCase();
+    return GEOFENCE_POLICIES.indexOf(p) > -1 ? p : 'review';
+  };
+
+  let polygon = '';
+  if (config.geofencePolygon) {
+    let points;
+    try {
+      points = typeof config.geofencePolygon === 'string' ? JSON.parse(config.geofencePolygon) : config.geofencePolygon;
+    } catch (e) {
+      throw new Error('Geofence polygon must be a JSON list of [lat, lng] points');
+    }
+    if (!Array.isArray(points) || points.length < 3 || points.some(p => !Array.isArray(p) || isNaN(parseFloat(p[0])) || isNaN(parseFloat(p[1])))) {
+      throw new Error('Geofence polygon needs at least 3 [lat, lng] points');
+    }
+    polygon = JSON.stringify(points.map(p => [parseFloat(p[0]), parseFloat(p[1])]));
+  }
+
+  const radius = parseInt(config.geofenceRadius);
+  return {
+    geofenceRadius: radius > 0 ? radius : '',
+    geofencePolygon: polygon,
+    geofenceCheckin: policy(config.geofenceCheckin),
+    geofencePatrol: policy(config.geofencePatrol),
+    geofenceCheckout: policy(config.geofenceCheckout)
+  };
+}
+
+// ===========================================
+// REVIEW QUEUE
+// ===========================================
+
+/**
+ * Get geofence exceptions (scans saved outside the site fence)
+ * @param {Object} filters - {review: 'pending'|'approved'|'rejected'|'', siteId, startDate, endDate}
+ * @returns {Object} {success, items, stats}
+ */
+function getGeofenceExceptions_(filters) {
+  try {
+    filters = filters || {};
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+    const sheet = ss.getSheetByName(SHEET_SCANS);
+    if (!sheet || sheet.getLastRow() < 2) {
+      return { success: true, items: [], stats: { pending: 0, approved: 0, rejected: 0 } };
+    }
+
+    const data = sheet.getDataRange().getValues();
+    const headers = data[0];
+    const idx = {
+      id: getCIIndex(headers, ['id']),
+      ts: getCIIndex(headers, ['timestamp']),
+      guardId: getCIIndex(headers, ['guardId']),
+      siteId: getCIIndex(headers, ['siteId']),
+      checkpointId: getCIIndex(headers, ['checkpointId']),
+      lat: getCIIndex(headers, ['lat']),
+      lng: getCIIndex(headers, ['lng']),
+      accuracy: getCIIndex(headers, ['accuracy']),
+      status: getCIIndex(headers, ['status']),
+      round: getCIIndex(headers, ['round']),
+      intent: getCIIndex(headers, ['geoIntent']),
+      check: getCIIndex(headers, ['geoCheck']),
+      distance: getCIIndex(headers, ['geoDistance']),
+      radius: getCIIndex(headers, ['geoRadius']),
+      reason: getCIIndex(headers, ['geoReason']),
+      review: getCIIndex(headers, ['geoReview']),
+      reviewedBy: getCIIndex(headers, ['geoReviewedBy']),
+      reviewedAt: getCIIndex(headers, ['geoReviewedAt']),
+      reviewNote: getCIIndex(headers, ['geoReviewNote'])
+    };
+
+    // No exception has ever been written
+    if (idx.intent === -1) {
+      return { success: true, items: [], stats: { pending: 0, approved: 0, rejected: 0 } };
+    }
+
+    const cell = (row, key) => idx[key] !== -1 ? row[idx[key]] : '';
+    const siteNames = getGeofenceSiteNames_(ss);
+    const guardNames = getGeofenceGuardNames_(ss);
+    const stats = { pending: 0, approved: 0, rejected: 0 };
+    const items = [];
+
+    for (let i = data.length - 1; i >= 1; i--) {
+      const row = data[i];
+      const intent = String(cell(row, 'intent') || '').trim();
+      if (!intent) continue;
+
+      const review = String(cell(row, 'review') || 'pending').toLowerCase();
+      const siteId = String(cell(row, 'siteId') || '').trim();
+      const ts = cell(row, 'ts');
+      const tsDate = ts instanceof Date ? ts : new Date(ts);
+      const dateStr = isNaN(tsDate) ? '' : Utilities.formatDate(tsDate, 'Asia/Vientiane', 'yyyy-MM-dd');
+
+      if (filters.siteId && siteId !== filters.siteId) continue;
+      if (!isInCallerScope_([siteId, siteNames[siteId.toUpperCase()]])) continue;
+      if (filters.startDate && dateStr && dateStr < filters.startDate) continue;
+      if (filters.endDate && dateStr && dateStr > filters.endDate) continue;
+
+      if (stats[review] !== undefined) stats[review]++;
+      if (filters.review && review !== filters.review) continue;
+
+      const guardId = String(cell(row, 'guardId') || '').trim();
+      const reviewedAt = cell(row, 'reviewedAt');
+
+      items.push({
+        id: String(cell(row, 'id') || ''),
+        timestamp: isNaN(tsDate) ? String(ts) : tsDate.toISOString(),
+        guardId: guardId,
+        guardName: guardNames[guardId] || guardId,
+        siteId: siteId,
+        siteName: siteNames[siteId.toUpperCase()] || siteId,
+        checkpointId: String(cell(row, 'checkpointId') || ''),
+        round: String(cell(row, 'round') || ''),
+        lat: cell(row, 'lat'),
+        lng: cell(row, 'lng'),
+        accuracy: cell(row, 'accuracy'),
+        scanType: intent,
+        check: String(cell(row, 'check') || 'OUTSIDE_FENCE'),
+        distance: cell(row, 'distance'),
+        radius: cell(row, 'radius'),
+        reason: String(cell(row, 'reason') || ''),
+        review: review,
+        reviewedBy: String(cell(row, 'reviewedBy') || ''),
+        reviewedAt: reviewedAt instanceof Date ? reviewedAt.toISOString() : String(reviewedAt || ''),
+        reviewNote: String(cell(row, 'reviewNote') || '')
+      });
+
+      if (items.length >= 500) break;
+    }
+
+    return JSON.parse(JSON.stringify({ success: true, items: items, stats: stats }));
+  } catch (e) {
+    Logger.log('Error in getGeofenceExceptions: ' + e.message);
+    return { success: false, message: e.message, items: [], stats: { pending: 0, approved: 0, rejected: 0 } };
+  }
+}
+
+/**
+ * Approve or reject a geofence exception
+ * Approve restores the scan's original status so it counts toward patrol/attendance.
+ * @param {string} userId - Reviewer (VKS_Users ID)
+ * @param {string} scanId - Scans row ID
+ * @param {string} decision - 'approved' | 'rejected'
+ * @param {string} note - Reviewer note (required when rejecting)
+ */
+function reviewGeofenceException_(userId, scanId, decision, note) {
+  const denied = requirePermission_('geofence.edit');
+  if (denied) return denied;
+
+  try {
+    if (!userId) return { success: false, message: 'Login required.' };
+    if (decision !== STATUS.geofence.APPROVED && decision !== STATUS.geofence.REJECTED) {
+      return { success: false, message: 'Invalid decision: ' + decision };
+    }
+    if (decision === STATUS.geofence.REJECTED && !String(note || '').trim()) {
+      return { success: false, message: 'A note is required when rejecting.' };
+    }
+
+    let scan = null;
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+      const sheet = ss.getSheetByName(SHEET_SCANS);
+      const headers = ensureSheetColumns_(sheet, GEOFENCE_SCAN_COLUMNS);
+      const data = sheet.getDataRange().getValues();
+
+      const idCol = getCIIndex(headers, ['id']);
+      const statusCol = getCIIndex(headers, ['status']);
+      const intentCol = getCIIndex(headers, ['geoIntent']);
+      const reviewCol = getCIIndex(headers, ['geoReview']);
+
+      const rowIndex = data.findIndex((row, i) => i > 0 && String(row[idCol]) === String(scanId));
+      if (rowIndex === -1) return { success: false, message: 'Scan not found: ' + scanId };
+
+      const row = data[rowIndex];
+      const current = String(row[reviewCol] || 'pending').toLowerCase();
+      if (current !== STATUS.geofence.PENDING) {
+        return { success: false, message: 'Already ' + current + '.' };
+      }
+
+      // The shift's patrol rounds are re-evaluated below, once the decision is on the sheet
+      const scannedAt = row[getCIIndex(headers, ['timestamp'])];
+      scan = {
+        guardId: String(row[getCIIndex(headers, ['guardId'])] || ''),
+        siteId: String(row[getCIIndex(headers, ['siteId'])] || ''),
+        at: scannedAt instanceof Date ? scannedAt : new Date(scannedAt)
+      };
+
+      const reviewerName = getAuthUserName_(userId) || userId;
+      const updates = {
+        status: decision === STATUS.geofence.APPROVED ? String(row[intentCol] || '') : STATUS.scan.GEO_VIOLATION,
+        geoReview: decision,
+        geoReviewedBy: reviewerName,
+        geoReviewedAt: new Date().toISOString(),
+        geoReviewNote: String(note || '').trim()
+      };
+
+      const rowNum = rowIndex + 1;
+      Object.keys(updates).forEach(key => {
+        const col = key === 'status' ? statusCol : getCIIndex(headers, [key]);
+        if (col !== -1) sheet.getRange(rowNum, col + 1).setValue(updates[key]);
+      });
+    } finally {
+      lock.releaseLock();
+    }
+
+    // Rounds written while the scan was pending counted it; a rejection must stop counting it
+    try {
+      refreshPatrolRoundsForScan_(scan.guardId, scan.siteId, scan.at);
+    } catch (refreshErr) {
+      Logger.log('reviewGeofenceException: patrol round refresh failed: ' + refreshErr.message);
+    }
+
+    setUpdateSignal_('scan');
+    logActivity_(userId, 'UPDATE', 'Geofence Review', 'Scan: ' + scanId,
+      'Geofence exception ' + decision + (note ? ' - ' + note : ''));
+
+    return { success: true };
+  } catch (e) {
+    Logger.log('Error in reviewGeofenceException: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+// ===========================================
+// INSPECTOR PRESENCE
+// ===========================================
+
+/**
+ * Proof of presence of one inspection (InspectionLogs record keyed by COLUMNS.inspectionLogs names)
+ * @returns {Object|null} {flag, verified, distance, start, finish} (fixes {lat, lng, accuracy, at} or null),
+ *   null for inspections logged before the presence check
+ */
+function readInspectionPresence_(record) {
+  const flag = String(record.presence || '').trim().toLowerCase();
+  if (PRESENCE_FLAGS.indexOf(flag) === -1) return null;
+
+  const fix = value => {
+    try {
+      return value ? JSON.parse(value) : null;
+    } catch (e) {
+      return null;
+    }
+  };
+  const distance = parseFloat(record.presenceDistance);
+  return {
+    flag: flag,
+    verified: flag === 'on-site',
+    distance: isNaN(distance) ? null : distance,
+    start: fix(record.gpsStart),
+    finish: fix(record.gpsFinish)
+  };
+}
+
+/**
+ * Whether an InspectionLogs presence flag lets the visit count: on-site, or nothing to check it against
+ * (blank = logged before the presence check, no-site-location = the site has no lat/lng or fence)
+ */
+function isPresenceAccepted_(flag) {
+  const value = String(flag || '').trim().toLowerCase();
+  return !value || value === 'on-site' || value === 'no-site-location';
+}
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Sites lookup keyed by upper-case code AND id (Scans store the site code)
+ */
+function getGeofenceSiteNames_(ss) {
+  const sheet = ss.getSheetByName(SHEET_SITES);
+  const lookup = {};
+  if (!sheet || sheet.getLastRow() < 2) return lookup;
+
+  const data = sheet.getDataRange().getValues();
+  const h = data[0];
+  const idCol = getCIIndex(h, ['id']);
+  const codeCol = getCIIndex(h, ['code', 'site code']);
+  const nameCol = getCIIndex(h, ['nameEN', 'name_en', 'site name']);
+
+  data.slice(1).forEach(row => {
+    const name = nameCol !== -1 ? String(row[nameCol] || '').trim() : '';
+    if (!name) return;
+    if (idCol !== -1 && row[idCol]) lookup[String(row[idCol]).trim().toUpperCase()] = name;
+    if (codeCol !== -1 && row[codeCol]) lookup[String(row[codeCol]).trim().toUpperCase()] = name;
+  });
+  return lookup;
+}
+
+/**
+ * Guards lookup keyed by empId (Scans store the employee ID)
+ */
+function getGeofenceGuardNames_(ss) {
+  const sheet = ss.getSheetByName(SHEET_GUARDS);
+  const lookup = {};
+  if (!sheet || sheet.getLastRow() < 2) return lookup;
+
+  const data = sheet.getDataRange().getValues();
+  const h = data[0];
+  const empCol = getCIIndex(h, ['empId']);
+  const nameCol = getCIIndex(h, ['name']);
+  const surnameCol = getCIIndex(h, ['surname']);
+  if (empCol === -1 || nameCol === -1) return lookup;
+
+  data.slice(1).forEach(row => {
+    const empId = String(row[empCol] || '').trim();
+    if (empId) {
+      lookup[empId] = (String(row[nameCol] || '') + ' ' + (surnameCol !== -1 ? String(row[surnameCol] || '') : '')).trim();
+    }
+  });
+  return lookup;
+}
@@ -2,6 +2,8 @@
  * Guards.gs - Guard management backend
  * 
  * CRUD operations for guards.
+ * Guard App sign-in: PIN / device binding reset and the enrollment approval queue
+ * (the Guard App side is Identity.gs).
  */
 
 /**
@@ -9,7 +11,7 @@
  * @param {Object} filters - Filter options
  * @returns {Array} Guard objects
  */
-function getGuards(filters) {
+function getGuards_(filters) {
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     const sheet = ss.getSheetByName(SHEET_GUARDS);
@@ -28,7 +30,7 @@ function getGuards(filters) {
       headers.forEach((header, i) => {
         guard[header] = row[i];
       });
-      return guard;
+      return toGuardIdentityView_(guard);
     });
 
     // 2. [NEW] DYNAMIC OVERRIDE: Check for Active Scans
@@ -103,6 +105,9 @@ function getGuards(filters) {
       // Continue with static data on error
     }
     
+    // Site scope of the caller (Permissions.gs), on the live site
+    guards = guards.filter(g => isInCallerScope_(g.siteId));
+
     // Apply filters
     if (filters) {
       if (filters.siteId) {
@@ -132,7 +137,7 @@ function getGuards(filters) {
  * @param {string} guardId - Guard ID
  * @returns {Object} Guard object with full details
  */
-function getGuardDetail(guardId) {
+function getGuardDetail_(guardId) {
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     const sheet = ss.getSheetByName(SHEET_GUARDS);
@@ -157,6 +162,7 @@ function getGuardDetail(guardId) {
     headers.forEach((header, i) => {
       guard[header] = row[i];
     });
+    toGuardIdentityView_(guard);
     
     // Get assigned site info
     if (guard.siteId) {
@@ -184,7 +190,10 @@ function getGuardDetail(guardId) {
  * @param {Object} data - Guard data
  * @returns {Object} Result with success status
  */
-function saveGuard(data) {
+function saveGuard_(data) {
+  const denied = requirePermission_('guards.edit');
+  if (denied) return denied;
+
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     const sheet = ss.getSheetByName(SHEET_GUARDS);
@@ -203,15 +212,19 @@ function saveGuard(data) {
       }
       
       headers.forEach((header, colIndex) => {
-        if (data.hasOwnProperty(header) && header !== 'id' && header !== 'createdAt') {
+        // Sign-in columns only change through the Guard App or resetGuardIdentity
+        if (data.hasOwnProperty(header) && header !== 'id' && header !== 'createdAt' &&
+            GUARD_IDENTITY_COLUMNS.indexOf(header) === -1) {
           sheet.getRange(rowIndex + 1, colIndex + 1).setValue(data[header]);
         }
       });
       sheet.getRange(rowIndex + 1, headers.indexOf('updatedAt') + 1).setValue(now);
+      logAudit_(AUDIT_ACTIONS.UPDATE, AUDIT_ENTITIES.GUARDS, data.id,
+        toAuditRecord_(headers, allData[rowIndex]), readAuditRecord_(sheet, rowIndex + 1));
       
       // Modernization: Invalidate cache and trigger signal
       CacheService.getScriptCache().remove('vks_guard_options');
-      if (typeof setUpdateSignal === 'function') setUpdateSignal('guards');
+      if (typeof setUpdateSignal_ === 'function') setUpdateSignal_('guards');
       
       return { success: true, id: data.id };
     } else {
@@ -228,10 +241,11 @@ function saveGuard(data) {
       });
       
       sheet.appendRow(newRow);
+      logAudit_(AUDIT_ACTIONS.CREATE, AUDIT_ENTITIES.GUARDS, newId, null, toAuditRecord_(headers, newRow));
       
       // Modernization: Invalidate cache and trigger signal
       CacheService.getScriptCache().remove('vks_guard_options');
-      if (typeof setUpdateSignal === 'function') setUpdateSignal('guards');
+      if (typeof setUpdateSignal_ === 'function') setUpdateSignal_('guards');
       
       return { success: true, id: newId };
     }
@@ -247,7 +261,7 @@ function saveGuard(data) {
  * @param {string} status - New status
  * @returns {Object} Result
  */
-function updateGuardStatus(guardId, status) {
+function updateGuardStatus_(guardId, status) {
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     const sheet = ss.getSheetByName(SHEET_GUARDS);
@@ -265,10 +279,12 @@ function updateGuardStatus(guardId, status) {
     
     sheet.getRange(rowIndex + 1, statusCol).setValue(status);
     sheet.getRange(rowIndex + 1, updatedCol).setValue(new Date().toISOString());
+    logAudit_(AUDIT_ACTIONS.UPDATE, AUDIT_ENTITIES.GUARDS, guardId,
+      toAuditRecord_(headers, data[rowIndex]), readAuditRecord_(sheet, rowIndex + 1));
     
     // Modernization: Invalidate cache and trigger signal
     CacheService.getScriptCache().remove('vks_guard_options');
-    if (typeof setUpdateSignal === 'function') setUpdateSignal('guards');
+    if (typeof setUpdateSignal_ === 'function') setUpdateSignal_('guards');
     
     return { success: true };
   } catch (e) {
@@ -278,15 +294,196 @@ function updateGuardStatus(guardId, status) {
 }
 
 /**
- * Get dropdown options for guard selection
- * @returns {Array} Options for dropdown
+ * Clear a guard's Guard App PIN and / or device binding (lost phone, forgotten or locked PIN).
+ * The guard sets a new PIN / binds the new phone on next sign-in.
+ * @param {string} guardId - Guard ID
+ * @param {string} what - 'pin' | 'device' | 'all'
+ * @returns {Object} {success, message}
+ */
+function resetGuardIdentity_(guardId, what) {
+  const denied = requirePermission_('guards.edit');
+  if (denied) return denied;
+
+  const cleared = {
+    pin: ['pinHash', 'pinSalt', 'pinSetAt', 'pinFailures'],
+    device: ['deviceHash', 'deviceLabel', 'deviceBoundAt']
+  };
+  const fields = what === 'all' ? cleared.pin.concat(cleared.device) : cleared[what];
+  if (!fields) return { success: false, message: 'Unknown reset type: ' + what };
+
+  try {
+    const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(SHEET_GUARDS);
+    const headers = ensureSheetColumns_(sheet, GUARD_IDENTITY_COLUMNS);
+    const data = sheet.getDataRange().getValues();
+    const rowIndex = data.findIndex((row, i) => i > 0 && String(row[0]) === String(guardId));
+    if (rowIndex === -1) return { success: false, message: 'Guard not found' };
+
+    const before = toAuditRecord_(headers, data[rowIndex]);
+    fields.forEach(field => {
+      sheet.getRange(rowIndex + 1, headers.indexOf(field) + 1).setValue('');
+    });
+    sheet.getRange(rowIndex + 1, headers.indexOf('updatedAt') + 1).setValue(new Date().toISOString());
+    logAudit_(AUDIT_ACTIONS.UPDATE, AUDIT_ENTITIES.GUARDS, guardId, before, readAuditRecord_(sheet, rowIndex + 1),
+      what === 'pin' ? 'Reset Guard App PIN' : what === 'device' ? 'Reset Guard App device binding' : 'Reset Guard App PIN and device binding');
+
+    if (typeof setUpdateSignal_ === 'function') setUpdateSignal_('guards');
+    return { success: true };
+  } catch (e) {
+    Logger.log('Error in resetGuardIdentity: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Enrollment requests from the Guard App for employee IDs not on the roster
+ * @param {string} status - Optional STATUS.enrollment filter (default pending)
+ * @returns {Object} {success, requests} newest first
+ */
+function getGuardEnrollments_(status) {
+  try {
+    const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(SHEET_GUARD_ENROLLMENTS);
+    if (!sheet || sheet.getLastRow() < 2) return { success: true, requests: [] };
+
+    const wanted = status || STATUS.enrollment.PENDING;
+    const data = sheet.getDataRange().getValues();
+    const headers = data[0];
+    const requests = data.slice(1).map(row => {
+      const request = toAuditRecord_(headers, row);
+      ['requestedAt', 'decidedAt'].forEach(key => {
+        if (request[key] instanceof Date) request[key] = request[key].toISOString();
+      });
+      return request;
+    }).filter(r => r.status === wanted).reverse();
+
+    return { success: true, requests: requests };
+  } catch (e) {
+    Logger.log('Error in getGuardEnrollments: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Approve an enrollment request: adds the guard to the roster (no PIN yet - the guard sets it,
+ * and binds the phone, on their next sign-in)
+ * @param {string} requestId - GuardEnrollments id
+ * @returns {Object} {success, guardId, message}
  */
+function approveGuardEnrollment_(requestId) {
+  const denied = requirePermission_('guards.edit');
+  if (denied) return denied;
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    const found = findGuardEnrollment_(requestId);
+    if (!found) return { success: false, message: 'Enrollment request not found' };
+    if (found.request.status !== STATUS.enrollment.PENDING) return { success: false, message: 'Request already ' + found.request.status };
+
+    // Added to the roster by hand since the request came in: just link it
+    const request = found.request;
+    const rosterData = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(SHEET_GUARDS).getDataRange().getValues();
+    const empIdx = rosterData[0].indexOf('empId');
+    const existing = rosterData.find((row, i) => i > 0 &&
+      String(row[empIdx]).trim().toUpperCase() === String(request.empId).trim().toUpperCase());
+    let guardId = existing ? String(existing[0]) : '';
+    if (!guardId) {
+      const result = saveGuard_({
+        name: request.name,
+        surname: request.surname,
+        empId: request.empId,
+        phone: request.phone,
+        status: STATUS.guard.ACTIVE
+      });
+      if (!result.success) return result;
+      guardId = result.id;
+    }
+
+    decideGuardEnrollment_(found, STATUS.enrollment.APPROVED, guardId, '');
+    return { success: true, guardId: guardId };
+  } catch (e) {
+    Logger.log('Error in approveGuardEnrollment: ' + e.message);
+    return { success: false, message: e.message };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Reject an enrollment request (typo or unknown person)
+ * @param {string} requestId - GuardEnrollments id
+ * @param {string} note - Optional reason
+ * @returns {Object} {success, message}
+ */
+function rejectGuardEnrollment_(requestId, note) {
+  const denied = requirePermission_('guards.edit');
+  if (denied) return denied;
+
+  try {
+    const found = findGuardEnrollment_(requestId);
+    if (!found) return { success: false, message: 'Enrollment request not found' };
+    if (found.request.status !== STATUS.enrollment.PENDING) return { success: false, message: 'Request already ' + found.request.status };
+
+    decideGuardEnrollment_(found, STATUS.enrollment.REJECTED, '', note || '');
+    return { success: true };
+  } catch (e) {
+    Logger.log('Error in rejectGuardEnrollment: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Row of one enrollment request
+ * @returns {Object|null} {sheet, headers, rowNumber, request}
+ */
+function findGuardEnrollment_(requestId) {
+  const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(SHEET_GUARD_ENROLLMENTS);
+  if (!sheet) return null;
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const idIdx = headers.indexOf('id');
+  const rowIndex = data.findIndex((row, i) => i > 0 && String(row[idIdx]) === String(requestId));
+  if (rowIndex === -1) return null;
+  return { sheet: sheet, headers: headers, rowNumber: rowIndex + 1, request: toAuditRecord_(headers, data[rowIndex]) };
+}
+
+function decideGuardEnrollment_(found, status, guardId, note) {
+  const values = {
+    status: status,
+    decidedBy: getAuthUserName_(getAuditUserId_()) || getAuditUserId_(),
+    decidedAt: new Date().toISOString(),
+    guardId: guardId,
+    note: note
+  };
+  const headers = ensureSheetColumns_(found.sheet, COLUMNS.guardEnrollments);
+  Object.keys(values).forEach(key => {
+    found.sheet.getRange(found.rowNumber, headers.indexOf(key) + 1).setValue(values[key]);
+  });
+  logAudit_(AUDIT_ACTIONS.UPDATE, AUDIT_ENTITIES.GUARD_ENROLLMENTS, found.request.id,
+    found.request, readAuditRecord_(found.sheet, found.rowNumber));
+}
+
+/**
+ * Replace the sign-in hashes with what the Guards page shows
+ * (pinSet / pinLocked / deviceBound; deviceLabel and deviceBoundAt stay)
+ */
+function toGuardIdentityView_(guard) {
+  guard.pinSet = !!guard.pinHash;
+  guard.pinLocked = (parseInt(guard.pinFailures, 10) || 0) >= GUARD_PIN_MAX_FAILURES;
+  guard.deviceBound = !!guard.deviceHash;
+  if (guard.deviceBoundAt instanceof Date) guard.deviceBoundAt = guard.deviceBoundAt.toISOString();
+  if (guard.pinSetAt instanceof Date) guard.pinSetAt = guard.pinSetAt.toISOString();
+  delete guard.pinHash;
+  delete guard.pinSalt;
+  delete guard.deviceHash;
+  return guard;
+}
+
 /**
  * Get dropdown options for guard selection
  * Performance: Uses CacheService for 10-minute caching.
  * @returns {Array} Options for dropdown
  */
-function getGuardOptions() {
+function getGuardOptions_() {
   const cache = CacheService.getScriptCache();
   const cacheKey = 'vks_guard_options';
   const cached = cache.get(cacheKey);
@@ -300,7 +497,7 @@ function getGuardOptions() {
   }
 
   try {
-    const guards = getGuards({ status: 'active' });
+    const guards = getGuards_({ status: 'active' });
     const opts = guards.map(g => ({
       value: g.id,
       label: g.empId + ' - ' + g.name
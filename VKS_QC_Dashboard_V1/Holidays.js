@@ -0,0 +1,444 @@
+/**
+ * Holidays.js - Lao Public Holidays & Client Special Days
+ *
+ * Features:
+ * - Holidays tab maintained from the Holidays page (admin only)
+ * - Types (HOLIDAY_TYPES): national (all sites), client (one site), special (company-wide),
+ *   each with its own OT multiplier (Settings holidayRate<Type>, or a per-row rate)
+ * - Recurring entries repeat every year on the same day and month; lunar-calendar days
+ *   (Boun That Luang, Boun Vixakha Bouxa...) move every year and are entered as one-off dates
+ * - Move rules (HOLIDAY_MOVE_RULES) shift a holiday that falls on a weekend to its observed weekday
+ * - getHolidayFor_ drives calculateOTRate, the attendance board and the overtime export
+ */
+
+// ===========================================
+// CONFIG
+// ===========================================
+
+// Fixed-date Lao public holidays (seeded by seedLaoNationalHolidays as recurring entries)
+const LAO_NATIONAL_HOLIDAYS = [
+  { name: "International New Year's Day", nameLO: 'ວັນປີໃໝ່ສາກົນ', monthDay: '01-01' },
+  { name: "International Women's Day", nameLO: 'ວັນແມ່ຍິງສາກົນ', monthDay: '03-08' },
+  { name: 'Lao New Year (Pi Mai)', nameLO: 'ບຸນປີໃໝ່ລາວ', monthDay: '04-14' },
+  { name: 'Lao New Year (Pi Mai)', nameLO: 'ບຸນປີໃໝ່ລາວ', monthDay: '04-15' },
+  { name: 'Lao New Year (Pi Mai)', nameLO: 'ບຸນປີໃໝ່ລາວ', monthDay: '04-16' },
+  { name: 'International Labour Day', nameLO: 'ວັນກຳມະກອນສາກົນ', monthDay: '05-01' },
+  { name: 'Lao National Day', nameLO: 'ວັນຊາດ', monthDay: '12-02' }
+];
+
+// Per-execution caches (a payroll run asks for the same years many times)
+let HOLIDAY_ROWS_CACHE_ = null;
+let HOLIDAY_YEAR_CACHE_ = {};
+
+// ===========================================
+// API
+// ===========================================
+
+/**
+ * Holidays observed in a year (inactive entries listed on their own date), plus the multiplier per type
+ * @param {number} year - Defaults to the current year
+ * @returns {Object} {success, year, holidays, rates}
+ */
+function getHolidays_(year) {
+  try {
+    const y = parseInt(year) || parseInt(Utilities.formatDate(new Date(), 'Asia/Vientiane', 'yyyy'));
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+    const siteNames = getGeofenceSiteNames_(ss);
+
+    const inactive = readHolidayRows_()
+      .filter(h => !h.active && (h.recurring || h.date.substring(0, 4) === String(y)))
+      .map(h => Object.assign({}, h, {
+        rateOverride: h.rate, rate: h.rate || getHolidayTypeRates_()[h.type] || 1.5,
+        date: y + h.date.substring(4), originalDate: y + h.date.substring(4), baseDate: h.date, moved: false
+      }));
+
+    const holidays = getHolidayOccurrences_(y).concat(inactive)
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(h => Object.assign({}, h, {
+        siteName: h.siteId ? (siteNames[h.siteId.toUpperCase()] || h.siteId) : ''
+      }));
+
+    return { success: true, year: y, holidays: holidays, rates: getHolidayTypeRates_() };
+  } catch (e) {
+    Logger.log('Error in getHolidays: ' + e.message);
+    return { success: false, message: e.message, holidays: [] };
+  }
+}
+
+/**
+ * Create or update a holiday (admin only)
+ * @param {Object} data - {id?, name, nameLO, date (yyyy-MM-dd), type, recurring, moveRule, siteId, rate, active, notes}
+ */
+function saveHoliday_(userId, data) {
+  const denied = requirePermission_('holidays.admin');
+  if (denied) return denied;
+
+  try {
+    if (!isAdmin_(userId)) return { success: false, message: 'Unauthorized. Admin access required.' };
+
+    const record = normalizeHoliday_(data || {});
+    if (!record.name) return { success: false, message: 'Holiday name is required.' };
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(record.date)) return { success: false, message: 'Date must be yyyy-MM-dd.' };
+    if (!HOLIDAY_TYPES[record.type]) return { success: false, message: 'Invalid holiday type: ' + record.type };
+    if (record.type === 'client' && !record.siteId) return { success: false, message: 'A client special day needs a site.' };
+    if (record.rate !== '' && !(record.rate >= 1)) return { success: false, message: 'Rate must be 1.0 or more.' };
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    let isNew = false;
+    let before = null;
+    let after = null;
+    try {
+      const sheet = getHolidaySheet_();
+      const headers = ensureSheetColumns_(sheet, COLUMNS.holidays);
+      const data = sheet.getDataRange().getValues();
+      const idCol = getCIIndex(headers, ['id']);
+      const now = new Date();
+
+      let rowIndex = record.id ? data.findIndex((row, i) => i > 0 && String(row[idCol]) === record.id) : -1;
+      if (rowIndex === -1) {
+        isNew = true;
+        record.id = record.id || 'HOL-' + Utilities.getUuid().substring(0, 8).toUpperCase();
+        record.createdAt = now;
+      } else {
+        record.createdAt = data[rowIndex][getCIIndex(headers, ['createdAt'])] || now;
+        before = toAuditRecord_(headers, data[rowIndex]);
+      }
+      record.updatedAt = now;
+
+      const row = headers.map(h => record[h] !== undefined ? record[h] : '');
+      after = toAuditRecord_(headers, row);
+      if (isNew) {
+        sheet.appendRow(row);
+      } else {
+        sheet.getRange(rowIndex + 1, 1, 1, row.length).setValues([row]);
+      }
+    } finally {
+      lock.releaseLock();
+    }
+
+    clearHolidayCache_();
+    logAudit_(isNew ? AUDIT_ACTIONS.CREATE : AUDIT_ACTIONS.UPDATE, AUDIT_ENTITIES.HOLIDAYS, record.id, before, after);
+    return { success: true, id: record.id };
+  } catch (e) {
+    Logger.log('Error in saveHoliday: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Delete a holiday (admin only)
+ */
+function deleteHoliday_(userId, holidayId) {
+  const denied = requirePermission_('holidays.admin');
+  if (denied) return denied;
+
+  try {
+    if (!isAdmin_(userId)) return { success: false, message: 'Unauthorized. Admin access required.' };
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    let before = null;
+    try {
+      const sheet = getHolidaySheet_();
+      const data = sheet.getDataRange().getValues();
+      const idCol = getCIIndex(data[0], ['id']);
+      const rowIndex = data.findIndex((row, i) => i > 0 && String(row[idCol]) === String(holidayId));
+      if (rowIndex === -1) return { success: false, message: 'Holiday not found: ' + holidayId };
+
+      before = toAuditRecord_(data[0], data[rowIndex]);
+      sheet.deleteRow(rowIndex + 1);
+    } finally {
+      lock.releaseLock();
+    }
+
+    clearHolidayCache_();
+    logAudit_(AUDIT_ACTIONS.DELETE, AUDIT_ENTITIES.HOLIDAYS, holidayId, before, null, 'Deleted ' + before.name);
+    return { success: true };
+  } catch (e) {
+    Logger.log('Error in deleteHoliday: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Save the OT multiplier per holiday type (admin only)
+ * @param {Object} rates - {national, client, special}
+ */
+function saveHolidayRates_(userId, rates) {
+  const denied = requirePermission_('holidays.admin');
+  if (denied) return denied;
+
+  try {
+    if (!isAdmin_(userId)) return { success: false, message: 'Unauthorized. Admin access required.' };
+
+    const updates = {};
+    Object.keys(HOLIDAY_TYPES).forEach(type => {
+      const rate = parseFloat((rates || {})[type]);
+      if (rate >= 1) updates[getHolidayRateKey_(type)] = rate;
+    });
+    if (Object.keys(updates).length === 0) return { success: false, message: 'Rates must be 1.0 or more.' };
+
+    saveSettings_(updates);
+    logActivity_(userId, 'UPDATE', 'Holidays', 'Holiday rates', JSON.stringify(updates));
+    return { success: true, rates: getHolidayTypeRates_() };
+  } catch (e) {
+    Logger.log('Error in saveHolidayRates: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Add the fixed-date Lao public holidays as recurring entries, skipping any already on the tab (admin only)
+ * @returns {Object} {success, added}
+ */
+function seedLaoNationalHolidays_(userId) {
+  const denied = requirePermission_('holidays.admin');
+  if (denied) return denied;
+
+  try {
+    if (!isAdmin_(userId)) return { success: false, message: 'Unauthorized. Admin access required.' };
+
+    const existing = {};
+    readHolidayRows_().forEach(h => {
+      if (h.type === 'national' && h.recurring) existing[h.date.substring(5)] = true;
+    });
+
+    const year = Utilities.formatDate(new Date(), 'Asia/Vientiane', 'yyyy');
+    let added = 0;
+    LAO_NATIONAL_HOLIDAYS.forEach(h => {
+      if (existing[h.monthDay]) return;
+      const result = saveHoliday_(userId, {
+        name: h.name, nameLO: h.nameLO, date: year + '-' + h.monthDay, type: 'national',
+        recurring: true, moveRule: HOLIDAY_MOVE_RULES.NEXT_WEEKDAY, active: true
+      });
+      if (!result.success) throw new Error(result.message);
+      added++;
+    });
+
+    return { success: true, added: added };
+  } catch (e) {
+    Logger.log('Error in seedLaoNationalHolidays: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+// ===========================================
+// ENGINE
+// ===========================================
+
+/**
+ * The holiday that applies to a date (and site), highest rate first
+ * @param {Date|string} date - Date or yyyy-MM-dd
+ * @param {string} siteId - Sites id (client special days only match their own site)
+ * @returns {Object|null} {id, name, nameLO, type, siteId, rate, date, originalDate, moved}
+ */
+function getHolidayFor_(date, siteId) {
+  try {
+    const day = toHolidayDay_(date);
+    if (!day) return null;
+    const site = String(siteId || '').toUpperCase();
+
+    const matches = getHolidayOccurrences_(parseInt(day.substring(0, 4)))
+      .filter(h => h.date === day && (h.type !== 'client' || h.siteId.toUpperCase() === site));
+    if (matches.length === 0) return null;
+    return matches.sort((a, b) => b.rate - a.rate)[0];
+  } catch (e) {
+    Logger.log('Error in getHolidayFor_: ' + e.message);
+    return null;
+  }
+}
+
+/**
+ * Observed holidays between two dates (inclusive), for roster views
+ * @returns {Array} occurrences sorted by date
+ */
+function getHolidaysInRange_(startDate, endDate) {
+  const list = [];
+  for (let y = parseInt(startDate.substring(0, 4)); y <= parseInt(endDate.substring(0, 4)); y++) {
+    getHolidayOccurrences_(y).forEach(h => {
+      if (h.date >= startDate && h.date <= endDate) list.push(h);
+    });
+  }
+  return list;
+}
+
+/**
+ * Every active holiday observed in a year: recurring entries are placed in the year,
+ * then move rules are applied in date order so two moved days never land on the same weekday
+ */
+function getHolidayOccurrences_(year) {
+  if (HOLIDAY_YEAR_CACHE_[year]) return HOLIDAY_YEAR_CACHE_[year];
+
+  const rates = getHolidayTypeRates_();
+  const rows = readHolidayRows_().filter(h => h.active);
+
+  // Dec 31 of the year before can move into this year
+  const candidates = [];
+  [year - 1, year].forEach(y => {
+    rows.forEach(h => {
+      const original = h.recurring ? y + h.date.substring(4) : h.date;
+      if (original.substring(0, 4) !== String(y)) return;
+      if (!isValidHolidayDay_(original)) return; // Feb 29 in a non-leap year
+      candidates.push({ row: h, original: original });
+    });
+  });
+  candidates.sort((a, b) => a.original.localeCompare(b.original));
+
+  // Days already off (per scope) - a moved holiday skips them
+  const taken = {};
+  const scopeOf = h => h.type === 'client' ? h.siteId.toUpperCase() : '*';
+  candidates.forEach(c => { taken[scopeOf(c.row) + c.original] = true; });
+  const isTaken = (h, day) => taken['*' + day] || taken[scopeOf(h) + day];
+
+  const occurrences = [];
+  candidates.forEach(c => {
+    const h = c.row;
+    let observed = c.original;
+    const dow = holidayDayOfWeek_(observed);
+
+    if ((dow === 0 || dow === 6) && h.moveRule !== HOLIDAY_MOVE_RULES.NONE) {
+      if (h.moveRule === HOLIDAY_MOVE_RULES.NEAREST_WEEKDAY) {
+        observed = addHolidayDays_(observed, dow === 6 ? -1 : 1);
+      } else {
+        observed = addHolidayDays_(observed, dow === 6 ? 2 : 1);
+      }
+      while (holidayDayOfWeek_(observed) === 0 || holidayDayOfWeek_(observed) === 6 || isTaken(h, observed)) {
+        observed = addHolidayDays_(observed, 1);
+      }
+      taken[scopeOf(h) + observed] = true;
+    }
+
+    if (observed.substring(0, 4) !== String(year)) return;
+    occurrences.push({
+      id: h.id,
+      name: h.name,
+      nameLO: h.nameLO,
+      type: h.type,
+      siteId: h.siteId,
+      recurring: h.recurring,
+      moveRule: h.moveRule,
+      active: true,
+      notes: h.notes,
+      rate: h.rate || rates[h.type] || 1.5,
+      rateOverride: h.rate || '',
+      date: observed,
+      originalDate: c.original,
+      baseDate: h.date,
+      moved: observed !== c.original
+    });
+  });
+
+  occurrences.sort((a, b) => a.date.localeCompare(b.date));
+  HOLIDAY_YEAR_CACHE_[year] = occurrences;
+  return occurrences;
+}
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+function getHolidaySheet_() {
+  const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+  let sheet = ss.getSheetByName(SHEET_HOLIDAYS);
+  if (!sheet) {
+    sheet = ss.insertSheet(SHEET_HOLIDAYS);
+    sheet.appendRow(COLUMNS.holidays);
+  }
+  return sheet;
+}
+
+/**
+ * Holidays tab rows, normalized (cached for the execution)
+ */
+function readHolidayRows_() {
+  if (HOLIDAY_ROWS_CACHE_) return HOLIDAY_ROWS_CACHE_;
+
+  const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(SHEET_HOLIDAYS);
+  const rows = [];
+  if (sheet && sheet.getLastRow() > 1) {
+    const data = sheet.getDataRange().getValues();
+    const headers = data[0];
+    data.slice(1).forEach(row => {
+      const raw = {};
+      COLUMNS.holidays.forEach(f => {
+        const c = getCIIndex(headers, [f]);
+        raw[f] = c === -1 ? '' : row[c];
+      });
+      const h = normalizeHoliday_(raw);
+      if (h.id && h.date) rows.push(h);
+    });
+  }
+
+  HOLIDAY_ROWS_CACHE_ = rows;
+  return rows;
+}
+
+/**
+ * Sheet row or form data -> holiday record
+ */
+function normalizeHoliday_(data) {
+  const bool = (val, fallback) => val === '' || val === undefined || val === null ? fallback : val === true || String(val).toUpperCase() === 'TRUE';
+  const type = String(data.type || 'national').toLowerCase().trim();
+  const moveRule = String(data.moveRule || '').toLowerCase().trim();
+  const rate = parseFloat(data.rate);
+
+  return {
+    id: String(data.id || '').trim(),
+    name: String(data.name || '').trim(),
+    nameLO: String(data.nameLO || '').trim(),
+    date: toHolidayDay_(data.date),
+    type: type,
+    recurring: bool(data.recurring, false),
+    moveRule: Object.values(HOLIDAY_MOVE_RULES).indexOf(moveRule) > -1 ? moveRule : HOLIDAY_MOVE_RULES.NONE,
+    siteId: type === 'client' ? String(data.siteId || '').trim() : '',
+    rate: isNaN(rate) ? '' : rate,
+    active: bool(data.active, true),
+    notes: String(data.notes || '').trim()
+  };
+}
+
+/**
+ * Multiplier per type: Settings holidayRate<Type>, else the HOLIDAY_TYPES default
+ */
+function getHolidayTypeRates_() {
+  const settings = getSettings_();
+  const rates = {};
+  Object.keys(HOLIDAY_TYPES).forEach(type => {
+    rates[type] = parseFloat(settings[getHolidayRateKey_(type)]) || HOLIDAY_TYPES[type].rate;
+  });
+  return rates;
+}
+
+function getHolidayRateKey_(type) {
+  return 'holidayRate' + type.charAt(0).toUpperCase() + type.substring(1);
+}
+
+function clearHolidayCache_() {
+  HOLIDAY_ROWS_CACHE_ = null;
+  HOLIDAY_YEAR_CACHE_ = {};
+}
+
+/**
+ * Date or date-like value -> yyyy-MM-dd (Vientiane), '' if not a date
+ */
+function toHolidayDay_(val) {
+  if (!val) return '';
+  if (typeof val === 'string' && /^\d{4}-\d{2}-\d{2}/.test(val)) return val.substring(0, 10);
+  const d = val instanceof Date ? val : new Date(val);
+  return isNaN(d.getTime()) ? '' : Utilities.formatDate(d, 'Asia/Vientiane', 'yyyy-MM-dd');
+}
+
+// Calendar-day arithmetic on yyyy-MM-dd strings (UTC, so no timezone drift)
+function holidayDayOfWeek_(day) {
+  return new Date(day + 'T00:00:00Z').getUTCDay();
+}
+
+function addHolidayDays_(day, n) {
+  return new Date(new Date(day + 'T00:00:00Z').getTime() + n * 86400000).toISOString().substring(0, 10);
+}
+
+function isValidHolidayDay_(day) {
+  const d = new Date(day + 'T00:00:00Z');
+  return !isNaN(d.getTime()) && d.toISOString().substring(0, 10) === day;
+}
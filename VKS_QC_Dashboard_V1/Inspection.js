@@ -37,7 +37,7 @@ function getOperationalDate_(dateObj) {
  * @param {Object} filters - Filter options
  * @returns {Array} Inspection log objects
  */
-function getInspectionLogs(filters) {
+function getInspectionLogs_(filters) {
   Logger.log('getInspectionLogs (Local) called with filters: ' + JSON.stringify(filters));
 
   try {
@@ -46,12 +46,12 @@ function getInspectionLogs(filters) {
 
     if (!sheet) {
       Logger.log('Local InspectionLogs sheet not found');
-      return JSON.stringify(getSampleInspectionLogs());
+      return JSON.stringify(getSampleInspectionLogs_());
     }
 
     const lastRow = sheet.getLastRow();
     // If empty or just header
-    if (lastRow < 2) return JSON.stringify(getSampleInspectionLogs());
+    if (lastRow < 2) return JSON.stringify(getSampleInspectionLogs_());
 
     // Date range support for batch loading
     // Uses OPERATIONAL dates (05:30 cutoff) to align with PatrolPlans shift logic.
@@ -93,7 +93,7 @@ function getInspectionLogs(filters) {
     }
 
     // Read all data (we'll filter by date, no arbitrary row limit)
-    const data = sheet.getRange(2, 1, lastRow - 1, 24).getValues();
+    const data = sheet.getRange(2, 1, lastRow - 1, Math.max(24, sheet.getLastColumn())).getValues();
 
     // Column indices (0-based) - Matching Config.gs schema
     const idx = {
@@ -101,7 +101,10 @@ function getInspectionLogs(filters) {
       startTime: 6, finishTime: 7, duration: 8, score: 9, status: 10,
       flashlight: 11, uniform: 12, defenseTools: 13, logbook: 14, gates: 15,
       lighting: 16, fireSafety: 17, gps: 18, patrolLogs: 19, details: 20, issues: 21,
-      handoverComment: 22, syncedAt: 23
+      handoverComment: 22, syncedAt: 23, inspectionId: 24, checklistId: 25,
+      ratingCommunication: 26, ratingUniform: 27, checklistPoints: 28, checklistMaxPoints: 29,
+      weightedScore: 30, passThreshold: 31, scoreResult: 32, criticalFailures: 33,
+      reportId: 34, gpsStart: 35, gpsFinish: 36, presenceDistance: 37, presence: 38
     };
 
     const logs = [];
@@ -177,7 +180,22 @@ function getInspectionLogs(filters) {
           },
           gps: row[idx.gps] || '',
           issues: row[idx.issues] || '',
-          handoverComment: row[idx.handoverComment] || ''
+          handoverComment: row[idx.handoverComment] || '',
+          // Checklist answers (Checklists.gs getInspectionChecklist); blank on rows from before checklists
+          inspectionId: row[idx.inspectionId] ? row[idx.inspectionId].toString() : '',
+          checklistId: row[idx.checklistId] ? row[idx.checklistId].toString() : '',
+          // Weighted score breakdown (Scoring.gs); null on rows from before the weighted score
+          scoring: readInspectionScore_({
+            ratingCommunication: row[idx.ratingCommunication], ratingUniform: row[idx.ratingUniform],
+            checklistPoints: row[idx.checklistPoints], checklistMaxPoints: row[idx.checklistMaxPoints],
+            weightedScore: row[idx.weightedScore], passThreshold: row[idx.passThreshold],
+            scoreResult: row[idx.scoreResult], criticalFailures: row[idx.criticalFailures]
+          }),
+          // Proof of presence (Geofence.gs); null on rows from before the presence check
+          presence: readInspectionPresence_({
+            gpsStart: row[idx.gpsStart], gpsFinish: row[idx.gpsFinish],
+            presenceDistance: row[idx.presenceDistance], presence: row[idx.presence]
+          })
         });
 
       } catch (err) {
@@ -186,6 +204,11 @@ function getInspectionLogs(filters) {
       }
     }
 
+    // Only logs for sites in the caller's scope (Permissions.gs)
+    const scopedLogs = logs.filter(l => isInCallerScope_(l.siteName, l.route));
+    logs.length = 0;
+    scopedLogs.forEach(l => logs.push(l));
+
     // Apply route filter
     if (filters && filters.route && filters.route !== '') {
       const routeFilter = filters.route.toUpperCase();
@@ -212,7 +235,7 @@ function getInspectionLogs(filters) {
   } catch (e) {
     Logger.log('Critical Error in getInspectionLogs: ' + e.toString());
     // Return empty array string on error
-    return JSON.stringify(getSampleInspectionLogs());
+    return JSON.stringify(getSampleInspectionLogs_());
   }
 }
 
@@ -229,7 +252,7 @@ function formatTimeValue(val) {
 /**
  * Get sample inspection logs for testing
  */
-function getSampleInspectionLogs() {
+function getSampleInspectionLogs_() {
   const today = new Date();
   const yesterday = new Date(today);
   yesterday.setDate(yesterday.getDate() - 1);
@@ -292,17 +315,17 @@ function getSampleInspectionLogs() {
 /**
  * Get single inspection detail
  */
-function getInspectionDetail(logId) {
-  const logs = getInspectionLogs({});
+function getInspectionDetail_(logId) {
+  const logs = getInspectionLogs_({});
   return logs.find(l => l.id === logId);
 }
 
 /**
  * Export inspection logs to spreadsheet
  */
-function exportInspectionLogs(filters) {
+function exportInspectionLogs_(filters) {
   try {
-    const logs = getInspectionLogs(filters);
+    const logs = getInspectionLogs_(filters);
 
     const ss = SpreadsheetApp.create('Inspection Logs Export - ' + new Date().toISOString().split('T')[0]);
     const sheet = ss.getActiveSheet();
@@ -15,6 +15,7 @@
  * @returns {Object} Migration stats
  */
 function migrateInspectorsFromPatrolSheet() {
+    requireScriptOwner_();
     try {
         Logger.log('Starting Inspector migration from Patrol Sheet...');
 
@@ -105,6 +106,7 @@ function migrateInspectorsFromPatrolSheet() {
  * @returns {Object} Migration stats
  */
 function migrateHandoverRecordsFromPatrolSheet() {
+    requireScriptOwner_();
     try {
         Logger.log('Starting HandoverRecords migration from Patrol Sheet...');
 
@@ -201,6 +203,7 @@ function migrateHandoverRecordsFromPatrolSheet() {
  * @returns {Object} Migration stats
  */
 function migrateSpecialActivityFromPatrolSheet() {
+    requireScriptOwner_();
     try {
         Logger.log('Starting SpecialActivityLogs migration from Patrol Sheet...');
 
@@ -301,6 +304,7 @@ function migrateSpecialActivityFromPatrolSheet() {
  * Run this manually from Apps Script editor
  */
 function migrateAllFromPatrolSheet() {
+    requireScriptOwner_();
     Logger.log('=== Starting Full Migration ===');
 
     const results = {
@@ -324,7 +328,7 @@ function migrateAllFromPatrolSheet() {
  * Maps backend field names to V2-compatible names for frontend consistency
  * @returns {string} JSON array of special activity records
  */
-function getSpecialActivityLogs() {
+function getSpecialActivityLogs_() {
     try {
         Logger.log('getSpecialActivityLogs: Starting...');
 
@@ -390,7 +394,7 @@ function getSpecialActivityLogs() {
  * @param {Object} filters - { search: string, status: string, page: number, pageSize: number }
  * @returns {Object} { data: [], total: number, page: number, pageSize: number }
  */
-function getInspectors(filters) {
+function getInspectors_(filters) {
     try {
         filters = filters || {};
         const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
@@ -456,7 +460,7 @@ function getInspectors(filters) {
  * Get inspector options for dropdown selects
  * @returns {Array} Array of { id, name } objects
  */
-function getInspectorOptions() {
+function getInspectorOptions_() {
     try {
         const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
         const sheet = ss.getSheetByName(SHEET_INSPECTORS);
@@ -487,7 +491,7 @@ function getInspectorOptions() {
  * @param {string} name - Inspector name
  * @returns {Object} { success: boolean, id: string, error: string }
  */
-function addInspector(name) {
+function addInspector_(name) {
     try {
         // Validation
         const cleanName = (name || '').toString().trim();
@@ -522,7 +526,7 @@ function addInspector(name) {
         sheet.appendRow([id, cleanName, 'active', now, now]);
 
         // Signal update
-        setUpdateSignal('inspectors');
+        setUpdateSignal_('inspectors');
 
         return { success: true, id: id };
 
@@ -538,7 +542,7 @@ function addInspector(name) {
  * @param {Object} updates - { name: string, status: string }
  * @returns {Object} { success: boolean, error: string }
  */
-function updateInspector(id, updates) {
+function updateInspector_(id, updates) {
     try {
         if (!id) {
             return { success: false, error: 'Inspector ID is required' };
@@ -585,7 +589,7 @@ function updateInspector(id, updates) {
         sheet.getRange(targetRow, 5).setValue(now);
 
         // Signal update
-        setUpdateSignal('inspectors');
+        setUpdateSignal_('inspectors');
 
         return { success: true };
 
@@ -600,14 +604,14 @@ function updateInspector(id, updates) {
  * @param {string} id - Inspector ID
  * @returns {Object} { success: boolean, error: string }
  */
-function deleteInspector(id) {
+function deleteInspector_(id) {
     try {
         if (!id) {
             return { success: false, error: 'Inspector ID is required' };
         }
 
         // Soft delete - just set status to inactive
-        return updateInspector(id, { status: 'inactive' });
+        return updateInspector_(id, { status: 'inactive' });
 
     } catch (e) {
         Logger.log('deleteInspector error: ' + e.message);
@@ -624,7 +628,7 @@ function deleteInspector(id) {
  * @param {string} id - Inspector ID
  * @returns {Object} Inspector object or null
  */
-function getInspectorById(id) {
+function getInspectorById_(id) {
     try {
         const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
         const sheet = ss.getSheetByName(SHEET_INSPECTORS);
@@ -7,7 +7,7 @@
 
 /**
  * Build a lookup map of siteId -> siteName
- * Uses same column detection as getSites() for consistency
+ * Uses same column detection as getSites_() for consistency
  * @returns {Object} Map where keys are siteId and values are siteName
  */
 function buildSiteLookupMap_() {
@@ -65,7 +65,7 @@ function buildSiteLookupMap_() {
  * Get incidents with stats
  * Reads from Incidents sheet, falls back to sample data if empty
  */
-function getIncidents(filters) {
+function getIncidents_(filters) {
   try {
     var ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     var sheet = ss.getSheetByName(SHEET_INCIDENTS);
@@ -90,7 +90,12 @@ function getIncidents(filters) {
         } else {
           inc.siteName = inc.siteName || 'Unknown Site';
         }
+
+        // Only records for sites in the caller's scope (Permissions.gs)
+        if (!isInCallerScope_([inc.siteId, inc.siteName])) continue;
+
         inc.reporterName = inc.reportedBy || 'Unknown';
+        inc.status = normalizeCaseStatus_(inc.status);
 
         // Format dates
         if (inc.incidentTime instanceof Date) {
@@ -124,7 +129,7 @@ function getIncidents(filters) {
           siteName: 'Sample Site',
           category: 'access',
           severity: 'medium',
-          status: 'waiting',
+          status: STATUS.case.NEW,
           reportedBy: 'System',
           dateDisplay: Utilities.formatDate(now, 'Asia/Vientiane', 'MMM dd, yyyy'),
           timeDisplay: Utilities.formatDate(now, 'Asia/Vientiane', 'HH:mm'),
@@ -139,7 +144,7 @@ function getIncidents(filters) {
     for (var i = 0; i < incidents.length; i++) {
       if (incidents[i].severity === 'critical') critical++;
       if (incidents[i].slaStatus === 'overdue') overdue++;
-      if (incidents[i].status === 'resolved' || incidents[i].status === 'closed') resolved++;
+      if (!isCaseOpen_(incidents[i].status)) resolved++;
     }
 
     var stats = {
@@ -170,7 +175,7 @@ function getIncidents(filters) {
         siteName: '-',
         category: '-',
         severity: 'low',
-        status: 'waiting',
+        status: STATUS.case.NEW,
         reportedBy: '-',
         dateDisplay: '-',
         timeDisplay: '-',
@@ -186,7 +191,7 @@ function getIncidents(filters) {
  * Get complaints with stats
  * Reads from Complaints sheet, falls back to sample data if empty
  */
-function getComplaints(filters) {
+function getComplaints_(filters) {
   try {
     var ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     var sheet = ss.getSheetByName(SHEET_COMPLAINTS);
@@ -212,6 +217,11 @@ function getComplaints(filters) {
           cmp.siteName = cmp.siteName || 'Unknown Site';
         }
 
+        // Only records for sites in the caller's scope (Permissions.gs)
+        if (!isInCallerScope_([cmp.siteId, cmp.siteName])) continue;
+
+        cmp.status = normalizeCaseStatus_(cmp.status);
+
         // Format dates
         if (cmp.timestamp instanceof Date) {
           cmp.dateDisplay = Utilities.formatDate(cmp.timestamp, 'Asia/Vientiane', 'MMM dd, yyyy');
@@ -221,8 +231,9 @@ function getComplaints(filters) {
           cmp.timeDisplay = 'N/A';
         }
 
-        // Default values
-        cmp.isOverdue = false;
+        // Live SLA status (paused while waiting on the customer)
+        cmp.slaStatus = calculateSLAStatus(cmp);
+        cmp.isOverdue = cmp.slaStatus === 'overdue';
         cmp.dueDisplay = cmp.dueDate instanceof Date
           ? Utilities.formatDate(cmp.dueDate, 'Asia/Vientiane', 'MMM dd, HH:mm')
           : '-';
@@ -243,7 +254,7 @@ function getComplaints(filters) {
           category: 'service',
           severity: 'medium',
           priority: 'p2',
-          status: 'waiting',
+          status: STATUS.case.NEW,
           description: 'No complaints in sheet. Create one using +New Case.',
           dateDisplay: Utilities.formatDate(now, 'Asia/Vientiane', 'MMM dd, yyyy'),
           timeDisplay: Utilities.formatDate(now, 'Asia/Vientiane', 'HH:mm'),
@@ -253,12 +264,13 @@ function getComplaints(filters) {
       ];
     }
 
-    // Calculate stats
+    // Calculate stats (waiting = not picked up yet, in progress = assigned, being worked on or waiting on the customer)
     var waiting = 0, inProgress = 0, resolved = 0;
     for (var i = 0; i < complaints.length; i++) {
-      if (complaints[i].status === 'waiting') waiting++;
-      if (complaints[i].status === 'in_progress') inProgress++;
-      if (complaints[i].status === 'resolved' || complaints[i].status === 'closed') resolved++;
+      var status = complaints[i].status;
+      if (status === STATUS.case.NEW || status === STATUS.case.ACKNOWLEDGED) waiting++;
+      if (status === STATUS.case.ASSIGNED || status === STATUS.case.IN_PROGRESS || status === STATUS.case.WAITING_CUSTOMER) inProgress++;
+      if (!isCaseOpen_(status)) resolved++;
     }
 
     var stats = {
@@ -287,7 +299,7 @@ function getComplaints(filters) {
         siteName: '-',
         category: '-',
         severity: 'low',
-        status: 'waiting',
+        status: STATUS.case.NEW,
         priority: 'p4',
         dateDisplay: '-',
         timeDisplay: '-',
@@ -302,7 +314,10 @@ function getComplaints(filters) {
 /**
  * Save incident to Incidents tab
  */
-function saveIncident(data) {
+function saveIncident_(data) {
+  const denied = requirePermission_('incidents.edit');
+  if (denied) return denied;
+
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     let sheet = ss.getSheetByName(SHEET_INCIDENTS);
@@ -328,12 +343,14 @@ function saveIncident(data) {
       const allData = sheet.getDataRange().getValues();
       for (let i = 1; i < allData.length; i++) {
         if (allData[i][0] === data.id) {
-          // Update row
+          // Update row (status and resolution only move through transitionCase, CaseLifecycle.gs)
           const headers = allData[0];
-          const row = headers.map(h => data[h] !== undefined ? data[h] : allData[i][headers.indexOf(h)]);
+          const lifecycle = ['status', 'resolvedTime'].concat(CASE_LIFECYCLE_COLUMNS);
+          const row = headers.map((h, c) => data[h] !== undefined && lifecycle.indexOf(h) === -1 ? data[h] : allData[i][c]);
           row[headers.indexOf('updatedAt')] = now;
           sheet.getRange(i + 1, 1, 1, row.length).setValues([row]);
-          setUpdateSignal('master');
+          logAudit_(AUDIT_ACTIONS.UPDATE, AUDIT_ENTITIES.INCIDENTS, data.id, toAuditRecord_(headers, allData[i]), toAuditRecord_(headers, row));
+          setUpdateSignal_('master');
           return { success: true, id: data.id };
         }
       }
@@ -347,7 +364,8 @@ function saveIncident(data) {
     const priorityToSeverity = { 'p1': 'critical', 'p2': 'high', 'p3': 'medium', 'p4': 'low' };
     const normalizedSeverity = priorityToSeverity[data.severity] || data.severity || 'medium';
 
-    const dueDate = calculateDueDate(normalizedSeverity, data.incidentTime || now);
+    const dueDate = calculateDueDate('incident', { category: data.category, severity: normalizedSeverity, siteId: data.siteId },
+      data.incidentTime || now);
 
     // SCHEMA MIGRATION: Ensure location column exists for existing sheets
     const existingHeaders = sheet.getDataRange().getValues()[0];
@@ -366,7 +384,7 @@ function saveIncident(data) {
         case 'siteId': return data.siteId || '';
         case 'category': return data.category || '';
         case 'severity': return normalizedSeverity;
-        case 'status': return 'waiting';
+        case 'status': return STATUS.case.NEW;
         case 'incidentTime':
           return (data.incidentTime && typeof data.incidentTime === 'string') ? new Date(data.incidentTime) : (data.incidentTime || now);
         case 'reportedTime':
@@ -396,21 +414,24 @@ function saveIncident(data) {
 
     sheet.appendRow(newRow);
 
-    // Upload photos to Drive if provided
+    // Upload photos to Drive if provided (the row keeps evidence IDs, never file links)
     var photoData = data.photos;
-    if (photoData && Array.isArray(photoData) && photoData.length > 0) {
-      var photoUrls = uploadEvidence(photoData, newId);
-      if (photoUrls) {
-        var photosCol = currentHeaders.indexOf('photos') + 1;
-        if (photosCol > 0) {
-          var lastRow = sheet.getLastRow();
-          sheet.getRange(lastRow, photosCol).setValue(photoUrls);
-        }
+    var upload = uploadEvidence_(photoData, newId, { caseType: 'incident', siteId: data.siteId });
+    if (upload.ids) {
+      var photosCol = currentHeaders.indexOf('photos') + 1;
+      if (photosCol > 0) {
+        var lastRow = sheet.getLastRow();
+        sheet.getRange(lastRow, photosCol).setValue(upload.ids);
       }
     }
 
-    setUpdateSignal('master');
-    return { success: true, id: newId };
+    logAudit_(AUDIT_ACTIONS.CREATE, AUDIT_ENTITIES.INCIDENTS, newId, null, readAuditRecord_(sheet, sheet.getLastRow()));
+    appendCaseTimeline_('incident', newId, 'created', '', STATUS.case.NEW, '', '');
+    applyIntakeCaseLinks_('incident', newId, data);
+    setUpdateSignal_('master');
+    return upload.failed ?
+      { success: true, id: newId, warning: 'Saved, but ' + upload.failed + ' photo(s) could not be stored. Please add them again.' } :
+      { success: true, id: newId };
   } catch (e) {
     Logger.log('Error in saveIncident: ' + e.message);
     throw e;
@@ -420,7 +441,10 @@ function saveIncident(data) {
 /**
  * Save complaint to Complaints tab
  */
-function saveComplaint(data) {
+function saveComplaint_(data) {
+  const denied = requirePermission_('complaints.edit');
+  if (denied) return denied;
+
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     let sheet = ss.getSheetByName(SHEET_COMPLAINTS);
@@ -456,19 +480,18 @@ function saveComplaint(data) {
       for (let i = 1; i < allData.length; i++) {
         if (allData[i][0] === data.id) {
           // Dynamic update based on headers (including new ones)
+          // Status, assignment and resolution only move through transitionCase_ (CaseLifecycle.gs)
+          const lifecycle = ['status', 'completionDate', 'approvedBy', 'disciplinaryAction'].concat(CASE_LIFECYCLE_COLUMNS);
           const row = currentHeaders.map(h => {
             if (h === 'updatedAt') return now;
 
             // Specific overrides for mapped fields
-            if (h === 'resolution' && (data.resolutionNotes !== undefined || data.resolution !== undefined)) {
-              return data.resolution || data.resolutionNotes || '';
-            }
             if (h === 'timestamp' && (data.complaintTime || data.timestamp)) {
               return new Date(data.complaintTime || data.timestamp);
             }
 
             // Check direct data match
-            if (data[h] !== undefined) return data[h];
+            if (data[h] !== undefined && lifecycle.indexOf(h) === -1) return data[h];
 
             // Preserve existing value
             const idx = currentHeaders.indexOf(h);
@@ -476,7 +499,8 @@ function saveComplaint(data) {
           });
 
           sheet.getRange(i + 1, 1, 1, row.length).setValues([row]);
-          setUpdateSignal('master');
+          logAudit_(AUDIT_ACTIONS.UPDATE, AUDIT_ENTITIES.COMPLAINTS, data.id, toAuditRecord_(currentHeaders, allData[i]), toAuditRecord_(currentHeaders, row));
+          setUpdateSignal_('master');
           return { success: true, id: data.id };
         }
       }
@@ -491,8 +515,8 @@ function saveComplaint(data) {
     const priorityToSeverity = { 'p1': 'critical', 'p2': 'high', 'p3': 'medium', 'p4': 'low' };
     const severity = data.severity || priorityToSeverity[data.priority] || 'medium';
 
-    // Calculate due date based on severity
-    const dueDate = calculateDueDate(severity, now);
+    // Due date from the SLA policy for this category / severity / client (SLA.gs)
+    const dueDate = calculateDueDate('complaint', { category: data.category, severity: severity, priority: data.priority, siteId: data.siteId }, now);
 
     // Build row dynamically based on headers to ensure alignment
     const newRow = currentHeaders.map(h => {
@@ -502,9 +526,8 @@ function saveComplaint(data) {
         case 'createdAt': return now;
         case 'updatedAt': return now;
         case 'dueDate': return dueDate;
-        case 'status': return 'waiting';
+        case 'status': return STATUS.case.NEW;
         case 'severity': return severity;
-        case 'resolution': return data.resolution || data.resolutionNotes || '';
         case 'customerType': return data.customerType || 'client';
         case 'priority': return data.priority || 'p3';
         case 'recordedBy': return data.recordedBy || Session.getActiveUser().getEmail();
@@ -530,21 +553,24 @@ function saveComplaint(data) {
 
     sheet.appendRow(newRow);
 
-    // Upload evidence photos to Drive if provided
+    // Upload evidence photos to Drive if provided (the row keeps evidence IDs, never file links)
     var evidenceData = data.evidence;
-    if (evidenceData && Array.isArray(evidenceData) && evidenceData.length > 0) {
-      var evidenceUrls = uploadEvidence(evidenceData, newId);
-      if (evidenceUrls) {
-        var evidenceCol = currentHeaders.indexOf('evidence') + 1;
-        if (evidenceCol > 0) {
-          var lastRow = sheet.getLastRow();
-          sheet.getRange(lastRow, evidenceCol).setValue(evidenceUrls);
-        }
+    var upload = uploadEvidence_(evidenceData, newId, { caseType: 'complaint', siteId: data.siteId });
+    if (upload.ids) {
+      var evidenceCol = currentHeaders.indexOf('evidence') + 1;
+      if (evidenceCol > 0) {
+        var lastRow = sheet.getLastRow();
+        sheet.getRange(lastRow, evidenceCol).setValue(upload.ids);
       }
     }
 
-    setUpdateSignal('master');
-    return { success: true, id: newId };
+    logAudit_(AUDIT_ACTIONS.CREATE, AUDIT_ENTITIES.COMPLAINTS, newId, null, readAuditRecord_(sheet, sheet.getLastRow()));
+    appendCaseTimeline_('complaint', newId, 'created', '', STATUS.case.NEW, '', '');
+    applyIntakeCaseLinks_('complaint', newId, data);
+    setUpdateSignal_('master');
+    return upload.failed ?
+      { success: true, id: newId, warning: 'Saved, but ' + upload.failed + ' file(s) could not be stored. Please add them again.' } :
+      { success: true, id: newId };
   } catch (e) {
     Logger.log('Error in saveComplaint: ' + e.message);
     throw e;
@@ -552,80 +578,37 @@ function saveComplaint(data) {
 }
 
 /**
- * Update incident status
+ * Update incident status (moves along the lifecycle: the status must be reachable from the current one)
+ * @param {string} id - Incident ID
+ * @param {string} status - STATUS.case value
+ * @param {Object} fields - Fields the step needs (see CASE_TRANSITIONS)
  */
-function updateIncidentStatus(id, status) {
-  try {
-    const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
-    const sheet = ss.getSheetByName(SHEET_INCIDENTS);
-    if (!sheet) throw new Error('Incidents sheet not found');
-
-    const data = sheet.getDataRange().getValues();
-    const headers = data[0];
-    const statusCol = headers.indexOf('status') + 1;
-    const resolvedTimeCol = headers.indexOf('resolvedTime') + 1;
-    const updatedAtCol = headers.indexOf('updatedAt') + 1;
-
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][0] === id) {
-        sheet.getRange(i + 1, statusCol).setValue(status);
-        sheet.getRange(i + 1, updatedAtCol).setValue(new Date());
-        if (status === 'resolved' || status === 'closed') {
-          sheet.getRange(i + 1, resolvedTimeCol).setValue(new Date());
-        }
-        setUpdateSignal('master');
-        return { success: true };
-      }
-    }
-    throw new Error('Incident not found');
-  } catch (e) {
-    Logger.log('Error updating incident status: ' + e.message);
-    throw e;
-  }
+function updateIncidentStatus_(id, status, fields) {
+  return transitionCaseTo_('incident', id, status, fields);
 }
 
 /**
- * Update complaint status
+ * Update complaint status (moves along the lifecycle: the status must be reachable from the current one)
+ * @param {string} id - Complaint ID
+ * @param {string} status - STATUS.case value
+ * @param {Object} fields - Fields the step needs (see CASE_TRANSITIONS)
  */
-function updateComplaintStatus(id, status) {
-  try {
-    const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
-    const sheet = ss.getSheetByName(SHEET_COMPLAINTS);
-    if (!sheet) throw new Error('Complaints sheet not found');
-
-    const data = sheet.getDataRange().getValues();
-    const headers = data[0];
-    const statusCol = headers.indexOf('status') + 1;
-    const completionDateCol = headers.indexOf('completionDate') + 1;
-    const updatedAtCol = headers.indexOf('updatedAt') + 1;
-
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][0] === id) {
-        sheet.getRange(i + 1, statusCol).setValue(status);
-        sheet.getRange(i + 1, updatedAtCol).setValue(new Date());
-        if (status === 'resolved' || status === 'closed') {
-          sheet.getRange(i + 1, completionDateCol).setValue(new Date());
-        }
-        setUpdateSignal('master');
-        return { success: true };
-      }
-    }
-    throw new Error('Complaint not found');
-  } catch (e) {
-    Logger.log('Error updating complaint status: ' + e.message);
-    throw e;
-  }
+function updateComplaintStatus_(id, status, fields) {
+  return transitionCaseTo_('complaint', id, status, fields);
 }
 
 /**
- * Upload evidence photos to Google Drive
- * @param {Array} photos - Array of {name, type, base64} objects
+ * Upload evidence photos to Google Drive and register each one (hash, uploader, GPS) in the evidence register.
+ * Files stay private to the script owner; viewers open them through openEvidence (Evidence.gs).
+ * A file whose registration fails is trashed and counted as failed.
+ * @param {Array} photos - Array of {name, type, base64, lat, lng, accuracy, capturedAt} objects
  * @param {string} caseId - e.g. 'INC-20260210-AB12' or 'CMP-20260210-XY98'
- * @returns {string} Comma-separated Drive view URLs, or empty string
+ * @param {Object} meta - {caseType, siteId, source, uploaderName} for the register (Evidence.gs)
+ * @returns {Object} {ids: comma-separated evidence IDs, failed: number of photos not saved}
  */
-function uploadEvidence(photos, caseId) {
+function uploadEvidence_(photos, caseId, meta) {
+  if (!photos || !Array.isArray(photos) || photos.length === 0) return { ids: '', failed: 0 };
   try {
-    if (!photos || !Array.isArray(photos) || photos.length === 0) return '';
 
     // Build folder path: QC_Uploads / 2026 / 02
     var now = new Date();
@@ -656,8 +639,10 @@ function uploadEvidence(photos, caseId) {
       monthFolder = yearFolder.createFolder(month);
     }
 
-    var urls = [];
+    var ids = [];
+    var failed = 0;
     photos.forEach(function (photo, idx) {
+      var file = null;
       try {
         // Extract raw base64 data from data URL
         var base64Data = photo.base64.split(',')[1];
@@ -665,59 +650,50 @@ function uploadEvidence(photos, caseId) {
         var ext = mimeType.indexOf('png') > -1 ? '.png' : '.jpg';
         var fileName = caseId + '_Evidence_' + (idx + 1) + ext;
 
-        var blob = Utilities.newBlob(Utilities.base64Decode(base64Data), mimeType, fileName);
-        var file = monthFolder.createFile(blob);
-        file.setSharing(DriveApp.Access.ANYONE_WITH_LINK, DriveApp.Permission.VIEW);
-
-        urls.push('https://drive.google.com/uc?export=view&id=' + file.getId());
+        var bytes = Utilities.base64Decode(base64Data);
+        var blob = Utilities.newBlob(bytes, mimeType, fileName);
+        file = monthFolder.createFile(blob);
+
+        // Hashed from the bytes as received, not read back from Drive
+        var record = registerEvidence_(file, bytes, photo, {
+          caseType: meta.caseType,
+          caseId: caseId,
+          siteId: meta.siteId,
+          source: meta.source,
+          uploaderName: meta.uploaderName
+        });
+        ids.push(record.id);
       } catch (photoErr) {
         Logger.log('Error uploading photo ' + idx + ': ' + photoErr.message);
+        failed++;
+        // An unregistered file has no custody record: do not keep it
+        if (file) {
+          try { file.setTrashed(true); } catch (trashErr) { Logger.log('Could not trash ' + file.getId() + ': ' + trashErr.message); }
+        }
       }
     });
 
-    return urls.join(',');
+    return { ids: ids.join(','), failed: failed };
   } catch (e) {
     Logger.log('Error in uploadEvidence: ' + e.message);
-    return '';
+    return { ids: '', failed: photos.length };
   }
 }
 
 /**
- * Calculate SLA due date based on severity
+ * Calculate SLA due date from the matching SLA policy (SLA.gs)
+ * @param {string} caseType - 'incident' | 'complaint'
+ * @param {Object} issue - {category, severity, priority, siteId}
  */
-function calculateDueDate(severity, startDate) {
-  const hours = {
-    'critical': 4,
-    'high': 24,
-    'medium': 72,
-    'low': 168,
-    'p1': 4,
-    'p2': 24,
-    'p3': 72,
-    'p4': 168
-  };
-
-  const h = hours[severity] || 72;
-  const due = new Date(startDate);
-  due.setHours(due.getHours() + h);
-  return due;
+function calculateDueDate(caseType, issue, startDate) {
+  return computeSlaDueDate_(caseType, issue, startDate);
 }
 
 /**
- * Calculate SLA status
+ * Calculate SLA status (completed / paused / overdue / at_risk / on_track)
  */
 function calculateSLAStatus(issue) {
-  if (issue.status === 'resolved' || issue.status === 'closed') return 'completed';
-
-  const now = new Date();
-  const due = new Date(issue.dueDate);
-
-  if (now > due) return 'overdue';
-
-  const hoursLeft = (due - now) / 3600000;
-  if (hoursLeft < 4) return 'at_risk';
-
-  return 'on_track';
+  return getSlaStatus_(issue);
 }
 
 /**
@@ -733,16 +709,15 @@ function formatSLADue(issue) {
  * Check if overdue
  */
 function checkIfOverdue(issue) {
-  if (issue.status === 'resolved' || issue.status === 'closed') return false;
-  if (!issue.dueDate) return false;
-  return new Date() > new Date(issue.dueDate);
+  return getSlaStatus_(issue) === 'overdue';
 }
 
 /**
  * Format due date display
  */
 function formatDueDate(issue) {
-  if (issue.status === 'resolved' || issue.status === 'closed') return 'Completed';
+  if (!isCaseOpen_(issue.status)) return 'Completed';
+  if (getSlaStatus_(issue) === 'paused') return 'Paused';
   if (!issue.dueDate) return '-';
 
   var due = new Date(issue.dueDate);
@@ -761,8 +736,11 @@ function formatDueDate(issue) {
 /**
  * Export incidents
  */
-function exportIncidents(filters) {
-  const data = getIncidents(filters);
+function exportIncidents_(filters) {
+  const denied = requirePermission_('incidents.export');
+  if (denied) return denied;
+
+  const data = getIncidents_(filters);
   const ss = SpreadsheetApp.create('Incidents Export - ' + new Date().toISOString().split('T')[0]);
   const sheet = ss.getActiveSheet();
 
@@ -777,8 +755,11 @@ function exportIncidents(filters) {
 /**
  * Export complaints
  */
-function exportComplaints(filters) {
-  const data = getComplaints(filters);
+function exportComplaints_(filters) {
+  const denied = requirePermission_('complaints.export');
+  if (denied) return denied;
+
+  const data = getComplaints_(filters);
   const ss = SpreadsheetApp.create('Complaints Export - ' + new Date().toISOString().split('T')[0]);
   const sheet = ss.getActiveSheet();
 
@@ -791,141 +772,25 @@ function exportComplaints(filters) {
 }
 
 /**
- * Resolve an incident - updates status and resolution fields
- * @param {Object} data - Resolution data {id, status, resolution, rootCause, preventiveMeasures, resolvedBy, resolvedTime}
- * @returns {Object} {success: boolean, error?: string}
+ * Resolve an incident (lifecycle step 'resolve': the incident must be in progress)
+ * @param {Object} data - Resolution data {id, resolution, rootCause, preventiveMeasures, capaActions, note}
+ * @returns {Object} {success: boolean, message?: string, missing?: Array}
  */
-function resolveIncident(data) {
-  try {
-    if (!data || !data.id) {
-      return { success: false, error: 'Missing incident ID' };
-    }
-
-    var ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
-    var sheet = ss.getSheetByName(SHEET_INCIDENTS);
-
-    if (!sheet) {
-      return { success: false, error: 'Incidents sheet not found' };
-    }
-
-    var allData = sheet.getDataRange().getValues();
-    var headers = allData[0];
-
-    // Find column indices
-    var colMap = {};
-    for (var h = 0; h < headers.length; h++) {
-      colMap[headers[h]] = h;
-    }
-
-    // Find row with matching ID
-    for (var r = 1; r < allData.length; r++) {
-      if (allData[r][colMap['id']] === data.id) {
-        // Update fields
-        if (colMap['status'] !== undefined) {
-          sheet.getRange(r + 1, colMap['status'] + 1).setValue(data.status || 'resolved');
-        }
-        if (colMap['resolution'] !== undefined) {
-          sheet.getRange(r + 1, colMap['resolution'] + 1).setValue(data.resolution || '');
-        } else {
-          // Add column if missing
-          var newCol = sheet.getLastColumn() + 1;
-          sheet.getRange(1, newCol).setValue('resolution');
-          sheet.getRange(r + 1, newCol).setValue(data.resolution || '');
-        }
-        if (colMap['rootCause'] !== undefined) {
-          sheet.getRange(r + 1, colMap['rootCause'] + 1).setValue(data.rootCause || '');
-        }
-        if (colMap['preventiveMeasures'] !== undefined) {
-          sheet.getRange(r + 1, colMap['preventiveMeasures'] + 1).setValue(data.preventiveMeasures || '');
-        }
-        if (colMap['resolvedTime'] !== undefined) {
-          sheet.getRange(r + 1, colMap['resolvedTime'] + 1).setValue(data.resolvedTime ? new Date(data.resolvedTime) : new Date());
-        }
-        if (colMap['resolvedBy'] !== undefined) {
-          sheet.getRange(r + 1, colMap['resolvedBy'] + 1).setValue(data.resolvedBy || '');
-        }
-        if (colMap['updatedAt'] !== undefined) {
-          sheet.getRange(r + 1, colMap['updatedAt'] + 1).setValue(new Date());
-        }
-
-        setUpdateSignal('master');
-        Logger.log('Resolved incident: ' + data.id);
-        return { success: true };
-      }
-    }
-
-    return { success: false, error: 'Incident not found: ' + data.id };
-  } catch (e) {
-    Logger.log('Error in resolveIncident: ' + e.message);
-    return { success: false, error: e.message };
+function resolveIncident_(data) {
+  if (!data || !data.id) {
+    return { success: false, message: 'Missing incident ID' };
   }
+  return transitionCase_('incident', data.id, 'resolve', data);
 }
 
 /**
- * Resolve a complaint - updates status and resolution fields
- * @param {Object} data - Resolution data {id, status, resolution, disciplinaryAction, approvedBy, resolvedTime}
- * @returns {Object} {success: boolean, error?: string}
+ * Resolve a complaint (lifecycle step 'resolve': the complaint must be in progress)
+ * @param {Object} data - Resolution data {id, resolution, rootCause, preventiveMeasures, capaActions, disciplinaryAction, note}
+ * @returns {Object} {success: boolean, message?: string, missing?: Array}
  */
-function resolveComplaint(data) {
-  try {
-    if (!data || !data.id) {
-      return { success: false, error: 'Missing complaint ID' };
-    }
-
-    var ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
-    var sheet = ss.getSheetByName(SHEET_COMPLAINTS);
-
-    if (!sheet) {
-      return { success: false, error: 'Complaints sheet not found' };
-    }
-
-    var allData = sheet.getDataRange().getValues();
-    var headers = allData[0];
-
-    // Find column indices
-    var colMap = {};
-    for (var h = 0; h < headers.length; h++) {
-      colMap[headers[h]] = h;
-    }
-
-    // Find row with matching ID
-    for (var r = 1; r < allData.length; r++) {
-      if (allData[r][colMap['id']] === data.id) {
-        // Update fields
-        if (colMap['status'] !== undefined) {
-          sheet.getRange(r + 1, colMap['status'] + 1).setValue(data.status || 'resolved');
-        }
-        if (colMap['resolution'] !== undefined) {
-          sheet.getRange(r + 1, colMap['resolution'] + 1).setValue(data.resolution || '');
-        } else {
-          // Add column if missing
-          var newCol = sheet.getLastColumn() + 1;
-          sheet.getRange(1, newCol).setValue('resolution');
-          sheet.getRange(r + 1, newCol).setValue(data.resolution || '');
-        }
-        if (colMap['disciplinaryAction'] !== undefined) {
-          sheet.getRange(r + 1, colMap['disciplinaryAction'] + 1).setValue(data.disciplinaryAction || '');
-        }
-        if (colMap['approvedBy'] !== undefined) {
-          sheet.getRange(r + 1, colMap['approvedBy'] + 1).setValue(data.approvedBy || '');
-        }
-        if (colMap['completionDate'] !== undefined) {
-          sheet.getRange(r + 1, colMap['completionDate'] + 1).setValue(data.resolvedTime ? new Date(data.resolvedTime) : new Date());
-        }
-        if (colMap['updatedAt'] !== undefined) {
-          sheet.getRange(r + 1, colMap['updatedAt'] + 1).setValue(new Date());
-        }
-
-        setUpdateSignal('master');
-        Logger.log('Resolved complaint: ' + data.id);
-        return { success: true };
-      }
-    }
-
-    return { success: false, error: 'Complaint not found: ' + data.id };
-  } catch (e) {
-    Logger.log('Error in resolveComplaint: ' + e.message);
-    return { success: false, error: e.message };
+function resolveComplaint_(data) {
+  if (!data || !data.id) {
+    return { success: false, message: 'Missing complaint ID' };
   }
+  return transitionCase_('complaint', data.id, 'resolve', data);
 }
-
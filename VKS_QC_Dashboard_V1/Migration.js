@@ -12,18 +12,18 @@
  * Initialize sheets on app load
  * Called from doGet() to ensure schema is up-to-date
  */
-function initializeSheets() {
+function initializeSheets_() {
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     
     // Create Incidents tab if missing
-    createIncidentsSheet(ss);
+    createIncidentsSheet_(ss);
     
     // Create Complaints tab if missing
-    createComplaintsSheet(ss);
+    createComplaintsSheet_(ss);
     
     // Migrate from Issues tab if it exists
-    migrateFromIssuesTab(ss);
+    migrateFromIssuesTab_(ss);
     
     Logger.log('Sheet initialization complete');
   } catch (e) {
@@ -34,7 +34,7 @@ function initializeSheets() {
 /**
  * Create Incidents sheet with headers
  */
-function createIncidentsSheet(ss) {
+function createIncidentsSheet_(ss) {
   let sheet = ss.getSheetByName(SHEET_INCIDENTS);
   
   if (!sheet) {
@@ -65,7 +65,7 @@ function createIncidentsSheet(ss) {
 /**
  * Create Complaints sheet with headers
  */
-function createComplaintsSheet(ss) {
+function createComplaintsSheet_(ss) {
   let sheet = ss.getSheetByName(SHEET_COMPLAINTS);
   
   if (!sheet) {
@@ -94,7 +94,7 @@ function createComplaintsSheet(ss) {
 /**
  * Migrate data from old Issues tab to new Incidents/Complaints tabs
  */
-function migrateFromIssuesTab(ss) {
+function migrateFromIssuesTab_(ss) {
   const issuesSheet = ss.getSheetByName(SHEET_ISSUES);
   
   if (!issuesSheet) {
@@ -139,7 +139,7 @@ function migrateFromIssuesTab(ss) {
         row[headers.indexOf('siteId')] || '',
         row[headers.indexOf('category')] || '',
         row[headers.indexOf('severity')] || 'medium',
-        row[headers.indexOf('status')] || 'waiting',
+        normalizeCaseStatus_(row[headers.indexOf('status')]),
         row[headers.indexOf('timestamp')] || new Date(),  // incidentTime
         row[headers.indexOf('timestamp')] || new Date(),  // reportedTime
         row[headers.indexOf('reporterId')] || '',  // reportedBy
@@ -174,7 +174,7 @@ function migrateFromIssuesTab(ss) {
         row[headers.indexOf('category')] || '',
         row[headers.indexOf('severity')] || 'medium',
         row[headers.indexOf('priority')] || 'p3',
-        row[headers.indexOf('status')] || 'waiting',
+        normalizeCaseStatus_(row[headers.indexOf('status')]),
         row[headers.indexOf('description')] || '',
         '',  // resolution
         '',  // disciplinaryAction
@@ -203,6 +203,7 @@ function migrateFromIssuesTab(ss) {
  * Manual migration trigger (run from Apps Script editor)
  */
 function runMigration() {
-  initializeSheets();
+  requireScriptOwner_();
+  initializeSheets_();
   SpreadsheetApp.getActive().toast('Migration complete!', 'Success', 5);
 }
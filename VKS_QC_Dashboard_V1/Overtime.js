@@ -1,50 +1,702 @@
 /**
  * Overtime.gs - Overtime management backend
- * 
+ *
+ * Features:
+ * - Derives worked hours from CHECKIN/CHECKOUT scans via the attendance reconciler (Attendance.js)
+ * - Overtime = hours beyond the rostered shift, a whole session checked in as OT (meta.isOT),
+ *   or a session with no rostered shift at all
+ * - Rate from calculateOTRate (holiday / weekend / night / normal) at the hour the overtime starts
+ * - Writes one Overtime row per session (COLUMNS.overtime); pending rows are refreshed,
+ *   approved/rejected rows are never recalculated
+ * - Approve / reject with approvedBy + approvedAt (Page_Overtime)
+ * - Monthly pay periods (PayPeriods tab): locked by the payroll export (Export.js exportOTReport),
+ *   after which the month's rows are never recalculated, approved or rejected
+ *
  * Functions:
- * - getOvertimeRecords(filters) - Fetch OT records
- * - getOvertimeDetail(otId) - Full OT breakdown
- * - approveOvertime(otId, notes) - Approve OT
- * - rejectOvertime(otId, reason) - Reject OT
- * - calculateOvertimeHours(guardId, date) - Auto-calculate
+ * - getOvertimeRecords_(filters) - Fetch OT records + KPI stats
+ * - getOvertimeDetail_(otId) - Full OT breakdown
+ * - approveOvertime_(userId, otId, notes) - Approve OT
+ * - rejectOvertime_(userId, otId, reason) - Reject OT (reason required)
+ * - calculateOvertimeHours(guardId, date) - Calculate without saving
+ * - recalculateOvertime_(userId, startDate, endDate) - Calculate and save a date range
+ * - getPayPeriodStatus_(period) / unlockPayPeriod_(userId, period, reason) - Payroll lock
  */
 
+// ===========================================
+// CONFIG
+// ===========================================
+
+// Overtime columns beyond COLUMNS.overtime (added on first run)
+const OVERTIME_EXTRA_COLUMNS = ['reason', 'shiftId', 'checkinAt', 'checkoutAt', 'holiday', 'rateTier', 'decisionNote', 'createdAt'];
+
+const OVERTIME_MIN_HOURS = 0.5; // Extra time past the shift end below this is not overtime
+
+const OVERTIME_REASONS = {
+  DECLARED: 'OT shift (declared at check-in)',
+  EXTENDED: 'Worked past shift end',
+  UNROSTERED: 'Not rostered'
+};
+
+// ===========================================
+// TRIGGER
+// ===========================================
+
+/**
+ * Install the hourly overtime calculation trigger (run once from the editor)
+ */
+function setupOvertimeTrigger() {
+  requireScriptOwner_();
+  removeOvertimeTrigger();
+
+  ScriptApp.newTrigger('runOvertimeCalculation')
+    .timeBased()
+    .everyHours(1)
+    .create();
+
+  Logger.log('Overtime calculation trigger created (every hour)');
+  return { success: true };
+}
+
+/**
+ * Remove the overtime calculation trigger
+ */
+function removeOvertimeTrigger() {
+  requireScriptOwner_();
+  let removed = 0;
+  ScriptApp.getProjectTriggers().forEach(t => {
+    if (t.getHandlerFunction() === 'runOvertimeCalculation') {
+      ScriptApp.deleteTrigger(t);
+      removed++;
+    }
+  });
+  Logger.log(`Removed ${removed} overtime calculation trigger(s)`);
+  return { success: true, removed: removed };
+}
+
+/**
+ * Calculate yesterday's and today's overtime (yesterday covers night shifts checked out this morning)
+ */
+function runOvertimeCalculation(e) {
+  requireTriggerRun_(e);
+  try {
+    const now = new Date();
+    const today = Utilities.formatDate(now, 'Asia/Vientiane', 'yyyy-MM-dd');
+    const yesterday = Utilities.formatDate(new Date(now.getTime() - 86400000), 'Asia/Vientiane', 'yyyy-MM-dd');
+
+    const result = saveOvertime_(SpreadsheetApp.openById(SPREADSHEET_ID_QC), yesterday, today);
+    Logger.log(`Overtime: ${result.created} created, ${result.updated} updated`);
+    return { success: true, created: result.created, updated: result.updated };
+  } catch (e) {
+    Logger.log('Error in runOvertimeCalculation: ' + e.message + '\n' + e.stack);
+    return { success: false, message: e.message };
+  }
+}
+
+// ===========================================
+// API
+// ===========================================
+
 /**
  * Get overtime records
+ * @param {Object} filters - {startDate, endDate (yyyy-MM-dd, default last 30 days), siteId, guardId, status}
+ * @returns {Object} {success, records, stats: {totalHours, pending, approved, rejected, changePercent}}
  */
-function getOvertimeRecords(filters) {
-  // TODO: Implement
-  return [];
+function getOvertimeRecords_(filters) {
+  try {
+    filters = filters || {};
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+    const range = getOvertimeRange_(filters.startDate, filters.endDate);
+
+    // Previous period of the same length for the "vs last period" KPI
+    const days = Math.round((new Date(range.end + 'T00:00:00+07:00') - new Date(range.start + 'T00:00:00+07:00')) / 86400000) + 1;
+    const prevStart = Utilities.formatDate(new Date(new Date(range.start + 'T00:00:00+07:00').getTime() - days * 86400000), 'Asia/Vientiane', 'yyyy-MM-dd');
+
+    const guardKeys = getAttendanceGuardKeys_(ss);
+    const guardId = filters.guardId ? (guardKeys[String(filters.guardId).trim()] || String(filters.guardId).trim()) : '';
+    const siteId = filters.siteId && filters.siteId !== 'all-locations' ? String(filters.siteId) : '';
+    const status = String(filters.status || '').toLowerCase();
+
+    const matches = r => (!guardId || r.guardId === guardId) && (!siteId || r.siteId === siteId);
+    const all = readOvertimeRows_(ss, prevStart, range.end).filter(matches);
+    const current = all.filter(r => r.date >= range.start);
+    const previous = all.filter(r => r.date < range.start);
+
+    const siteNames = getGeofenceSiteNames_(ss);
+    const guardNames = getGeofenceGuardNames_(ss);
+    const locked = getLockedPayPeriods_(ss);
+    const records = current
+      .filter(r => !status || r.status === status)
+      .map(r => toOvertimeClient_(r, siteNames, guardNames, locked))
+      .sort((a, b) => (b.date + b.checkinAt).localeCompare(a.date + a.checkinAt));
+
+    // Rejected hours are not overtime worked
+    const hours = list => list.filter(r => r.status !== STATUS.overtime.REJECTED).reduce((sum, r) => sum + r.otHrs, 0);
+    const totalHours = hours(current);
+    const prevHours = hours(previous);
+
+    const stats = {
+      totalHours: totalHours.toFixed(1),
+      pending: current.filter(r => r.status === STATUS.overtime.PENDING).length,
+      approved: current.filter(r => r.status === STATUS.overtime.APPROVED).length,
+      rejected: current.filter(r => r.status === STATUS.overtime.REJECTED).length,
+      changePercent: prevHours > 0 ? Math.round((totalHours - prevHours) / prevHours * 100) : 0
+    };
+
+    return { success: true, startDate: range.start, endDate: range.end, records: records, stats: stats };
+  } catch (e) {
+    Logger.log('Error in getOvertimeRecords: ' + e.message);
+    return { success: false, message: e.message, records: [], stats: {} };
+  }
 }
 
 /**
  * Get overtime detail
+ * @returns {Object} {success, record}
  */
-function getOvertimeDetail(otId) {
-  // TODO: Implement
-  return {};
+function getOvertimeDetail_(otId) {
+  try {
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+    const record = readOvertimeRows_(ss, '', '').find(r => r.id === String(otId));
+    if (!record) return { success: false, message: 'Overtime record not found: ' + otId };
+
+    return { success: true, record: toOvertimeClient_(record, getGeofenceSiteNames_(ss), getGeofenceGuardNames_(ss), getLockedPayPeriods_(ss)) };
+  } catch (e) {
+    Logger.log('Error in getOvertimeDetail: ' + e.message);
+    return { success: false, message: e.message };
+  }
 }
 
 /**
  * Approve overtime
+ * @param {string} userId - Logged-in user (recorded as approvedBy)
  */
-function approveOvertime(otId, notes) {
-  // TODO: Implement
-  return { success: true };
+function approveOvertime_(userId, otId, notes) {
+  const denied = requirePermission_('overtime.edit');
+  if (denied) return denied;
+  return decideOvertime_(userId, otId, STATUS.overtime.APPROVED, notes);
 }
 
 /**
  * Reject overtime
+ * @param {string} reason - Required
  */
-function rejectOvertime(otId, reason) {
-  // TODO: Implement
-  return { success: true };
+function rejectOvertime_(userId, otId, reason) {
+  const denied = requirePermission_('overtime.edit');
+  if (denied) return denied;
+
+  if (!String(reason || '').trim()) return { success: false, message: 'A reason is required when rejecting.' };
+  return decideOvertime_(userId, otId, STATUS.overtime.REJECTED, reason);
 }
 
 /**
- * Calculate overtime hours for a guard
+ * Calculate overtime hours for a guard on a date (nothing is saved)
+ * @param {string} guardId - Guards id or empId
+ * @param {string} date - yyyy-MM-dd
+ * @returns {Object} {regularHours, overtimeHours, rate, records}
  */
 function calculateOvertimeHours(guardId, date) {
-  // TODO: Implement
-  return { regularHours: 0, overtimeHours: 0, rate: 1.5 };
+  try {
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+    const empId = getAttendanceGuardKeys_(ss)[String(guardId).trim()] || String(guardId).trim();
+    const attendance = getAttendanceRecords_(ss, date, date);
+
+    const worked = attendance.shifts.concat(attendance.unrostered)
+      .filter(r => r.guardId === empId && r.checkoutAt)
+      .reduce((sum, r) => sum + r.actualHrs, 0);
+    const records = buildOvertimeCandidates_(attendance).filter(c => c.guardId === empId);
+    const overtimeHours = records.reduce((sum, c) => sum + c.otHrs, 0);
+
+    return JSON.parse(JSON.stringify({
+      regularHours: Math.round((worked - overtimeHours) * 100) / 100,
+      overtimeHours: Math.round(overtimeHours * 100) / 100,
+      rate: records.length > 0 ? Math.max.apply(null, records.map(c => c.rate)) : 1.5,
+      records: records
+    }));
+  } catch (e) {
+    Logger.log('Error in calculateOvertimeHours: ' + e.message);
+    return { regularHours: 0, overtimeHours: 0, rate: 1.5, records: [] };
+  }
+}
+
+/**
+ * Calculate and save overtime for a date range (Recalculate button on Page_Overtime)
+ * @returns {Object} {success, created, updated}
+ */
+function recalculateOvertime_(userId, startDate, endDate) {
+  const denied = requirePermission_('overtime.edit');
+  if (denied) return denied;
+
+  try {
+    if (!userId) return { success: false, message: 'Login required.' };
+    const range = getOvertimeRange_(startDate, endDate);
+    const result = saveOvertime_(SpreadsheetApp.openById(SPREADSHEET_ID_QC), range.start, range.end);
+
+    logActivity_(userId, 'UPDATE', 'Overtime', range.start + ' - ' + range.end,
+      `Overtime recalculated: ${result.created} created, ${result.updated} updated`);
+    return { success: true, created: result.created, updated: result.updated };
+  } catch (e) {
+    Logger.log('Error in recalculateOvertime: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Export overtime report
+ * @param {Object} filters - Same as getOvertimeRecords
+ * @returns {string} URL of the new spreadsheet
+ */
+function exportOvertimeReport_(filters) {
+  const denied = requirePermission_('overtime.export');
+  if (denied) return denied;
+
+  const data = getOvertimeRecords_(filters);
+  if (!data.success) throw new Error(data.message);
+
+  const ss = SpreadsheetApp.create('Overtime Report - ' + data.startDate + ' to ' + data.endDate);
+  const sheet = ss.getActiveSheet();
+  const headers = ['Date', 'Guard ID', 'Guard', 'Site', 'Scheduled', 'Actual', 'OT Hours', 'Rate', 'Holiday', 'Reason', 'Status', 'Approved By', 'Approved At'];
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+
+  const rows = data.records.map(r => [
+    r.date, r.guardId, r.guardName, r.siteName, r.scheduledHours, r.actualHours, r.otHours, r.rate,
+    r.holiday, r.reason, r.status, r.approvedBy, r.approvedAt ? new Date(r.approvedAt) : ''
+  ]);
+  if (rows.length > 0) sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+
+  return ss.getUrl();
+}
+
+// ===========================================
+// PAY PERIODS
+// ===========================================
+
+/**
+ * Payroll status of a month (Payroll modal on Page_Overtime)
+ * @param {string} period - yyyy-MM
+ * @returns {Object} {success, period, status, lockedBy, lockedAt, exportedBy, exportedAt, pending, approved, rejected, approvedHours}
+ */
+function getPayPeriodStatus_(period) {
+  try {
+    period = String(period || '').trim();
+    if (!isValidPayPeriod_(period)) return { success: false, message: 'Pay period must be yyyy-MM.' };
+
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+    const range = getPayPeriodRange_(period);
+    const rows = readOvertimeRows_(ss, range.start, range.end);
+    const approved = rows.filter(r => r.status === STATUS.overtime.APPROVED);
+    const entry = readPayPeriods_(ss)[period] || {};
+    const toIso = val => val instanceof Date ? val.toISOString() : String(val || '');
+
+    return {
+      success: true,
+      period: period,
+      status: entry.status || STATUS.payPeriod.OPEN,
+      lockedBy: String(entry.lockedBy || ''),
+      lockedAt: toIso(entry.lockedAt),
+      exportedBy: String(entry.exportedBy || ''),
+      exportedAt: toIso(entry.exportedAt),
+      pending: rows.filter(r => r.status === STATUS.overtime.PENDING).length,
+      approved: approved.length,
+      rejected: rows.filter(r => r.status === STATUS.overtime.REJECTED).length,
+      approvedHours: Math.round(approved.reduce((sum, r) => sum + r.otHrs, 0) * 100) / 100
+    };
+  } catch (e) {
+    Logger.log('Error in getPayPeriodStatus: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Reopen a locked pay period so its overtime can change again (admin only)
+ * @param {string} reason - Required; kept in the PayPeriods notes
+ */
+function unlockPayPeriod_(userId, period, reason) {
+  const denied = requirePermission_('overtime.admin');
+  if (denied) return denied;
+
+  try {
+    if (!isAdmin_(userId)) return { success: false, message: 'Only admins can unlock a pay period.' };
+    period = String(period || '').trim();
+    if (!isValidPayPeriod_(period)) return { success: false, message: 'Pay period must be yyyy-MM.' };
+    reason = String(reason || '').trim();
+    if (!reason) return { success: false, message: 'A reason is required to unlock a pay period.' };
+
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+    const entry = readPayPeriods_(ss)[period];
+    if (!entry || entry.status !== STATUS.payPeriod.LOCKED) return { success: false, message: 'Pay period ' + period + ' is not locked.' };
+
+    const stamp = Utilities.formatDate(new Date(), 'Asia/Vientiane', 'yyyy-MM-dd HH:mm');
+    writePayPeriod_(ss, period, {
+      status: STATUS.payPeriod.OPEN,
+      notes: (entry.notes ? entry.notes + '\n' : '') + `Unlocked ${stamp} by ${getAuthUserName_(userId) || userId}: ${reason}`
+    });
+
+    logActivity_(userId, 'UPDATE', 'Overtime', 'Pay period: ' + period, 'Pay period unlocked - ' + reason);
+    return { success: true };
+  } catch (e) {
+    Logger.log('Error in unlockPayPeriod: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Lock a pay period after its payroll export (Export.js exportOTReport)
+ * @param {Object} summary - {approvedHours, recordCount}
+ */
+function lockPayPeriod_(ss, period, userId, summary) {
+  const userName = getAuthUserName_(userId) || userId;
+  const now = new Date();
+  writePayPeriod_(ss, period, {
+    status: STATUS.payPeriod.LOCKED,
+    lockedBy: userName,
+    lockedAt: now,
+    exportedBy: userName,
+    exportedAt: now,
+    approvedHours: summary.approvedHours,
+    recordCount: summary.recordCount
+  });
+}
+
+/**
+ * Locked periods as a lookup: {'yyyy-MM': true}
+ */
+function getLockedPayPeriods_(ss) {
+  const periods = readPayPeriods_(ss);
+  const locked = {};
+  Object.keys(periods).forEach(p => {
+    if (periods[p].status === STATUS.payPeriod.LOCKED) locked[p] = true;
+  });
+  return locked;
+}
+
+/**
+ * PayPeriods rows keyed by period
+ */
+function readPayPeriods_(ss) {
+  const sheet = ss.getSheetByName(SHEET_PAY_PERIODS);
+  if (!sheet || sheet.getLastRow() < 2) return {};
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const periods = {};
+  data.slice(1).forEach(row => {
+    const entry = {};
+    COLUMNS.payPeriods.forEach(f => {
+      const c = getCIIndex(headers, [f]);
+      entry[f] = c === -1 ? '' : row[c];
+    });
+    // Sheets turns "2026-01" into a date unless the column is plain text
+    const period = entry.period instanceof Date ? Utilities.formatDate(entry.period, 'Asia/Vientiane', 'yyyy-MM') : String(entry.period || '').trim();
+    if (!period) return;
+    entry.status = String(entry.status || STATUS.payPeriod.OPEN).toLowerCase();
+    entry.notes = String(entry.notes || '');
+    periods[period] = entry;
+  });
+  return periods;
+}
+
+/**
+ * Insert or update one PayPeriods row
+ */
+function writePayPeriod_(ss, period, values) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    let sheet = ss.getSheetByName(SHEET_PAY_PERIODS);
+    if (!sheet) {
+      sheet = ss.insertSheet(SHEET_PAY_PERIODS);
+      sheet.appendRow(COLUMNS.payPeriods);
+      sheet.getRange('A:A').setNumberFormat('@');
+    }
+    const headers = ensureSheetColumns_(sheet, COLUMNS.payPeriods);
+    const data = sheet.getDataRange().getValues();
+    const periodCol = getCIIndex(headers, ['period']);
+    const toPeriod = val => val instanceof Date ? Utilities.formatDate(val, 'Asia/Vientiane', 'yyyy-MM') : String(val || '').trim();
+    const rowIndex = data.findIndex((row, i) => i > 0 && toPeriod(row[periodCol]) === period);
+
+    if (rowIndex === -1) {
+      const record = Object.assign({ period: period }, values);
+      sheet.appendRow(headers.map(h => record[h] !== undefined ? record[h] : ''));
+      return;
+    }
+    Object.keys(values).forEach(key => {
+      const c = getCIIndex(headers, [key]);
+      if (c !== -1) sheet.getRange(rowIndex + 1, c + 1).setValue(values[key]);
+    });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Pay period (calendar month) of a yyyy-MM-dd day
+ */
+function getPayPeriod_(day) {
+  return String(day || '').substring(0, 7);
+}
+
+/**
+ * First and last day of a pay period
+ * @returns {Object} {start, end} (yyyy-MM-dd)
+ */
+function getPayPeriodRange_(period) {
+  const parts = period.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(parts[0], parts[1], 0)).getUTCDate();
+  return { start: period + '-01', end: period + '-' + String(lastDay).padStart(2, '0') };
+}
+
+function isValidPayPeriod_(period) {
+  return /^\d{4}-(0[1-9]|1[0-2])$/.test(String(period || ''));
+}
+
+// ===========================================
+// ENGINE
+// ===========================================
+
+/**
+ * Overtime candidates from completed sessions (one per session, only with a checkout)
+ * @param {Object} attendance - getAttendanceRecords_ result
+ * @returns {Array} [{id, guardId, siteId, date, scheduledHrs, actualHrs, otHrs, rate, rateTier, reason, shiftId, checkinAt, checkoutAt, holiday}]
+ */
+function buildOvertimeCandidates_(attendance) {
+  const candidates = [];
+  const hourOf = d => parseInt(Utilities.formatDate(d, 'Asia/Vientiane', 'H'), 10);
+  const add = (r, scheduledHrs, otHrs, otStart, reason) => {
+    const holiday = getHolidayFor_(otStart, r.siteId);
+    candidates.push({
+      id: 'OT-' + Utilities.formatDate(r.checkinAt, 'Asia/Vientiane', 'yyyyMMdd') + '-' + r.guardId + '-' +
+        Utilities.formatDate(r.checkinAt, 'Asia/Vientiane', 'HHmm'),
+      guardId: r.guardId,
+      siteId: r.siteId,
+      date: r.date,
+      scheduledHrs: scheduledHrs,
+      actualHrs: r.actualHrs,
+      otHrs: Math.round(otHrs * 100) / 100,
+      rate: calculateOTRate(otStart, hourOf(otStart), r.siteId),
+      rateTier: getOTRateTier(otStart, hourOf(otStart), r.siteId),
+      reason: reason,
+      shiftId: r.id || '',
+      checkinAt: r.checkinAt,
+      checkoutAt: r.checkoutAt,
+      holiday: holiday ? holiday.name : ''
+    });
+  };
+
+  attendance.shifts.forEach(s => {
+    if (!s.checkoutAt) return;
+    if (s.isOT) {
+      add(s, 0, s.actualHrs, s.checkinAt, OVERTIME_REASONS.DECLARED);
+      return;
+    }
+    const extra = s.actualHrs - s.scheduledHrs;
+    if (extra >= OVERTIME_MIN_HOURS) add(s, s.scheduledHrs, extra, s.end, OVERTIME_REASONS.EXTENDED);
+  });
+
+  attendance.unrostered.forEach(u => {
+    if (!u.checkoutAt || u.actualHrs <= 0) return;
+    add(u, 0, u.actualHrs, u.checkinAt, u.isOT ? OVERTIME_REASONS.DECLARED : OVERTIME_REASONS.UNROSTERED);
+  });
+
+  return candidates;
+}
+
+/**
+ * Write candidates for a date range to the Overtime tab.
+ * New sessions are appended as pending; pending rows are refreshed; decided rows and locked pay periods are left alone.
+ * @returns {Object} {created, updated}
+ */
+function saveOvertime_(ss, startDate, endDate) {
+  const locked = getLockedPayPeriods_(ss);
+  const candidates = buildOvertimeCandidates_(getAttendanceRecords_(ss, startDate, endDate))
+    .filter(c => !locked[getPayPeriod_(c.date)]);
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    let sheet = ss.getSheetByName(SHEET_OVERTIME);
+    if (!sheet) {
+      sheet = ss.insertSheet(SHEET_OVERTIME);
+      sheet.appendRow(COLUMNS.overtime);
+    }
+    const headers = ensureSheetColumns_(sheet, COLUMNS.overtime.concat(OVERTIME_EXTRA_COLUMNS));
+    const data = sheet.getRange(1, 1, sheet.getLastRow(), headers.length).getValues();
+    const col = name => getCIIndex(headers, [name]);
+
+    const rowById = {};
+    data.slice(1).forEach((row, i) => { rowById[String(row[col('id')])] = i + 2; });
+
+    const now = new Date();
+    const fields = ['scheduledHrs', 'actualHrs', 'otHrs', 'rate', 'rateTier', 'reason', 'shiftId', 'checkinAt', 'checkoutAt', 'holiday'];
+    const same = (a, b) => (a instanceof Date ? a.getTime() : String(a)) === (b instanceof Date ? b.getTime() : String(b));
+    let created = 0;
+    let updated = 0;
+
+    candidates.forEach(c => {
+      const rowNum = rowById[c.id];
+      if (!rowNum) {
+        const record = Object.assign({}, c, { status: STATUS.overtime.PENDING, approvedBy: '', approvedAt: '', notes: '', decisionNote: '', createdAt: now });
+        sheet.appendRow(headers.map(h => record[h] !== undefined ? record[h] : ''));
+        rowById[c.id] = sheet.getLastRow();
+        created++;
+        return;
+      }
+
+      const row = data[rowNum - 1];
+      if (!row || String(row[col('status')] || STATUS.overtime.PENDING).toLowerCase() !== STATUS.overtime.PENDING) return;
+
+      const changed = fields.filter(f => col(f) !== -1 && !same(row[col(f)], c[f]));
+      changed.forEach(f => sheet.getRange(rowNum, col(f) + 1).setValue(c[f]));
+      if (changed.length > 0) updated++;
+    });
+
+    return { created: created, updated: updated };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Record an approve/reject decision on a pending row
+ */
+function decideOvertime_(userId, otId, decision, note) {
+  try {
+    if (!userId) return { success: false, message: 'Login required.' };
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    let before = null;
+    let after = null;
+    try {
+      const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+      const sheet = ss.getSheetByName(SHEET_OVERTIME);
+      if (!sheet) return { success: false, message: 'Overtime sheet not found' };
+      const headers = ensureSheetColumns_(sheet, COLUMNS.overtime.concat(OVERTIME_EXTRA_COLUMNS));
+      const data = sheet.getDataRange().getValues();
+
+      const idCol = getCIIndex(headers, ['id']);
+      const rowIndex = data.findIndex((row, i) => i > 0 && String(row[idCol]) === String(otId));
+      if (rowIndex === -1) return { success: false, message: 'Overtime record not found: ' + otId };
+
+      const current = String(data[rowIndex][getCIIndex(headers, ['status'])] || STATUS.overtime.PENDING).toLowerCase();
+      if (current !== STATUS.overtime.PENDING) return { success: false, message: 'Already ' + current + '.' };
+
+      const period = getPayPeriod_(toOvertimeDay_(data[rowIndex][getCIIndex(headers, ['date'])]));
+      if (getLockedPayPeriods_(ss)[period]) return { success: false, message: 'Pay period ' + period + ' is locked for payroll.' };
+
+      const updates = {
+        status: decision,
+        approvedBy: getAuthUserName_(userId) || userId,
+        approvedAt: new Date(),
+        decisionNote: String(note || '').trim()
+      };
+      Object.keys(updates).forEach(key => {
+        sheet.getRange(rowIndex + 1, getCIIndex(headers, [key]) + 1).setValue(updates[key]);
+      });
+      before = toAuditRecord_(headers, data[rowIndex]);
+      after = Object.assign({}, before, updates);
+    } finally {
+      lock.releaseLock();
+    }
+
+    logAudit_(AUDIT_ACTIONS.UPDATE, AUDIT_ENTITIES.OVERTIME, otId, before, after, 'Overtime ' + decision + (note ? ' - ' + note : ''));
+    return { success: true };
+  } catch (e) {
+    Logger.log('Error in decideOvertime_: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Overtime rows between two dates (inclusive; empty = unbounded), numbers parsed
+ */
+function readOvertimeRows_(ss, startDate, endDate) {
+  const sheet = ss.getSheetByName(SHEET_OVERTIME);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const toIso = val => val instanceof Date ? val.toISOString() : String(val || '');
+  const fields = COLUMNS.overtime.concat(OVERTIME_EXTRA_COLUMNS);
+
+  const rows = [];
+  data.slice(1).forEach(row => {
+    const r = {};
+    fields.forEach(f => {
+      const c = getCIIndex(headers, [f]);
+      r[f] = c === -1 ? '' : row[c];
+    });
+    r.id = String(r.id || '');
+    r.date = toOvertimeDay_(r.date);
+    if (!r.id || (startDate && r.date < startDate) || (endDate && r.date > endDate)) return;
+
+    r.guardId = String(r.guardId || '').trim();
+    r.siteId = String(r.siteId || '').trim();
+    r.status = String(r.status || STATUS.overtime.PENDING).toLowerCase();
+    ['scheduledHrs', 'actualHrs', 'otHrs', 'rate'].forEach(f => { r[f] = parseFloat(r[f]) || 0; });
+    ['approvedAt', 'checkinAt', 'checkoutAt', 'createdAt'].forEach(f => { r[f] = toIso(r[f]); });
+    r.rateTier = String(r.rateTier || '') || getOvertimeRowTier_(r);
+    rows.push(r);
+  });
+  return rows;
+}
+
+/**
+ * Sheet date cell -> yyyy-MM-dd
+ */
+function toOvertimeDay_(val) {
+  return val instanceof Date ? Utilities.formatDate(val, 'Asia/Vientiane', 'yyyy-MM-dd') : String(val || '').substring(0, 10);
+}
+
+/**
+ * Rate tier for rows written before the rateTier column existed
+ */
+function getOvertimeRowTier_(r) {
+  if (r.holiday) return OT_RATE_TIERS.HOLIDAY;
+  const start = r.checkinAt ? new Date(r.checkinAt) : new Date(r.date + 'T00:00:00+07:00');
+  if (isNaN(start.getTime())) return OT_RATE_TIERS.NORMAL;
+  return getOTRateTier(start, parseInt(Utilities.formatDate(start, 'Asia/Vientiane', 'H'), 10), r.siteId);
+}
+
+/**
+ * Row -> the field names Page_Overtime renders
+ */
+function toOvertimeClient_(r, siteNames, guardNames, locked) {
+  return {
+    id: r.id,
+    date: r.date,
+    dateDisplay: Utilities.formatDate(new Date(r.date + 'T00:00:00+07:00'), 'Asia/Vientiane', 'MMM dd, yyyy'),
+    guardId: r.guardId,
+    guardName: guardNames[r.guardId] || r.guardId,
+    siteId: r.siteId,
+    siteName: siteNames[r.siteId.toUpperCase()] || r.siteId,
+    scheduledHours: r.scheduledHrs,
+    actualHours: r.actualHrs,
+    otHours: r.otHrs,
+    rate: r.rate,
+    rateTier: r.rateTier,
+    reason: String(r.reason || r.notes || ''),
+    status: r.status,
+    approvedBy: String(r.approvedBy || ''),
+    approvedAt: r.approvedAt,
+    decisionNote: String(r.decisionNote || ''),
+    holiday: String(r.holiday || ''),
+    shiftId: String(r.shiftId || ''),
+    checkinAt: r.checkinAt,
+    checkoutAt: r.checkoutAt,
+    locked: !!(locked && locked[getPayPeriod_(r.date)])
+  };
+}
+
+/**
+ * Date range from the page filters (default: the last 30 days up to today)
+ */
+function getOvertimeRange_(startDate, endDate) {
+  const today = Utilities.formatDate(new Date(), 'Asia/Vientiane', 'yyyy-MM-dd');
+  const end = endDate || startDate || today;
+  const start = startDate || Utilities.formatDate(new Date(new Date(end + 'T00:00:00+07:00').getTime() - 29 * 86400000), 'Asia/Vientiane', 'yyyy-MM-dd');
+  return { start: start, end: end };
 }
@@ -12,7 +12,7 @@
  * Get current patrol status for all active sites
  * Shows live tracking of guards and their progress
  */
-function getPatrolStatus() {
+function getPatrolStatus_() {
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     const sitesSheet = ss.getSheetByName(SHEET_SITES);
@@ -30,7 +30,7 @@ function getPatrolStatus() {
 
 
     // 0. Get Settings for Patrol Config
-    const settings = getSettings();
+    const settings = getSettings_();
     const POINTS_PER_ROUND = parseInt(settings.pointsPerRound) || 4;
     const TOTAL_ROUNDS = parseInt(settings.patrolRounds) || 7;
 
@@ -98,8 +98,8 @@ function getPatrolStatus() {
       } catch (e) { return null; }
     };
 
-    // Filter for Display: Only specific statuses (e.g., 'active')
-    const activeSites = sites.filter(s => s.status === 'active');
+    // Filter for Display: Only specific statuses (e.g., 'active') within the caller's scope
+    const activeSites = sites.filter(s => s.status === 'active' && isInCallerScope_([s.id, s.code, s.nameEN], s.route));
 
     // 2. Load Guards Lookup
     const guardsData = guardsSheet.getDataRange().getValues();
@@ -290,26 +290,30 @@ function getPatrolStatus() {
 /**
  * Get timeline view for a guard
  */
-function getGuardTimeline(guardId, date) {
-  return getGuardActivity({ guardId: guardId, date: date });
+function getGuardTimeline_(guardId, date) {
+  return getGuardActivity_({ guardId: guardId, date: date });
 }
 
 /**
  * Get scan details
  */
-function getScanDetails(scanId) {
+function getScanDetails_(scanId) {
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     const sheet = ss.getSheetByName(SHEET_SCANS);
 
     const data = sheet.getDataRange().getValues();
     const headers = data[0];
-    const row = data.slice(1).find(r => r[0] === scanId);
+    const idCol = Math.max(getCIIndex(headers, ['id']), 0);
+    const row = data.slice(1).find(r => String(r[idCol]) === String(scanId));
 
     if (!row) throw new Error('Scan not found');
 
     const scan = {};
-    headers.forEach((h, i) => scan[h] = row[i]);
+    headers.forEach((h, i) => scan[h] = row[i] instanceof Date ? row[i].toISOString() : row[i]);
+
+    // Photos live in Drive (photo = file URL, photoThumb = thumbnail); legacy base64 cells are not sent
+    if (String(scan.photo || '').indexOf('data:') === 0) scan.photo = '';
 
     return scan;
   } catch (e) {
@@ -344,7 +348,7 @@ function getTimeAgo(date) {
  * Get the latest signal timestamps for scans, inspections, handovers, and incidents
  * Uses Developer Metadata for cross-app communication
  */
-function getUpdateSignals() {
+function getUpdateSignals_() {
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     const meta = ss.getDeveloperMetadata();
@@ -359,24 +363,26 @@ function getUpdateSignals() {
       lastScan: getVal('LAST_SCAN_SIGNAL'),
       lastMaster: getVal('LAST_MASTER_SIGNAL'),
       lastSite: getVal('LAST_SITE_SIGNAL'),
-      lastGuard: getVal('LAST_GUARD_SIGNAL')
+      lastGuard: getVal('LAST_GUARD_SIGNAL'),
+      lastSos: getVal('LAST_SOS_SIGNAL')
     };
   } catch (e) {
     Logger.log('Signal Fetch Error: ' + e.message);
-    return { lastScan: 0, lastMaster: 0, lastSite: 0, lastGuard: 0 };
+    return { lastScan: 0, lastMaster: 0, lastSite: 0, lastGuard: 0, lastSos: 0 };
   }
 }
 
 /**
  * Trigger a refresh signal for frontend listeners
- * @param {string} type - 'scan', 'sites', 'guards'
+ * @param {string} type - 'scan', 'sites', 'guards', 'sos'
  */
-function setUpdateSignal(type) {
+function setUpdateSignal_(type) {
   try {
     const keyMap = {
       'scan': 'LAST_SCAN_SIGNAL',
       'sites': 'LAST_SITE_SIGNAL',
-      'guards': 'LAST_GUARD_SIGNAL'
+      'guards': 'LAST_GUARD_SIGNAL',
+      'sos': 'LAST_SOS_SIGNAL'
     };
     const key = keyMap[type] || 'LAST_MASTER_SIGNAL';
 
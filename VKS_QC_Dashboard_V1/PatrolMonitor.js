@@ -0,0 +1,528 @@
+/**
+ * PatrolMonitor.js - Late / Missed Patrol Round Detection
+ *
+ * Features:
+ * - Time-driven engine (runPatrolMonitor) that builds the expected round schedule for every
+ *   recent CHECKIN from the site's shift window, roundsTarget and checkpointTarget
+ * - Compares the schedule with the guard's PATROL scans and writes one PatrolRounds row per
+ *   finished round: on_time / late / missed (STATUS.scan values)
+ * - Out-of-fence scans waiting for geofence review count as their geoIntent; a review decision
+ *   re-evaluates the shift (refreshPatrolRoundsForScan_), so a rejected scan stops counting
+ * - Grace periods per site (patrolLateGrace / patrolMissedGrace on the Sites tab), falling back
+ *   to the latePatrol / missedPatrol thresholds in Settings
+ * - Feeds the Dashboard KPIs and alerts and the Performance on-time rate
+ */
+
+// ===========================================
+// CONFIG
+// ===========================================
+
+// Sites columns owned by the patrol monitor (added on first save)
+const PATROL_GRACE_SITE_COLUMNS = ['patrolLateGrace', 'patrolMissedGrace'];
+
+const PATROL_ROUNDS_HEADERS = ['TIMESTAMP', 'ID', 'roundKey', 'guardId', 'siteId', 'shiftDate', 'shiftStart', 'shiftEnd',
+  'round', 'roundsTarget', 'dueAt', 'completedAt', 'scans', 'status', 'minutesLate'];
+
+const PATROL_MONITOR_LOOKBACK_HOURS = 36; // Longest shift (12h) + missed grace, with room for a missed trigger run
+const PATROL_CHECKIN_BUFFER_MINUTES = 30; // Same early check-in buffer the Guard App uses to pick an 8h slot
+
+/**
+ * Normalize patrol grace settings coming from the Sites modal (blank = use Settings)
+ * @param {Object} config - {patrolLateGrace, patrolMissedGrace} in minutes
+ * @returns {Object} Values ready to write to the Sites tab
+ */
+function normalizePatrolGraceConfig_(config) {
+  const late = parseInt(config.patrolLateGrace);
+  const missed = parseInt(config.patrolMissedGrace);
+  if (late >= 0 && missed >= 0 && missed < late) {
+    throw new Error('Missed grace must be at least as long as the late grace');
+  }
+  return {
+    patrolLateGrace: late >= 0 ? late : '',
+    patrolMissedGrace: missed >= 0 ? missed : ''
+  };
+}
+
+// ===========================================
+// TRIGGER
+// ===========================================
+
+/**
+ * Install the 15-minute patrol monitor trigger (run once from the editor)
+ */
+function setupPatrolMonitorTrigger() {
+  requireScriptOwner_();
+  removePatrolMonitorTrigger();
+
+  ScriptApp.newTrigger('runPatrolMonitor')
+    .timeBased()
+    .everyMinutes(15)
+    .create();
+
+  Logger.log('Patrol monitor trigger created (every 15 minutes)');
+  return { success: true };
+}
+
+/**
+ * Remove the patrol monitor trigger
+ */
+function removePatrolMonitorTrigger() {
+  requireScriptOwner_();
+  let removed = 0;
+  ScriptApp.getProjectTriggers().forEach(t => {
+    if (t.getHandlerFunction() === 'runPatrolMonitor') {
+      ScriptApp.deleteTrigger(t);
+      removed++;
+    }
+  });
+  Logger.log(`Removed ${removed} patrol monitor trigger(s)`);
+  return { success: true, removed: removed };
+}
+
+// ===========================================
+// ENGINE
+// ===========================================
+
+/**
+ * Evaluate every recent CHECKIN against its expected round schedule and record finished rounds.
+ * Rounds still inside their grace period are left for a later run; rows already written only change on a geofence review.
+ * @returns {Object} {success, written, late, missed}
+ */
+function runPatrolMonitor(e) {
+  requireTriggerRun_(e);
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(5000)) return { success: false, message: 'Patrol monitor already running' };
+
+  try {
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+    const scansSheet = ss.getSheetByName(SHEET_SCANS);
+    if (!scansSheet || scansSheet.getLastRow() < 2) return { success: true, written: 0, late: 0, missed: 0 };
+
+    const now = new Date();
+    const sites = readPatrolMonitorSites_(ss);
+    const defaults = readPatrolMonitorDefaults_();
+
+    const shifts = collectPatrolShifts_(scansSheet.getDataRange().getValues(), sites, now);
+    const roundsSheet = getPatrolRoundsSheet_(ss);
+    const existing = readPatrolRoundKeys_(roundsSheet);
+    const headers = roundsSheet.getRange(1, 1, 1, roundsSheet.getLastColumn()).getValues()[0];
+
+    const rows = [];
+    let late = 0;
+    let missed = 0;
+
+    shifts.forEach(shift => {
+      evaluatePatrolShift_(shift, defaults, now).forEach(result => {
+        if (existing[result.roundKey]) return;
+        existing[result.roundKey] = true;
+
+        if (result.status === STATUS.scan.LATE) late++;
+        if (result.status === STATUS.scan.MISSED) missed++;
+
+        const record = Object.assign({ TIMESTAMP: now, ID: Utilities.getUuid() }, result);
+        rows.push(headers.map(h => record[h] !== undefined ? record[h] : ''));
+      });
+    });
+
+    if (rows.length > 0) {
+      roundsSheet.getRange(roundsSheet.getLastRow() + 1, 1, rows.length, headers.length).setValues(rows);
+      setUpdateSignal_('scan');
+    }
+
+    Logger.log(`Patrol monitor: ${shifts.length} shift(s), ${rows.length} round(s) recorded (${late} late, ${missed} missed)`);
+    return { success: true, written: rows.length, late: late, missed: missed };
+  } catch (e) {
+    Logger.log('Error in runPatrolMonitor: ' + e.message + '\n' + e.stack);
+    return { success: false, message: e.message };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Re-evaluate the shift a reviewed geofence scan belongs to and overwrite its PatrolRounds rows.
+ * Called by reviewGeofenceException after the decision is saved (and its lock released).
+ * @param {string} guardId - Scans guardId
+ * @param {string} siteId - Scans siteId
+ * @param {Date} scanAt - Scan time
+ * @returns {number} Round rows written or updated
+ */
+function refreshPatrolRoundsForScan_(guardId, siteId, scanAt) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+    const scansSheet = ss.getSheetByName(SHEET_SCANS);
+    const sites = readPatrolMonitorSites_(ss);
+    const site = sites.byKey[String(siteId || '').trim().toUpperCase()];
+    if (!scansSheet || !site || isNaN(scanAt.getTime())) return 0;
+
+    // Shifts are at most 12h: a day before the scan reaches its CHECKIN
+    const now = new Date();
+    const shifts = collectPatrolShifts_(scansSheet.getDataRange().getValues(), sites, now, scanAt.getTime() - 24 * 3600000)
+      .filter(shift => shift.guardId === String(guardId) && shift.site.id === site.id &&
+        shift.start <= scanAt && scanAt <= (shift.checkoutAt || shift.end));
+    if (shifts.length === 0) return 0;
+
+    const roundsSheet = getPatrolRoundsSheet_(ss);
+    const data = roundsSheet.getDataRange().getValues();
+    const headers = data[0];
+    const keyCol = getCIIndex(headers, ['roundKey']);
+    const rowByKey = {};
+    data.forEach((row, i) => { if (i > 0 && row[keyCol]) rowByKey[String(row[keyCol])] = i; });
+
+    const defaults = readPatrolMonitorDefaults_();
+    let written = 0;
+    shifts.forEach(shift => {
+      evaluatePatrolShift_(shift, defaults, now).forEach(result => {
+        const existing = rowByKey[result.roundKey];
+        const record = Object.assign(existing === undefined ? { TIMESTAMP: now, ID: Utilities.getUuid() } : {
+          TIMESTAMP: data[existing][getCIIndex(headers, ['TIMESTAMP'])],
+          ID: data[existing][getCIIndex(headers, ['ID'])]
+        }, result);
+        const row = headers.map(h => record[h] !== undefined ? record[h] : '');
+        if (existing === undefined) roundsSheet.appendRow(row);
+        else roundsSheet.getRange(existing + 1, 1, 1, row.length).setValues([row]);
+        written++;
+      });
+    });
+
+    if (written > 0) setUpdateSignal_('scan');
+    return written;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Round / grace defaults from Settings (Sites columns override them per site)
+ */
+function readPatrolMonitorDefaults_() {
+  const settings = getSettings_();
+  return {
+    rounds: parseInt(settings.patrolRounds) || 7,
+    points: parseInt(settings.pointsPerRound) || 4,
+    lateGrace: parseInt(settings.latePatrol) || 15,
+    missedGrace: parseInt(settings.missedPatrol) || 60
+  };
+}
+
+/**
+ * Group recent scans into one shift per guard + site + shift window.
+ * A GEO_VIOLATION scan still pending review counts as the scan the guard meant (geoIntent).
+ * @param {number} [since] - Oldest scan time (ms), default the monitor lookback
+ */
+function collectPatrolShifts_(scansData, sites, now, since) {
+  const h = scansData[0];
+  const idx = {
+    timestamp: getCIIndex(h, ['timestamp']),
+    guardId: getCIIndex(h, ['guardId']),
+    siteId: getCIIndex(h, ['siteId']),
+    status: getCIIndex(h, ['status']),
+    round: getCIIndex(h, ['round']),
+    geoIntent: getCIIndex(h, ['geoIntent']),
+    geoReview: getCIIndex(h, ['geoReview'])
+  };
+  if (since === undefined) since = now.getTime() - PATROL_MONITOR_LOOKBACK_HOURS * 3600000;
+
+  // Events per guard + site, oldest first
+  const byGuardSite = {};
+  scansData.slice(1).forEach(row => {
+    const ts = row[idx.timestamp] instanceof Date ? row[idx.timestamp] : new Date(row[idx.timestamp]);
+    if (isNaN(ts.getTime()) || ts.getTime() < since) return;
+
+    const status = readPatrolScanStatus_(row, idx);
+    if (status !== 'CHECKIN' && status !== 'PATROL' && status !== 'CHECKOUT') return;
+
+    const guardId = String(row[idx.guardId] || '').trim();
+    const site = sites.byKey[String(row[idx.siteId] || '').trim().toUpperCase()];
+    if (!guardId || !site) return;
+
+    const key = guardId + '|' + site.id;
+    (byGuardSite[key] = byGuardSite[key] || []).push({
+      at: ts,
+      status: status,
+      round: idx.round !== -1 ? parseInt(row[idx.round]) : NaN
+    });
+  });
+
+  const shifts = {};
+  Object.keys(byGuardSite).forEach(key => {
+    const [guardId, siteId] = key.split('|');
+    const site = sites.byId[siteId];
+    const events = byGuardSite[key].sort((a, b) => a.at - b.at);
+
+    let current = null;
+    events.forEach(ev => {
+      if (ev.status === 'CHECKIN') {
+        const window = getPatrolShiftWindow_(site, ev.at);
+        if (!window) { current = null; return; } // Check-in outside the site's shift window (ad-hoc)
+
+        const shiftKey = key + '|' + window.start.toISOString();
+        // A second CHECKIN inside the same window (re-login) continues the same shift
+        current = shifts[shiftKey] = shifts[shiftKey] || {
+          guardId: guardId, site: site, start: window.start, end: window.end, checkoutAt: null, patrols: []
+        };
+        current.checkoutAt = null;
+      } else if (current && ev.status === 'PATROL') {
+        current.patrols.push(ev);
+      } else if (current && ev.status === 'CHECKOUT') {
+        current.checkoutAt = ev.at;
+        current = null;
+      }
+    });
+  });
+
+  return Object.keys(shifts).map(k => shifts[k]);
+}
+
+/**
+ * Scan status for the schedule: approved exceptions already carry their intent as status,
+ * pending ones count as their geoIntent until reviewed, rejected ones stay GEO_VIOLATION
+ * @param {Object} idx - Column indexes {status, geoIntent, geoReview}
+ */
+function readPatrolScanStatus_(row, idx) {
+  const status = String(row[idx.status] || '').toUpperCase().trim();
+  if (status !== STATUS.scan.GEO_VIOLATION || idx.geoIntent === -1) return status;
+  const review = idx.geoReview !== -1 ? String(row[idx.geoReview] || '').trim().toLowerCase() : '';
+  return !review || review === STATUS.geofence.PENDING ? String(row[idx.geoIntent] || '').toUpperCase().trim() : status;
+}
+
+/**
+ * Expected schedule vs actual scans for one shift.
+ * Rounds are spread evenly over the shift: round k of N is due at start + k * (length / N).
+ * A round is complete when its checkpointTarget-th PATROL scan arrives; scans carry the
+ * Guard App round number, otherwise they are counted off in checkpointTarget-sized chunks.
+ */
+function evaluatePatrolShift_(shift, defaults, now) {
+  const site = shift.site;
+  const roundsTarget = parseInt(site.roundsTarget) || defaults.rounds;
+  const pointsTarget = parseInt(site.checkpointTarget) || defaults.points;
+  const lateGrace = site.patrolLateGrace !== '' && !isNaN(parseInt(site.patrolLateGrace)) ? parseInt(site.patrolLateGrace) : defaults.lateGrace;
+  const missedGrace = Math.max(lateGrace,
+    site.patrolMissedGrace !== '' && !isNaN(parseInt(site.patrolMissedGrace)) ? parseInt(site.patrolMissedGrace) : defaults.missedGrace);
+
+  // Scan times per round
+  const perRound = {};
+  shift.patrols.forEach((scan, i) => {
+    const round = scan.round >= 1 && scan.round <= roundsTarget ? scan.round : Math.floor(i / pointsTarget) + 1;
+    (perRound[round] = perRound[round] || []).push(scan.at);
+  });
+
+  const intervalMs = (shift.end - shift.start) / roundsTarget;
+  const shiftDate = Utilities.formatDate(shift.start, 'Asia/Vientiane', 'yyyy-MM-dd');
+  const results = [];
+
+  for (let round = 1; round <= roundsTarget; round++) {
+    const dueAt = new Date(shift.start.getTime() + round * intervalMs);
+    // Rounds after the guard's checkout belong to whoever took over
+    if (shift.checkoutAt && dueAt > shift.checkoutAt) break;
+
+    const scans = perRound[round] || [];
+    const completedAt = scans.length >= pointsTarget ? scans[pointsTarget - 1] : null;
+    const minutesLate = completedAt ? Math.max(0, Math.round((completedAt - dueAt) / 60000)) : null;
+
+    let status;
+    if (completedAt && minutesLate <= lateGrace) status = STATUS.scan.ON_TIME;
+    else if (completedAt && minutesLate <= missedGrace) status = STATUS.scan.LATE;
+    else if (completedAt || now.getTime() > dueAt.getTime() + missedGrace * 60000) status = STATUS.scan.MISSED;
+    else continue; // Still inside its grace period
+
+    results.push({
+      roundKey: [shift.guardId, site.id, shift.start.toISOString(), round].join('|'),
+      guardId: shift.guardId,
+      siteId: site.id,
+      shiftDate: shiftDate,
+      shiftStart: shift.start,
+      shiftEnd: shift.end,
+      round: round,
+      roundsTarget: roundsTarget,
+      dueAt: dueAt,
+      completedAt: completedAt || '',
+      scans: scans.length,
+      status: status,
+      minutesLate: completedAt ? minutesLate : ''
+    });
+  }
+  return results;
+}
+
+/**
+ * Shift window that a CHECKIN belongs to, from the site's shiftType / shiftStart / shiftEnd.
+ * 8h sites run three back-to-back slots from shiftStart (same rule as the Guard App check-in).
+ * @returns {Object|null} {start, end} or null when the check-in falls outside every window
+ */
+function getPatrolShiftWindow_(site, checkinAt) {
+  const startMin = patrolTimeToMinutes_(site.shiftStart, 6 * 60);
+  let lengthMin;
+  if (String(site.shiftType) === '8h') {
+    lengthMin = 8 * 60;
+  } else {
+    const endMin = patrolTimeToMinutes_(site.shiftEnd, startMin + 12 * 60);
+    lengthMin = ((endMin - startMin + 1440) % 1440) || 720;
+  }
+
+  const effective = new Date(checkinAt.getTime() + PATROL_CHECKIN_BUFFER_MINUTES * 60000);
+  effective.setSeconds(0, 0);
+  const effMin = patrolTimeToMinutes_(Utilities.formatDate(effective, 'Asia/Vientiane', 'HH:mm'), 0);
+
+  // Minutes since the most recent window start
+  let sinceStart = (effMin - startMin + 1440) % 1440;
+  if (String(site.shiftType) === '8h') sinceStart = sinceStart % lengthMin;
+  if (sinceStart >= lengthMin) return null;
+
+  const start = new Date(effective.getTime() - sinceStart * 60000);
+  return { start: start, end: new Date(start.getTime() + lengthMin * 60000) };
+}
+
+/**
+ * "HH:mm" string, ISO string or Sheets time value -> minutes after midnight (Vientiane)
+ */
+function patrolTimeToMinutes_(val, fallback) {
+  if (!val) return fallback % 1440;
+  let str = val instanceof Date ? Utilities.formatDate(val, 'Asia/Vientiane', 'HH:mm') : String(val);
+  if (str.indexOf('T') > -1) str = Utilities.formatDate(new Date(str), 'Asia/Vientiane', 'HH:mm');
+  const m = str.match(/(\d{1,2}):(\d{2})/);
+  return m ? (parseInt(m[1]) * 60 + parseInt(m[2])) % 1440 : fallback % 1440;
+}
+
+// ===========================================
+// READ (Dashboard / Performance)
+// ===========================================
+
+/**
+ * PatrolRounds rows whose shift started between two dates (yyyy-MM-dd, inclusive)
+ * @returns {Array<Object>} {guardId, siteId, shiftDate, round, roundsTarget, dueAt, completedAt, status, minutesLate}
+ */
+function getPatrolRoundRecords_(ss, startDate, endDate) {
+  const sheet = ss.getSheetByName(SHEET_PATROL_ROUNDS);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const h = data[0];
+  const col = name => getCIIndex(h, [name]);
+  const idx = {
+    guardId: col('guardId'), siteId: col('siteId'), shiftDate: col('shiftDate'), round: col('round'),
+    roundsTarget: col('roundsTarget'), dueAt: col('dueAt'), completedAt: col('completedAt'),
+    status: col('status'), minutesLate: col('minutesLate')
+  };
+  const toDay = val => val instanceof Date ? Utilities.formatDate(val, 'Asia/Vientiane', 'yyyy-MM-dd') : String(val || '').substring(0, 10);
+
+  return data.slice(1)
+    .filter(row => {
+      const day = toDay(row[idx.shiftDate]);
+      return day >= startDate && day <= endDate;
+    })
+    .map(row => ({
+      guardId: String(row[idx.guardId] || ''),
+      siteId: String(row[idx.siteId] || ''),
+      shiftDate: toDay(row[idx.shiftDate]),
+      round: Number(row[idx.round]) || 0,
+      roundsTarget: Number(row[idx.roundsTarget]) || 0,
+      dueAt: row[idx.dueAt] instanceof Date ? row[idx.dueAt] : new Date(row[idx.dueAt]),
+      completedAt: row[idx.completedAt] instanceof Date ? row[idx.completedAt] : null,
+      status: String(row[idx.status] || ''),
+      minutesLate: row[idx.minutesLate] === '' ? null : Number(row[idx.minutesLate])
+    }));
+}
+
+/**
+ * Late + missed rounds for shifts that started on a given day
+ * @param {string} day - yyyy-MM-dd (defaults to today)
+ */
+function countLatePatrolRounds_(ss, day) {
+  const d = day || Utilities.formatDate(new Date(), 'Asia/Vientiane', 'yyyy-MM-dd');
+  return getPatrolRoundRecords_(ss, d, d)
+    .filter(r => r.status === STATUS.scan.LATE || r.status === STATUS.scan.MISSED).length;
+}
+
+/**
+ * Live Alerts entries for rounds missed in the last few hours
+ */
+function getPatrolRoundAlerts_(ss) {
+  const now = new Date();
+  const today = Utilities.formatDate(now, 'Asia/Vientiane', 'yyyy-MM-dd');
+  const yesterday = Utilities.formatDate(new Date(now.getTime() - 86400000), 'Asia/Vientiane', 'yyyy-MM-dd');
+  const siteNames = getGeofenceSiteNames_(ss);
+  const guardNames = getGeofenceGuardNames_(ss);
+
+  return getPatrolRoundRecords_(ss, yesterday, today)
+    .filter(r => r.status === STATUS.scan.MISSED && now - r.dueAt < 6 * 3600000)
+    .sort((a, b) => b.dueAt - a.dueAt)
+    .slice(0, 5)
+    .map(r => {
+      const mins = Math.max(0, Math.floor((now - r.dueAt) / 60000));
+      return {
+        id: 'round-' + r.guardId + '-' + r.dueAt.getTime(),
+        title: 'Missed Patrol Round',
+        description: `${guardNames[r.guardId] || r.guardId} missed round ${r.round}/${r.roundsTarget} (due ${Utilities.formatDate(r.dueAt, 'Asia/Vientiane', 'HH:mm')})`,
+        type: 'warning',
+        patrolRound: true,
+        timeAgo: mins < 60 ? `${mins}m ago` : `${Math.floor(mins / 60)}h ago`,
+        siteName: siteNames[String(r.siteId).toUpperCase()] || r.siteId,
+        siteId: r.siteId
+      };
+    });
+}
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+function readPatrolMonitorSites_(ss) {
+  const sheet = ss.getSheetByName(SHEET_SITES);
+  const data = sheet.getDataRange().getValues();
+  const h = data[0];
+  const col = name => getCIIndex(h, [name]);
+  const idx = {
+    id: col('id'), code: getCIIndex(h, ['code', 'site code']), status: col('status'),
+    checkpointTarget: getCIIndex(h, ['checkpointTarget', 'checkpoints']), roundsTarget: getCIIndex(h, ['roundsTarget', 'rounds']),
+    shiftType: col('shiftType'), shiftStart: col('shiftStart'), shiftEnd: col('shiftEnd'),
+    patrolLateGrace: col('patrolLateGrace'), patrolMissedGrace: col('patrolMissedGrace')
+  };
+  const val = (row, key, fallback) => idx[key] !== -1 && row[idx[key]] !== '' ? row[idx[key]] : fallback;
+
+  const byId = {};
+  const byKey = {};
+  data.slice(1).forEach(row => {
+    const id = String(row[idx.id] || '').trim();
+    if (!id || String(val(row, 'status', 'active')).toLowerCase() !== 'active') return;
+
+    const site = {
+      id: id,
+      checkpointTarget: val(row, 'checkpointTarget', ''),
+      roundsTarget: val(row, 'roundsTarget', ''),
+      shiftType: val(row, 'shiftType', '12h'),
+      shiftStart: val(row, 'shiftStart', '06:00'),
+      shiftEnd: val(row, 'shiftEnd', '18:00'),
+      patrolLateGrace: val(row, 'patrolLateGrace', ''),
+      patrolMissedGrace: val(row, 'patrolMissedGrace', '')
+    };
+    byId[id] = site;
+    byKey[id.toUpperCase()] = site;
+    const code = idx.code !== -1 ? String(row[idx.code] || '').trim() : '';
+    if (code) byKey[code.toUpperCase()] = site;
+  });
+  return { byId: byId, byKey: byKey };
+}
+
+function getPatrolRoundsSheet_(ss) {
+  let sheet = ss.getSheetByName(SHEET_PATROL_ROUNDS);
+  if (!sheet) {
+    sheet = ss.insertSheet(SHEET_PATROL_ROUNDS);
+    sheet.appendRow(PATROL_ROUNDS_HEADERS);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+function readPatrolRoundKeys_(sheet) {
+  const keys = {};
+  if (sheet.getLastRow() < 2) return keys;
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const keyCol = getCIIndex(headers, ['roundKey']);
+  if (keyCol === -1) return keys;
+  sheet.getRange(2, keyCol + 1, sheet.getLastRow() - 1, 1).getValues()
+    .forEach(r => { if (r[0]) keys[String(r[0])] = true; });
+  return keys;
+}
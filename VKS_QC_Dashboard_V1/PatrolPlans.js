@@ -44,7 +44,7 @@ function ensurePatrolPlansSheet_() {
  * @param {string} date - YYYY-MM-DD
  * @returns {Array} Plan objects grouped by shift and route
  */
-function getPatrolPlans(date) {
+function getPatrolPlans_(date) {
     try {
         if (!date) throw new Error('Date is required');
 
@@ -99,7 +99,10 @@ function getPatrolPlans(date) {
  * @param {string} userId - Current user ID
  * @returns {Object} Result with count of added entries
  */
-function savePatrolPlans(date, shift, route, siteIds, userId) {
+function savePatrolPlans_(date, shift, route, siteIds, userId) {
+    var denied = requirePermission_('patrol.edit');
+    if (denied) return denied;
+
     try {
         if (!date || !shift || !route || !siteIds || !siteIds.length) {
             throw new Error('Date, shift, route, and at least one site are required');
@@ -171,6 +174,9 @@ function savePatrolPlans(date, shift, route, siteIds, userId) {
             sheet.getRange(nextRow, 1, rowsToAdd.length, COLUMNS.patrolPlans.length)
                 .setValues(rowsToAdd);
             SpreadsheetApp.flush();
+            logAuditBatch_(AUDIT_ACTIONS.CREATE, AUDIT_ENTITIES.PATROL_PLANS, rowsToAdd.map(function (row) {
+                return { id: row[0], before: null, after: toAuditRecord_(headers, row) };
+            }));
         }
 
         Logger.log('[PatrolPlans] Saved ' + rowsToAdd.length + ' plans, skipped ' + skipped + ' dupes');
@@ -186,7 +192,10 @@ function savePatrolPlans(date, shift, route, siteIds, userId) {
  * @param {string} planId - Plan entry ID
  * @returns {Object} Result
  */
-function deletePatrolPlan(planId) {
+function deletePatrolPlan_(planId) {
+    var denied = requirePermission_('patrol.delete');
+    if (denied) return denied;
+
     try {
         if (!planId) throw new Error('Plan ID is required');
 
@@ -199,6 +208,7 @@ function deletePatrolPlan(planId) {
             if (String(data[i][0]).trim() === planId) {
                 sheet.deleteRow(i + 1);
                 SpreadsheetApp.flush();
+                logAudit_(AUDIT_ACTIONS.DELETE, AUDIT_ENTITIES.PATROL_PLANS, planId, toAuditRecord_(data[0], data[i]), null);
                 Logger.log('[PatrolPlans] Deleted plan: ' + planId);
                 return { success: true };
             }
@@ -216,7 +226,10 @@ function deletePatrolPlan(planId) {
  * @param {Array} planIds - Array of plan entry IDs
  * @returns {Object} Result with count
  */
-function deletePatrolPlans(planIds) {
+function deletePatrolPlans_(planIds) {
+    var denied = requirePermission_('patrol.delete');
+    if (denied) return denied;
+
     try {
         if (!planIds || !planIds.length) throw new Error('Plan IDs are required');
 
@@ -232,9 +245,11 @@ function deletePatrolPlans(planIds) {
 
         // Collect row indices to delete (1-indexed), bottom-to-top
         var rowsToDelete = [];
+        var deleted = [];
         for (var i = data.length - 1; i >= 1; i--) {
             if (idSet[String(data[i][0]).trim()]) {
                 rowsToDelete.push(i + 1);
+                deleted.push({ id: data[i][0], before: toAuditRecord_(data[0], data[i]), after: null });
             }
         }
 
@@ -244,6 +259,7 @@ function deletePatrolPlans(planIds) {
         }
 
         if (rowsToDelete.length > 0) SpreadsheetApp.flush();
+        logAuditBatch_(AUDIT_ACTIONS.DELETE, AUDIT_ENTITIES.PATROL_PLANS, deleted);
 
         Logger.log('[PatrolPlans] Batch deleted ' + rowsToDelete.length + ' of ' + planIds.length + ' requested');
         return { success: true, deleted: rowsToDelete.length };
@@ -260,7 +276,10 @@ function deletePatrolPlans(planIds) {
  * @param {string} route - A or B
  * @returns {Object} Result with count
  */
-function clearPatrolPlans(date, shift, route) {
+function clearPatrolPlans_(date, shift, route) {
+    var denied = requirePermission_('patrol.delete');
+    if (denied) return denied;
+
     try {
         if (!date || !shift || !route) throw new Error('Date, shift, and route are required');
 
@@ -279,6 +298,7 @@ function clearPatrolPlans(date, shift, route) {
 
         // Find rows to delete (collect from bottom to top to preserve indices)
         var rowsToDelete = [];
+        var cleared = [];
         for (var i = data.length - 1; i >= 1; i--) {
             var rowDate = data[i][dateIdx];
             var rowDateStr = '';
@@ -292,6 +312,7 @@ function clearPatrolPlans(date, shift, route) {
                 String(data[i][shiftIdx] || '').toLowerCase() === shift &&
                 String(data[i][routeIdx] || '').toUpperCase() === route) {
                 rowsToDelete.push(i + 1);
+                cleared.push({ id: data[i][0], before: toAuditRecord_(headers, data[i]), after: null });
             }
         }
 
@@ -301,6 +322,8 @@ function clearPatrolPlans(date, shift, route) {
         }
 
         if (rowsToDelete.length > 0) SpreadsheetApp.flush();
+        logAuditBatch_(AUDIT_ACTIONS.DELETE, AUDIT_ENTITIES.PATROL_PLANS, cleared,
+            'Cleared ' + date + ' ' + shift + ' route ' + route);
 
         Logger.log('[PatrolPlans] Cleared ' + rowsToDelete.length + ' plans for ' + date + ' ' + shift + ' ' + route);
         return { success: true, deleted: rowsToDelete.length };
@@ -327,14 +350,17 @@ function clearPatrolPlans(date, shift, route) {
  * @param {string} userId - Current user ID
  * @returns {Object} Result
  */
-function copyPatrolPlans(fromDate, options, userId) {
+function copyPatrolPlans_(fromDate, options, userId) {
+    var denied = requirePermission_('patrol.edit');
+    if (denied) return denied;
+
     try {
         if (!fromDate || !options || !options.mode) {
             throw new Error('Source date and copy mode are required');
         }
 
         // Get source plans
-        var allPlans = getPatrolPlans(fromDate);
+        var allPlans = getPatrolPlans_(fromDate);
         if (allPlans.length === 0) {
             return { success: false, message: 'No plans found for source date' };
         }
@@ -374,7 +400,7 @@ function copyPatrolPlans(fromDate, options, userId) {
             var groupKeys = Object.keys(groups);
             for (var i = 0; i < groupKeys.length; i++) {
                 var g = groups[groupKeys[i]];
-                var result = savePatrolPlans(options.toDate, g.shift, g.route, g.siteIds, userId);
+                var result = savePatrolPlans_(options.toDate, g.shift, g.route, g.siteIds, userId);
                 totalAdded += result.added;
                 totalSkipped += result.skipped;
             }
@@ -416,7 +442,7 @@ function copyPatrolPlans(fromDate, options, userId) {
                 var groupKeys = Object.keys(groups);
                 for (var g = 0; g < groupKeys.length; g++) {
                     var gr = groups[groupKeys[g]];
-                    var result = savePatrolPlans(targetDates[t], gr.shift, gr.route, gr.siteIds, userId);
+                    var result = savePatrolPlans_(targetDates[t], gr.shift, gr.route, gr.siteIds, userId);
                     totalAdded += result.added;
                     totalSkipped += result.skipped;
                 }
@@ -439,10 +465,12 @@ function copyPatrolPlans(fromDate, options, userId) {
  * Get patrol compliance for a specific date
  * Compares PatrolPlans against InspectionLogs using 4-way key: date + shift + route + siteName
  * Falls back to external Patrol SS if local InspectionLogs is empty (same pattern as SiteMap_Data.js)
+ * A matched log counts as visited only when its presence is accepted (Geofence.gs isPresenceAccepted_: on-site, or
+ * a site without a location to check); an off-site, near or fix-less match is listed under missed with unverified: true
  * @param {string} date - YYYY-MM-DD
  * @returns {Object} { plans, visited, missed, unplanned, summary }
  */
-function getPatrolCompliance(date) {
+function getPatrolCompliance_(date) {
     try {
         if (!date) {
             Logger.log('[PatrolPlans] getPatrolCompliance called with no date');
@@ -452,7 +480,7 @@ function getPatrolCompliance(date) {
         Logger.log('[PatrolPlans] getPatrolCompliance START for date: ' + date);
 
         // 1. Get plans for this date
-        var plans = getPatrolPlans(date);
+        var plans = getPatrolPlans_(date);
         Logger.log('[PatrolPlans] Plans found: ' + plans.length);
 
         // 2. Load inspector shift map (name → shift)
@@ -510,6 +538,13 @@ function getPatrolCompliance(date) {
                 logData = logSheet.getDataRange().getValues();
                 Logger.log('[PatrolPlans] InspectionLogs rows: ' + logData.length);
             }
+            // Proof of presence columns (Patrol app, Geofence.gs); missing on sheets from before the check
+            var presenceCol = logData.length ? getCIIndex(logData[0], ['presence']) : -1;
+            var presenceDistCol = logData.length ? getCIIndex(logData[0], ['presenceDistance']) : -1;
+            // Reason the Patrol app asks for when a site is outside the shift's plan
+            var unplannedReasonCol = logData.length ? getCIIndex(logData[0], ['unplannedReason']) : -1;
+            // planned / unplanned / no-plan as processForm saw it; blank on older rows
+            var planStatusCol = logData.length ? getCIIndex(logData[0], ['planStatus']) : -1;
 
             // NIGHT SHIFT CROSS-MIDNIGHT: Night shift 21:30–06:30 spans two calendar days.
             // For a plan on date X, we need logs from X-1 to X+1, then use effectiveDate
@@ -665,7 +700,12 @@ function getPatrolCompliance(date) {
                     shift: logShift,
                     shiftRaw: rawShift,
                     shiftStrategy: winningStrategy,
-                    score: String(logData[i][9] || '')
+                    score: String(logData[i][9] || ''),
+                    // '' = logged before the presence check
+                    presence: presenceCol !== -1 ? String(logData[i][presenceCol] || '').trim().toLowerCase() : '',
+                    presenceDistance: presenceDistCol !== -1 && logData[i][presenceDistCol] !== '' ? Number(logData[i][presenceDistCol]) : null,
+                    unplannedReason: unplannedReasonCol !== -1 ? String(logData[i][unplannedReasonCol] || '').trim() : '',
+                    planStatus: planStatusCol !== -1 ? String(logData[i][planStatusCol] || '').trim().toLowerCase() : ''
                 });
             }
         } catch (logErr) {
@@ -676,7 +716,8 @@ function getPatrolCompliance(date) {
         Logger.log('[PatrolPlans] DayLogs matched: ' + dayLogs.length);
 
         // 4. Match plans against logs using 3-tier matching:
-        //    Tier 1: Exact 4-way match (date + shift + route + siteName) → VISITED
+        //    Tier 1: Exact 4-way match (date + shift + route + siteName) → VISITED when presence is verified
+        //            (on-site, or a log from before the presence check); otherwise MISSED with unverified: true
         //    Tier 2: Partial match (same site, different shift/route) → PARTIAL
         //    Tier 3: No match at all → MISSED
         //    Remaining unmatched logs → UNPLANNED
@@ -709,11 +750,14 @@ function getPatrolCompliance(date) {
         var matchedPlanIndices = {};
 
         // --- TIER 1: Exact 4-way match (site + shift + route) ---
+        //     A verified log wins over an earlier unverified one for the same plan
+        var unverified = [];
         for (var p = 0; p < plans.length; p++) {
             var plan = plans[p];
             var planSiteName = plan.siteName.trim().toLowerCase();
             var planKey = planSiteName + '|' + plan.route;
             var isMultiShift = !!multiShiftSites[planKey];
+            var matchIndex = -1;
 
             for (var l = 0; l < dayLogs.length; l++) {
                 if (matchedLogIndices[l]) continue;
@@ -724,30 +768,58 @@ function getPatrolCompliance(date) {
                 if (isSiteMatch &&
                     log.shift === plan.shift &&
                     log.route === plan.route) {
-                    visited.push({
-                        planId: plan.id,
-                        siteId: plan.siteId,
-                        siteName: plan.siteName,
-                        shift: plan.shift,
-                        route: plan.route,
-                        patrolName: log.patrolName,
-                        timestamp: log.timestamp,
-                        score: log.score,
-                        status: 'visited',
-                        multiShift: isMultiShift
-                    });
-                    matchedLogIndices[l] = true;
-                    matchedPlanIndices[p] = true;
-                    break;
+                    if (isPresenceAccepted_(log.presence)) {
+                        matchIndex = l;
+                        break;
+                    }
+                    if (matchIndex === -1) matchIndex = l;
                 }
             }
+            if (matchIndex === -1) continue;
+
+            var matchLog = dayLogs[matchIndex];
+            matchedLogIndices[matchIndex] = true;
+            matchedPlanIndices[p] = true;
+            if (!isPresenceAccepted_(matchLog.presence)) {
+                // Logged against the plan, but GPS doesn't place the inspector at the site
+                unverified.push({
+                    planId: plan.id,
+                    siteId: plan.siteId,
+                    siteName: plan.siteName,
+                    shift: plan.shift,
+                    route: plan.route,
+                    patrolName: matchLog.patrolName,
+                    timestamp: matchLog.timestamp,
+                    score: matchLog.score,
+                    status: 'missed',
+                    unverified: true,
+                    presence: matchLog.presence,
+                    presenceDistance: matchLog.presenceDistance,
+                    multiShift: isMultiShift
+                });
+                continue;
+            }
+            visited.push({
+                planId: plan.id,
+                siteId: plan.siteId,
+                siteName: plan.siteName,
+                shift: plan.shift,
+                route: plan.route,
+                patrolName: matchLog.patrolName,
+                timestamp: matchLog.timestamp,
+                score: matchLog.score,
+                status: 'visited',
+                presence: matchLog.presence,
+                multiShift: isMultiShift
+            });
         }
 
 
         // TIER 2 (Partial) removed — visits with wrong shift/route are now Unplanned
 
 
-        // --- TIER 3: Remaining unmatched plans → MISSED ---
+        // --- TIER 3: Remaining unmatched plans → MISSED (after the unverified ones) ---
+        Array.prototype.push.apply(missed, unverified);
         for (var p3 = 0; p3 < plans.length; p3++) {
             if (matchedPlanIndices[p3]) continue;
             var plan3 = plans[p3];
@@ -778,24 +850,28 @@ function getPatrolCompliance(date) {
                     patrolName: uLog.patrolName,
                     timestamp: uLog.timestamp,
                     score: uLog.score,
+                    reason: uLog.unplannedReason,
+                    // The Patrol app found the visit outside the plan but got no reason (e.g. sent from its offline queue)
+                    reasonMissing: uLog.planStatus === 'unplanned' && !uLog.unplannedReason,
                     status: 'unplanned'
                 });
             }
         }
 
         // 6. Build summary
-        //    Compliance: visited = 100% credit (partial removed)
+        //    Compliance: visited = 100% credit (partial removed); unverified presence counts as missed
         var totalPlanned = plans.length;
         var totalVisited = visited.length;
         var totalPartial = 0; // Partial removed — kept for backward compatibility
         var totalMissed = missed.length;
+        var totalUnverified = unverified.length;
         var totalUnplanned = unplanned.length;
         var complianceRate = totalPlanned > 0
             ? Math.round((totalVisited / totalPlanned) * 100)
             : 0;
 
         Logger.log('[PatrolPlans] getPatrolCompliance DONE: ' + totalPlanned + ' planned, ' +
-            totalVisited + ' visited, ' + totalMissed + ' missed, ' + totalUnplanned + ' unplanned');
+            totalVisited + ' visited, ' + totalMissed + ' missed (' + totalUnverified + ' presence unverified), ' + totalUnplanned + ' unplanned');
 
         return {
             date: date,
@@ -810,6 +886,7 @@ function getPatrolCompliance(date) {
                 totalVisited: totalVisited,
                 totalPartial: totalPartial,
                 totalMissed: totalMissed,
+                totalUnverified: totalUnverified,
                 totalUnplanned: totalUnplanned,
                 complianceRate: complianceRate
             }
@@ -824,7 +901,7 @@ function getPatrolCompliance(date) {
             partial: [],
             missed: [],
             unplanned: [],
-            summary: { totalPlanned: 0, totalVisited: 0, totalPartial: 0, totalMissed: 0, totalUnplanned: 0, complianceRate: 0 }
+            summary: { totalPlanned: 0, totalVisited: 0, totalPartial: 0, totalMissed: 0, totalUnverified: 0, totalUnplanned: 0, complianceRate: 0 }
         };
     }
 }
@@ -835,7 +912,7 @@ function getPatrolCompliance(date) {
  * @param {string} endDate - YYYY-MM-DD
  * @returns {Object} { dailyStats[], overallSummary }
  */
-function getPatrolComplianceRange(startDate, endDate, route) {
+function getPatrolComplianceRange_(startDate, endDate, route) {
     try {
         if (!startDate || !endDate) throw new Error('Start and end dates are required');
 
@@ -874,7 +951,7 @@ function getPatrolComplianceRange(startDate, endDate, route) {
             current.setDate(current.getDate() + d);
             var dateStr = Utilities.formatDate(current, Session.getScriptTimeZone(), 'yyyy-MM-dd');
 
-            var compliance = getPatrolCompliance(dateStr);
+            var compliance = getPatrolCompliance_(dateStr);
 
             // Apply route filter
             var plans = compliance.plans || [];
@@ -1012,7 +1089,7 @@ function getPatrolComplianceRange(startDate, endDate, route) {
 
 /**
  * Get compliance-annotated route data for a specific inspector across a date range.
- * Reuses getPatrolCompliance() per day (inherits ±1 day buffer, shift detection, 3-tier matching).
+ * Reuses getPatrolCompliance_() per day (inherits ±1 day buffer, shift detection, 3-tier matching).
  * Returns enriched logs + missed plans for map rendering.
  *
  * @param {string} inspector - Inspector name
@@ -1020,7 +1097,7 @@ function getPatrolComplianceRange(startDate, endDate, route) {
  * @param {string} endDate - YYYY-MM-DD
  * @returns {string} JSON string of { logs, missedPlans, summary }
  */
-function getInspectorRouteCompliance(inspector, startDate, endDate) {
+function getInspectorRouteCompliance_(inspector, startDate, endDate) {
     try {
         if (!inspector || !startDate || !endDate) {
             return JSON.stringify({ logs: [], missedPlans: [], summary: {} });
@@ -1091,7 +1168,7 @@ function getInspectorRouteCompliance(inspector, startDate, endDate) {
             current.setDate(current.getDate() + d);
             var dateStr = Utilities.formatDate(current, Session.getScriptTimeZone(), 'yyyy-MM-dd');
 
-            var compliance = getPatrolCompliance(dateStr);
+            var compliance = getPatrolCompliance_(dateStr);
 
             // Visited logs for this inspector
             (compliance.visited || []).forEach(function (v) {
@@ -1451,7 +1528,7 @@ function getSiteIdMap_() {
  * @param {string} route - A or B
  * @returns {Array} [{id, nameEN, route}]
  */
-function getSitesByRoute(route) {
+function getSitesByRoute_(route) {
     try {
         route = (route || '').toUpperCase();
         var ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
@@ -10,7 +10,7 @@
  * @param {Object} siteData - Site data object including config
  * @returns {boolean} success
  */
-function syncToPatrolDashboard(siteData) {
+function syncToPatrolDashboard_(siteData) {
   try {
     if (!siteData) {
         console.error('syncToPatrolDashboard called without data. Did you mean to run debug_triggerSyncManual?');
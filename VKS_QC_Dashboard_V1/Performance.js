@@ -3,6 +3,7 @@
  * 
  * Aggregation functions for the Performance Page.
  * Returns metrics from: InspectionLogs, Guards, Sites, Incidents, Complaints, HandoverRecords, SpecialActivityLogs
+ * All metrics cover only the sites in the caller's scope (isInCallerScope_, Permissions.gs)
  */
 
 // ===========================================
@@ -13,12 +14,12 @@
  * Get inspection performance metrics
  * @param {Object} dateRange - { start: string, end: string }
  * @param {string} routeFilter - 'A', 'B', or '' for all
- * @returns {Object} { total, avgScore, passRate, scatterData }
+ * @returns {Object} { total, avgScore, passRate, scoredCount, unscored, criticalFailures, scatterData }
  */
-function getInspectionPerformance(dateRange, routeFilter) {
+function getInspectionPerformance_(dateRange, routeFilter) {
     try {
         // getInspectionLogs returns JSON string, need to parse it
-        const logsRaw = getInspectionLogs({
+        const logsRaw = getInspectionLogs_({
             startDate: dateRange.start,
             endDate: dateRange.end,
             route: routeFilter === 'all' ? '' : routeFilter
@@ -27,13 +28,11 @@ function getInspectionPerformance(dateRange, routeFilter) {
 
         const total = logs.length;
 
-        // Calculate average score (0-100 scale)
-        const scores = logs.filter(l => l.score !== undefined && l.score !== '').map(l => parseFloat(l.score) || 0);
-        const avgScore = scores.length > 0 ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : 0;
-
-        // Pass rate: status === 'completed' (no issues)
-        const passed = logs.filter(l => l.status === 'completed').length;
-        const passRate = total > 0 ? Math.round((passed / total) * 100) : 0;
+        // Weighted score (0-100) and pass rate against each inspection's site-type threshold (Scoring.gs);
+        // inspections from before the weighted score are left out and counted as unscored
+        const scoreSummary = summarizeInspectionScores_(logs.map(l => l.scoring));
+        const avgScore = scoreSummary.avgScore !== null ? scoreSummary.avgScore : 0;
+        const passRate = scoreSummary.passRate !== null ? scoreSummary.passRate : 0;
 
         // Scatter data for chart
         const scatterData = logs.map(l => {
@@ -71,7 +70,7 @@ function getInspectionPerformance(dateRange, routeFilter) {
         const prevStart = new Date(dateRange.start);
         prevStart.setDate(prevStart.getDate() - periodDays);
 
-        const prevLogsRaw = getInspectionLogs({
+        const prevLogsRaw = getInspectionLogs_({
             startDate: prevStart.toISOString().split('T')[0],
             endDate: dateRange.start
         });
@@ -115,6 +114,12 @@ function getInspectionPerformance(dateRange, routeFilter) {
             total,
             avgScore,
             passRate,
+            scoredCount: scoreSummary.scored,
+            unscored: scoreSummary.unscored,
+            criticalFailures: scoreSummary.criticalFailures,
+            avgChecklistRate: scoreSummary.avgChecklistRate,
+            avgCommunication: scoreSummary.avgCommunication,
+            avgUniform: scoreSummary.avgUniform,
             trend: trendPercent,
             scatterData,
             // New V2 metrics
@@ -128,7 +133,7 @@ function getInspectionPerformance(dateRange, routeFilter) {
     } catch (e) {
         Logger.log('getInspectionPerformance error: ' + e.toString());
         return {
-            total: 0, avgScore: 0, passRate: 0, trend: 0, scatterData: [],
+            total: 0, avgScore: 0, passRate: 0, scoredCount: 0, unscored: 0, criticalFailures: 0, trend: 0, scatterData: [],
             avgPerDay: 0, periodDays: 0, complianceRate: 0, activeDays: 0, mostActiveShift: 1, shiftCounts: { 1: 0, 2: 0, 3: 0 }
         };
     }
@@ -142,14 +147,14 @@ function getInspectionPerformance(dateRange, routeFilter) {
  * Get guard performance metrics
  * @param {Object} dateRange - { start: string, end: string }
  * @param {string} shiftFilter - 'morning', 'evening', 'night', or '' for all
- * @returns {Object} { activeGuards, onTimeRate, avgScansPerDay, topPerformers }
+ * @returns {Object} { activeGuards, onTimeRate, avgScansPerDay, lateRounds, missedRounds, topPerformers }
  */
-function getGuardPerformance(dateRange, shiftFilter) {
+function getGuardPerformance_(dateRange, shiftFilter) {
     try {
         const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
 
         // Get active guards
-        const guards = getGuards({ status: 'active' });
+        const guards = getGuards_({ status: 'active' }).filter(g => isInCallerScope_(g.siteId));
 
         // Get scans in date range
         const scansSheet = ss.getSheetByName(SHEET_SCANS);
@@ -164,18 +169,18 @@ function getGuardPerformance(dateRange, shiftFilter) {
 
         const headers = scansData[0];
         const timestampIdx = headers.indexOf('timestamp');
-        const statusIdx = headers.indexOf('status');
-        const guardIdIdx = headers.indexOf('guardId');
+        const siteIdIdx = headers.indexOf('siteId');
 
         const startDate = new Date(dateRange.start);
         const endDate = new Date(dateRange.end);
         endDate.setHours(23, 59, 59);
 
-        // Filter scans by date and shift
+        // Filter scans by date, scope and shift
         const scans = scansData.slice(1).filter(row => {
             const ts = new Date(row[timestampIdx]);
             if (isNaN(ts.getTime())) return false;
             if (ts < startDate || ts > endDate) return false;
+            if (!isInCallerScope_(row[siteIdIdx])) return false;
 
             // Apply shift filter
             if (shiftFilter && shiftFilter !== 'all') {
@@ -189,41 +194,58 @@ function getGuardPerformance(dateRange, shiftFilter) {
         });
 
         const totalScans = scans.length;
-        const onTimeScans = scans.filter(s => s[statusIdx] === 'on_time').length;
-        const onTimeRate = totalScans > 0 ? Math.round((onTimeScans / totalScans) * 100) : 0;
 
         // Calculate avg scans per day
         const daysInRange = Math.max(1, Math.ceil((endDate - startDate) / 86400000));
         const avgScansPerDay = Math.round(totalScans / daysInRange);
 
-        // Calculate top performers (by on-time rate)
-        const guardScans = {};
-        scans.forEach(s => {
-            const gid = s[guardIdIdx];
-            if (!guardScans[gid]) guardScans[gid] = { total: 0, onTime: 0 };
-            guardScans[gid].total++;
-            if (s[statusIdx] === 'on_time') guardScans[gid].onTime++;
+        // On-time rate comes from the rounds the patrol monitor has assessed (PatrolMonitor.js)
+        const rounds = getPatrolRoundRecords_(ss, dateRange.start, dateRange.end).filter(r => {
+            if (!isInCallerScope_(r.siteId)) return false;
+            if (!shiftFilter || shiftFilter === 'all') return true;
+            const hour = parseInt(Utilities.formatDate(r.dueAt, 'Asia/Vientiane', 'H'));
+            if (shiftFilter === 'morning') return hour >= 6 && hour < 14;
+            if (shiftFilter === 'evening') return hour >= 14 && hour < 22;
+            if (shiftFilter === 'night') return hour < 6 || hour >= 22;
+            return true;
+        });
+        const onTimeRounds = rounds.filter(r => r.status === STATUS.scan.ON_TIME).length;
+        const onTimeRate = rounds.length > 0 ? Math.round((onTimeRounds / rounds.length) * 100) : 0;
+
+        // Calculate top performers (by round on-time rate)
+        const guardRounds = {};
+        rounds.forEach(r => {
+            if (!guardRounds[r.guardId]) guardRounds[r.guardId] = { total: 0, onTime: 0, late: 0, missed: 0 };
+            const stats = guardRounds[r.guardId];
+            stats.total++;
+            if (r.status === STATUS.scan.ON_TIME) stats.onTime++;
+            if (r.status === STATUS.scan.LATE) stats.late++;
+            if (r.status === STATUS.scan.MISSED) stats.missed++;
         });
 
         // Build guard name lookup
         const guardNameMap = {};
         guards.forEach(g => { guardNameMap[g.id] = g.name + ' ' + (g.surname || ''); });
 
-        const rankings = Object.entries(guardScans)
-            .filter(([gid, stats]) => stats.total >= 5) // Minimum 5 scans to qualify
+        const rankings = Object.entries(guardRounds)
+            .filter(([gid, stats]) => stats.total >= 3) // Minimum 3 assessed rounds to qualify
             .map(([gid, stats]) => ({
                 guardId: gid,
                 name: guardNameMap[gid] || gid,
                 onTimeRate: Math.round((stats.onTime / stats.total) * 100),
-                totalScans: stats.total
+                totalRounds: stats.total,
+                lateRounds: stats.late,
+                missedRounds: stats.missed
             }))
-            .sort((a, b) => b.onTimeRate - a.onTimeRate || b.totalScans - a.totalScans)
+            .sort((a, b) => b.onTimeRate - a.onTimeRate || b.totalRounds - a.totalRounds)
             .slice(0, 3);
 
         return {
             activeGuards: guards.length,
             onTimeRate,
             avgScansPerDay,
+            lateRounds: rounds.filter(r => r.status === STATUS.scan.LATE).length,
+            missedRounds: rounds.filter(r => r.status === STATUS.scan.MISSED).length,
             topPerformers: rankings
         };
     } catch (e) {
@@ -240,18 +262,18 @@ function getGuardPerformance(dateRange, shiftFilter) {
  * Get site coverage and performance metrics
  * @param {Object} dateRange - { start: string, end: string }
  * @param {string} routeFilter - 'A', 'B', or '' for all
- * @returns {Object} { totalSites, visitedSites, coverageGap, coveragePercent, uncovered }
+ * @returns {Object} { totalSites, visitedSites, coverageGap, coveragePercent, belowThresholdCount, belowThreshold, uncovered }
  */
-function getSitePerformance(dateRange, routeFilter) {
+function getSitePerformance_(dateRange, routeFilter) {
     try {
         // Get all sites
-        const allSites = getSites({
+        const allSites = getSites_({
             status: 'active',
             route: routeFilter === 'all' ? '' : routeFilter
         });
 
         // Get inspection logs in date range (returns JSON string)
-        const logsRaw = getInspectionLogs({
+        const logsRaw = getInspectionLogs_({
             startDate: dateRange.start,
             endDate: dateRange.end
         });
@@ -269,11 +291,33 @@ function getSitePerformance(dateRange, routeFilter) {
         const totalSites = allSites.length;
         const visitedCount = totalSites - uncoveredSites.length;
 
+        // Weighted score per visited site against its site type's pass threshold (Scoring.gs)
+        const siteScores = allSites.map(s => {
+            const siteName = (s.nameEN || s.name || '').toLowerCase().trim();
+            const summary = summarizeInspectionScores_(logs
+                .filter(l => (l.siteName || '').toLowerCase().trim() === siteName)
+                .map(l => l.scoring));
+            if (!summary.scored) return null;
+            const passThreshold = getScoringRuleFor_(s.type).passThreshold;
+            return {
+                id: s.id,
+                name: s.nameEN || s.name,
+                route: s.route || '',
+                avgScore: summary.avgScore,
+                passRate: summary.passRate,
+                passThreshold: passThreshold,
+                criticalFailures: summary.criticalFailures
+            };
+        }).filter(Boolean).sort((a, b) => (a.avgScore - a.passThreshold) - (b.avgScore - b.passThreshold));
+        const belowThreshold = siteScores.filter(s => s.avgScore < s.passThreshold);
+
         return {
             totalSites,
             visitedSites: visitedCount,
             coverageGap: uncoveredSites.length,
             coveragePercent: totalSites > 0 ? Math.round((visitedCount / totalSites) * 100) : 0,
+            belowThresholdCount: belowThreshold.length,
+            belowThreshold: belowThreshold.slice(0, 10),
             uncovered: uncoveredSites.slice(0, 10).map(s => ({
                 id: s.id,
                 name: s.nameEN || s.name,
@@ -282,7 +326,7 @@ function getSitePerformance(dateRange, routeFilter) {
         };
     } catch (e) {
         Logger.log('getSitePerformance error: ' + e.toString());
-        return { totalSites: 0, visitedSites: 0, coverageGap: 0, coveragePercent: 0, uncovered: [] };
+        return { totalSites: 0, visitedSites: 0, coverageGap: 0, coveragePercent: 0, belowThresholdCount: 0, belowThreshold: [], uncovered: [] };
     }
 }
 
@@ -296,33 +340,32 @@ function getSitePerformance(dateRange, routeFilter) {
  * @param {string} typeFilter - 'incidents', 'complaints', or '' for all
  * @returns {Object} { openIssues, slaMet, avgResolutionHours, recent, trend }
  */
-function getIssuePerformance(dateRange, typeFilter) {
+function getIssuePerformance_(dateRange, typeFilter) {
     try {
         let incidents = [];
         let complaints = [];
 
         if (typeFilter !== 'complaints') {
-            const result = getIncidents({ startDate: dateRange.start, endDate: dateRange.end });
+            const result = getIncidents_({ startDate: dateRange.start, endDate: dateRange.end });
             // getIncidents returns { incidents: [], stats: {} }
             incidents = result.incidents || [];
         }
 
         if (typeFilter !== 'incidents') {
-            const result = getComplaints({ startDate: dateRange.start, endDate: dateRange.end });
+            const result = getComplaints_({ startDate: dateRange.start, endDate: dateRange.end });
             // getComplaints returns { complaints: [], stats: {} }
             complaints = result.complaints || [];
         }
 
+        // Duplicates merged into another case (CaseLinks.gs) are counted once, as their master
         const all = [...incidents.map(i => ({ ...i, issueType: 'incident' })),
-        ...complaints.map(c => ({ ...c, issueType: 'complaint' }))];
+        ...complaints.map(c => ({ ...c, issueType: 'complaint' }))].filter(i => !i.mergedInto);
 
         // Open issues
-        const openIssues = all.filter(i =>
-            i.status === 'waiting' || i.status === 'in_progress'
-        ).length;
+        const openIssues = all.filter(i => isCaseOpen_(i.status)).length;
 
         // Resolved issues
-        const resolved = all.filter(i => i.status === 'completed');
+        const resolved = all.filter(i => !isCaseOpen_(i.status));
 
         // SLA met calculation
         const slaMet = resolved.filter(i => {
@@ -410,7 +453,7 @@ function calculate7DayTrend_(issues) {
  * @param {Object} dateRange - { start: string, end: string }
  * @returns {Object} { totalEntries, avgPerDay, completenessRate }
  */
-function getHandoverMetrics(dateRange) {
+function getHandoverMetrics_(dateRange) {
     try {
         const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
         const sheet = ss.getSheetByName(SHEET_HANDOVER_RECORDS);
@@ -427,6 +470,7 @@ function getHandoverMetrics(dateRange) {
         const headers = data[0];
         const timestampIdx = headers.indexOf('timestamp');
         const commentIdx = headers.indexOf('comment');
+        const siteIdx = headers.indexOf('siteName');
 
         const startDate = new Date(dateRange.start);
         const endDate = new Date(dateRange.end);
@@ -434,7 +478,7 @@ function getHandoverMetrics(dateRange) {
 
         const entries = data.slice(1).filter(row => {
             const ts = new Date(row[timestampIdx]);
-            return !isNaN(ts.getTime()) && ts >= startDate && ts <= endDate;
+            return !isNaN(ts.getTime()) && ts >= startDate && ts <= endDate && isInCallerScope_(row[siteIdx]);
         });
 
         const totalEntries = entries.length;
@@ -468,7 +512,7 @@ function getHandoverMetrics(dateRange) {
  * @param {Object} dateRange - { start: string, end: string }
  * @returns {Object} { stationaryCount, onboardingCount, totalHours, byType }
  */
-function getSpecialDutyMetrics(dateRange) {
+function getSpecialDutyMetrics_(dateRange) {
     try {
         const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
         const sheet = ss.getSheetByName(SHEET_SPECIAL_ACTIVITY);
@@ -486,6 +530,7 @@ function getSpecialDutyMetrics(dateRange) {
         const timestampIdx = headers.indexOf('timestamp');
         const typeIdx = headers.indexOf('type');
         const durationIdx = headers.indexOf('duration');
+        const siteIdx = headers.indexOf('siteName');
 
         const startDate = new Date(dateRange.start);
         const endDate = new Date(dateRange.end);
@@ -493,7 +538,7 @@ function getSpecialDutyMetrics(dateRange) {
 
         const activities = data.slice(1).filter(row => {
             const ts = new Date(row[timestampIdx]);
-            return !isNaN(ts.getTime()) && ts >= startDate && ts <= endDate;
+            return !isNaN(ts.getTime()) && ts >= startDate && ts <= endDate && isInCallerScope_(row[siteIdx]);
         });
 
         const stationary = activities.filter(a => String(a[typeIdx]).toLowerCase() === 'stationary');
@@ -531,14 +576,14 @@ function getSpecialDutyMetrics(dateRange) {
  * @param {string} activityType - 'all', 'regular', 'Stationary', 'Onboarding'
  * @returns {Array} Scatter data points
  */
-function getScatterData(dateRange, activityType) {
+function getScatterData_(dateRange, activityType) {
     try {
         const points = [];
 
         // Get inspection logs
         if (activityType === 'all' || activityType === 'regular') {
             // getInspectionLogs returns JSON string
-            const logsRaw = getInspectionLogs({
+            const logsRaw = getInspectionLogs_({
                 startDate: dateRange.start,
                 endDate: dateRange.end
             });
@@ -587,6 +632,7 @@ function getScatterData(dateRange, activityType) {
                     data.slice(1).forEach(row => {
                         const ts = new Date(row[timestampIdx]);
                         if (isNaN(ts.getTime()) || ts < startDate || ts > endDate) return;
+                        if (!isInCallerScope_(row[siteIdx])) return;
 
                         const type = String(row[typeIdx] || '');
                         if (activityType !== 'all' && activityType.toLowerCase() !== type.toLowerCase()) return;
@@ -627,7 +673,7 @@ function getScatterData(dateRange, activityType) {
  * @param {Object} dateRange - { start: string, end: string }
  * @returns {Object} All performance data
  */
-function getAllPerformanceData(dateRange) {
+function getAllPerformanceData_(dateRange) {
     try {
         // Default to current month if no date range
         if (!dateRange || !dateRange.start) {
@@ -640,18 +686,18 @@ function getAllPerformanceData(dateRange) {
             };
         }
 
-        const inspectionData = getInspectionPerformance(dateRange, '');
+        const inspectionData = getInspectionPerformance_(dateRange, '');
 
         // Get combined scatter data including special activities
-        const combinedScatterData = getScatterData(dateRange, 'all');
+        const combinedScatterData = getScatterData_(dateRange, 'all');
 
         return {
             inspections: inspectionData,
-            guards: getGuardPerformance(dateRange, ''),
-            sites: getSitePerformance(dateRange, ''),
-            issues: getIssuePerformance(dateRange, ''),
-            handovers: getHandoverMetrics(dateRange),
-            specialDuties: getSpecialDutyMetrics(dateRange),
+            guards: getGuardPerformance_(dateRange, ''),
+            sites: getSitePerformance_(dateRange, ''),
+            issues: getIssuePerformance_(dateRange, ''),
+            handovers: getHandoverMetrics_(dateRange),
+            specialDuties: getSpecialDutyMetrics_(dateRange),
             // Combined scatter data with both inspections and special activities
             combinedScatterData: combinedScatterData,
             dateRange
@@ -672,13 +718,13 @@ function getAllPerformanceData(dateRange) {
  * @param {Object} dateRange - { start: string, end: string }
  * @returns {Object} { routeA: [{siteName, count}], routeB: [{siteName, count}] }
  */
-function getRouteInspectionCounts(dateRange) {
+function getRouteInspectionCounts_(dateRange) {
     try {
         // Get all active sites with route info
-        const allSites = getSites({ status: 'active' });
+        const allSites = getSites_({ status: 'active' });
 
         // Get inspection logs in date range
-        const logsRaw = getInspectionLogs({
+        const logsRaw = getInspectionLogs_({
             startDate: dateRange.start,
             endDate: dateRange.end
         });
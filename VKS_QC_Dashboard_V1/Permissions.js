@@ -0,0 +1,589 @@
+/**
+ * Permissions.gs - Role-based access control for the dashboard
+ *
+ * Features:
+ * - One entry point for the browser: JavaScript.html sends every google.script.run call
+ *   through callServer(sessionToken, action, args), which checks the caller before running the function
+ * - SERVER_ACTIONS lists every function the dashboard calls and the permission it needs;
+ *   anything not listed is refused. The functions themselves are private (name + "_"), so
+ *   google.script.run cannot reach them around callServer
+ * - Sessions: validateLogin issues a random token kept in the script cache (SESSION_TTL_SECONDS,
+ *   renewed on every call); callServer takes the user from the token, never from the browser.
+ *   Arguments that name the acting user (CALLER_ID_ARGS) are overwritten with the session user
+ * - Functions that change data also call requirePermission_ themselves
+ * - Maintenance functions run from the editor keep public names but call requireScriptOwner_; time-driven
+ *   trigger handlers call requireTriggerRun_(e). The web app runs as the owner for every visitor, so
+ *   anything public without one of these checks is open to anonymous google.script.run calls
+ * - Role per user: VKS_Users Role column (ROLES in Config.gs)
+ * - Permissions per role: DEFAULT_ROLE_PERMISSIONS, replaced by the Settings row
+ *   "permissions.<role>" when present (comma-separated, e.g. "*.view, incidents.edit")
+ * - Denied calls return {success: false, code, message} and are written to the activity log (DENIED)
+ * - Site scope per user: VKS_Users ScopeRoutes / ScopeSites / ScopeClients (comma-separated).
+ *   Read functions (getSites, getIncidents, ...) keep only records for sites in the caller's scope;
+ *   GLOBAL_SCOPE_ROLES and users without a scope see every site
+ *
+ * Functions:
+ * - callServer(sessionToken, action, args) - Authorize and run a dashboard call
+ * - getMyPermissions_(userId) - Role + permission list of the logged-in user
+ * - logout_() - End the caller's session
+ * - seedRolePermissions() - Write the default matrix to Settings (run once from the editor)
+ * - requireScriptOwner_() / requireTriggerRun_(e) - Guards for editor and trigger entry points
+ */
+
+// ===========================================
+// CONFIG
+// ===========================================
+
+const PERMISSION_SETTING_PREFIX = 'permissions.';
+
+// VKS_Users scope columns (added by updateUser when first used)
+const USER_SCOPE_COLUMNS = {
+  routes: 'ScopeRoutes',
+  sites: 'ScopeSites',
+  clients: 'ScopeClients'
+};
+
+const PERMISSION_ERRORS = {
+  UNAUTHENTICATED: 'UNAUTHENTICATED', // No session, unknown or inactive user
+  FORBIDDEN: 'FORBIDDEN'              // Role lacks the permission, or the action is not listed
+};
+
+// Session tokens issued by validateLogin (script cache; 6 h is the CacheService maximum)
+const SESSION_CACHE_PREFIX = 'auth_session_';
+const SESSION_TTL_SECONDS = 21600;
+
+// Any active user may call these (no permission needed)
+const ANY_USER = '';
+// No login needed
+const NO_LOGIN = null;
+
+// Generic Data.gs calls: permission follows the data type
+const dataPermission_ = action => args => {
+  const type = String(args[0] || '');
+  // Settings and user rows hold the permission matrix and roles
+  return (type === 'settings' || type === 'users' ? type + '.admin' : type + '.' + action);
+};
+
+// Case lifecycle calls (CaseLifecycle.gs): permission follows the case type
+const casePermission_ = action => args =>
+  (String(args[0] || '') === 'complaint' ? 'complaints.' : 'incidents.') + action;
+
+/**
+ * Every function the dashboard calls -> the permission it needs
+ * (string, ANY_USER, NO_LOGIN, or a function of the call arguments)
+ */
+const SERVER_ACTIONS = {
+  // Session
+  validateLogin: NO_LOGIN,
+  getCurrentUser: ANY_USER,
+  getMyPermissions: ANY_USER,
+  changeMyPassword: ANY_USER,
+  getSettings: ANY_USER,
+  getUpdateSignals: ANY_USER,
+  logActivity: ANY_USER,
+  logout: ANY_USER,
+
+  // Dashboard & AI
+  getDashboardBundle: 'dashboard.view',
+  getDashboardData: 'dashboard.view',
+  getDashboardAlerts: 'dashboard.view',
+  getRecentSubmissions: 'dashboard.view',
+  getSiteStatusForMap: 'dashboard.view',
+  getAIBriefing: 'ai.view',
+  getAIPatternAnalysis: 'ai.view',
+  analyzePerformanceTopic: 'ai.view',
+  regenerateDailyBriefing: 'ai.edit',
+  regenerateWeeklyPatterns: 'ai.edit',
+
+  // Sites & checkpoints
+  getSites: 'sites.view',
+  getSiteDetail: 'sites.view',
+  getSiteDetailWithGuards: 'sites.view',
+  getSiteOptions: 'sites.view',
+  getSiteByName: 'sites.view',
+  getSiteCoordinates: 'sites.view',
+  getSiteMapAggregatedData: 'sites.view',
+  saveSite: 'sites.edit',
+  saveSitePatrolConfig: 'sites.edit',
+  deleteSite: 'sites.delete',
+  getCheckpointsBySite: 'checkpoints.view',
+  getStandardLocations: 'checkpoints.view',
+  getPatrolNameOptions: 'checkpoints.view',
+  getGuardAppUrl: 'checkpoints.view',
+  getCheckpointQRFlags: 'checkpoints.view',
+  generateQRForLocation: 'checkpoints.edit',
+  bulkGenerateCheckpoints: 'checkpoints.edit',
+  syncLocationsFromPatrol: 'checkpoints.edit',
+  rotateCheckpointQR: 'checkpoints.edit',
+  revokeCheckpointQR: 'checkpoints.delete',
+  deleteCheckpoint: 'checkpoints.delete',
+
+  // Guards
+  getGuards: 'guards.view',
+  getGuardDetail: 'guards.view',
+  getGuardOptions: 'guards.view',
+  getGuardsBySite: 'guards.view',
+  getGuardStats: 'guards.view',
+  saveGuard: 'guards.edit',
+  resetGuardIdentity: 'guards.edit',
+  getGuardEnrollments: 'guards.view',
+  approveGuardEnrollment: 'guards.edit',
+  rejectGuardEnrollment: 'guards.edit',
+  getGuardActivity: 'activity.view',
+
+  // Patrol, SOS & geofence
+  getPatrolStatus: 'patrol.view',
+  getPatrolCompliance: 'patrol.view',
+  getPatrolComplianceRange: 'patrol.view',
+  getInspectorRouteCompliance: 'patrol.view',
+  getSitesByRoute: 'patrol.view',
+  savePatrolPlans: 'patrol.edit',
+  copyPatrolPlans: 'patrol.edit',
+  deletePatrolPlan: 'patrol.delete',
+  deletePatrolPlans: 'patrol.delete',
+  getActiveSOS: 'sos.view',
+  acknowledgeSOS: 'sos.edit',
+  respondSOS: 'sos.edit',
+  getGeofenceExceptions: 'geofence.view',
+  reviewGeofenceException: 'geofence.edit',
+
+  // Attendance, overtime & holidays
+  getAttendanceBoard: 'attendance.view',
+  getOvertimeRecords: 'overtime.view',
+  getOvertimeDetail: 'overtime.view',
+  getPayPeriodStatus: 'overtime.view',
+  approveOvertime: 'overtime.edit',
+  rejectOvertime: 'overtime.edit',
+  recalculateOvertime: 'overtime.edit',
+  exportOvertimeReport: 'overtime.export',
+  exportOTReport: 'overtime.export',
+  unlockPayPeriod: 'overtime.admin',
+  getHolidays: 'holidays.view',
+  saveHoliday: 'holidays.admin',
+  deleteHoliday: 'holidays.admin',
+  saveHolidayRates: 'holidays.admin',
+  seedLaoNationalHolidays: 'holidays.admin',
+
+  // Incidents & complaints
+  getIncidents: 'incidents.view',
+  saveIncident: 'incidents.edit',
+  resolveIncident: 'incidents.edit',
+  exportIncidents: 'incidents.export',
+  getComplaints: 'complaints.view',
+  saveComplaint: 'complaints.edit',
+  resolveComplaint: 'complaints.edit',
+  exportComplaints: 'complaints.export',
+  getCaseTimeline: casePermission_('view'),
+  getAssignableUsers: casePermission_('view'),
+  transitionCase: casePermission_('edit'),
+  addCaseComment: casePermission_('edit'),
+  getCapaActions: casePermission_('view'),
+  saveCapaAction: casePermission_('edit'),
+  updateCapaAction: casePermission_('edit'),
+  getEvidenceRegister: casePermission_('view'),
+  openEvidence: casePermission_('view'),
+  exportEvidenceBundle: casePermission_('export'),
+  findSimilarCases: casePermission_('view'),
+  linkCases: casePermission_('edit'),
+  mergeCase: casePermission_('edit'),
+
+  // Public site QR page (PublicComplaints.gs) - no session
+  getPublicComplaintChallenge: NO_LOGIN,
+  submitPublicComplaint: NO_LOGIN,
+  trackPublicComplaint: NO_LOGIN,
+
+  // Inspections, handover, performance & reports
+  getInspectionLogs: 'inspections.view',
+  getSpecialActivityLogs: 'inspections.view',
+  getChecklistResults: 'inspections.view',
+  getInspectionChecklist: 'inspections.view',
+  getHandoverRecords: 'handovers.view',
+  getAllPerformanceData: 'performance.view',
+  getGuardPerformance: 'performance.view',
+  getSitePerformance: 'performance.view',
+  getInspectionPerformance: 'performance.view',
+  getIssuePerformance: 'performance.view',
+  getRouteInspectionCounts: 'performance.view',
+  generateReport: 'reports.export',
+
+  // Administration
+  saveSettings: 'settings.edit',
+  getSlaPolicies: 'settings.view',
+  saveSlaPolicy: 'settings.edit',
+  deleteSlaPolicy: 'settings.edit',
+  getChecklistTemplates: 'settings.view',
+  saveChecklistTemplate: 'settings.edit',
+  deleteChecklistTemplate: 'settings.edit',
+  getScoringRules: 'settings.view',
+  saveScoringRule: 'settings.edit',
+  deleteScoringRule: 'settings.edit',
+  getUsers: 'users.admin',
+  createUser: 'users.admin',
+  updateUser: 'users.admin',
+  resetUserPassword: 'users.admin',
+  getActivityLogs: 'logs.admin',
+  getRecordHistory: 'logs.admin',
+
+  // Generic CRUD (Data.gs)
+  getData: dataPermission_('view'),
+  saveData: dataPermission_('edit'),
+  deleteData: dataPermission_('delete')
+};
+
+/**
+ * Actions with an argument that names the acting user -> its index.
+ * callServer puts the session user there, whatever the browser sent.
+ */
+const CALLER_ID_ARGS = {
+  getMyPermissions: 0,
+  changeMyPassword: 0,
+  logActivity: 0,
+  rotateCheckpointQR: 0,
+  revokeCheckpointQR: 0,
+  savePatrolPlans: 4,
+  copyPatrolPlans: 2,
+  acknowledgeSOS: 0,
+  respondSOS: 0,
+  reviewGeofenceException: 0,
+  approveOvertime: 0,
+  rejectOvertime: 0,
+  recalculateOvertime: 0,
+  exportOTReport: 0,
+  unlockPayPeriod: 0,
+  saveHoliday: 0,
+  deleteHoliday: 0,
+  saveHolidayRates: 0,
+  seedLaoNationalHolidays: 0,
+  getUsers: 0,
+  createUser: 0,
+  updateUser: 0,
+  resetUserPassword: 0,
+  getActivityLogs: 0,
+  getRecordHistory: 0
+};
+
+// Caller of the call being run (set by callServer) and per-execution caches
+let AUTH_CONTEXT_ = null;
+let ROLE_PERMISSIONS_CACHE_ = null;
+
+// ===========================================
+// ENTRY POINT
+// ===========================================
+
+/**
+ * Authorize and run a dashboard call (JavaScript.html routes google.script.run here)
+ * @param {string} sessionToken - Token from validateLogin (SessionManager.getSessionToken)
+ * @param {string} action - SERVER_ACTIONS name; runs the private function action + "_"
+ * @param {Array} args - Arguments for the function
+ * @returns {*} The function's result, or {success: false, code, message} when denied
+ */
+function callServer(sessionToken, action, args) {
+  action = String(action || '');
+  args = Array.isArray(args) ? args : [];
+
+  const fn = globalThis[action + '_'];
+  if (!Object.prototype.hasOwnProperty.call(SERVER_ACTIONS, action) || typeof fn !== 'function') {
+    return denyCall_('', action, PERMISSION_ERRORS.FORBIDDEN, 'Unknown action: ' + action);
+  }
+
+  const entry = SERVER_ACTIONS[action];
+  const permission = typeof entry === 'function' ? entry(args) : entry;
+
+  if (permission !== NO_LOGIN) {
+    const user = getPermissionUser_(resolveSession_(sessionToken));
+    if (!user) return denyCall_('', action, PERMISSION_ERRORS.UNAUTHENTICATED, 'Login required.');
+    if (permission && !hasPermission_(user.role, permission)) {
+      return denyCall_(user.userId, action, PERMISSION_ERRORS.FORBIDDEN, 'Permission denied: ' + permission);
+    }
+    if (Object.prototype.hasOwnProperty.call(CALLER_ID_ARGS, action)) args[CALLER_ID_ARGS[action]] = user.userId;
+    user.sessionToken = sessionToken;
+    AUTH_CONTEXT_ = user;
+  }
+
+  try {
+    return fn.apply(null, args);
+  } finally {
+    AUTH_CONTEXT_ = null;
+  }
+}
+
+/**
+ * Check the caller inside a function that changes data
+ * @param {string} permission - e.g. 'sites.delete'
+ * @returns {Object|null} null when allowed, otherwise the denial to return
+ */
+function requirePermission_(permission) {
+  if (!AUTH_CONTEXT_) {
+    // Trigger or editor run: no session to check against
+    return denyCall_('', permission, PERMISSION_ERRORS.UNAUTHENTICATED, 'Login required.');
+  }
+  if (!hasPermission_(AUTH_CONTEXT_.role, permission)) {
+    return denyCall_(AUTH_CONTEXT_.userId, permission, PERMISSION_ERRORS.FORBIDDEN, 'Permission denied: ' + permission);
+  }
+  return null;
+}
+
+/**
+ * Role + permission list of the logged-in user
+ * @returns {Object} {success, role, permissions}
+ */
+function getMyPermissions_(userId) {
+  const user = getPermissionUser_(userId);
+  if (!user) return { success: false, code: PERMISSION_ERRORS.UNAUTHENTICATED, message: 'Login required.' };
+  return { success: true, role: user.role, permissions: getRolePermissions_(user.role), scope: user.scope };
+}
+
+// ===========================================
+// SESSIONS
+// ===========================================
+
+/**
+ * Start a session for a user who just logged in (validateLogin)
+ * @returns {string} Token the browser sends with every call
+ */
+function createSession_(userId) {
+  const token = Utilities.getUuid().replace(/-/g, '') + Utilities.getUuid().replace(/-/g, '');
+  CacheService.getScriptCache().put(SESSION_CACHE_PREFIX + token, String(userId), SESSION_TTL_SECONDS);
+  return token;
+}
+
+/**
+ * User behind a session token; each call renews the session
+ * @returns {string|null} null when the token is unknown or expired
+ */
+function resolveSession_(sessionToken) {
+  if (!sessionToken || typeof sessionToken !== 'string') return null;
+  const cache = CacheService.getScriptCache();
+  const userId = cache.get(SESSION_CACHE_PREFIX + sessionToken);
+  if (!userId) return null;
+  cache.put(SESSION_CACHE_PREFIX + sessionToken, userId, SESSION_TTL_SECONDS);
+  return userId;
+}
+
+/**
+ * End the caller's session (Settings > Logout)
+ */
+function logout_() {
+  if (!AUTH_CONTEXT_) return { success: false };
+  CacheService.getScriptCache().remove(SESSION_CACHE_PREFIX + AUTH_CONTEXT_.sessionToken);
+  logActivity_(AUTH_CONTEXT_.userId, 'LOGOUT', 'System', 'Authentication', 'User logged out');
+  return { success: true };
+}
+
+// ===========================================
+// EDITOR AND TRIGGER RUNS
+// ===========================================
+
+/**
+ * Throw unless the script owner is running this (editor, spreadsheet menu).
+ * The effective user is always the owner in the web app, so the active user has to match it;
+ * it is blank for anonymous visitors.
+ */
+function requireScriptOwner_() {
+  const active = Session.getActiveUser().getEmail();
+  if (!active || active !== Session.getEffectiveUser().getEmail()) {
+    throw new Error('Only the script owner can run this, from the Apps Script editor.');
+  }
+}
+
+/**
+ * Throw unless one of this project's triggers started the handler (the event carries its ID)
+ * or the script owner runs it by hand
+ * @param {Object} e - Trigger event
+ */
+function requireTriggerRun_(e) {
+  const uid = e && e.triggerUid ? String(e.triggerUid) : '';
+  if (uid && ScriptApp.getProjectTriggers().some(t => t.getUniqueId() === uid)) return;
+  requireScriptOwner_();
+}
+
+/**
+ * Write DEFAULT_ROLE_PERMISSIONS to the Settings tab so admins can edit it there.
+ * Existing "permissions.<role>" rows are left alone. Run once from the GAS editor.
+ */
+function seedRolePermissions() {
+  requireScriptOwner_();
+  const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+  let sheet = ss.getSheetByName(SHEET_SETTINGS);
+  if (!sheet) sheet = ss.insertSheet(SHEET_SETTINGS);
+
+  const existing = sheet.getLastRow() > 0 ? sheet.getRange(1, 1, sheet.getLastRow(), 1).getValues().map(r => String(r[0])) : [];
+  let added = 0;
+  Object.keys(DEFAULT_ROLE_PERMISSIONS).forEach(role => {
+    const key = PERMISSION_SETTING_PREFIX + role;
+    if (existing.indexOf(key) > -1) return;
+    sheet.appendRow([key, DEFAULT_ROLE_PERMISSIONS[role].join(', ')]);
+    added++;
+  });
+
+  Logger.log(`Role permissions seeded: ${added} row(s) added to ${SHEET_SETTINGS}`);
+  return { success: true, added: added };
+}
+
+// ===========================================
+// SITE SCOPE
+// ===========================================
+
+/**
+ * Is a record inside the caller's site scope?
+ * Always true outside callServer (triggers, editor runs) and for callers with the global view.
+ * @param {Array|string} siteKeys - Site id / code / name(s) the record refers to
+ * @param {string} route - Route of the record, when it has one
+ * @returns {boolean}
+ */
+function isInCallerScope_(siteKeys, route) {
+  const scope = getCallerScope_();
+  if (!scope) return true;
+  if (route && scope.routes.indexOf(normalizeScopeRoute_(route)) > -1) return true;
+  return [].concat(siteKeys).some(key => key && scope.keys[String(key).trim().toUpperCase()]);
+}
+
+/**
+ * Site scope of the caller, resolved once per call
+ * @returns {Object|null} null for the global view, else {routes, keys} (upper-cased; keys = id, code and names of every site in scope)
+ */
+function getCallerScope_() {
+  if (!AUTH_CONTEXT_) return null;
+  if (AUTH_CONTEXT_.siteScope === undefined) AUTH_CONTEXT_.siteScope = buildSiteScope_(AUTH_CONTEXT_);
+  return AUTH_CONTEXT_.siteScope;
+}
+
+/**
+ * Expand a user's routes / sites / client groups into the site keys they cover
+ */
+function buildSiteScope_(user) {
+  const scope = user.scope;
+  if (GLOBAL_SCOPE_ROLES.indexOf(user.role) > -1) return null;
+  if (!scope.routes.length && !scope.sites.length && !scope.clients.length) return null;
+
+  const routes = scope.routes.map(normalizeScopeRoute_);
+  const sites = scope.sites.map(s => s.toUpperCase());
+  const clients = scope.clients.map(c => c.toUpperCase());
+  const keys = {};
+  sites.forEach(s => { keys[s] = true; });
+
+  const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(SHEET_SITES);
+  if (sheet && sheet.getLastRow() > 1) {
+    const data = sheet.getDataRange().getValues();
+    const h = data[0];
+    const idx = {
+      id: getCIIndex(h, ['id']), code: getCIIndex(h, ['code']), nameEN: getCIIndex(h, ['nameEN']),
+      nameLO: getCIIndex(h, ['nameLO']), route: getCIIndex(h, ['route']), clientGroup: getCIIndex(h, ['clientGroup'])
+    };
+    const val = (row, col) => col > -1 ? String(row[col] || '').trim().toUpperCase() : '';
+
+    data.slice(1).forEach(row => {
+      const siteKeys = [val(row, idx.id), val(row, idx.code), val(row, idx.nameEN), val(row, idx.nameLO)].filter(Boolean);
+      const inScope = routes.indexOf(normalizeScopeRoute_(val(row, idx.route))) > -1 ||
+        siteKeys.some(k => sites.indexOf(k) > -1) ||
+        (val(row, idx.clientGroup) && clients.indexOf(val(row, idx.clientGroup)) > -1);
+      if (inScope) siteKeys.forEach(k => { keys[k] = true; });
+    });
+  }
+
+  return { routes: routes, keys: keys };
+}
+
+/**
+ * "Route A" / "a" -> "A"
+ */
+function normalizeScopeRoute_(route) {
+  return String(route || '').trim().toUpperCase().replace(/^ROUTE\s*/, '');
+}
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Does a role have a permission? Patterns: "*", "<resource>.*", "*.<action>", "<resource>.<action>"
+ */
+function hasPermission_(role, permission) {
+  const parts = String(permission).split('.');
+  return getRolePermissions_(role).some(p => {
+    if (p === '*' || p === permission) return true;
+    const pp = p.split('.');
+    return pp.length === 2 && (pp[0] === '*' || pp[0] === parts[0]) && (pp[1] === '*' || pp[1] === parts[1]);
+  });
+}
+
+/**
+ * Permission list of a role (Settings override, else DEFAULT_ROLE_PERMISSIONS)
+ */
+function getRolePermissions_(role) {
+  if (!ROLE_PERMISSIONS_CACHE_) {
+    ROLE_PERMISSIONS_CACHE_ = {};
+    const settings = getSettings_();
+    Object.keys(settings).forEach(key => {
+      if (key.indexOf(PERMISSION_SETTING_PREFIX) !== 0) return;
+      ROLE_PERMISSIONS_CACHE_[normalizeRole_(key.substring(PERMISSION_SETTING_PREFIX.length))] =
+        String(settings[key] || '').split(',').map(p => p.trim()).filter(Boolean);
+    });
+  }
+  return ROLE_PERMISSIONS_CACHE_[role] || DEFAULT_ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Active VKS_Users row for a session user
+ * @returns {Object|null} {userId, role, scope: {routes, sites, clients}}
+ */
+function getPermissionUser_(userId) {
+  if (!userId) return null;
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(AUTH_SHEETS.USERS);
+  if (!sheet) return null;
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const idCol = getCIIndex(headers, ['ID']);
+  const roleCol = getCIIndex(headers, ['Role']);
+  const statusCol = getCIIndex(headers, ['Status']);
+
+  const row = data.find((r, i) => i > 0 && String(r[idCol]) === String(userId));
+  if (!row || String(row[statusCol] || '').toLowerCase() !== 'active') return null;
+  return { userId: String(userId), role: normalizeRole_(row[roleCol]), scope: readUserScope_(headers, row) };
+}
+
+/**
+ * Scope lists from a VKS_Users row (missing columns = empty lists)
+ */
+function readUserScope_(headers, row) {
+  const scope = {};
+  Object.keys(USER_SCOPE_COLUMNS).forEach(key => {
+    const col = getCIIndex(headers, [USER_SCOPE_COLUMNS[key]]);
+    scope[key] = col > -1 ? splitScopeList_(row[col]) : [];
+  });
+  return scope;
+}
+
+/**
+ * "A, B" / ["A", "B"] -> ["A", "B"]
+ */
+function splitScopeList_(value) {
+  return (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(v => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Scope for the activity log, e.g. "routes: A | sites: - | clients: BCEL"
+ */
+function describeUserScope_(scope) {
+  return Object.keys(USER_SCOPE_COLUMNS)
+    .map(key => key + ': ' + (splitScopeList_(scope[key]).join(', ') || '-'))
+    .join(' | ');
+}
+
+/**
+ * "QC Lead" / "qc_lead" -> ROLES value; unknown roles get viewer rights
+ */
+function normalizeRole_(role) {
+  const key = String(role || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return Object.keys(ROLES).some(k => ROLES[k] === key) ? key : ROLES.VIEWER;
+}
+
+/**
+ * Uniform denial: logged to the activity log and returned to the browser
+ */
+function denyCall_(userId, action, code, message) {
+  logActivity_(userId || '', 'DENIED', 'Security', action, message);
+  return { success: false, code: code, message: message };
+}
@@ -0,0 +1,392 @@
+/**
+ * PublicComplaints.js - Complaint form and status tracking on the public site QR page
+ *
+ * Features:
+ * - Page_PublicInfo (doGet ?type=info) resolves the scanned site from siteId / locId and lets
+ *   clients and residents report a problem without logging in: category, description, optional
+ *   name / phone / email and one photo
+ * - Every report and every tracking lookup needs a fresh server-issued challenge (CacheService,
+ *   one use): the browser must find a nonce whose SHA-256 with the token starts with
+ *   PUBLIC_COMPLAINT_LIMITS.workDigits zeros, so each call costs the sender a few seconds of work.
+ *   Reports also answer an arithmetic question, not faster than minFillSeconds, plus a hidden honeypot
+ * - Quotas are keyed on what the server knows: all reports, the scanned site, the tracking code
+ *   looked up. Phone / email add a per-reporter cap when given; nothing is keyed on a browser ID
+ * - The report becomes a Complaints row (customerType public) with the SLA policy due date, a
+ *   'created' timeline entry and an audit row with Source = Public QR
+ * - The reporter gets a tracking code; the same page looks it up and shows status and steps only
+ *   (no names, notes or resolution text)
+ *
+ * All calls go through callServer with NO_LOGIN (Permissions.gs).
+ */
+
+// ===========================================
+// CONFIG
+// ===========================================
+
+const PUBLIC_CHALLENGE_PREFIX = 'pubcmp_chk_';
+const PUBLIC_QUOTA_PREFIX = 'pubcmp_quota_';
+const PUBLIC_TRACKING_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I
+
+// Columns the public form writes besides the original Complaints set
+const PUBLIC_COMPLAINT_COLUMNS = ['customerEmail', 'evidence', 'trackingCode'];
+
+// ===========================================
+// API
+// ===========================================
+
+/**
+ * New challenge for the report form or a tracking lookup
+ * @param {string} purpose - 'report' (default, with a question) or 'lookup' (work only)
+ * @returns {Object} {success, token, question, workDigits}
+ */
+function getPublicComplaintChallenge_(purpose) {
+  try {
+    const isLookup = purpose === 'lookup';
+    const a = 2 + Math.floor(Math.random() * 8);
+    const b = 2 + Math.floor(Math.random() * 8);
+    const token = Utilities.getUuid();
+    CacheService.getScriptCache().put(PUBLIC_CHALLENGE_PREFIX + token, JSON.stringify({
+      purpose: isLookup ? 'lookup' : 'report',
+      answer: isLookup ? null : a + b,
+      issuedAt: Date.now()
+    }), PUBLIC_COMPLAINT_LIMITS.challengeSeconds);
+    return {
+      success: true,
+      token: token,
+      question: isLookup ? '' : a + ' + ' + b,
+      workDigits: PUBLIC_COMPLAINT_LIMITS.workDigits
+    };
+  } catch (e) {
+    Logger.log('Error in getPublicComplaintChallenge: ' + e.message);
+    return { success: false, message: 'Could not load the check question. Please try again.' };
+  }
+}
+
+/**
+ * File a complaint from the public QR page
+ * @param {Object} data - {siteId, category, description, customerName, customerPhone, customerEmail,
+ *   photo: {type, base64}, challengeToken, challengeAnswer, challengeNonce, website (honeypot)}
+ * @returns {Object} {success, trackingCode, dueDate}
+ */
+function submitPublicComplaint_(data) {
+  try {
+    data = data || {};
+    const limits = PUBLIC_COMPLAINT_LIMITS;
+
+    // Bots fill every field, people never see this one
+    if (data.website) return { success: false, message: 'Your report could not be sent.' };
+
+    const site = findPublicSite_(data.siteId, '');
+    if (!site) return { success: false, message: 'Unknown site. Please scan the QR code at the site again.' };
+    if (PUBLIC_COMPLAINT_CATEGORIES.indexOf(data.category) === -1) {
+      return { success: false, message: 'Please choose what the problem is about.' };
+    }
+    const description = String(data.description || '').trim();
+    if (description.length < 10) return { success: false, message: 'Please describe the problem (at least 10 characters).' };
+    if (description.length > limits.descriptionMax) {
+      return { success: false, message: 'Description is too long (max ' + limits.descriptionMax + ' characters).' };
+    }
+    const email = String(data.customerEmail || '').trim().toLowerCase();
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { success: false, message: 'Email address is not valid.' };
+    const phone = String(data.customerPhone || '').trim();
+    const photo = data.photo;
+    if (photo && (!/^data:image\/(jpeg|png);base64,/.test(String(photo.base64 || '')) ||
+      photo.base64.length > limits.photoMaxChars)) {
+      return { success: false, message: 'The photo must be a JPEG or PNG under 2 MB.' };
+    }
+
+    const check = verifyPublicChallenge_('report', data.challengeToken, data.challengeNonce, data.challengeAnswer);
+    if (!check.success) return check;
+
+    // Quotas: whole form and this site; contact details, when given, cap one reporter on top
+    const reporterKeys = [phone.replace(/\D/g, ''), email].filter(Boolean).map(key => 'reporter:' + key);
+    const quotas = [
+      { key: 'all', limit: limits.allHour, seconds: 3600 },
+      { key: 'site:' + site.siteId, limit: limits.perSiteHour, seconds: 3600 }
+    ].concat(reporterKeys.map(key => ({ key: key, limit: limits.perReporterDay, seconds: 86400 })));
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    let created;
+    try {
+      if (!takePublicQuotas_(quotas)) {
+        return { success: false, message: 'Too many reports right now. Please try again later or call the site supervisor.' };
+      }
+      created = createPublicComplaint_(site, {
+        category: data.category,
+        description: description,
+        customerName: String(data.customerName || '').trim().substring(0, 100),
+        customerPhone: phone.substring(0, 30),
+        customerEmail: email
+      });
+    } finally {
+      lock.releaseLock();
+    }
+
+    // Drive upload is slow: done outside the lock, the row is already saved
+    let photoFailed = false;
+    if (photo) {
+      const upload = uploadEvidence_([{ type: photo.type, base64: photo.base64 }], created.id, {
+        caseType: 'complaint',
+        siteId: site.siteId,
+        source: AUDIT_SOURCES.PUBLIC,
+        uploaderName: 'Public: ' + (String(data.customerName || '').trim().substring(0, 100) || 'anonymous')
+      });
+      if (upload.ids) created.sheet.getRange(created.rowNumber, created.headers.indexOf('evidence') + 1).setValue(upload.ids);
+      photoFailed = upload.failed > 0;
+    }
+
+    setUpdateSignal_('master');
+    return {
+      success: true,
+      trackingCode: created.trackingCode,
+      dueDate: created.dueDate instanceof Date ? created.dueDate.toISOString() : '',
+      photoFailed: photoFailed
+    };
+  } catch (e) {
+    Logger.log('Error in submitPublicComplaint: ' + e.message);
+    return { success: false, message: 'Your report could not be sent. Please try again.' };
+  }
+}
+
+/**
+ * Status of a public report, by tracking code
+ * @param {string} code - Tracking code from submitPublicComplaint
+ * @param {string} challengeToken - 'lookup' challenge from getPublicComplaintChallenge
+ * @param {string} challengeNonce - Proof of work for that challenge
+ * @returns {Object} {success, complaint: {trackingCode, siteName, category, status, submittedAt, dueDate, resolvedAt, steps}}
+ */
+function trackPublicComplaint_(code, challengeToken, challengeNonce) {
+  try {
+    const trackingCode = String(code || '').trim().toUpperCase();
+    if (!/^VKS-[A-Z0-9]{4}-[A-Z0-9]{4}$/.test(trackingCode)) {
+      return { success: false, message: 'Tracking codes look like VKS-ABCD-2345.' };
+    }
+    const check = verifyPublicChallenge_('lookup', challengeToken, challengeNonce);
+    if (!check.success) return check;
+    const quota = { key: 'lookup:' + trackingCode, limit: PUBLIC_COMPLAINT_LIMITS.lookupsPerCodeHour, seconds: 3600 };
+    if (!takePublicQuotas_([quota])) return { success: false, message: 'Too many lookups for this code. Please try again later.' };
+
+    const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(SHEET_COMPLAINTS);
+    if (!sheet || sheet.getLastRow() < 2) return { success: false, message: 'No report found with this tracking code.' };
+    const data = sheet.getDataRange().getValues();
+    const headers = data[0];
+    const codeCol = getCIIndex(headers, ['trackingCode']);
+    const row = codeCol === -1 ? null : data.find((r, i) => i > 0 && String(r[codeCol]).toUpperCase() === trackingCode);
+    if (!row) return { success: false, message: 'No report found with this tracking code.' };
+
+    const record = toAuditRecord_(headers, row);
+    const status = normalizeCaseStatus_(record.status);
+    const site = findPublicSite_(record.siteId, '');
+    const toIso = value => value instanceof Date ? value.toISOString() : String(value || '');
+    const sla = getSlaStatus_(record);
+
+    const steps = readCaseTimeline_('complaint', record.id)
+      .filter(entry => (entry.kind === 'created' || entry.kind === 'status') && entry.toStatus)
+      .map(entry => ({ status: normalizeCaseStatus_(entry.toStatus), at: entry.createdAt }));
+
+    return {
+      success: true,
+      complaint: {
+        trackingCode: trackingCode,
+        siteName: site ? site.siteName : '',
+        category: String(record.category || ''),
+        status: status,
+        submittedAt: toIso(record.createdAt || record.timestamp),
+        // Only promise a date while the team is working on it
+        dueDate: isCaseOpen_(status) && sla !== 'paused' ? toIso(record.dueDate) : '',
+        resolvedAt: isCaseOpen_(status) ? '' : toIso(record.completionDate),
+        steps: steps
+      }
+    };
+  } catch (e) {
+    Logger.log('Error in trackPublicComplaint: ' + e.message);
+    return { success: false, message: 'Could not look up the report. Please try again.' };
+  }
+}
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Site behind a QR scan, for the page template and to check submitted site IDs
+ * @param {string} siteId - Sites id or code
+ * @param {string} locId - Checkpoint / location ID (used when siteId is blank)
+ * @returns {Object|null} {siteId, siteName, siteNameLO, checkpointName}
+ */
+function findPublicSite_(siteId, locId) {
+  const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+  let key = String(siteId || '').trim();
+  let checkpointName = '';
+
+  if (locId) {
+    [SHEET_CHECKPOINTS, SHEET_LOCATIONS].some(name => {
+      const cp = readPublicRows_(ss, name).find(r => String(r.id) === String(locId));
+      if (cp) {
+        key = key || String(cp.siteId || '');
+        checkpointName = String(cp.name || '');
+      }
+      return !!cp;
+    });
+  }
+  if (!key) return null;
+
+  const upper = key.toUpperCase();
+  const site = readPublicRows_(ss, SHEET_SITES).find(r =>
+    String(r.id).toUpperCase() === upper || String(r.code || '').toUpperCase() === upper);
+  if (!site) return null;
+
+  return {
+    siteId: String(site.id),
+    siteName: String(site.nameEN || site.name || site.code || site.id),
+    siteNameLO: String(site.nameLO || ''),
+    checkpointName: checkpointName
+  };
+}
+
+/**
+ * Rows of a QC Master tab as {header: value}
+ */
+function readPublicRows_(ss, sheetName) {
+  const sheet = ss.getSheetByName(sheetName);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  const data = sheet.getDataRange().getValues();
+  return data.slice(1).map(row => toAuditRecord_(data[0], row));
+}
+
+/**
+ * Check and use up a challenge (each token answers once)
+ * @param {string} purpose - 'report' or 'lookup', as issued
+ * @param {string} token - Challenge token
+ * @param {string} nonce - Proof of work (isPublicWorkDone_)
+ * @param {string} answer - Answer to the question (reports only)
+ * @returns {Object} {success, message}
+ */
+function verifyPublicChallenge_(purpose, token, nonce, answer) {
+  const cache = CacheService.getScriptCache();
+  const key = PUBLIC_CHALLENGE_PREFIX + String(token || '');
+  const stored = token ? cache.get(key) : null;
+  if (!stored) return { success: false, expired: true, message: 'The check expired. Please try again.' };
+  cache.remove(key);
+
+  const challenge = JSON.parse(stored);
+  if (challenge.purpose !== purpose || !isPublicWorkDone_(String(token), nonce)) {
+    return { success: false, expired: true, message: 'The security check failed. Please try again.' };
+  }
+  if (purpose !== 'report') return { success: true };
+  if (Date.now() - challenge.issuedAt < PUBLIC_COMPLAINT_LIMITS.minFillSeconds * 1000) {
+    return { success: false, expired: true, message: 'Please take a moment to check your report, then send it again.' };
+  }
+  if (parseInt(answer, 10) !== challenge.answer) {
+    return { success: false, expired: true, message: 'Wrong answer to the check question. Please try the new one.' };
+  }
+  return { success: true };
+}
+
+/**
+ * Does SHA-256("<token>:<nonce>") start with PUBLIC_COMPLAINT_LIMITS.workDigits zero hex digits?
+ */
+function isPublicWorkDone_(token, nonce) {
+  nonce = String(nonce == null ? '' : nonce);
+  if (!nonce || nonce.length > 20) return false;
+  const hex = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, token + ':' + nonce, Utilities.Charset.UTF_8)
+    .map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+  return /^0*/.exec(hex)[0].length >= PUBLIC_COMPLAINT_LIMITS.workDigits;
+}
+
+/**
+ * Count one use against each quota, or none if any is used up (under the script lock when counts must be exact)
+ * @param {Array} quotas - [{key, limit, seconds}]; counts reset at each window of `seconds`
+ * @returns {boolean} true when every quota had room
+ */
+function takePublicQuotas_(quotas) {
+  const cache = CacheService.getScriptCache();
+  const now = Date.now();
+  const keyed = quotas.map(q => Object.assign({
+    cacheKey: PUBLIC_QUOTA_PREFIX + q.key + ':' + Math.floor(now / (q.seconds * 1000))
+  }, q));
+  const counts = cache.getAll(keyed.map(q => q.cacheKey));
+
+  if (keyed.some(q => (parseInt(counts[q.cacheKey], 10) || 0) >= q.limit)) return false;
+  keyed.forEach(q => cache.put(q.cacheKey, String((parseInt(counts[q.cacheKey], 10) || 0) + 1), q.seconds));
+  return true;
+}
+
+/**
+ * Append the Complaints row for a public report (call under the script lock)
+ * @param {Object} site - findPublicSite_ result
+ * @param {Object} report - {category, description, customerName, customerPhone, customerEmail}
+ * @returns {Object} {id, trackingCode, dueDate, sheet, headers, rowNumber}
+ */
+function createPublicComplaint_(site, report) {
+  const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+  const sheet = createComplaintsSheet_(ss);
+  const headers = ensureSheetColumns_(sheet, PUBLIC_COMPLAINT_COLUMNS);
+
+  const codeCol = getCIIndex(headers, ['trackingCode']);
+  const used = {};
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, codeCol + 1, sheet.getLastRow() - 1, 1).getValues().forEach(r => { used[r[0]] = true; });
+  }
+  let trackingCode;
+  do {
+    trackingCode = 'VKS-' + randomPublicCode_(4) + '-' + randomPublicCode_(4);
+  } while (used[trackingCode]);
+
+  const now = new Date();
+  const id = 'CMP-' + Utilities.formatDate(now, 'Asia/Vientiane', 'yyyyMMdd') + '-' +
+    Math.random().toString(36).substr(2, 4).toUpperCase();
+  // The public does not grade severity: medium until QC triages it
+  const severity = 'medium';
+  const dueDate = calculateDueDate('complaint', { category: report.category, severity: severity, priority: 'p3', siteId: site.siteId }, now);
+
+  const values = {
+    id: id,
+    customerName: report.customerName,
+    customerPhone: report.customerPhone,
+    customerEmail: report.customerEmail,
+    customerType: 'public',
+    siteId: site.siteId,
+    category: report.category,
+    severity: severity,
+    priority: 'p3',
+    status: STATUS.case.NEW,
+    description: report.description,
+    recordedBy: AUDIT_SOURCES.PUBLIC,
+    timestamp: now,
+    dueDate: dueDate,
+    createdAt: now,
+    updatedAt: now,
+    trackingCode: trackingCode
+  };
+  const row = headers.map(h => values[h] !== undefined ? values[h] : '');
+  sheet.appendRow(row);
+  const rowNumber = sheet.getLastRow();
+
+  writeActivityRow_({
+    userId: '',
+    action: AUDIT_ACTIONS.CREATE,
+    page: AUDIT_ENTITIES.COMPLAINTS,
+    target: AUDIT_ENTITIES.COMPLAINTS + ': ' + id,
+    details: 'Reported via site QR (' + trackingCode + ')',
+    entity: AUDIT_ENTITIES.COMPLAINTS,
+    entityId: id,
+    changes: JSON.stringify(diffAuditRecords_(null, toAuditRecord_(headers, row))),
+    source: AUDIT_SOURCES.PUBLIC
+  });
+  appendCaseTimeline_('complaint', id, 'created', '', STATUS.case.NEW, 'Reported via site QR', '');
+
+  return { id: id, trackingCode: trackingCode, dueDate: dueDate, sheet: sheet, headers: headers, rowNumber: rowNumber };
+}
+
+/**
+ * Random characters from PUBLIC_TRACKING_ALPHABET
+ */
+function randomPublicCode_(length) {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += PUBLIC_TRACKING_ALPHABET.charAt(Math.floor(Math.random() * PUBLIC_TRACKING_ALPHABET.length));
+  }
+  return code;
+}
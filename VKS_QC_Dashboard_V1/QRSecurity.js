@@ -0,0 +1,284 @@
+/**
+ * QRSecurity.js - Signed Checkpoint QR Codes
+ *
+ * Features:
+ * - QR content carries kv (key version), sn (checkpoint serial) and sig (HMAC-SHA256 of locId|siteId|sn).
+ *   Only checkpoints with a site are signed: the Guard App takes the scan's site from the signed siteId alone
+ * - Rotate: bump one checkpoint's serial and reprint, so the old sticker stops verifying
+ * - Revoke: the Guard App refuses (and flags) scans of that checkpoint until it is rotated
+ * - Signing keys live on the hidden QR_Keys tab of QC Master, which the Guard App reads to verify
+ * - Unsigned legacy codes are accepted until Settings.qrLegacyGraceUntil (blank = no cut-off yet)
+ */
+
+// ===========================================
+// CONFIG
+// ===========================================
+
+// Checkpoints columns owned by the signing feature (added on first generate)
+const QR_CHECKPOINT_COLUMNS = ['qrSerial', 'qrKeyVersion', 'qrRevokedAt', 'qrRevokedBy', 'qrRevokeReason'];
+
+// base64url characters kept from the HMAC (~128 bits) - keeps the printed QR small
+const QR_SIGNATURE_LENGTH = 22;
+
+// Scans.qrCheck values written by the Guard App for refused codes
+const QR_REJECT_CHECKS = ['REVOKED', 'BAD_SIGNATURE', 'LEGACY_EXPIRED'];
+
+// ===========================================
+// SIGNING
+// ===========================================
+
+/**
+ * Current signing key from the QR_Keys tab, minting the next version when there is none.
+ * Edit paths only (generateQRForLocation): the check and the mint run under the script lock,
+ * so two first generations can't both mint an "active" key.
+ * @returns {Object} {version, secret}
+ */
+function getQRSigningKey_(ss) {
+  const current = readQRSigningKey_(ss);
+  if (current) return current;
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    let sheet = ss.getSheetByName(SHEET_QR_KEYS);
+    if (!sheet) {
+      sheet = ss.insertSheet(SHEET_QR_KEYS);
+      sheet.appendRow(['version', 'secret', 'status', 'createdAt']);
+      sheet.hideSheet();
+    }
+
+    // Another execution may have minted while we waited
+    const keys = readQRKeyRows_(sheet);
+    const active = pickActiveQRKey_(keys);
+    if (active) return active;
+
+    // No usable key (first run, or every key retired) - mint the next version
+    const key = {
+      version: keys.reduce((max, k) => Math.max(max, k.version || 0), 0) + 1,
+      secret: Utilities.getUuid().replace(/-/g, '') + Utilities.getUuid().replace(/-/g, '')
+    };
+    sheet.appendRow([key.version, key.secret, 'active', new Date().toISOString()]);
+    SpreadsheetApp.flush();
+    Logger.log('[QR] Minted signing key v' + key.version);
+    return key;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Current signing key without creating anything (read paths), null before the first generation
+ * @returns {Object|null} {version, secret}
+ */
+function readQRSigningKey_(ss) {
+  const sheet = ss.getSheetByName(SHEET_QR_KEYS);
+  return sheet ? pickActiveQRKey_(readQRKeyRows_(sheet)) : null;
+}
+
+function readQRKeyRows_(sheet) {
+  return sheet.getDataRange().getValues().slice(1)
+    .filter(row => row[0] !== '' && row[1])
+    .map(row => ({
+      version: parseInt(row[0]),
+      secret: String(row[1]),
+      status: String(row[2] || 'active').trim().toLowerCase()
+    }));
+}
+
+function pickActiveQRKey_(keys) {
+  return keys.filter(k => k.status === 'active').sort((a, b) => b.version - a.version)[0] || null;
+}
+
+/**
+ * HMAC over the fields the Guard App trusts. Must match signCheckpointQR in the Guard App.
+ */
+function signCheckpointQR_(secret, locId, siteId, serial) {
+  const payload = [locId, siteId, serial].join('|');
+  const bytes = Utilities.computeHmacSha256Signature(payload, secret);
+  return Utilities.base64EncodeWebSafe(bytes).replace(/=+$/, '').substring(0, QR_SIGNATURE_LENGTH);
+}
+
+/**
+ * Build the signed Guard App URL printed on a checkpoint sticker
+ * @param {Object} key - {version, secret} from getQRSigningKey_
+ * @param {Object} cp - {id, name, siteId, route, serial}; a checkpoint without a siteId is refused
+ * @returns {string} QR content
+ */
+function buildCheckpointQRContent_(key, cp) {
+  const baseUrl = GUARD_APP_URL || ScriptApp.getService().getUrl();
+  const siteId = String(cp.siteId || '').trim();
+  const serial = parseInt(cp.serial) || 1;
+  if (!siteId) throw new Error('Checkpoint ' + cp.id + ' has no site. Assign it to a site before generating its QR code.');
+
+  return `${baseUrl}?type=info&locId=${encodeURIComponent(cp.id)}&cpName=${encodeURIComponent(cp.name || '')}` +
+    `&siteId=${encodeURIComponent(siteId)}&route=${encodeURIComponent(cp.route || '')}` +
+    `&kv=${key.version}&sn=${serial}&sig=${signCheckpointQR_(key.secret, cp.id, siteId, serial)}`;
+}
+
+// ===========================================
+// ROTATE / REVOKE
+// ===========================================
+
+/**
+ * Revoke one checkpoint's printed QR. Scans of it are refused and flagged until it is rotated.
+ * @param {string} userId - Acting user (VKS_Users ID)
+ * @param {string} cpId - Checkpoint ID
+ * @param {string} reason - Why (lost, damaged, copied...)
+ */
+function revokeCheckpointQR_(userId, cpId, reason) {
+  const denied = requirePermission_('checkpoints.delete');
+  if (denied) return denied;
+
+  try {
+    if (!userId) return { success: false, message: 'Login required.' };
+    if (!String(reason || '').trim()) return { success: false, message: 'A reason is required to revoke a QR code.' };
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const found = findCheckpointQRRow_(cpId);
+      writeCheckpointQRFields_(found, {
+        qrStatus: 'revoked',
+        qrRevokedAt: new Date().toISOString(),
+        qrRevokedBy: getAuthUserName_(userId) || userId,
+        qrRevokeReason: String(reason).trim()
+      });
+    } finally {
+      lock.releaseLock();
+    }
+
+    setUpdateSignal_('sites');
+    logActivity_(userId, 'UPDATE', 'QR Generator', 'Checkpoint: ' + cpId, 'QR code revoked - ' + String(reason).trim());
+
+    return { success: true };
+  } catch (e) {
+    Logger.log('Error in revokeCheckpointQR: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Issue a fresh QR for one checkpoint: bump its serial (old stickers stop verifying),
+ * clear any revocation and regenerate the Drive image.
+ * @param {string} userId - Acting user (VKS_Users ID)
+ * @param {string} cpId - Checkpoint ID
+ * @returns {Object} generateQRForLocation result plus {serial}
+ */
+function rotateCheckpointQR_(userId, cpId) {
+  const denied = requirePermission_('checkpoints.edit');
+  if (denied) return denied;
+
+  try {
+    if (!userId) return { success: false, message: 'Login required.' };
+
+    let serial;
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const found = findCheckpointQRRow_(cpId);
+      const serialCol = getCIIndex(found.headers, ['qrSerial']);
+      serial = (parseInt(found.row[serialCol]) || 1) + 1;
+      writeCheckpointQRFields_(found, {
+        qrStatus: 'pending',
+        qrSerial: serial,
+        qrRevokedAt: '',
+        qrRevokedBy: '',
+        qrRevokeReason: ''
+      });
+    } finally {
+      lock.releaseLock();
+    }
+
+    const result = generateQRForLocation_(cpId);
+
+    setUpdateSignal_('sites');
+    logActivity_(userId, 'UPDATE', 'QR Generator', 'Checkpoint: ' + cpId, 'QR code rotated to serial ' + serial);
+
+    return Object.assign({}, result, { success: true, serial: serial });
+  } catch (e) {
+    Logger.log('Error in rotateCheckpointQR: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Scans refused because of this checkpoint's QR (revoked, forged or expired legacy)
+ * @param {string} cpId - Checkpoint ID
+ * @returns {Object} {success, total, items}
+ */
+function getCheckpointQRFlags_(cpId) {
+  try {
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+    const sheet = ss.getSheetByName(SHEET_SCANS);
+    if (!sheet || sheet.getLastRow() < 2) return { success: true, total: 0, items: [] };
+
+    const data = sheet.getDataRange().getValues();
+    const headers = data[0];
+    const idx = {
+      ts: getCIIndex(headers, ['timestamp']),
+      guardId: getCIIndex(headers, ['guardId']),
+      checkpointId: getCIIndex(headers, ['checkpointId']),
+      check: getCIIndex(headers, ['qrCheck']),
+      intent: getCIIndex(headers, ['qrIntent'])
+    };
+    if (idx.check === -1) return { success: true, total: 0, items: [] };
+
+    const guardNames = getGeofenceGuardNames_(ss);
+    const items = [];
+    let total = 0;
+
+    for (let i = data.length - 1; i >= 1; i--) {
+      const row = data[i];
+      const check = String(row[idx.check] || '');
+      if (QR_REJECT_CHECKS.indexOf(check) === -1) continue;
+      if (String(row[idx.checkpointId] || '') !== String(cpId)) continue;
+
+      total++;
+      if (items.length >= 20) continue;
+
+      const ts = row[idx.ts];
+      const guardId = String(row[idx.guardId] || '').trim();
+      items.push({
+        timestamp: ts instanceof Date ? ts.toISOString() : String(ts || ''),
+        guardId: guardId,
+        guardName: guardNames[guardId] || guardId,
+        scanType: idx.intent !== -1 ? String(row[idx.intent] || '') : '',
+        check: check
+      });
+    }
+
+    return JSON.parse(JSON.stringify({ success: true, total: total, items: items }));
+  } catch (e) {
+    Logger.log('Error in getCheckpointQRFlags: ' + e.message);
+    return { success: false, message: e.message, total: 0, items: [] };
+  }
+}
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Locate a checkpoint row on the Checkpoints tab (signing columns ensured)
+ * @returns {Object} {sheet, headers, row, rowNum}
+ */
+function findCheckpointQRRow_(cpId) {
+  const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+  const sheet = ss.getSheetByName(SHEET_CHECKPOINTS);
+  if (!sheet) throw new Error('Checkpoints sheet not found');
+
+  const headers = ensureSheetColumns_(sheet, QR_CHECKPOINT_COLUMNS);
+  const data = sheet.getDataRange().getValues();
+  const idCol = Math.max(getCIIndex(headers, ['id']), 0);
+  const rowIndex = data.findIndex((row, i) => i > 0 && String(row[idCol]) === String(cpId));
+  if (rowIndex === -1) throw new Error('Checkpoint not found: ' + cpId);
+
+  return { sheet: sheet, headers: headers, row: data[rowIndex], rowNum: rowIndex + 1 };
+}
+
+function writeCheckpointQRFields_(found, updates) {
+  Object.keys(updates).forEach(key => {
+    const col = key === 'qrStatus' ? getCIIndex(found.headers, ['qrStatus', 'status']) : getCIIndex(found.headers, [key]);
+    if (col !== -1) found.sheet.getRange(found.rowNum, col + 1).setValue(updates[key]);
+  });
+}
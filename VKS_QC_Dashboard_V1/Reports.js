@@ -5,7 +5,10 @@
 /**
  * Generate report based on type
  */
-function generateReport(params) {
+function generateReport_(params) {
+  const denied = requirePermission_('reports.export');
+  if (denied) return denied;
+
   const reportType = params.type;
   const startDate = params.startDate ? new Date(params.startDate) : new Date();
   const endDate = params.endDate ? new Date(params.endDate) : new Date();
@@ -17,22 +20,22 @@ function generateReport(params) {
   // Generate based on type
   switch (reportType) {
     case 'daily':
-      generateDailyReport(sheet, startDate);
+      generateDailyReport_(sheet, startDate);
       break;
     case 'patrol':
-      generatePatrolReport(sheet, startDate, endDate, params);
+      generatePatrolReport_(sheet, startDate, endDate, params);
       break;
     case 'performance':
-      generatePerformanceReport(sheet, startDate, endDate, params);
+      generatePerformanceReport_(sheet, startDate, endDate, params);
       break;
     case 'incident':
-      generateIncidentReport(sheet, startDate, endDate, params);
+      generateIncidentReport_(sheet, startDate, endDate, params);
       break;
     case 'overtime':
-      generateOvertimeReportSheet(sheet, startDate, endDate, params);
+      generateOvertimeReportSheet_(sheet, startDate, endDate, params);
       break;
     case 'coverage':
-      generateCoverageReport(sheet, startDate, endDate, params);
+      generateCoverageReport_(sheet, startDate, endDate, params);
       break;
     default:
       sheet.appendRow(['Report type not recognized']);
@@ -59,7 +62,7 @@ function getReportTitle(type) {
 /**
  * Daily Summary Report
  */
-function generateDailyReport(sheet, date) {
+function generateDailyReport_(sheet, date) {
   sheet.setName('Daily Summary');
   
   // Header
@@ -104,7 +107,7 @@ function generateDailyReport(sheet, date) {
 /**
  * Patrol Compliance Report
  */
-function generatePatrolReport(sheet, startDate, endDate, params) {
+function generatePatrolReport_(sheet, startDate, endDate, params) {
   sheet.setName('Patrol Compliance');
   
   sheet.appendRow(['Patrol Compliance Report']);
@@ -128,7 +131,7 @@ function generatePatrolReport(sheet, startDate, endDate, params) {
 /**
  * Guard Performance Report
  */
-function generatePerformanceReport(sheet, startDate, endDate, params) {
+function generatePerformanceReport_(sheet, startDate, endDate, params) {
   sheet.setName('Guard Performance');
   
   sheet.appendRow(['Guard Performance Report']);
@@ -149,7 +152,7 @@ function generatePerformanceReport(sheet, startDate, endDate, params) {
 /**
  * Incident Report
  */
-function generateIncidentReport(sheet, startDate, endDate, params) {
+function generateIncidentReport_(sheet, startDate, endDate, params) {
   sheet.setName('Incidents');
   
   sheet.appendRow(['Incident Report']);
@@ -176,7 +179,7 @@ function generateIncidentReport(sheet, startDate, endDate, params) {
 /**
  * Overtime Report
  */
-function generateOvertimeReportSheet(sheet, startDate, endDate, params) {
+function generateOvertimeReportSheet_(sheet, startDate, endDate, params) {
   sheet.setName('Overtime Summary');
   
   sheet.appendRow(['Overtime Summary Report']);
@@ -200,7 +203,7 @@ function generateOvertimeReportSheet(sheet, startDate, endDate, params) {
 /**
  * Site Coverage Report
  */
-function generateCoverageReport(sheet, startDate, endDate, params) {
+function generateCoverageReport_(sheet, startDate, endDate, params) {
   sheet.setName('Site Coverage');
   
   sheet.appendRow(['Site Coverage Report']);
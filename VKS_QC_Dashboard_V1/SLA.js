@@ -0,0 +1,592 @@
+/**
+ * SLA.js - Case SLA policies, business-hour clock and escalation chain
+ *
+ * Features:
+ * - SLA policies per case type, category, severity and client group (SHEET_SLA_POLICIES, edited on the
+ *   Settings page). The most specific active row wins; blank fields match anything. No match falls
+ *   back to the Settings hours per severity (slaCritical / slaHigh / slaMedium / slaLow)
+ * - A policy runs 24/7 or on the business-hour calendar from Settings (slaBusinessDays, slaBusinessStart,
+ *   slaBusinessEnd, slaSkipHolidays), closed on the Holidays tab days when holidays are skipped
+ * - The clock stops while a case waits on the customer (SLA_PAUSE_STATUSES): resuming pushes dueDate
+ *   back by the paused time and adds it to slaPausedMinutes
+ * - Time-driven engine (runSlaEscalation) that walks breached cases up the escalation chain
+ *   (Settings slaEscalationChain, one level per escalationDelay minutes), writes each step to the
+ *   case timeline and the audit log, and emails the users of that role who cover the case's site
+ */
+
+// ===========================================
+// CONFIG
+// ===========================================
+
+const SLA_CALENDAR_MAX_DAYS = 400;      // Longest business-hour walk (a year of holidays with room to spare)
+const SLA_POLICY_SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Per-execution caches (policy rows, Settings, site key -> client group)
+let SLA_POLICIES_CACHE_ = null;
+let SLA_SETTINGS_CACHE_ = null;
+let SLA_CLIENT_GROUPS_CACHE_ = null;
+
+// ===========================================
+// API
+// ===========================================
+
+/**
+ * SLA policy rows plus the client groups the Sites tab knows, for the Settings page
+ * @returns {Object} {success, policies, clientGroups}
+ */
+function getSlaPolicies_() {
+  try {
+    const sites = getSlaClientGroups_();
+    const groups = {};
+    Object.keys(sites).forEach(key => { groups[sites[key]] = true; });
+    return {
+      success: true,
+      policies: JSON.parse(JSON.stringify(readSlaPolicies_())),
+      clientGroups: Object.keys(groups).sort()
+    };
+  } catch (e) {
+    Logger.log('Error in getSlaPolicies: ' + e.message);
+    return { success: false, message: e.message, policies: [] };
+  }
+}
+
+/**
+ * Create or update an SLA policy
+ * @param {Object} data - {id?, caseType, category, severity, clientGroup, hours, businessHours, active}
+ * @returns {Object} {success, id}
+ */
+function saveSlaPolicy_(data) {
+  const denied = requirePermission_('settings.edit');
+  if (denied) return denied;
+
+  try {
+    const record = normalizeSlaPolicy_(data || {});
+    if (!getCaseType_(record.caseType)) return { success: false, message: 'Case type must be incident or complaint.' };
+    if (record.severity && SLA_POLICY_SEVERITIES.indexOf(record.severity) === -1) {
+      return { success: false, message: 'Invalid severity: ' + record.severity };
+    }
+    if (!(record.hours > 0)) return { success: false, message: 'Target hours must be more than 0.' };
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    let isNew = false;
+    let before = null;
+    let after = null;
+    try {
+      const sheet = getSlaPolicySheet_();
+      const headers = ensureSheetColumns_(sheet, COLUMNS.slaPolicies);
+      const rows = sheet.getDataRange().getValues();
+      const idCol = getCIIndex(headers, ['id']);
+      const now = new Date();
+
+      const rowIndex = record.id ? rows.findIndex((row, i) => i > 0 && String(row[idCol]) === record.id) : -1;
+      if (rowIndex === -1) {
+        isNew = true;
+        record.id = record.id || 'SLA-' + Utilities.getUuid().substring(0, 8).toUpperCase();
+        record.createdAt = now;
+      } else {
+        record.createdAt = rows[rowIndex][getCIIndex(headers, ['createdAt'])] || now;
+        before = toAuditRecord_(headers, rows[rowIndex]);
+      }
+      record.updatedAt = now;
+
+      const row = headers.map(h => record[h] !== undefined ? record[h] : '');
+      after = toAuditRecord_(headers, row);
+      if (isNew) {
+        sheet.appendRow(row);
+      } else {
+        sheet.getRange(rowIndex + 1, 1, 1, row.length).setValues([row]);
+      }
+    } finally {
+      lock.releaseLock();
+    }
+
+    SLA_POLICIES_CACHE_ = null;
+    logAudit_(isNew ? AUDIT_ACTIONS.CREATE : AUDIT_ACTIONS.UPDATE, AUDIT_ENTITIES.SLA_POLICIES, record.id, before, after);
+    return { success: true, id: record.id };
+  } catch (e) {
+    Logger.log('Error in saveSlaPolicy: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Delete an SLA policy (cases already open keep their dueDate)
+ */
+function deleteSlaPolicy_(policyId) {
+  const denied = requirePermission_('settings.edit');
+  if (denied) return denied;
+
+  try {
+    const sheet = getSlaPolicySheet_();
+    const rows = sheet.getDataRange().getValues();
+    const headers = rows[0];
+    const idCol = getCIIndex(headers, ['id']);
+    const rowIndex = rows.findIndex((row, i) => i > 0 && String(row[idCol]) === String(policyId));
+    if (rowIndex === -1) return { success: false, message: 'Policy not found: ' + policyId };
+
+    sheet.deleteRow(rowIndex + 1);
+    SLA_POLICIES_CACHE_ = null;
+    logAudit_(AUDIT_ACTIONS.DELETE, AUDIT_ENTITIES.SLA_POLICIES, policyId, toAuditRecord_(headers, rows[rowIndex]), null);
+    return { success: true };
+  } catch (e) {
+    Logger.log('Error in deleteSlaPolicy: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+// ===========================================
+// TRIGGER
+// ===========================================
+
+/**
+ * Install the 15-minute SLA escalation trigger (run once from the editor)
+ */
+function setupSlaEscalationTrigger() {
+  requireScriptOwner_();
+  removeSlaEscalationTrigger();
+
+  ScriptApp.newTrigger('runSlaEscalation')
+    .timeBased()
+    .everyMinutes(15)
+    .create();
+
+  Logger.log('SLA escalation trigger created (every 15 minutes)');
+  return { success: true };
+}
+
+/**
+ * Remove the SLA escalation trigger
+ */
+function removeSlaEscalationTrigger() {
+  requireScriptOwner_();
+  let removed = 0;
+  ScriptApp.getProjectTriggers().forEach(t => {
+    if (t.getHandlerFunction() === 'runSlaEscalation') {
+      ScriptApp.deleteTrigger(t);
+      removed++;
+    }
+  });
+  Logger.log(`Removed ${removed} SLA escalation trigger(s)`);
+  return { success: true, removed: removed };
+}
+
+// ===========================================
+// ENGINE
+// ===========================================
+
+/**
+ * Escalate breached open cases one chain level per escalationDelay minutes past dueDate
+ * (business minutes for business-hour policies). Paused cases are skipped.
+ * @returns {Object} {success, escalated}
+ */
+function runSlaEscalation(e) {
+  requireTriggerRun_(e);
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(5000)) {
+    Logger.log('runSlaEscalation: another run holds the lock, skipping');
+    return { success: false, message: 'Busy' };
+  }
+
+  try {
+    fillSOSDueDates_();
+    const settings = getSlaSettings_();
+    if (settings.autoEscalate === false || String(settings.autoEscalate).toLowerCase() === 'false') {
+      return { success: true, escalated: 0 };
+    }
+    const chain = getSlaEscalationChain_(settings);
+    if (chain.length === 0) return { success: true, escalated: 0 };
+
+    const delay = Math.max(1, parseInt(settings.escalationDelay) || 60);
+    const now = new Date();
+    const users = readSlaEscalationUsers_();
+    let escalated = 0;
+
+    ['incident', 'complaint'].forEach(caseType => {
+      const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(getCaseType_(caseType).sheet);
+      if (!sheet || sheet.getLastRow() < 2) return;
+      const headers = ensureSheetColumns_(sheet, CASE_LIFECYCLE_COLUMNS);
+      const data = sheet.getDataRange().getValues();
+
+      for (let i = 1; i < data.length; i++) {
+        const record = toAuditRecord_(headers, data[i]);
+        const current = parseInt(record.slaEscalationLevel) || 0;
+        if (current >= chain.length || getSlaStatus_(record) !== 'overdue') continue;
+
+        const policy = resolveSlaPolicy_(caseType, record);
+        const overdue = slaMinutesBetween_(new Date(record.dueDate), now, getSlaPolicyCalendar_(policy), record.siteId);
+        const level = Math.min(chain.length, Math.floor(overdue / delay) + 1);
+        if (level <= current) continue;
+
+        escalateSlaCase_(caseType, sheet, headers, i + 1, record, level, chain[level - 1], overdue, users, settings, now);
+        escalated++;
+      }
+    });
+
+    if (escalated > 0) setUpdateSignal_('master');
+    Logger.log(`runSlaEscalation: ${escalated} case(s) escalated`);
+    return { success: true, escalated: escalated };
+  } catch (e) {
+    Logger.log('Error in runSlaEscalation: ' + e.message);
+    return { success: false, message: e.message };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Record one escalation on the case row, its timeline and the audit log, then notify the role
+ */
+function escalateSlaCase_(caseType, sheet, headers, rowNumber, record, level, role, overdueMinutes, users, settings, now) {
+  const caseId = String(record.id);
+  const status = normalizeCaseStatus_(record.status);
+  const recipients = users.filter(u => u.role === role && slaUserCoversSite_(u, record));
+  const roleLabel = SLA_ESCALATION_ROLES[role] || role;
+
+  [['slaEscalationLevel', level], ['slaEscalatedAt', now]].forEach(([key, value]) => {
+    const col = headers.indexOf(key);
+    if (col !== -1) sheet.getRange(rowNumber, col + 1).setValue(value);
+  });
+
+  const text = 'SLA breached ' + formatSlaMinutes_(overdueMinutes) + ' ago - escalated to ' + roleLabel + ' (level ' + level + ')' +
+    (recipients.length ? ': ' + recipients.map(u => u.name).join(', ') : ': no active user covers this site');
+  appendCaseTimeline_(caseType, caseId, 'escalation', status, status, text, '');
+  logAudit_(AUDIT_ACTIONS.UPDATE, getCaseType_(caseType).entity, caseId, record, readAuditRecord_(sheet, rowNumber),
+    'SLA escalation: level ' + level + ' (' + roleLabel + ')');
+
+  if (settings.emailAlerts === false || String(settings.emailAlerts).toLowerCase() === 'false') return;
+  const emails = recipients.map(u => u.email).filter(Boolean);
+  const to = emails.length ? emails : String(settings.recipients || '').split(',').map(e => e.trim()).filter(Boolean);
+  if (to.length === 0) return;
+
+  try {
+    MailApp.sendEmail({
+      to: to.join(','),
+      subject: '[VKS QC] SLA breach - ' + caseType + ' ' + caseId + ' escalated to ' + roleLabel,
+      body: [
+        text,
+        '',
+        'Case: ' + caseId + ' (' + caseType + ')',
+        'Site: ' + (record.siteName || record.siteId || '-'),
+        'Category: ' + (record.category || '-') + ' / Severity: ' + (record.severity || '-'),
+        'Status: ' + status,
+        'Assigned to: ' + (record.assignedTo || '-'),
+        'Due: ' + Utilities.formatDate(new Date(record.dueDate), 'Asia/Vientiane', 'yyyy-MM-dd HH:mm')
+      ].join('\n')
+    });
+  } catch (e) {
+    Logger.log('escalateSlaCase_ email error: ' + e.message);
+  }
+}
+
+// ===========================================
+// SHARED
+// ===========================================
+
+/**
+ * Due date of a new case from its policy
+ * @param {string} caseType - 'incident' | 'complaint'
+ * @param {Object} record - {category, severity, priority, siteId, siteName}
+ * @param {Date|string} startDate - When the clock starts
+ * @returns {Date}
+ */
+function computeSlaDueDate_(caseType, record, startDate) {
+  const policy = resolveSlaPolicy_(caseType, record);
+  return addSlaMinutes_(new Date(startDate), policy.hours * 60, getSlaPolicyCalendar_(policy), record.siteId);
+}
+
+/**
+ * Live SLA state of a case row
+ * @returns {string} 'completed' | 'paused' | 'overdue' | 'at_risk' | 'on_track'
+ */
+function getSlaStatus_(record) {
+  const status = normalizeCaseStatus_(record.status);
+  if (!isCaseOpen_(status)) return 'completed';
+  if (SLA_PAUSE_STATUSES.indexOf(status) !== -1) return 'paused';
+
+  const due = new Date(record.dueDate);
+  if (!record.dueDate || isNaN(due.getTime())) return 'on_track';
+
+  const now = new Date();
+  if (now > due) return 'overdue';
+  if ((due - now) / 3600000 < SLA_AT_RISK_HOURS) return 'at_risk';
+  return 'on_track';
+}
+
+/**
+ * Row updates that stop / restart the clock when a transition enters or leaves a pause status
+ * (transitionCase merges them into its own updates)
+ * @returns {Object} {slaPausedAt, slaPausedMinutes, dueDate, slaEscalationLevel} as needed
+ */
+function getSlaClockUpdates_(caseType, record, fromStatus, toStatus, now) {
+  const wasPaused = SLA_PAUSE_STATUSES.indexOf(fromStatus) !== -1;
+  const isPaused = SLA_PAUSE_STATUSES.indexOf(toStatus) !== -1;
+  if (!wasPaused && isPaused) return { slaPausedAt: now };
+  if (!wasPaused || isPaused) return {};
+
+  const pausedAt = new Date(record.slaPausedAt);
+  if (!record.slaPausedAt || isNaN(pausedAt.getTime())) return { slaPausedAt: '' };
+
+  const calendar = getSlaPolicyCalendar_(resolveSlaPolicy_(caseType, record));
+  const minutes = Math.round(slaMinutesBetween_(pausedAt, now, calendar, record.siteId));
+  const updates = { slaPausedAt: '', slaPausedMinutes: (parseInt(record.slaPausedMinutes) || 0) + minutes };
+
+  const due = new Date(record.dueDate);
+  if (record.dueDate && !isNaN(due.getTime()) && minutes > 0) {
+    updates.dueDate = addSlaMinutes_(due, minutes, calendar, record.siteId);
+    // Back inside the target: a later breach climbs the chain from the start
+    if (updates.dueDate > now) updates.slaEscalationLevel = 0;
+  }
+  return updates;
+}
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Policy for a case: the active row matching the most fields (client group > category > severity),
+ * else the Settings hours for its severity
+ * @returns {Object} {id, hours, businessHours}
+ */
+function resolveSlaPolicy_(caseType, record) {
+  const severity = getSlaSeverity_(record);
+  const category = String(record.category || '').trim().toLowerCase();
+  const clientGroup = getSlaClientGroups_()[String(record.siteId || '').trim().toUpperCase()] ||
+    getSlaClientGroups_()[String(record.siteName || '').trim().toUpperCase()] || '';
+
+  let best = null;
+  let bestScore = -1;
+  readSlaPolicies_().forEach(p => {
+    if (!p.active || p.caseType !== caseType) return;
+    if (p.severity && p.severity !== severity) return;
+    if (p.category && p.category !== category) return;
+    if (p.clientGroup && p.clientGroup.toUpperCase() !== clientGroup.toUpperCase()) return;
+    const score = (p.clientGroup ? 4 : 0) + (p.category ? 2 : 0) + (p.severity ? 1 : 0);
+    if (score > bestScore) {
+      best = p;
+      bestScore = score;
+    }
+  });
+  if (best) return best;
+
+  const settings = getSlaSettings_();
+  const key = 'sla' + severity.charAt(0).toUpperCase() + severity.substring(1);
+  return { id: '', hours: parseFloat(settings[key]) || SLA_DEFAULT_HOURS[severity], businessHours: false };
+}
+
+/**
+ * critical / high / medium / low from the severity column, else the complaint priority code
+ */
+function getSlaSeverity_(record) {
+  const severity = String(record.severity || '').trim().toLowerCase();
+  if (SLA_POLICY_SEVERITIES.indexOf(severity) !== -1) return severity;
+  return SLA_PRIORITY_SEVERITY[severity] ||
+    SLA_PRIORITY_SEVERITY[String(record.priority || '').trim().toLowerCase()] || 'medium';
+}
+
+/**
+ * Active and inactive policy rows
+ * @returns {Array} [{id, caseType, category, severity, clientGroup, hours, businessHours, active, updatedAt}]
+ */
+function readSlaPolicies_() {
+  if (SLA_POLICIES_CACHE_) return SLA_POLICIES_CACHE_;
+  const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(SHEET_SLA_POLICIES);
+  if (!sheet || sheet.getLastRow() < 2) return (SLA_POLICIES_CACHE_ = []);
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  SLA_POLICIES_CACHE_ = data.slice(1)
+    .map(row => normalizeSlaPolicy_(toAuditRecord_(headers, row)))
+    .filter(p => p.id);
+  return SLA_POLICIES_CACHE_;
+}
+
+function getSlaSettings_() {
+  if (!SLA_SETTINGS_CACHE_) SLA_SETTINGS_CACHE_ = getSettings_();
+  return SLA_SETTINGS_CACHE_;
+}
+
+/**
+ * Trimmed, typed policy fields (form input or sheet row)
+ */
+function normalizeSlaPolicy_(data) {
+  const flag = (value, fallback) => value === undefined || value === '' ? fallback : value === true || String(value).toLowerCase() === 'true';
+  return {
+    id: String(data.id || '').trim(),
+    caseType: String(data.caseType || '').trim().toLowerCase(),
+    category: String(data.category || '').trim().toLowerCase(),
+    severity: String(data.severity || '').trim().toLowerCase(),
+    clientGroup: String(data.clientGroup || '').trim(),
+    hours: parseFloat(data.hours) || 0,
+    businessHours: flag(data.businessHours, false),
+    active: flag(data.active, true),
+    updatedAt: data.updatedAt instanceof Date ? data.updatedAt.toISOString() : String(data.updatedAt || '')
+  };
+}
+
+function getSlaPolicySheet_() {
+  const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+  let sheet = ss.getSheetByName(SHEET_SLA_POLICIES);
+  if (!sheet) {
+    sheet = ss.insertSheet(SHEET_SLA_POLICIES);
+    sheet.appendRow(COLUMNS.slaPolicies);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Business-hour calendar for business-hour policies, null for 24/7 ones
+ * @returns {Object|null} {days: [0-6], start, end (hours of the day), skipHolidays}
+ */
+function getSlaPolicyCalendar_(policy) {
+  if (!policy.businessHours) return null;
+  const settings = getSlaSettings_();
+  const days = String(settings.slaBusinessDays === undefined ? '1,2,3,4,5' : settings.slaBusinessDays)
+    .split(',').map(d => parseInt(d, 10)).filter(d => d >= 0 && d <= 6);
+  const start = parseFloat(settings.slaBusinessStart);
+  const end = parseFloat(settings.slaBusinessEnd);
+  const calendar = {
+    days: days,
+    start: start >= 0 && start < 24 ? start : 8,
+    end: end > 0 && end <= 24 ? end : 17,
+    skipHolidays: settings.slaSkipHolidays !== false && String(settings.slaSkipHolidays).toLowerCase() !== 'false'
+  };
+  // A calendar with no open hour would never reach its due date: treat it as 24/7
+  return days.length && calendar.end > calendar.start ? calendar : null;
+}
+
+/**
+ * Start + minutes of clock time (open hours only when there is a calendar)
+ */
+function addSlaMinutes_(start, minutes, calendar, siteId) {
+  if (!calendar) return new Date(start.getTime() + minutes * 60000);
+
+  let cursor = new Date(start.getTime());
+  let left = minutes;
+  for (let day = 0; day < SLA_CALENDAR_MAX_DAYS; day++) {
+    const open = slaDayAt_(cursor, calendar.start);
+    const close = slaDayAt_(cursor, calendar.end);
+    if (cursor < close && isSlaBusinessDay_(cursor, calendar, siteId)) {
+      const from = cursor < open ? open : cursor;
+      const available = (close - from) / 60000;
+      if (left <= available) return new Date(from.getTime() + left * 60000);
+      left -= available;
+    }
+    cursor = slaDayAt_(cursor, 24);
+  }
+  return cursor;
+}
+
+/**
+ * Clock minutes between two times (open hours only when there is a calendar)
+ */
+function slaMinutesBetween_(from, to, calendar, siteId) {
+  if (to <= from) return 0;
+  if (!calendar) return (to - from) / 60000;
+
+  let total = 0;
+  let cursor = new Date(from.getTime());
+  for (let day = 0; day < SLA_CALENDAR_MAX_DAYS && cursor < to; day++) {
+    if (isSlaBusinessDay_(cursor, calendar, siteId)) {
+      const open = Math.max(slaDayAt_(cursor, calendar.start).getTime(), cursor.getTime());
+      const close = Math.min(slaDayAt_(cursor, calendar.end).getTime(), to.getTime());
+      if (close > open) total += (close - open) / 60000;
+    }
+    cursor = slaDayAt_(cursor, 24);
+  }
+  return total;
+}
+
+function isSlaBusinessDay_(date, calendar, siteId) {
+  if (calendar.days.indexOf(date.getDay()) === -1) return false;
+  return !(calendar.skipHolidays && getHolidayFor_(date, siteId));
+}
+
+/**
+ * Same day as date at a fractional hour (24 = next midnight), script timezone
+ */
+function slaDayAt_(date, hours) {
+  const day = new Date(date.getTime());
+  day.setHours(0, 0, 0, 0);
+  return new Date(day.getTime() + hours * 3600000);
+}
+
+/**
+ * Chain roles from Settings, keeping only SLA_ESCALATION_ROLES keys
+ */
+function getSlaEscalationChain_(settings) {
+  const value = settings.slaEscalationChain === undefined ? Object.keys(SLA_ESCALATION_ROLES).join(',') : settings.slaEscalationChain;
+  return String(value || '').split(',').map(r => r.trim()).filter(r => SLA_ESCALATION_ROLES[r]);
+}
+
+/**
+ * Active users who may receive escalations
+ * @returns {Array} [{userId, name, email, role, scope}]
+ */
+function readSlaEscalationUsers_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(AUTH_SHEETS.USERS);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const col = name => getCIIndex(headers, [name]);
+  return data.slice(1)
+    .filter(row => String(row[col('Status')] || '').toLowerCase() === 'active')
+    .map(row => {
+      const email = String(row[col('Email')] || '').trim();
+      return {
+        userId: String(row[col('ID')]),
+        name: (String(row[col('Name')] || '') + ' ' + String(row[col('Surname')] || '')).trim(),
+        // Accounts created without an email get a placeholder @vks.local address
+        email: /@vks\.local$/i.test(email) ? '' : email,
+        role: normalizeRole_(row[col('Role')]),
+        scope: readUserScope_(headers, row)
+      };
+    });
+}
+
+/**
+ * Does a user's site scope include the case's site? (built once per user per run)
+ */
+function slaUserCoversSite_(user, record) {
+  if (user.siteScope === undefined) user.siteScope = buildSiteScope_(user);
+  if (!user.siteScope) return true;
+  return [record.siteId, record.siteName].some(key => key && user.siteScope.keys[String(key).trim().toUpperCase()]);
+}
+
+/**
+ * Site id / code / names (upper-cased) -> clientGroup
+ */
+function getSlaClientGroups_() {
+  if (SLA_CLIENT_GROUPS_CACHE_) return SLA_CLIENT_GROUPS_CACHE_;
+  SLA_CLIENT_GROUPS_CACHE_ = {};
+
+  const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(SHEET_SITES);
+  if (!sheet || sheet.getLastRow() < 2) return SLA_CLIENT_GROUPS_CACHE_;
+  const data = sheet.getDataRange().getValues();
+  const h = data[0];
+  const groupCol = getCIIndex(h, ['clientGroup']);
+  if (groupCol === -1) return SLA_CLIENT_GROUPS_CACHE_;
+
+  const keyCols = [getCIIndex(h, ['id']), getCIIndex(h, ['code']), getCIIndex(h, ['nameEN']), getCIIndex(h, ['nameLO'])];
+  data.slice(1).forEach(row => {
+    const group = String(row[groupCol] || '').trim();
+    if (!group) return;
+    keyCols.forEach(c => {
+      if (c > -1 && row[c]) SLA_CLIENT_GROUPS_CACHE_[String(row[c]).trim().toUpperCase()] = group;
+    });
+  });
+  return SLA_CLIENT_GROUPS_CACHE_;
+}
+
+/**
+ * 135 -> "2h 15m", 3000 -> "2d 2h"
+ */
+function formatSlaMinutes_(minutes) {
+  const m = Math.max(0, Math.round(minutes));
+  if (m >= 1440) return Math.floor(m / 1440) + 'd ' + Math.floor((m % 1440) / 60) + 'h';
+  if (m >= 60) return Math.floor(m / 60) + 'h ' + (m % 60) + 'm';
+  return m + 'm';
+}
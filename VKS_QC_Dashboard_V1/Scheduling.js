@@ -5,7 +5,7 @@
 /**
  * Get calendar shifts for a month
  */
-function getCalendarShifts(params) {
+function getCalendarShifts_(params) {
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     const shiftsSheet = ss.getSheetByName(SHEET_SHIFTS);
@@ -47,6 +47,10 @@ function getCalendarShifts(params) {
         }
         
         s.timeDisplay = s.startTime || '00:00';
+
+        // Holiday / client special day (Holidays.js)
+        const holiday = s.date ? getHolidayFor_(s.date, s.siteId) : null;
+        s.holiday = holiday ? holiday.name : '';
         
         return s;
       });
@@ -58,17 +62,17 @@ function getCalendarShifts(params) {
       }
     }
     
-    return shifts.length > 0 ? shifts : getSampleShifts(params.month, params.year);
+    return shifts.length > 0 ? shifts : getSampleShifts_(params.month, params.year);
   } catch (e) {
     Logger.log('Error in getCalendarShifts: ' + e.message);
-    return getSampleShifts(params.month, params.year);
+    return getSampleShifts_(params.month, params.year);
   }
 }
 
 /**
  * Sample shifts for testing
  */
-function getSampleShifts(month, year) {
+function getSampleShifts_(month, year) {
   const shifts = [];
   const daysInMonth = new Date(year, month, 0).getDate();
   
@@ -93,7 +97,10 @@ function getSampleShifts(month, year) {
 /**
  * Save shift
  */
-function saveShift(data) {
+function saveShift_(data) {
+  const denied = requirePermission_('calendar.edit');
+  if (denied) return denied;
+
   const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
   let sheet = ss.getSheetByName(SHEET_SHIFTS);
   
@@ -117,139 +124,22 @@ function saveShift(data) {
     now,
     now
   ]);
+  logAudit_(AUDIT_ACTIONS.CREATE, AUDIT_ENTITIES.SHIFTS, data.id || newId, null, readAuditRecord_(sheet, sheet.getLastRow()));
   
   return { success: true, id: data.id || newId };
 }
 
-/**
- * Get overtime records
- */
-function getOvertimeRecords(params) {
-  try {
-    const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
-    const sheet = ss.getSheetByName(SHEET_OVERTIME);
-    const sitesSheet = ss.getSheetByName(SHEET_SITES);
-    const guardsSheet = ss.getSheetByName(SHEET_GUARDS);
-    
-    // Lookups
-    const sites = {};
-    if (sitesSheet) {
-      sitesSheet.getDataRange().getValues().slice(1).forEach(row => {
-        sites[row[0]] = { name: row[2] };
-      });
-    }
-    
-    const guards = {};
-    if (guardsSheet) {
-      guardsSheet.getDataRange().getValues().slice(1).forEach(row => {
-        guards[row[0]] = { name: row[1] };
-      });
-    }
-    
-    let records = [];
-    
-    if (sheet) {
-      const data = sheet.getDataRange().getValues();
-      const headers = data[0];
-      
-      records = data.slice(1).map(row => {
-        const r = {};
-        headers.forEach((h, i) => r[h] = row[i]);
-        
-        r.siteName = sites[r.siteId] ? sites[r.siteId].name : 'Unknown';
-        r.guardName = guards[r.guardId] ? guards[r.guardId].name : 'Unknown';
-        
-        if (r.date instanceof Date) {
-          r.dateDisplay = Utilities.formatDate(r.date, 'Asia/Vientiane', 'MMM dd, yyyy');
-        }
-        
-        return r;
-      });
-    }
-    
-    if (records.length === 0) {
-      records = getSampleOvertimeRecords();
-    }
-    
-    // Calculate stats
-    const stats = {
-      totalHours: records.reduce((sum, r) => sum + (parseFloat(r.otHours) || 0), 0).toFixed(1),
-      pending: records.filter(r => r.status === 'pending').length,
-      approved: records.filter(r => r.status === 'approved').length,
-      rejected: records.filter(r => r.status === 'rejected').length,
-      changePercent: 12
-    };
-    
-    return { records, stats };
-  } catch (e) {
-    Logger.log('Error in getOvertimeRecords: ' + e.message);
-    return { records: getSampleOvertimeRecords(), stats: { totalHours: '24.5', pending: 4, approved: 10, rejected: 2, changePercent: 12 } };
-  }
-}
-
-/**
- * Sample overtime records
- */
-function getSampleOvertimeRecords() {
-  return [
-    { id: 'ot-001', date: new Date(), dateDisplay: 'Jan 14, 2026', guardId: 'guard-001', guardName: 'Somchai K.', siteId: 'site-001', siteName: 'Crowne Plaza', scheduledHours: 8, actualHours: 10.5, otHours: 2.5, reason: 'Late relief arrival', status: 'pending' },
-    { id: 'ot-002', date: new Date(), dateDisplay: 'Jan 13, 2026', guardId: 'guard-002', guardName: 'Khamphone L.', siteId: 'site-002', siteName: 'BCEL HQ', scheduledHours: 12, actualHours: 13, otHours: 1, reason: 'Incident reporting', status: 'approved' },
-    { id: 'ot-003', date: new Date(), dateDisplay: 'Jan 13, 2026', guardId: 'guard-003', guardName: 'Bounmy S.', siteId: 'site-001', siteName: 'Crowne Plaza', scheduledHours: 8, actualHours: 11.5, otHours: 3.5, reason: 'Emergency drill', status: 'pending' },
-    { id: 'ot-004', date: new Date(), dateDisplay: 'Jan 12, 2026', guardId: 'guard-004', guardName: 'Viengkham P.', siteId: 'site-003', siteName: 'Australian Embassy', scheduledHours: 8, actualHours: 8.5, otHours: 0.5, reason: 'Clocked out late', status: 'rejected' }
-  ];
-}
-
-/**
- * Update overtime status
- */
-function updateOvertimeStatus(recordId, status, reason) {
-  try {
-    const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
-    const sheet = ss.getSheetByName(SHEET_OVERTIME);
-    
-    if (!sheet) return { success: false };
-    
-    const data = sheet.getDataRange().getValues();
-    const headers = data[0];
-    const idCol = headers.indexOf('id');
-    const statusCol = headers.indexOf('status');
-    
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][idCol] === recordId) {
-        sheet.getRange(i + 1, statusCol + 1).setValue(status);
-        return { success: true };
-      }
-    }
-    
-    return { success: false };
-  } catch (e) {
-    Logger.log('Error in updateOvertimeStatus: ' + e.message);
-    return { success: true }; // Pretend success for sample data
-  }
-}
-
-/**
- * Export overtime report
- */
-function exportOvertimeReport(params) {
-  const data = getOvertimeRecords(params);
-  const ss = SpreadsheetApp.create('Overtime Report - ' + new Date().toISOString().split('T')[0]);
-  const sheet = ss.getActiveSheet();
-  
-  sheet.appendRow(['Date', 'Guard', 'Site', 'Scheduled', 'Actual', 'OT Hours', 'Reason', 'Status']);
-  data.records.forEach(r => {
-    sheet.appendRow([r.dateDisplay, r.guardName, r.siteName, r.scheduledHours, r.actualHours, r.otHours, r.reason, r.status]);
-  });
-  
-  return ss.getUrl();
-}
+// NOTE: getOvertimeRecords / exportOvertimeReport moved to Overtime.gs
 
 // NOTE: getCheckpointsBySite moved to Sites.gs for consolidation
 
 /**
  * Save checkpoint
  */
-function saveCheckpoint(data) {
+function saveCheckpoint_(data) {
+  const denied = requirePermission_('checkpoints.edit');
+  if (denied) return denied;
+
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     let sheet = ss.getSheetByName(SHEET_CHECKPOINTS);
@@ -274,6 +164,7 @@ function saveCheckpoint(data) {
       now,
       now
     ]);
+    logAudit_(AUDIT_ACTIONS.CREATE, AUDIT_ENTITIES.CHECKPOINTS, data.id || newId, null, readAuditRecord_(sheet, sheet.getLastRow()));
     
     return { success: true, id: data.id || newId };
   } catch (e) {
@@ -285,7 +176,7 @@ function saveCheckpoint(data) {
 /**
  * Sample checkpoints
  */
-function getSampleCheckpoints(siteId) {
+function getSampleCheckpoints_(siteId) {
   return [
     { id: 'cp-001', siteId: siteId, name: 'Main Entrance', location: 'Building A, Ground Floor', qrCode: 'VKS-CP-001', type: 'required' },
     { id: 'cp-002', siteId: siteId, name: 'Parking Gate', location: 'Basement Level 1', qrCode: 'VKS-CP-002', type: 'required' },
@@ -297,7 +188,7 @@ function getSampleCheckpoints(siteId) {
 /**
  * Get/Save settings
  */
-function getSettings() {
+function getSettings_() {
   const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
   const sheet = ss.getSheetByName(SHEET_SETTINGS);
   
@@ -307,13 +198,23 @@ function getSettings() {
   const settings = {};
   
   data.forEach(row => {
-    if (row[0]) settings[row[0]] = row[1];
+    // Sheets turns date-like values (e.g. qrLegacyGraceUntil) into Dates, which google.script.run cannot return
+    if (row[0]) settings[row[0]] = row[1] instanceof Date ? Utilities.formatDate(row[1], 'Asia/Vientiane', 'yyyy-MM-dd') : row[1];
   });
   
   return settings;
 }
 
-function saveSettings(data) {
+function saveSettings_(data) {
+  const denied = requirePermission_('settings.edit');
+  if (denied) return denied;
+
+  // The permission matrix is admin-only, even for users who may edit other settings
+  if (Object.keys(data).some(key => key.indexOf(PERMISSION_SETTING_PREFIX) === 0)) {
+    const deniedMatrix = requirePermission_('settings.admin');
+    if (deniedMatrix) return deniedMatrix;
+  }
+
   const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
   let sheet = ss.getSheetByName(SHEET_SETTINGS);
   
@@ -325,14 +226,19 @@ function saveSettings(data) {
   const existingData = sheet.getDataRange().getValues();
   const existingKeys = existingData.map(row => row[0]);
   
+  const before = {};
+  const after = {};
   Object.keys(data).forEach(key => {
     const rowIndex = existingKeys.indexOf(key);
+    before[key] = rowIndex >= 0 ? existingData[rowIndex][1] : '';
+    after[key] = data[key];
     if (rowIndex >= 0) {
       sheet.getRange(rowIndex + 1, 2).setValue(data[key]);
     } else {
       sheet.appendRow([key, data[key]]);
     }
   });
+  logAudit_(AUDIT_ACTIONS.UPDATE, AUDIT_ENTITIES.SETTINGS, SHEET_SETTINGS, before, after);
   
   return { success: true };
 }
@@ -354,10 +260,17 @@ function getDefaultSettings() {
     recipients: '',
 
     // Thresholds
-    latePatrol: 15,
-    missedCheckin: 30,
+    latePatrol: 15,   // Minutes after a round is due before it counts as late (site patrolLateGrace overrides)
+    missedPatrol: 60, // Minutes after a round is due before it counts as missed (site patrolMissedGrace overrides)
+    missedCheckin: 30,   // Minutes after a rostered shift starts before a guard with no check-in is absent
+    attendanceGrace: 10, // Minutes of slack before a check-in is a late start or a checkout an early leave
+
+    // Holiday OT multipliers (defaults in HOLIDAY_TYPES)
+    holidayRateNational: 3.0,
+    holidayRateClient: 2.0,
+    holidayRateSpecial: 2.0,
     gpsAccuracy: 10,
-    escalationDelay: 60,
+    escalationDelay: 60, // Minutes an SLA breach waits at each level before going up the escalation chain (SLA.gs)
     autoEscalate: true,
 
     // Patrol Config
@@ -368,11 +281,21 @@ function getDefaultSettings() {
     autoRefresh: true,
     refreshInterval: 30,
     logRetention: 30,
+    qrLegacyGraceUntil: '', // yyyy-MM-dd; unsigned checkpoint QRs refused after this date (blank = still accepted)
+    publicReportUrl: '', // This web app's /exec URL; the Guard App's site QR page links to its complaint form (PublicComplaints.gs)
 
-    // SLA (Legacy but kept)
+    // SLA (SLA.gs): resolution hours per severity when no SLAPolicies row matches (SLA_DEFAULT_HOURS)
     slaCritical: 4,
     slaHigh: 24,
     slaMedium: 72,
-    slaLow: 168
+    slaLow: 168,
+    slaBusinessDays: '1,2,3,4,5', // Business-hour calendar: weekdays (0 = Sunday), opening hours, holidays closed
+    slaBusinessStart: 8,
+    slaBusinessEnd: 17,
+    slaSkipHolidays: true,
+    slaEscalationChain: 'supervisor,qc_lead,admin',
+
+    // CAPA (CAPA.gs): days after an action item is verified before its effectiveness re-inspection is due
+    capaEffectivenessDays: 30
   };
 }
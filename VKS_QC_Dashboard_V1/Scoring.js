@@ -0,0 +1,243 @@
+/**
+ * Scoring.js - Weighted inspection score: rules per site type and the stored breakdown
+ *
+ * Features:
+ * - Scoring rules per site type (SHEET_SCORING_RULES, edited on the Settings page): pass threshold,
+ *   the score a failed "cap" critical item limits an inspection to, and the weights of the
+ *   communication / uniform ratings. A blank siteType row covers every type without its own rule;
+ *   with no rule at all SCORING_DEFAULTS apply
+ * - The Patrol app (processForm) scores each inspection from its checklist item weights and critical
+ *   flags (ChecklistItems weight / critical) plus the ratings, and stores the breakdown in InspectionLogs
+ *   (ratingCommunication ... criticalFailures). Inspections from before the weighted score are unscored
+ * - Score summaries for Performance.gs and SiteMap_Data.gs read those columns (no notes parsing)
+ */
+
+// Per-execution cache of the rule rows
+let SCORING_RULES_CACHE_ = null;
+
+// ===========================================
+// API
+// ===========================================
+
+/**
+ * Scoring rows plus the site types and defaults, for the Settings page
+ * @returns {Object} {success, rules, siteTypes, defaults}
+ */
+function getScoringRules_() {
+  try {
+    return {
+      success: true,
+      rules: JSON.parse(JSON.stringify(readScoringRules_())),
+      siteTypes: SITE_TYPES,
+      defaults: SCORING_DEFAULTS
+    };
+  } catch (e) {
+    Logger.log('Error in getScoringRules: ' + e.message);
+    return { success: false, message: e.message, rules: [] };
+  }
+}
+
+/**
+ * Create or update the scoring rule of a site type
+ * @param {Object} data - {id?, siteType ('' = all other types), passThreshold, capScore, communicationWeight, uniformWeight, active}
+ * @returns {Object} {success, id}
+ */
+function saveScoringRule_(data) {
+  const denied = requirePermission_('settings.edit');
+  if (denied) return denied;
+
+  try {
+    const record = normalizeScoringRule_(data || {});
+    if (record.siteType && SITE_TYPES.indexOf(record.siteType) === -1) {
+      return { success: false, message: 'Unknown site type: ' + record.siteType };
+    }
+    if (!(record.passThreshold >= 0 && record.passThreshold <= 100)) return { success: false, message: 'Pass threshold must be 0-100.' };
+    if (!(record.capScore >= 0 && record.capScore <= 100)) return { success: false, message: 'Critical cap must be 0-100.' };
+    if (!(record.communicationWeight >= 0) || !(record.uniformWeight >= 0)) {
+      return { success: false, message: 'Rating weights must be 0 or more.' };
+    }
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    let isNew = false;
+    let before = null;
+    let after = null;
+    try {
+      const sheet = getScoringRuleSheet_();
+      const headers = ensureSheetColumns_(sheet, COLUMNS.scoringRules);
+      const rows = sheet.getDataRange().getValues();
+      const idCol = getCIIndex(headers, ['id']);
+      const typeCol = getCIIndex(headers, ['siteType']);
+      const now = new Date();
+
+      // One rule per site type: the Patrol app looks rules up by type
+      const clash = rows.find((row, i) => i > 0 && String(row[idCol]) !== record.id &&
+        String(row[typeCol] || '').trim().toLowerCase() === record.siteType.toLowerCase());
+      if (clash) {
+        return { success: false, message: 'A rule for ' + (record.siteType || 'all other site types') + ' already exists.' };
+      }
+
+      const rowIndex = record.id ? rows.findIndex((row, i) => i > 0 && String(row[idCol]) === record.id) : -1;
+      if (rowIndex === -1) {
+        isNew = true;
+        record.id = record.id || 'SCR-' + Utilities.getUuid().substring(0, 8).toUpperCase();
+        record.createdAt = now;
+      } else {
+        record.createdAt = rows[rowIndex][getCIIndex(headers, ['createdAt'])] || now;
+        before = toAuditRecord_(headers, rows[rowIndex]);
+      }
+      record.updatedAt = now;
+
+      const row = headers.map(h => record[h] !== undefined ? record[h] : '');
+      after = toAuditRecord_(headers, row);
+      if (isNew) {
+        sheet.appendRow(row);
+      } else {
+        sheet.getRange(rowIndex + 1, 1, 1, row.length).setValues([row]);
+      }
+    } finally {
+      lock.releaseLock();
+    }
+
+    SCORING_RULES_CACHE_ = null;
+    logAudit_(isNew ? AUDIT_ACTIONS.CREATE : AUDIT_ACTIONS.UPDATE, AUDIT_ENTITIES.SCORING_RULES, record.id, before, after);
+    return { success: true, id: record.id };
+  } catch (e) {
+    Logger.log('Error in saveScoringRule: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Delete a scoring rule (inspections already scored keep their stored score)
+ */
+function deleteScoringRule_(ruleId) {
+  const denied = requirePermission_('settings.edit');
+  if (denied) return denied;
+
+  try {
+    const sheet = getScoringRuleSheet_();
+    const rows = sheet.getDataRange().getValues();
+    const headers = rows[0];
+    const idCol = getCIIndex(headers, ['id']);
+    const rowIndex = rows.findIndex((row, i) => i > 0 && String(row[idCol]) === String(ruleId));
+    if (rowIndex === -1) return { success: false, message: 'Rule not found: ' + ruleId };
+
+    sheet.deleteRow(rowIndex + 1);
+    SCORING_RULES_CACHE_ = null;
+    logAudit_(AUDIT_ACTIONS.DELETE, AUDIT_ENTITIES.SCORING_RULES, ruleId, toAuditRecord_(headers, rows[rowIndex]), null);
+    return { success: true };
+  } catch (e) {
+    Logger.log('Error in deleteScoringRule: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+// ===========================================
+// BREAKDOWN
+// ===========================================
+
+/**
+ * Stored score of one inspection (InspectionLogs record keyed by COLUMNS.inspectionLogs names)
+ * @returns {Object|null} {score, passed, passThreshold, checklistRate, communication, uniform, criticalFailures[]},
+ *   null for inspections logged before the weighted score
+ */
+function readInspectionScore_(record) {
+  const number = value => value === '' || value === null || value === undefined || isNaN(parseFloat(value)) ? null : parseFloat(value);
+  const score = number(record.weightedScore);
+  if (score === null) return null;
+
+  const points = number(record.checklistPoints);
+  const maxPoints = number(record.checklistMaxPoints);
+  const critical = String(record.criticalFailures || '').trim();
+  return {
+    score: score,
+    passed: String(record.scoreResult || '').toLowerCase() === 'pass',
+    passThreshold: number(record.passThreshold),
+    checklistRate: maxPoints ? Math.round(points / maxPoints * 1000) / 10 : null,
+    communication: number(record.ratingCommunication),
+    uniform: number(record.ratingUniform),
+    criticalFailures: critical ? critical.split(',').map(s => s.trim()).filter(String) : []
+  };
+}
+
+/**
+ * Averages over readInspectionScore_ results (nulls = unscored inspections, counted apart)
+ * @returns {Object} {scored, unscored, avgScore, passed, passRate, criticalFailures, avgChecklistRate, avgCommunication, avgUniform}
+ */
+function summarizeInspectionScores_(scores) {
+  const scored = scores.filter(Boolean);
+  const avg = values => {
+    const list = values.filter(v => v !== null);
+    return list.length ? Math.round(list.reduce((a, b) => a + b, 0) / list.length * 10) / 10 : null;
+  };
+  const passed = scored.filter(s => s.passed).length;
+  return {
+    scored: scored.length,
+    unscored: scores.length - scored.length,
+    avgScore: avg(scored.map(s => s.score)),
+    passed: passed,
+    passRate: scored.length ? Math.round(passed / scored.length * 100) : null,
+    criticalFailures: scored.reduce((n, s) => n + s.criticalFailures.length, 0),
+    avgChecklistRate: avg(scored.map(s => s.checklistRate)),
+    avgCommunication: avg(scored.map(s => s.communication)),
+    avgUniform: avg(scored.map(s => s.uniform))
+  };
+}
+
+/**
+ * Rule that applies to a site type (its own row, else the blank-type row, else SCORING_DEFAULTS)
+ */
+function getScoringRuleFor_(siteType) {
+  const rules = readScoringRules_().filter(r => r.active);
+  const type = String(siteType || '').trim().toLowerCase();
+  return rules.find(r => type && r.siteType.toLowerCase() === type) ||
+    rules.find(r => !r.siteType) ||
+    Object.assign({ id: '', siteType: '' }, SCORING_DEFAULTS);
+}
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+function readScoringRules_() {
+  if (SCORING_RULES_CACHE_) return SCORING_RULES_CACHE_;
+  const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(SHEET_SCORING_RULES);
+  if (!sheet || sheet.getLastRow() < 2) return (SCORING_RULES_CACHE_ = []);
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  SCORING_RULES_CACHE_ = data.slice(1)
+    .map(row => normalizeScoringRule_(toAuditRecord_(headers, row)))
+    .filter(r => r.id)
+    .sort((a, b) => (a.siteType ? 0 : 1) - (b.siteType ? 0 : 1) || a.siteType.localeCompare(b.siteType));
+  return SCORING_RULES_CACHE_;
+}
+
+/**
+ * Trimmed, typed rule fields (form input or sheet row); blank numbers take SCORING_DEFAULTS
+ */
+function normalizeScoringRule_(data) {
+  const number = (value, fallback) => value === undefined || value === '' || value === null ? fallback : parseFloat(value);
+  return {
+    id: String(data.id || '').trim(),
+    siteType: String(data.siteType || '').trim(),
+    passThreshold: number(data.passThreshold, SCORING_DEFAULTS.passThreshold),
+    capScore: number(data.capScore, SCORING_DEFAULTS.capScore),
+    communicationWeight: number(data.communicationWeight, SCORING_DEFAULTS.communicationWeight),
+    uniformWeight: number(data.uniformWeight, SCORING_DEFAULTS.uniformWeight),
+    active: data.active === undefined || data.active === '' ? true : data.active === true || String(data.active).toLowerCase() === 'true',
+    updatedAt: data.updatedAt instanceof Date ? data.updatedAt.toISOString() : String(data.updatedAt || '')
+  };
+}
+
+function getScoringRuleSheet_() {
+  const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+  let sheet = ss.getSheetByName(SHEET_SCORING_RULES);
+  if (!sheet) {
+    sheet = ss.insertSheet(SHEET_SCORING_RULES);
+    sheet.appendRow(COLUMNS.scoringRules);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
@@ -9,6 +9,7 @@
  * Use this ONLY when starting a fresh project.
  */
 function createQCMasterSheet() {
+  requireScriptOwner_();
   const ss = SpreadsheetApp.create('VKS QC Master');
   const ssId = ss.getId();
   
@@ -41,6 +42,7 @@ function createQCMasterSheet() {
  * Run this if you are missing tabs like "Locations" or "InspectionLogs".
  */
 function updateExistingMasterSheet() {
+  requireScriptOwner_();
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     Logger.log('Updating existing spreadsheet: ' + ss.getName());
@@ -60,6 +62,7 @@ function updateExistingMasterSheet() {
  * Test function to check connection to Patrol Dashboard
  */
 function testPatrolConnection() {
+  requireScriptOwner_();
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_PATROL);
     Logger.log('CONNECTED: ' + ss.getName());
@@ -81,6 +84,8 @@ function createAllSheets_(ss) {
     { name: SHEET_SCANS, columns: COLUMNS.scans },
     { name: SHEET_SHIFTS, columns: COLUMNS.shifts },
     { name: SHEET_OVERTIME, columns: COLUMNS.overtime },
+    { name: SHEET_HOLIDAYS, columns: COLUMNS.holidays },
+    { name: SHEET_PAY_PERIODS, columns: COLUMNS.payPeriods },
     { name: SHEET_ISSUES, columns: COLUMNS.issues },
     { name: SHEET_SETTINGS, columns: COLUMNS.settings },
     { name: SHEET_USERS, columns: COLUMNS.users },
@@ -173,6 +178,7 @@ function addSampleData_(ss) {
  * Run this once via console or editor to ensure the logo is visible.
  */
 function fixLogoPermissions() {
+  requireScriptOwner_();
   const fileId = '1o7UGoZhLBG43hm-5eao8UYB4YjeQ_IhT';
   try {
     const file = DriveApp.getFileById(fileId);
@@ -12,7 +12,7 @@
  * Used by Inspector Routes page to avoid the heavy getSiteMapAggregatedData call.
  * @returns {Array} [{name, lat, lng, address}, ...]
  */
-function getSiteCoordinates() {
+function getSiteCoordinates_() {
     try {
         var ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
         var sheet = ss.getSheetByName(SHEET_SITES);
@@ -72,7 +72,16 @@ var LOG_IDX = {
     gps: 18,
     patrolLogs: 19,
     details: 20,
-    issues: 21
+    issues: 21,
+    // Weighted score breakdown (Scoring.gs)
+    ratingCommunication: 26,
+    ratingUniform: 27,
+    checklistPoints: 28,
+    checklistMaxPoints: 29,
+    weightedScore: 30,
+    passThreshold: 31,
+    scoreResult: 32,
+    criticalFailures: 33
 };
 
 // Column Indices for Sites sheet
@@ -106,7 +115,7 @@ function isCheckOK(val) {
  * @param {number} daysBack - Number of days to look back (default: 30)
  * @returns {Array} - Array of site objects with aggregated stats
  */
-function getSiteMapAggregatedData(daysBack) {
+function getSiteMapAggregatedData_(daysBack) {
     try {
         daysBack = daysBack || 30;
 
@@ -179,15 +188,18 @@ function getSiteMapAggregatedData(daysBack) {
                     lng: lng,
                     status: 'active',
                     statusLabel: 'Active',
+                    // Pass threshold of the site type's scoring rule (Scoring.gs)
+                    passThreshold: getScoringRuleFor_(row[SITE_IDX.type]).passThreshold,
 
                     // Basic Stats
                     stats: {
                         patrols: 0,
                         sleep: 0,
                         issues: 0,
-                        avgScore: 0,
-                        totalScore: 0,
-                        countScore: 0,
+                        avgScore: null,
+                        passRate: null,
+                        criticalFailures: 0,
+                        scores: [],
                         avgDuration: 0,
                         totalDuration: 0
                     },
@@ -255,12 +267,19 @@ function getSiteMapAggregatedData(daysBack) {
                     var s = site.stats;
                     s.patrols++;
 
-                    // Score
-                    var score = parseFloat(row[LOG_IDX.score]);
-                    if (!isNaN(score)) {
-                        s.totalScore += score;
-                        s.countScore++;
-                    }
+                    // Weighted score (null on rows from before the weighted score)
+                    var scoring = readInspectionScore_({
+                        ratingCommunication: row[LOG_IDX.ratingCommunication],
+                        ratingUniform: row[LOG_IDX.ratingUniform],
+                        checklistPoints: row[LOG_IDX.checklistPoints],
+                        checklistMaxPoints: row[LOG_IDX.checklistMaxPoints],
+                        weightedScore: row[LOG_IDX.weightedScore],
+                        passThreshold: row[LOG_IDX.passThreshold],
+                        scoreResult: row[LOG_IDX.scoreResult],
+                        criticalFailures: row[LOG_IDX.criticalFailures]
+                    });
+                    s.scores.push(scoring);
+                    var score = scoring ? scoring.score : null;
 
                     // Duration
                     var duration = parseFloat(row[LOG_IDX.duration]) || 0;
@@ -270,7 +289,7 @@ function getSiteMapAggregatedData(daysBack) {
                     if (!site.lastVisit.timestamp || ts > site.lastVisit.timestamp) {
                         site.lastVisit.timestamp = ts;
                         site.lastVisit.inspector = row[LOG_IDX.patrolName] || 'Unknown';
-                        site.lastVisit.score = score || null;
+                        site.lastVisit.score = score;
                     }
 
                     // === GUARD EQUIPMENT ===
@@ -337,7 +356,9 @@ function getSiteMapAggregatedData(daysBack) {
                                 timestamp: ts.toISOString(),
                                 type: 'Patrol',
                                 inspector: (row[LOG_IDX.patrolName] || 'Unknown').toString(),
-                                score: score || 0,
+                                score: score,
+                                scoreResult: scoring ? (scoring.passed ? 'pass' : 'fail') : '',
+                                criticalFailures: scoring ? scoring.criticalFailures.join(', ') : '',
                                 duration: duration,
                                 // Full data for inspection log modal (with safe access)
                                 guardName: row.length > LOG_IDX.guardName ? (row[LOG_IDX.guardName] || 'N/A').toString() : 'N/A',
@@ -390,10 +411,11 @@ function getSiteMapAggregatedData(daysBack) {
         for (var key in sitesMap) {
             var site = sitesMap[key];
 
-            // Average Score
-            if (site.stats.countScore > 0) {
-                site.stats.avgScore = parseFloat((site.stats.totalScore / site.stats.countScore).toFixed(1));
-            }
+            // Average weighted score and pass rate (scored inspections only)
+            var scoreSummary = summarizeInspectionScores_(site.stats.scores);
+            site.stats.avgScore = scoreSummary.avgScore;
+            site.stats.passRate = scoreSummary.passRate;
+            site.stats.criticalFailures = scoreSummary.criticalFailures;
 
             // Average Duration
             if (site.stats.patrols > 0) {
@@ -494,8 +516,7 @@ function getSiteMapAggregatedData(daysBack) {
             }
 
             // Clean up temp fields
-            delete site.stats.totalScore;
-            delete site.stats.countScore;
+            delete site.stats.scores;
             delete site.stats.totalDuration;
 
             // Ensure lastVisit.timestamp is string for JSON serialization
@@ -15,7 +15,7 @@
  * Creates entries in QC Master Sites tab with auto-generated IDs
  * @returns {Object} Sync stats {added, updated, total}
  */
-function syncSitesFromPatrol() {
+function syncSitesFromPatrol_() {
   try {
     const now = new Date().toISOString();
 
@@ -137,9 +137,10 @@ function syncSitesFromPatrol() {
 /**
  * Auto-sync handler for Sites - called by time trigger
  */
-function autoSyncSites() {
+function autoSyncSites(e) {
+  requireTriggerRun_(e);
   try {
-    const result = syncSitesFromPatrol();
+    const result = syncSitesFromPatrol_();
     if (result.added > 0) {
       Logger.log(`[Auto-Sync Sites] Added ${result.added} new sites`);
     }
@@ -153,6 +154,7 @@ function autoSyncSites() {
  * Run once manually to enable
  */
 function setupSitesAutoSync() {
+  requireScriptOwner_();
   // Remove existing
   const triggers = ScriptApp.getProjectTriggers();
   triggers.forEach(t => {
@@ -175,6 +177,7 @@ function setupSitesAutoSync() {
  * Remove Sites auto-sync trigger
  */
 function removeSitesAutoSync() {
+  requireScriptOwner_();
   const triggers = ScriptApp.getProjectTriggers();
   let removed = 0;
   triggers.forEach(t => {
@@ -196,7 +199,7 @@ function removeSitesAutoSync() {
  * Cross-references by siteName column
  * @returns {Object} Update stats
  */
-function extractGPSFromInspectionLogs() {
+function extractGPSFromInspectionLogs_() {
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
 
@@ -339,7 +342,7 @@ function parseGPSString(gpsStr) {
  * @param {Object} filters - Filter options
  * @returns {Array} Site objects
  */
-function getSites(filters) {
+function getSites_(filters) {
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     const sitesSheet = ss.getSheetByName(SHEET_SITES);
@@ -379,6 +382,7 @@ function getSites(filters) {
       shiftType: getCIIndex(headers, ['shiftType']),
       shiftStart: getCIIndex(headers, ['shiftStart']),
       shiftEnd: getCIIndex(headers, ['shiftEnd']),
+      clientGroup: getCIIndex(headers, ['clientGroup', 'client group', 'client']),
       createdAt: getCIIndex(headers, ['createdAt', 'created']),
       updatedAt: getCIIndex(headers, ['updatedAt', 'updated'])
     };
@@ -422,6 +426,7 @@ function getSites(filters) {
         shiftType: idx.shiftType !== -1 ? (row[idx.shiftType] || '12h') : '12h',
         shiftStart: idx.shiftStart !== -1 ? (row[idx.shiftStart] instanceof Date ? row[idx.shiftStart].toISOString() : String(row[idx.shiftStart] || '06:00')) : '06:00',
         shiftEnd: idx.shiftEnd !== -1 ? (row[idx.shiftEnd] instanceof Date ? row[idx.shiftEnd].toISOString() : String(row[idx.shiftEnd] || '18:00')) : '18:00',
+        clientGroup: idx.clientGroup !== -1 ? String(row[idx.clientGroup] || '').trim() : '',
         createdAt: idx.createdAt !== -1 ? (row[idx.createdAt] instanceof Date ? row[idx.createdAt].toISOString() : String(row[idx.createdAt] || '')) : '',
         updatedAt: idx.updatedAt !== -1 ? (row[idx.updatedAt] instanceof Date ? row[idx.updatedAt].toISOString() : String(row[idx.updatedAt] || '')) : '',
         guardCount: 0,
@@ -429,6 +434,9 @@ function getSites(filters) {
       });
     }
 
+    // Supervisors only see the sites in their scope (Permissions.gs)
+    sites = sites.filter(s => isInCallerScope_([s.id, s.code, s.nameEN], s.route));
+
     // Apply filters
     if (filters) {
       if (filters.route) {
@@ -514,7 +522,7 @@ function getSites(filters) {
  * @param {string} siteId - Site ID
  * @returns {Object} Site object with full details
  */
-function getSiteDetail(siteId) {
+function getSiteDetail_(siteId) {
   try {
     if (!siteId) {
       throw new Error('Site ID is required');
@@ -552,6 +560,14 @@ function getSiteDetail(siteId) {
       shiftType: getCIIndex(headers, ['shiftType']),
       shiftStart: getCIIndex(headers, ['shiftStart']),
       shiftEnd: getCIIndex(headers, ['shiftEnd']),
+      clientGroup: getCIIndex(headers, ['clientGroup', 'client group', 'client']),
+      geofenceRadius: getCIIndex(headers, ['geofenceRadius']),
+      geofencePolygon: getCIIndex(headers, ['geofencePolygon']),
+      geofenceCheckin: getCIIndex(headers, ['geofenceCheckin']),
+      geofencePatrol: getCIIndex(headers, ['geofencePatrol']),
+      geofenceCheckout: getCIIndex(headers, ['geofenceCheckout']),
+      patrolLateGrace: getCIIndex(headers, ['patrolLateGrace']),
+      patrolMissedGrace: getCIIndex(headers, ['patrolMissedGrace']),
       createdAt: getCIIndex(headers, ['createdAt', 'created']),
       updatedAt: getCIIndex(headers, ['updatedAt', 'updated'])
     };
@@ -585,6 +601,14 @@ function getSiteDetail(siteId) {
           shiftType: idx.shiftType !== -1 ? (row[idx.shiftType] || '12h') : '12h',
           shiftStart: idx.shiftStart !== -1 ? (row[idx.shiftStart] instanceof Date ? row[idx.shiftStart].toISOString() : String(row[idx.shiftStart] || '06:00')) : '06:00',
           shiftEnd: idx.shiftEnd !== -1 ? (row[idx.shiftEnd] instanceof Date ? row[idx.shiftEnd].toISOString() : String(row[idx.shiftEnd] || '18:00')) : '18:00',
+          clientGroup: idx.clientGroup !== -1 ? String(row[idx.clientGroup] || '').trim() : '',
+          geofenceRadius: idx.geofenceRadius !== -1 ? (row[idx.geofenceRadius] || '') : '',
+          geofencePolygon: idx.geofencePolygon !== -1 ? String(row[idx.geofencePolygon] || '') : '',
+          geofenceCheckin: idx.geofenceCheckin !== -1 ? String(row[idx.geofenceCheckin] || 'review') : 'review',
+          geofencePatrol: idx.geofencePatrol !== -1 ? String(row[idx.geofencePatrol] || 'review') : 'review',
+          geofenceCheckout: idx.geofenceCheckout !== -1 ? String(row[idx.geofenceCheckout] || 'review') : 'review',
+          patrolLateGrace: idx.patrolLateGrace !== -1 ? row[idx.patrolLateGrace] : '',
+          patrolMissedGrace: idx.patrolMissedGrace !== -1 ? row[idx.patrolMissedGrace] : '',
           createdAt: idx.createdAt !== -1 ? (row[idx.createdAt] instanceof Date ? row[idx.createdAt].toISOString() : String(row[idx.createdAt] || '')) : '',
           updatedAt: idx.updatedAt !== -1 ? (row[idx.updatedAt] instanceof Date ? row[idx.updatedAt].toISOString() : String(row[idx.updatedAt] || '')) : '',
           guardCount: 0,
@@ -617,17 +641,17 @@ function getSiteDetail(siteId) {
 
 /**
  * Get site detail WITH guards and inspectors in one call (Performance optimized)
- * Combines getSiteDetail() and getGuardsBySite() to reduce network calls
+ * Combines getSiteDetail_() and getGuardsBySite_() to reduce network calls
  * @param {string} siteId - Site ID
  * @returns {Object} Site object with guards and inspectors included
  */
-function getSiteDetailWithGuards(siteId) {
+function getSiteDetailWithGuards_(siteId) {
   try {
     // Get site detail first
-    const site = getSiteDetail(siteId);
+    const site = getSiteDetail_(siteId);
 
     // Get guards for this site
-    const guardsData = getGuardsBySite(siteId);
+    const guardsData = getGuardsBySite_(siteId);
 
     // Merge into single response
     site.guards = guardsData.guards || [];
@@ -646,10 +670,14 @@ function getSiteDetailWithGuards(siteId) {
  * @param {Object} data - Site data
  * @returns {Object} Result with success status and ID
  */
-function saveSite(data) {
+function saveSite_(data) {
+  const denied = requirePermission_('sites.edit');
+  if (denied) return denied;
+
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     const sheet = ss.getSheetByName(SHEET_SITES);
+    const headers = ensureSheetColumns_(sheet, ['clientGroup']);
 
     const now = new Date().toISOString();
     const isEdit = !!data.id;
@@ -657,7 +685,6 @@ function saveSite(data) {
     if (isEdit) {
       // Update existing site
       const allData = sheet.getDataRange().getValues();
-      const headers = allData[0];
       const rowIndex = allData.findIndex((row, i) => i > 0 && row[0] === data.id);
 
       if (rowIndex === -1) {
@@ -671,6 +698,8 @@ function saveSite(data) {
         }
       });
       sheet.getRange(rowIndex + 1, headers.indexOf('updatedAt') + 1).setValue(now);
+      logAudit_(AUDIT_ACTIONS.UPDATE, AUDIT_ENTITIES.SITES, data.id,
+        toAuditRecord_(headers, allData[rowIndex]), readAuditRecord_(sheet, rowIndex + 1));
 
       // Also update Locations tab if name changed
       syncSiteToLocations_(data.nameEN, data.route, now);
@@ -682,9 +711,8 @@ function saveSite(data) {
     } else {
       // Create new site
       const newId = 'SITE-' + (data.route || 'X') + '-' + Utilities.getUuid().substring(0, 6).toUpperCase();
-      const headers = COLUMNS.sites;
 
-      const newRow = headers.map(header => {
+      const newRow = COLUMNS.sites.map(header => {
         if (header === 'id') return newId;
         if (header === 'createdAt') return now;
         if (header === 'updatedAt') return now;
@@ -692,6 +720,11 @@ function saveSite(data) {
       });
 
       sheet.appendRow(newRow);
+      // clientGroup sits after the COLUMNS.sites block
+      if (data.clientGroup) {
+        sheet.getRange(sheet.getLastRow(), getCIIndex(headers, ['clientGroup']) + 1).setValue(data.clientGroup);
+      }
+      logAudit_(AUDIT_ACTIONS.CREATE, AUDIT_ENTITIES.SITES, newId, null, readAuditRecord_(sheet, sheet.getLastRow()));
 
       // Also add to Locations tab for QR Generator
       addSiteToLocations_(data.nameEN, data.route, now);
@@ -783,7 +816,10 @@ function addSiteToLocations_(siteName, route, timestamp) {
  * @param {string} siteId - Site ID
  * @returns {Object} Result
  */
-function deleteSite(siteId) {
+function deleteSite_(siteId) {
+  const denied = requirePermission_('sites.delete');
+  if (denied) return denied;
+
   try {
     if (!siteId) throw new Error('Site ID is required');
 
@@ -813,6 +849,8 @@ function deleteSite(siteId) {
       sheet.getRange(rowNum, updatedIdx + 1).setValue(new Date().toISOString());
     }
     SpreadsheetApp.flush();
+    logAudit_(AUDIT_ACTIONS.DELETE, AUDIT_ENTITIES.SITES, siteId,
+      toAuditRecord_(headers, data[rowIndex]), readAuditRecord_(sheet, rowNum), 'Site soft-deleted (status = deleted)');
 
     // Invalidate caches
     try {
@@ -820,7 +858,7 @@ function deleteSite(siteId) {
     } catch (e) { /* ignore */ }
 
     // Notify of update
-    setUpdateSignal('sites');
+    setUpdateSignal_('sites');
 
     Logger.log('Soft-deleted site: ' + siteId);
     return { success: true };
@@ -835,7 +873,7 @@ function deleteSite(siteId) {
  * @param {string} siteId - Site ID
  * @returns {Array} Checkpoint objects
  */
-function getSiteCheckpoints(siteId) {
+function getSiteCheckpoints_(siteId) {
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     const sheet = ss.getSheetByName(SHEET_CHECKPOINTS);
@@ -862,12 +900,18 @@ function getSiteCheckpoints(siteId) {
 /**
  * Save site patrol configuration
  * @param {string} siteId - Site ID
- * @param {Object} config - Config data {checkpointTarget, roundsTarget, shiftType, shiftStart, shiftEnd, patrolConditions}
+ * @param {Object} config - Config data {checkpointTarget, roundsTarget, shiftType, shiftStart, shiftEnd, patrolConditions,
+ *                          geofenceRadius, geofencePolygon, geofenceCheckin, geofencePatrol, geofenceCheckout,
+ *                          patrolLateGrace, patrolMissedGrace}
  */
-function saveSitePatrolConfig(siteId, config) {
+function saveSitePatrolConfig_(siteId, config) {
+  const denied = requirePermission_('sites.edit');
+  if (denied) return denied;
+
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     const sheet = ss.getSheetByName(SHEET_SITES);
+    ensureSheetColumns_(sheet, GEOFENCE_SITE_COLUMNS.concat(PATROL_GRACE_SITE_COLUMNS));
     const data = sheet.getDataRange().getValues();
     const headers = data[0];
 
@@ -892,6 +936,7 @@ function saveSitePatrolConfig(siteId, config) {
       patrolConditions: config.patrolConditions,
       updatedAt: now
     };
+    Object.assign(updates, normalizeGeofenceConfig_(config), normalizePatrolGraceConfig_(config));
 
     const rowNum = rowIndex + 1;
     Object.keys(updates).forEach(key => {
@@ -900,9 +945,11 @@ function saveSitePatrolConfig(siteId, config) {
         sheet.getRange(rowNum, colIdx + 1).setValue(updates[key]);
       }
     });
+    logAudit_(AUDIT_ACTIONS.UPDATE, AUDIT_ENTITIES.SITES, siteId,
+      toAuditRecord_(headers, data[rowIndex]), readAuditRecord_(sheet, rowNum));
 
     // Notify of update
-    setUpdateSignal('sites');
+    setUpdateSignal_('sites');
 
     // CRITICAL: Invalidate site options cache so QR Generator sees updated checkpointTarget
     try {
@@ -929,7 +976,7 @@ function saveSitePatrolConfig(siteId, config) {
           shiftStart: config.shiftStart,
           shiftEnd: config.shiftEnd
         };
-        syncToPatrolDashboard(syncData);
+        syncToPatrolDashboard_(syncData);
       }
     } catch (e) {
       Logger.log('Sync to Patrol Dashboard failed silently: ' + e.message);
@@ -960,7 +1007,10 @@ function saveSitePatrolConfig(siteId, config) {
  * Merges new sites while preserving local edits (Location, Required, QR Status)
  * @returns {Object} Sync stats
  */
-function syncLocationsFromPatrol() {
+function syncLocationsFromPatrol_() {
+  const denied = requirePermission_('checkpoints.edit');
+  if (denied) return denied;
+
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
 
@@ -1077,7 +1127,7 @@ function syncLocationsFromPatrol() {
  * Performance: Uses CacheService to store the site list for 10 minutes.
  * Robustness: Normalizes names and ensures all sites from the master list are included.
  */
-function getSiteOptions() {
+function getSiteOptions_() {
   const cache = CacheService.getScriptCache();
   const cacheKey = 'vks_site_options_all';
   const cached = cache.get(cacheKey);
@@ -1159,7 +1209,7 @@ function getSiteOptions() {
  * Get checkpoints/sites for display in QR Generator
  * Reads from Locations tab
  */
-function getCheckpointsBySite(siteId) {
+function getCheckpointsBySite_(siteId) {
   // Default to 'all-locations' if undefined/null
   if (!siteId || siteId === 'undefined' || siteId === 'null') {
     siteId = 'all-locations';
@@ -1234,6 +1284,15 @@ function getCheckpointsBySite(siteId) {
       idx.driveUrl = getCIIndex(headers, ['driveUrl', 'url']);
       idx.generatedAt = getCIIndex(headers, ['generatedAt']);
     }
+    const qrIdx = {
+      serial: getCIIndex(headers, ['qrSerial']),
+      revokedAt: getCIIndex(headers, ['qrRevokedAt']),
+      revokedBy: getCIIndex(headers, ['qrRevokedBy']),
+      revokeReason: getCIIndex(headers, ['qrRevokeReason'])
+    };
+    const qrCell = (row, key) => qrIdx[key] !== -1 ? row[qrIdx[key]] : '';
+    // Read only: the first key is minted by generateQRForLocation_ (no key yet = nothing signed yet)
+    const qrKey = readQRSigningKey_(ss);
 
     const items = [];
 
@@ -1251,6 +1310,9 @@ function getCheckpointsBySite(siteId) {
       }
 
       if (match) {
+        const qrStatus = String(row[idx.qrStatus] || 'pending').toLowerCase();
+        const qrSerial = parseInt(qrCell(row, 'serial')) || 1;
+        const qrRevokedAt = qrCell(row, 'revokedAt');
 
         items.push({
           id: rowId || 'CP-' + i,
@@ -1261,9 +1323,18 @@ function getCheckpointsBySite(siteId) {
           name: String(row[idx.name] || '').trim(),
           sequence: row[idx.sequence] || i,
           required: row[idx.required] === 'Yes' || row[idx.required] === true,
-          qrStatus: String(row[idx.qrStatus] || 'pending').toLowerCase(),
+          qrStatus: qrStatus,
           driveUrl: String(row[idx.driveUrl] || '').trim(),
           generatedAt: row[idx.generatedAt] || '',
+          qrSerial: qrSerial,
+          // Signed sticker content; never handed out for a revoked code or a checkpoint without a site
+          qrContent: qrStatus === 'revoked' || !qrKey || !rowSiteId ? '' : buildCheckpointQRContent_(qrKey, {
+            id: rowId, name: String(row[idx.name] || '').trim(), siteId: rowSiteId,
+            route: siteRouteMap[rowSiteId] || '', serial: qrSerial
+          }),
+          qrRevokedAt: qrRevokedAt instanceof Date ? qrRevokedAt.toISOString() : String(qrRevokedAt || ''),
+          qrRevokedBy: String(qrCell(row, 'revokedBy') || ''),
+          qrRevokeReason: String(qrCell(row, 'revokeReason') || ''),
           code: String(row[idx.location] || '').trim(),
           type: 'Standard'
         });
@@ -1284,7 +1355,10 @@ function getCheckpointsBySite(siteId) {
  * Save Checkpoint or Location Update
  * Routes to correct sheet based on ID prefix
  */
-function saveCheckpoint(data) {
+function saveCheckpoint_(data) {
+  const denied = requirePermission_('checkpoints.edit');
+  if (denied) return denied;
+
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
 
@@ -1324,6 +1398,8 @@ function saveCheckpoint(data) {
         sheet.getRange(idx + 1, 5).setValue(data.sequence || (idx));
         sheet.getRange(idx + 1, 6).setValue(data.required ? 'Yes' : 'No');
         // We preserve QR info (columns 6,7,8) usually
+        logAudit_(AUDIT_ACTIONS.UPDATE, AUDIT_ENTITIES.CHECKPOINTS, data.id,
+          toAuditRecord_(values[0], values[idx]), readAuditRecord_(sheet, idx + 1));
         return { success: true, message: 'Checkpoint updated', id: data.id };
       } else {
         // Not found in Checkpoints... might be in Locations?
@@ -1346,6 +1422,7 @@ function saveCheckpoint(data) {
         '',
         ''
       ]);
+      logAudit_(AUDIT_ACTIONS.CREATE, AUDIT_ENTITIES.CHECKPOINTS, newId, null, readAuditRecord_(sheet, sheet.getLastRow()));
       return { success: true, message: 'Checkpoint created', id: newId };
     }
   } catch (e) {
@@ -1360,7 +1437,10 @@ function saveCheckpoint(data) {
  * @param {string} cpId - Checkpoint ID (e.g. "CP-B5A5EA9F")
  * @returns {Object} { success: boolean, message: string }
  */
-function deleteCheckpoint(cpId) {
+function deleteCheckpoint_(cpId) {
+  const denied = requirePermission_('checkpoints.delete');
+  if (denied) return denied;
+
   if (!cpId) throw new Error('Checkpoint ID is required');
 
   try {
@@ -1372,11 +1452,13 @@ function deleteCheckpoint(cpId) {
     // Column 0 = id
     let rowIdx = -1;
     let driveUrl = '';
+    let before = null;
 
     for (let i = 1; i < data.length; i++) {
       if (String(data[i][0]).trim() === String(cpId).trim()) {
         rowIdx = i + 1; // 1-based row number for sheet operations
         driveUrl = String(data[i][7] || '').trim(); // driveUrl column
+        before = toAuditRecord_(data[0], data[i]);
         break;
       }
     }
@@ -1404,6 +1486,7 @@ function deleteCheckpoint(cpId) {
     // Delete the row
     sheet.deleteRow(rowIdx);
     Logger.log('[deleteCheckpoint] Deleted checkpoint ' + cpId + ' at row ' + rowIdx);
+    logAudit_(AUDIT_ACTIONS.DELETE, AUDIT_ENTITIES.CHECKPOINTS, cpId, before, null);
 
     return { success: true, message: 'Checkpoint deleted' };
   } catch (e) {
@@ -1414,8 +1497,12 @@ function deleteCheckpoint(cpId) {
 
 /**
  * Update Location status to 'generated' when QR is created
+ * Content is signed (see QRSecurity.js) - a revoked checkpoint must be rotated instead.
  */
-function generateQRForLocation(locId) {
+function generateQRForLocation_(locId) {
+  const denied = requirePermission_('checkpoints.edit');
+  if (denied) return denied;
+
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
 
@@ -1427,6 +1514,7 @@ function generateQRForLocation(locId) {
     let data = [];
 
     if (sheet) {
+      ensureSheetColumns_(sheet, QR_CHECKPOINT_COLUMNS);
       data = sheet.getDataRange().getValues();
       rowIdx = data.findIndex(r => r[0] === locId);
       if (rowIdx !== -1) {
@@ -1458,6 +1546,14 @@ function generateQRForLocation(locId) {
     const locationName = data[rowIdx][idx.name];
     const siteId = data[rowIdx][idx.siteId];
 
+    // Signing state (Checkpoints only - legacy Locations always sign serial 1)
+    const serialCol = isCheckpoint ? getCIIndex(headers, ['qrSerial']) : -1;
+    const keyVersionCol = isCheckpoint ? getCIIndex(headers, ['qrKeyVersion']) : -1;
+    const qrSerial = serialCol !== -1 ? (parseInt(data[rowIdx][serialCol]) || 1) : 1;
+    if (String(data[rowIdx][idx.qrStatus] || '').toLowerCase() === 'revoked') {
+      throw new Error('QR code for ' + locId + ' is revoked - rotate it to issue a new one');
+    }
+
     // 0. Lookup Site Name AND Route for QR Content Decision
     const sitesSheet = ss.getSheetByName(SHEET_SITES);
     let siteName = 'Uncategorized';
@@ -1493,11 +1589,15 @@ function generateQRForLocation(locId) {
     // Route-Based QR Content: Embed route in URL, handle redirect in Guard App
     // This allows the Guard App to serve BOTH tracking (scan) and info (redirect) purposes
 
-    // Use the configured Guard App URL (from Config.gs)
-    const targetBaseUrl = GUARD_APP_URL || ScriptApp.getService().getUrl();
-
-    // Construct QR Content with all necessary parameters
-    qrContent = `${targetBaseUrl}?type=info&locId=${encodeURIComponent(locId)}&cpName=${encodeURIComponent(locationName)}&siteId=${encodeURIComponent(siteId || '')}&route=${encodeURIComponent(siteRoute)}`;
+    // Construct signed QR Content (Guard App URL + kv/sn/sig)
+    const qrKey = getQRSigningKey_(ss);
+    const qrContent = buildCheckpointQRContent_(qrKey, {
+      id: locId,
+      name: locationName,
+      siteId: siteId,
+      route: siteRoute,
+      serial: qrSerial
+    });
 
     Logger.log('[QR] Generated content with route [' + siteRoute + ']: ' + qrContent);
 
@@ -1547,6 +1647,8 @@ function generateQRForLocation(locId) {
       sheet.getRange(rowIdx + 1, 7).setValue('generated');
       sheet.getRange(rowIdx + 1, 8).setValue(driveUrl);
       sheet.getRange(rowIdx + 1, 9).setValue(timestamp);
+      if (serialCol !== -1) sheet.getRange(rowIdx + 1, serialCol + 1).setValue(qrSerial);
+      if (keyVersionCol !== -1) sheet.getRange(rowIdx + 1, keyVersionCol + 1).setValue(qrKey.version);
     } else {
       // Legacy flexible update
       if (idx.qrStatus !== -1) sheet.getRange(rowIdx + 1, idx.qrStatus + 1).setValue('generated');
@@ -1558,7 +1660,9 @@ function generateQRForLocation(locId) {
       success: true,
       timestamp: timestamp,
       driveUrl: driveUrl,
-      fileName: blob.getName()
+      fileName: blob.getName(),
+      qrContent: qrContent,
+      qrSerial: qrSerial
     };
 
   } catch (e) {
@@ -1571,7 +1675,7 @@ function generateQRForLocation(locId) {
  * Get standard location presets for checkpoints
  * @returns {Array} Options [{value, label}]
  */
-function getStandardLocations() {
+function getStandardLocations_() {
   const locations = [
     'Main Entrance',
     'Back Entrance',
@@ -1607,7 +1711,7 @@ function getStandardLocations() {
  * Fallback: Patrol Dashboard Sites tab column C (if Inspectors sheet empty)
  * @returns {Array} Options [{value, label}]
  */
-function getPatrolNameOptions() {
+function getPatrolNameOptions_() {
   try {
     const names = [];
     const addedNames = new Set();
@@ -1681,6 +1785,7 @@ function getPatrolNameOptions() {
  * DEBUG FUNCTION: Check connection to QC Spreadsheet and Locations tab
  */
 function debugQRConnection(siteIdToCheck) {
+  requireScriptOwner_();
   const result = {
     spreadsheetId: SPREADSHEET_ID_QC,
     ssFound: false,
@@ -1712,16 +1817,16 @@ function debugQRConnection(siteIdToCheck) {
     }
 
     // Check Options
-    const opts = getSiteOptions();
+    const opts = getSiteOptions_();
     result.siteOptionsCount = opts.length;
 
     // Check All Locations
-    const all = getCheckpointsBySite('all-locations');
+    const all = getCheckpointsBySite_('all-locations');
     result.checkpointsAllCount = all.length;
 
     // Check Target Site if provided
     if (siteIdToCheck) {
-      const target = getCheckpointsBySite(siteIdToCheck);
+      const target = getCheckpointsBySite_(siteIdToCheck);
       result.targetSiteCount = target.length;
     } else {
       result.targetSiteCount = result.checkpointsAllCount;
@@ -1741,14 +1846,17 @@ function debugQRConnection(siteIdToCheck) {
  * @param {number} count - Number of checkpoints to create
  * @returns {Object} Result stats
  */
-function bulkGenerateCheckpoints(siteId, count) {
+function bulkGenerateCheckpoints_(siteId, count) {
+  const denied = requirePermission_('checkpoints.edit');
+  if (denied) return denied;
+
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
     const sheet = ss.getSheetByName(SHEET_CHECKPOINTS);
     if (!sheet) throw new Error('Checkpoints sheet not found');
 
     // Get site name for the checkpoints
-    const siteDetail = getSiteDetail(siteId);
+    const siteDetail = getSiteDetail_(siteId);
     const siteName = siteDetail ? siteDetail.nameEN : 'Unknown Site';
 
     const now = new Date().toISOString();
@@ -1794,7 +1902,7 @@ function bulkGenerateCheckpoints(siteId, count) {
  * Get the deployed Guard App URL for QR generation
  * @returns {string} URL
  */
-function getGuardAppUrl() {
+function getGuardAppUrl_() {
   return GUARD_APP_URL || ScriptApp.getService().getUrl(); // Fallback to current if missing
 }
 
@@ -1808,12 +1916,12 @@ function getGuardAppUrl() {
  * @param {string} siteId - Site ID
  * @returns {Object} { guards: [...], inspectors: [...] }
  */
-function getGuardsBySite(siteId) {
+function getGuardsBySite_(siteId) {
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
 
     // Get site name for matching InspectionLogs (which uses siteName not siteId)
-    const siteDetail = getSiteDetail(siteId);
+    const siteDetail = getSiteDetail_(siteId);
     const siteName = siteDetail ? siteDetail.nameEN : '';
 
     const result = {
@@ -1957,7 +2065,7 @@ function getGuardsBySite(siteId) {
  * @param {string} siteId - Site ID
  * @param {string} guardType - 'guard' or 'inspector'
  */
-function getGuardStats(guardId, siteId, guardType) {
+function getGuardStats_(guardId, siteId, guardType) {
   try {
     Logger.log('getGuardStats called: guardId=' + guardId + ' siteId=' + siteId + ' type=' + guardType);
 
@@ -1965,7 +2073,7 @@ function getGuardStats(guardId, siteId, guardType) {
 
     // Get site name - try getSiteDetail first, fallback to Sites sheet
     let siteName = '';
-    const siteDetail = getSiteDetail(siteId);
+    const siteDetail = getSiteDetail_(siteId);
     if (siteDetail) {
       siteName = siteDetail.nameEN;
       Logger.log('Site found via getSiteDetail: ' + siteName);
@@ -2078,7 +2186,7 @@ function getGuardStats(guardId, siteId, guardType) {
       // Get site names for other sites (with safe error handling)
       Object.keys(otherSitesMap).forEach(sid => {
         try {
-          const sd = getSiteDetail(sid);
+          const sd = getSiteDetail_(sid);
           result.otherSites.push({
             siteId: sid,
             siteName: sd ? (sd.nameEN || sd.nameLO || sid) : sid,
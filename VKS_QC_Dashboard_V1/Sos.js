@@ -0,0 +1,299 @@
+/**
+ * Sos.js - Guard SOS / Emergency Alerts
+ *
+ * Features:
+ * - The Stationary Guard App (Sos.gs) opens an Incidents row (category 'sos') with the severity and
+ *   hours of its SLA policy (SLA.js), and writes RAISED to the SOS_Trail tab; fillSOSDueDates_ sets
+ *   the due date of business-hour policies
+ * - Open SOS sit at the top of Live Alerts (getDashboardAlerts) and the Patrol Status page
+ * - Acknowledgement trail: SEEN (who saw it), RESPONDING (who is going), RESOLVED (via resolveIncident)
+ */
+
+// ===========================================
+// CONFIG
+// ===========================================
+
+const SOS_CATEGORY = 'sos';
+
+// Incidents columns owned by the SOS feature (the Guard App adds them on first SOS)
+const SOS_INCIDENT_COLUMNS = ['source', 'guardId', 'lat', 'lng', 'accuracy', 'voiceNote', 'clientSosId', 'acknowledgedBy', 'acknowledgedAt'];
+
+// Same layout the Guard App's appendRecord creates
+const SOS_TRAIL_HEADERS = ['TIMESTAMP', 'ID', 'incidentId', 'action', 'by', 'byName', 'at', 'note'];
+
+// ===========================================
+// READ
+// ===========================================
+
+/**
+ * Open SOS incidents (not resolved/closed), newest first, each with its trail
+ * @returns {Object} {success, items}
+ */
+function getActiveSOS_() {
+  try {
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+    const trail = readSOSTrail_(ss);
+    const siteNames = getGeofenceSiteNames_(ss);
+    const items = readOpenSOS_(ss).filter(item => {
+      item.siteName = siteNames[String(item.siteId).toUpperCase()] || item.siteId;
+      return isInCallerScope_([item.siteId, item.siteName]);
+    });
+
+    items.forEach(item => {
+      item.trail = trail[item.id] || [];
+    });
+
+    return JSON.parse(JSON.stringify({ success: true, items: items }));
+  } catch (e) {
+    Logger.log('Error in getActiveSOS: ' + e.message);
+    return { success: false, message: e.message, items: [] };
+  }
+}
+
+/**
+ * Live Alerts entries for open SOS (always ranked above every other alert)
+ */
+function getSOSAlerts_(ss) {
+  const siteNames = getGeofenceSiteNames_(ss);
+  const now = new Date();
+
+  return readOpenSOS_(ss).map(item => {
+    const mins = Math.max(0, Math.floor((now - new Date(item.incidentTime)) / 60000));
+    return {
+      id: item.id,
+      title: 'SOS - ' + (item.reportedBy || item.guardId),
+      description: item.description + (item.acknowledgedBy ? ' (Seen by ' + item.acknowledgedBy + ')' : ' (Not acknowledged)'),
+      type: 'critical',
+      sos: true,
+      acknowledged: !!item.acknowledgedBy,
+      timeAgo: mins < 60 ? `${mins}m ago` : `${Math.floor(mins / 60)}h ago`,
+      siteName: siteNames[String(item.siteId).toUpperCase()] || item.siteId || 'Unknown Site',
+      siteId: item.siteId
+    };
+  });
+}
+
+// ===========================================
+// ACKNOWLEDGE / RESPOND
+// ===========================================
+
+/**
+ * Record that a supervisor has seen the SOS (first one also stamps acknowledgedBy/At and moves a new incident to acknowledged)
+ * @param {string} userId - Acting user (VKS_Users ID)
+ * @param {string} incidentId - Incidents row ID
+ */
+function acknowledgeSOS_(userId, incidentId) {
+  const denied = requirePermission_('sos.edit');
+  if (denied) return denied;
+  return updateSOS_(userId, incidentId, 'SEEN', '', (found, userName, now) => {
+    const ackCol = getCIIndex(found.headers, ['acknowledgedBy']);
+    if (found.row[ackCol]) return {};
+    const updates = { acknowledgedBy: userName, acknowledgedAt: now };
+    if (normalizeCaseStatus_(found.row[getCIIndex(found.headers, ['status'])]) === STATUS.case.NEW) {
+      updates.status = STATUS.case.ACKNOWLEDGED;
+    }
+    return updates;
+  });
+}
+
+/**
+ * Record who is responding; moves the incident to in_progress and fills responseTime/respondedBy
+ * @param {string} userId - Acting user (VKS_Users ID)
+ * @param {string} incidentId - Incidents row ID
+ * @param {string} note - Who/what was dispatched
+ */
+function respondSOS_(userId, incidentId, note) {
+  const denied = requirePermission_('sos.edit');
+  if (denied) return denied;
+  return updateSOS_(userId, incidentId, 'RESPONDING', note, (found, userName, now) => {
+    // Emergency shortcut past the usual assign step (CaseLifecycle.gs)
+    const updates = { status: STATUS.case.IN_PROGRESS, respondedBy: userName, responseTime: now };
+    // Responding implies it was seen
+    if (!found.row[getCIIndex(found.headers, ['acknowledgedBy'])]) {
+      updates.acknowledgedBy = userName;
+      updates.acknowledgedAt = now;
+    }
+    return updates;
+  });
+}
+
+/**
+ * Append a RESOLVED step when an SOS incident is closed out through resolveIncident
+ */
+function recordSOSResolved_(incidentId, resolvedBy, resolution) {
+  try {
+    appendSOSTrail_(SpreadsheetApp.openById(SPREADSHEET_ID_QC), incidentId, 'RESOLVED', '', resolvedBy || '', resolution || '');
+    setUpdateSignal_('sos');
+  } catch (e) {
+    Logger.log('Error in recordSOSResolved_: ' + e.message);
+  }
+}
+
+/**
+ * Due dates the Guard App left blank: it opens the SOS with its SLA policy's hours, but only the
+ * Dashboard can walk a business-hour calendar (runSlaEscalation calls this every run)
+ * @returns {number} Rows filled in
+ */
+function fillSOSDueDates_() {
+  const sheet = SpreadsheetApp.openById(SPREADSHEET_ID_QC).getSheetByName(SHEET_INCIDENTS);
+  if (!sheet || sheet.getLastRow() < 2) return 0;
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const dueCol = getCIIndex(headers, ['dueDate']);
+  if (dueCol === -1) return 0;
+
+  let filled = 0;
+  for (let i = 1; i < data.length; i++) {
+    const record = toAuditRecord_(headers, data[i]);
+    if (record.dueDate || String(record.category).toLowerCase() !== SOS_CATEGORY) continue;
+    if (!isCaseOpen_(normalizeCaseStatus_(record.status))) continue;
+
+    const due = computeSlaDueDate_('incident', record, record.incidentTime || record.createdAt || new Date());
+    sheet.getRange(i + 1, dueCol + 1).setValue(due);
+    filled++;
+  }
+  if (filled > 0) setUpdateSignal_('sos');
+  return filled;
+}
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+function updateSOS_(userId, incidentId, action, note, buildUpdates) {
+  try {
+    if (!userId) return { success: false, message: 'Login required.' };
+
+    const userName = getAuthUserName_(userId) || userId;
+    const now = new Date();
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const sheet = ss.getSheetByName(SHEET_INCIDENTS);
+      if (!sheet) throw new Error('Incidents sheet not found');
+
+      const headers = ensureSheetColumns_(sheet, SOS_INCIDENT_COLUMNS.concat(['respondedBy', 'responseTime']));
+      const data = sheet.getDataRange().getValues();
+      const idCol = Math.max(getCIIndex(headers, ['id']), 0);
+      const rowIndex = data.findIndex((row, i) => i > 0 && String(row[idCol]) === String(incidentId));
+      if (rowIndex === -1) throw new Error('Incident not found: ' + incidentId);
+
+      const found = { headers: headers, row: data[rowIndex] };
+      const updates = Object.assign(buildUpdates(found, userName, now), { updatedAt: now });
+      Object.keys(updates).forEach(key => {
+        const col = getCIIndex(headers, [key]);
+        if (col !== -1) sheet.getRange(rowIndex + 1, col + 1).setValue(updates[key]);
+      });
+
+      appendSOSTrail_(ss, incidentId, action, userId, userName, note);
+      const fromStatus = normalizeCaseStatus_(found.row[getCIIndex(headers, ['status'])]);
+      if (updates.status && updates.status !== fromStatus) {
+        appendCaseTimeline_('incident', incidentId, 'status', fromStatus, updates.status, 'SOS ' + action.toLowerCase() + (note ? ' - ' + note : ''), '');
+      }
+    } finally {
+      lock.releaseLock();
+    }
+
+    setUpdateSignal_('sos');
+    logActivity_(userId, 'UPDATE', 'SOS', 'Incident: ' + incidentId, 'SOS ' + action.toLowerCase() + (note ? ' - ' + note : ''));
+
+    return { success: true };
+  } catch (e) {
+    Logger.log('Error in SOS ' + action + ': ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+function readOpenSOS_(ss) {
+  const sheet = ss.getSheetByName(SHEET_INCIDENTS);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const categoryCol = getCIIndex(headers, ['category']);
+  if (categoryCol === -1) return [];
+
+  const field = (row, name) => {
+    const col = getCIIndex(headers, [name]);
+    const val = col !== -1 ? row[col] : '';
+    return val instanceof Date ? val.toISOString() : String(val === undefined || val === null ? '' : val);
+  };
+
+  const items = [];
+  for (let i = data.length - 1; i >= 1; i--) {
+    const row = data[i];
+    if (String(row[categoryCol]).toLowerCase() !== SOS_CATEGORY) continue;
+    const status = field(row, 'status').toLowerCase();
+    if (!isCaseOpen_(status)) continue;
+
+    items.push({
+      id: field(row, 'id'),
+      title: field(row, 'title'),
+      description: field(row, 'description'),
+      siteId: field(row, 'siteId'),
+      guardId: field(row, 'guardId'),
+      reportedBy: field(row, 'reportedBy'),
+      incidentTime: field(row, 'incidentTime'),
+      status: status,
+      lat: field(row, 'lat'),
+      lng: field(row, 'lng'),
+      accuracy: field(row, 'accuracy'),
+      photos: field(row, 'photos'),
+      voiceNote: field(row, 'voiceNote'),
+      dueDate: field(row, 'dueDate'),
+      acknowledgedBy: field(row, 'acknowledgedBy'),
+      acknowledgedAt: field(row, 'acknowledgedAt'),
+      respondedBy: field(row, 'respondedBy'),
+      responseTime: field(row, 'responseTime')
+    });
+  }
+  return items;
+}
+
+/**
+ * SOS_Trail grouped by incidentId, oldest step first
+ */
+function readSOSTrail_(ss) {
+  const sheet = ss.getSheetByName(SHEET_SOS_TRAIL);
+  const grouped = {};
+  if (!sheet || sheet.getLastRow() < 2) return grouped;
+
+  const data = sheet.getDataRange().getValues();
+  const h = data[0];
+  const idx = {
+    incidentId: getCIIndex(h, ['incidentId']),
+    action: getCIIndex(h, ['action']),
+    byName: getCIIndex(h, ['byName']),
+    at: getCIIndex(h, ['at']),
+    note: getCIIndex(h, ['note'])
+  };
+
+  data.slice(1).forEach(row => {
+    const id = String(row[idx.incidentId] || '');
+    if (!id) return;
+    const at = row[idx.at];
+    (grouped[id] = grouped[id] || []).push({
+      action: String(row[idx.action] || ''),
+      byName: String(row[idx.byName] || ''),
+      at: at instanceof Date ? at.toISOString() : String(at || ''),
+      note: idx.note !== -1 ? String(row[idx.note] || '') : ''
+    });
+  });
+  return grouped;
+}
+
+function appendSOSTrail_(ss, incidentId, action, by, byName, note) {
+  let sheet = ss.getSheetByName(SHEET_SOS_TRAIL);
+  if (!sheet) {
+    sheet = ss.insertSheet(SHEET_SOS_TRAIL);
+    sheet.appendRow(SOS_TRAIL_HEADERS);
+  }
+
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const now = new Date();
+  const record = { TIMESTAMP: now, ID: Utilities.getUuid(), incidentId: incidentId, action: action, by: by, byName: byName, at: now, note: note || '' };
+  sheet.appendRow(headers.map(h => record[h] !== undefined ? record[h] : ''));
+}
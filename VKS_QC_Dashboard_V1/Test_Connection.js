@@ -2,6 +2,7 @@
  * Test function to verify sheet connectivity and data presence
  */
 function test_checkSitesData() {
+  requireScriptOwner_();
   try {
     const qcId = SPREADSHEET_ID_QC;
     const ss = SpreadsheetApp.openById(qcId);
@@ -1,9 +1,10 @@
 /**
- * Debug function to test getSites() directly
+ * Debug function to test getSites_() directly
  */
 function debug_getSites() {
+  requireScriptOwner_();
   try {
-    console.log('=== DEBUG getSites() ===');
+    console.log('=== DEBUG getSites_() ===');
     console.log('SPREADSHEET_ID_QC: ' + SPREADSHEET_ID_QC);
     console.log('SHEET_SITES constant: ' + SHEET_SITES);
 
@@ -31,8 +32,8 @@ function debug_getSites() {
     }
 
     // Now call actual getSites
-    console.log('--- Calling getSites({}) ---');
-    const sites = getSites({});
+    console.log('--- Calling getSites_({}) ---');
+    const sites = getSites_({});
     console.log('getSites returned ' + sites.length + ' sites');
 
     if (sites.length > 0) {
@@ -50,6 +51,7 @@ function debug_getSites() {
  * Run this from Apps Script editor to verify backend works
  */
 function test_getGuardStats() {
+  requireScriptOwner_();
   console.log('=== TEST getGuardStats ===');
   const guardId = 'TEST001';
   const siteId = 'SITE-A-E2E3F3';
@@ -57,7 +59,7 @@ function test_getGuardStats() {
 
   console.log('Calling getGuardStats with: guardId=' + guardId + ' siteId=' + siteId + ' type=' + guardType);
 
-  const result = getGuardStats(guardId, siteId, guardType);
+  const result = getGuardStats_(guardId, siteId, guardType);
 
   console.log('RESULT:');
   console.log(JSON.stringify(result, null, 2));
@@ -68,6 +70,7 @@ function test_getGuardStats() {
  * Run from Apps Script editor to see raw shift values
  */
 function debug_patrolPlans() {
+  requireScriptOwner_();
   var testDate = '2026-02-12';
   console.log('=== DEBUG PatrolPlans for ' + testDate + ' ===');
 
@@ -127,8 +130,8 @@ function debug_patrolPlans() {
   console.log('Distribution (shift|route → count): ' + JSON.stringify(byShift));
 
   // 2. Also test getPatrolCompliance output
-  console.log('\n=== getPatrolCompliance(' + testDate + ') ===');
-  var result = getPatrolCompliance(testDate);
+  console.log('\n=== getPatrolCompliance_(' + testDate + ') ===');
+  var result = getPatrolCompliance_(testDate);
   console.log('Plans: ' + (result.plans || []).length);
   console.log('Visited: ' + (result.visited || []).length);
   console.log('Missed: ' + (result.missed || []).length);
@@ -146,12 +149,13 @@ function debug_patrolPlans() {
  * Run from Apps Script editor
  */
 function debug_nightShiftLogs() {
+  requireScriptOwner_();
   var dates = ['2026-02-11', '2026-02-12', '2026-02-13'];
   console.log('=== DEBUG Night Shift Logs (Feb 11-13) ===');
 
   dates.forEach(function (date) {
     console.log('\n--- ' + date + ' ---');
-    var result = getPatrolCompliance(date);
+    var result = getPatrolCompliance_(date);
 
     // Filter night shift from visited/logs
     var nightVisited = (result.visited || []).filter(function (v) { return v.shift === 'night'; });
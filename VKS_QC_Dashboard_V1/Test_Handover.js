@@ -8,6 +8,7 @@
  * Run this first to verify access to Site_Comments sheet
  */
 function testHandover_Step1_Connection() {
+    requireScriptOwner_();
     Logger.log('🔵 [Handover] STEP 1: Testing connection to Site_Comments...');
 
     try {
@@ -48,6 +49,7 @@ function testHandover_Step1_Connection() {
  * Run after Step 1 passes
  */
 function testHandover_Step2_RawData() {
+    requireScriptOwner_();
     Logger.log('🔵 [Handover] STEP 2: Getting raw data...');
 
     try {
@@ -94,14 +96,15 @@ function testHandover_Step2_RawData() {
  * Run after Step 2 passes
  */
 function testHandover_Step3_GetRecords() {
-    Logger.log('🔵 [Handover] STEP 3: Testing getHandoverRecords()...');
+    requireScriptOwner_();
+    Logger.log('🔵 [Handover] STEP 3: Testing getHandoverRecords_()...');
 
     try {
         // Test with empty filters (should return all records)
         const filters = { date: '', siteId: '' };
         Logger.log('🔵 [Handover] Calling getHandoverRecords with filters: ' + JSON.stringify(filters));
 
-        const results = getHandoverRecords(filters);
+        const results = getHandoverRecords_(filters);
 
         Logger.log('🔵 [Handover] Results count: ' + (results ? results.length : 'null'));
 
@@ -136,6 +139,7 @@ function testHandover_Step3_GetRecords() {
  * Run if Step 3 shows 0 records to diagnose date issues
  */
 function testHandover_Step4_DateParsing() {
+    requireScriptOwner_();
     Logger.log('🔵 [Handover] STEP 4: Testing date parsing...');
 
     try {
@@ -205,6 +209,7 @@ function testHandover_Step4_DateParsing() {
  * Master function to run all diagnostic steps
  */
 function testHandover_RunAll() {
+    requireScriptOwner_();
     Logger.log('');
     Logger.log('========================================');
     Logger.log('🧪 HANDOVER DIAGNOSTIC - FULL TEST');
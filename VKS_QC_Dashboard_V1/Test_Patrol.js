@@ -2,6 +2,7 @@
  * Debug function to inspect Patrol Dashboard structure
  */
 function debug_inspectPatrolStructure() {
+  requireScriptOwner_();
   try {
     console.log('=== INSPECTING PATROL SPREADSHEET ===');
     console.log('ID: ' + SPREADSHEET_ID_PATROL);
@@ -46,6 +47,7 @@ function debug_inspectPatrolStructure() {
  * Run this to see what column 5 (shift) actually contains
  */
 function debug_inspectTodayLogs() {
+  requireScriptOwner_();
   var date = '2026-02-12';
   var ss = SpreadsheetApp.openById(SPREADSHEET_ID_QC);
   var sheet = ss.getSheetByName(SHEET_INSPECTION_LOGS);
@@ -90,6 +92,7 @@ function debug_inspectTodayLogs() {
  * Run in GAS editor → View → Logs to see output.
  */
 function debug_shiftClassification() {
+  requireScriptOwner_();
   var date = '2026-02-12';
   var tz = Session.getScriptTimeZone();
   var shiftNumToName = { '1': 'morning', '2': 'evening', '3': 'night' };
@@ -221,6 +224,7 @@ function debug_shiftClassification() {
  * Usage: debug_inspectMatching('2026-02-13', 'Cosi')
  */
 function debug_inspectMatching() {
+  requireScriptOwner_();
   var date = '2026-02-13';
   var keyword = 'Cosi'; // adjust as needed
 
@@ -235,7 +239,7 @@ function debug_inspectMatching() {
   }
 
   // 1. Get Plans
-  var plans = getPatrolPlans(date);
+  var plans = getPatrolPlans_(date);
   Logger.log('Total Plans: ' + plans.length);
   var targetPlans = plans.filter(function (p) { return p.siteName.indexOf(keyword) >= 0; });
 
@@ -245,7 +249,7 @@ function debug_inspectMatching() {
   });
 
   // 2. Get Logs
-  var comp = getPatrolCompliance(date);
+  var comp = getPatrolCompliance_(date);
 
   // Check visited
   var visited = comp.visited.filter(function (l) { return l.siteName.indexOf(keyword) >= 0; });
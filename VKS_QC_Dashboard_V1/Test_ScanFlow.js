@@ -4,6 +4,7 @@
  */
 
 function testScanBasedAssignment() {
+  requireScriptOwner_();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const guardsSheet = ss.getSheetByName('Guards');
   const scansSheet = ss.getSheetByName('Scans');
@@ -68,7 +69,7 @@ function testScanBasedAssignment() {
   console.log('... Verifying Dashboard Status...');
   
   // Re-run the core logic
-  const dashboardData = getPatrolStatus();
+  const dashboardData = getPatrolStatus_();
   
   // Find our site
   const siteStatus = dashboardData.find(s => s.siteCode === siteId || s.siteId === siteId); // Robust finding
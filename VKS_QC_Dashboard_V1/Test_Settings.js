@@ -2,12 +2,13 @@
  * Debug function to check specific site settings
  */
 function debug_checkSiteSettings() {
+  requireScriptOwner_();
   try {
     const targetCode = 'VKS-A-001'; // From user screenshot
     console.log('Searching for site with code: ' + targetCode);
     
     // Use existing getSites to find the ID
-    const sites = getSites({});
+    const sites = getSites_({});
     const site = sites.find(s => s.code === targetCode);
     
     if (!site) {
@@ -28,7 +29,7 @@ function debug_checkSiteSettings() {
     console.log('---------------------------');
     
     // Check actual checkpoints count in Checkpoints sheet
-    const checkpoints = getSiteCheckpoints(site.id);
+    const checkpoints = getSiteCheckpoints_(site.id);
     console.log('ACTUAL CHECKPOINTS DEFINED: ' + checkpoints.length);
     if (checkpoints.length > 0) {
       console.log('First CP: ' + JSON.stringify(checkpoints[0]));
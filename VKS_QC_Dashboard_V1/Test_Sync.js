@@ -2,13 +2,14 @@
  * Force sync sites from Patrol Dashboard to QC Master
  */
 function forceSyncSites() {
+  requireScriptOwner_();
   try {
     console.log('Starting manual sync...');
-    const result = syncSitesFromPatrol();
+    const result = syncSitesFromPatrol_();
     console.log('Sync Result: ' + JSON.stringify(result));
     
     // Also trigger update signal for frontend
-    setUpdateSignal('sites');
+    setUpdateSignal_('sites');
     console.log('Signal triggered.');
     
     return result;
@@ -2,12 +2,13 @@
  * Debug function to trigger sync manually
  */
 function debug_triggerSyncManual() {
+  requireScriptOwner_();
   try {
     const targetCode = 'VKS-A-001';
     console.log('Searching for site with code: ' + targetCode);
     
     // Use existing getSites to find the ID
-    const sites = getSites({});
+    const sites = getSites_({});
     const site = sites.find(s => s.code === targetCode);
     
     if (!site) {
@@ -30,7 +31,7 @@ function debug_triggerSyncManual() {
     };
     
     console.log('Attempting sync manually...');
-    const result = syncToPatrolDashboard(siteData);
+    const result = syncToPatrolDashboard_(siteData);
     console.log('Sync Result: ' + result);
 
   } catch (e) {
@@ -43,6 +44,7 @@ function debug_triggerSyncManual() {
  * Run this if columns get messed up
  */
 function debug_resetPatrolConfig() {
+  requireScriptOwner_();
   try {
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID_PATROL);
     const sheet = ss.getSheetByName(SHEET_SITE_CONFIG);
@@ -171,19 +171,36 @@ function parseQueryParams(url) {
  * Calculate overtime rate
  * @param {Date} date - Work date
  * @param {number} startHour - Start hour (0-23)
- * @returns {number} Rate multiplier (1.0, 1.5, 2.0, 3.0)
+ * @param {string} siteId - Sites id (optional; client special days only apply to their site)
+ * @returns {number} Rate multiplier (1.0, 1.5, 2.0, 3.0 or the holiday type rate)
  */
-function calculateOTRate(date, startHour) {
+function calculateOTRate(date, startHour, siteId) {
   const d = new Date(date);
-  const dayOfWeek = d.getDay(); // 0 = Sunday, 6 = Saturday
   
-  // Check if holiday (would need holidays sheet)
-  const isHoliday = false; // TODO: Check holidays sheet
+  switch (getOTRateTier(d, startHour, siteId)) {
+    case OT_RATE_TIERS.HOLIDAY: return getHolidayFor_(d, siteId).rate; // Rate per holiday type (Holidays.js)
+    case OT_RATE_TIERS.WEEKEND: return 2.0;
+    case OT_RATE_TIERS.NIGHT: return 1.5 * 1.25; // Night + OT
+    default: return 1.5;
+  }
+}
+
+/**
+ * Rate tier used by calculateOTRate (and the payroll export columns)
+ * @param {Date} date - Work date
+ * @param {number} startHour - Start hour (0-23)
+ * @param {string} siteId - Sites id (optional)
+ * @returns {string} OT_RATE_TIERS value
+ */
+function getOTRateTier(date, startHour, siteId) {
+  const d = new Date(date);
+  const dayOfWeek = d.getDay(); // 0 = Sunday, 6 = Saturday
   
-  if (isHoliday) return 3.0;
-  if (dayOfWeek === 0 || dayOfWeek === 6) return 2.0;
-  if (startHour >= 22 || startHour < 6) return 1.5 * 1.25; // Night + OT
-  return 1.5;
+  // Holidays tab (Holidays.js) - observed date
+  if (getHolidayFor_(d, siteId)) return OT_RATE_TIERS.HOLIDAY;
+  if (dayOfWeek === 0 || dayOfWeek === 6) return OT_RATE_TIERS.WEEKEND;
+  if (startHour >= 22 || startHour < 6) return OT_RATE_TIERS.NIGHT;
+  return OT_RATE_TIERS.NORMAL;
 }
 
 /**
@@ -236,7 +253,7 @@ function isWithinRange(scanLat, scanLon, checkpointLat, checkpointLon, threshold
  * @param {any} defaultValue - Default if not found
  * @returns {any} Setting value
  */
-function getSetting(key, defaultValue = null) {
+function getSetting_(key, defaultValue = null) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheet = ss.getSheetByName('Settings');
   if (!sheet) return defaultValue;
@@ -255,7 +272,7 @@ function getSetting(key, defaultValue = null) {
  * @param {string} key - Setting key
  * @param {any} value - Value to set
  */
-function setSetting(key, value) {
+function setSetting_(key, value) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   let sheet = ss.getSheetByName('Settings');
   
@@ -292,3 +309,21 @@ function getCIIndex(headers, names) {
   }
   return -1;
 }
+
+/**
+ * Make sure the given columns exist on a sheet, appending any that are missing
+ * @param {Sheet} sheet - Target sheet (header row 1)
+ * @param {string[]} columns - Required header names
+ * @returns {Array} Current header row
+ */
+function ensureSheetColumns_(sheet, columns) {
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const missing = columns.filter(col => getCIIndex(headers, [col]) === -1);
+
+  if (missing.length > 0) {
+    sheet.getRange(1, headers.length + 1, 1, missing.length).setValues([missing]);
+    Logger.log('[Schema] Added columns to ' + sheet.getName() + ': ' + missing.join(', '));
+    return headers.concat(missing);
+  }
+  return headers;
+}
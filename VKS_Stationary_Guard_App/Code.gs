@@ -5,6 +5,9 @@ function doGet(e) {
   // If ?type=info, check for Route Redirect or serve Public Marketing Page
   if (e.parameter && e.parameter.type === 'info') {
     
+    // "Report a problem" link to the QC Dashboard complaint form (blank when not configured)
+    const reportUrl = getPublicReportUrl(e.parameter);
+
     // Check for Route-based PDF Redirect (vks-bmad logic)
     const route = (e.parameter.route || '').toUpperCase();
     if (route === 'A' || route === 'B') {
@@ -101,6 +104,25 @@ function doGet(e) {
                     </div>
                 </div>
             </a>
+            ${reportUrl ? `
+            <!-- Report a Problem (QC Dashboard public complaint form) -->
+            <a href="${reportUrl}" target="_top" class="block group relative bg-white rounded-xl p-5 border border-border-light shadow-tactical hover:border-vks-navy/30 transition-all duration-300 transform active:scale-[0.98]">
+                <div class="flex items-center justify-between">
+                    <div class="flex items-center space-x-4">
+                        <div class="flex-shrink-0 w-12 h-12 rounded-lg bg-red-50 border border-red-100 flex items-center justify-center">
+                            <span class="material-symbols-outlined text-red-600 text-2xl">report</span>
+                        </div>
+                        <div class="flex flex-col text-left">
+                            <h3 class="text-base font-bold text-vks-navy">Report a Problem</h3>
+                            <p class="text-[11px] text-text-secondary uppercase tracking-wider font-medium mb-1 font-lao">ແຈ້ງບັນຫາ</p>
+                            <p class="text-sm font-bold text-vks-gold tracking-wide">Complaint &amp; Tracking</p>
+                        </div>
+                    </div>
+                    <div class="flex-shrink-0 w-10 h-10 bg-vks-navy hover:bg-vks-navy-light rounded-lg flex items-center justify-center shadow-md transition-all duration-200">
+                        <span class="material-symbols-outlined text-white text-xl">chevron_right</span>
+                    </div>
+                </div>
+            </a>` : ''}
         </div>
 
         <footer class="w-full mt-12 flex flex-col items-center opacity-80">
@@ -118,7 +140,9 @@ function doGet(e) {
             .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
     }
 
-    return HtmlService.createTemplateFromFile('PublicPage')
+    const page = HtmlService.createTemplateFromFile('PublicPage');
+    page.reportUrl = reportUrl;
+    return page
       .evaluate()
       .setTitle('VKS Security Services')
       .addMetaTag('viewport', 'width=device-width, initial-scale=1, maximum-scale=1, user-scalable=no')
@@ -139,6 +163,19 @@ function doGet(e) {
     .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
 }
 
+/**
+ * QC Dashboard complaint form for the scanned site (Settings.publicReportUrl on QC Master, blank = no link)
+ */
+function getPublicReportUrl(params) {
+  const base = String(getQCSetting('publicReportUrl', '') || '').trim();
+  if (!base) return '';
+  const query = ['type=info'];
+  ['siteId', 'locId'].forEach(key => {
+    if (params[key]) query.push(key + '=' + encodeURIComponent(params[key]));
+  });
+  return base + (base.indexOf('?') === -1 ? '?' : '&') + query.join('&');
+}
+
 function include(filename) {
   return HtmlService.createHtmlOutputFromFile(filename)
     .getContent();
@@ -207,37 +244,267 @@ function getDistanceKm(lat1, lng1, lat2, lng2) {
   return R * c;
 }
 
-function validateGeofence(meta, siteConfig) {
-  // FALLBACK 1: Skip if site has no GPS
-  if (!siteConfig || !siteConfig.lat || !siteConfig.lng) {
+// GEOFENCE POLICY (per site, per scan type)
+// Sites columns: geofenceRadius (m), geofencePolygon (JSON [[lat,lng],...]),
+// geofenceCheckin / geofencePatrol / geofenceCheckout = off | review | block
+const GEOFENCE_DEFAULT_RADIUS_M = 150; // allows for GPS drift
+const GEOFENCE_MAX_GPS_SLACK_M = 50;   // reported accuracy we forgive, at most
+const GEOFENCE_DEFAULT_POLICY = 'review';
+
+function getGeofencePolicy(siteConfig, scanType) {
+  const colMap = { CHECKIN: 'geofenceCheckin', PATROL: 'geofencePatrol', CHECKOUT: 'geofenceCheckout' };
+  const col = colMap[scanType];
+  if (!col || !siteConfig) return 'off';
+
+  const raw = String(siteConfig[col] || '').trim().toLowerCase();
+  return ['off', 'review', 'block'].indexOf(raw) > -1 ? raw : GEOFENCE_DEFAULT_POLICY;
+}
+
+function parseGeofencePolygon(raw) {
+  if (!raw) return null;
+  try {
+    const points = (typeof raw === 'string') ? JSON.parse(raw) : raw;
+    if (!Array.isArray(points)) return null;
+    const clean = points
+      .map(p => [parseFloat(p[0]), parseFloat(p[1])])
+      .filter(p => !isNaN(p[0]) && !isNaN(p[1]));
+    return clean.length >= 3 ? clean : null;
+  } catch (e) {
+    console.warn('[Geo] Invalid geofencePolygon:', raw);
+    return null;
+  }
+}
+
+// Ray casting on lat/lng - fine at site scale
+function isPointInPolygon(lat, lng, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    const crosses = ((lngI > lng) !== (lngJ > lng)) &&
+      (lat < (latJ - latI) * (lng - lngI) / (lngJ - lngI) + latI);
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+// Distance (km) from a point to the nearest polygon edge, using a local flat projection
+function getDistanceToPolygonKm(lat, lng, polygon) {
+  const kmPerDegLat = 111.32;
+  const kmPerDegLng = 111.32 * Math.cos(lat * Math.PI / 180);
+  const toXY = p => [(p[1] - lng) * kmPerDegLng, (p[0] - lat) * kmPerDegLat];
+
+  let best = Infinity;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [ax, ay] = toXY(polygon[j]);
+    const [bx, by] = toXY(polygon[i]);
+    const dx = bx - ax, dy = by - ay;
+    const lenSq = dx * dx + dy * dy;
+    const t = lenSq ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lenSq)) : 0;
+    const px = ax + t * dx, py = ay + t * dy;
+    best = Math.min(best, Math.sqrt(px * px + py * py));
+  }
+  return best;
+}
+
+/**
+ * Checks a guard fix against the site's fence for the given scan type.
+ * Returns { valid, skipped?, policy, distance?, radius?, reason?, message? }
+ * - reason: 'OUTSIDE_FENCE' | 'NO_GPS'
+ */
+function validateGeofence(meta, siteConfig, scanType) {
+  const policy = getGeofencePolicy(siteConfig, scanType);
+  if (policy === 'off') return { valid: true, skipped: true, policy: policy };
+
+  const polygon = parseGeofencePolygon(siteConfig && siteConfig.geofencePolygon);
+
+  // FALLBACK 1: Skip if site has no GPS and no polygon
+  if (!polygon && (!siteConfig || !siteConfig.lat || !siteConfig.lng)) {
     console.log('[Geo] Site GPS missing, skipping fence');
-    return { valid: true, skipped: true };
+    return { valid: true, skipped: true, policy: policy };
   }
 
-  // FALLBACK 2: Skip if guard GPS unavailable or invalid
+  // Guard GPS unavailable: cannot prove presence, so it goes through the policy too
   if (!meta || !meta.lat || !meta.lng) {
     console.log('[Geo] Guard GPS unavailable');
-    return { valid: true, skipped: true };
+    return { valid: false, policy: policy, reason: 'NO_GPS', distance: null, message: 'GPS unavailable' };
   }
 
-  const dist = getDistanceKm(meta.lat, meta.lng, siteConfig.lat, siteConfig.lng);
-  if (dist === null) return { valid: true, skipped: true };
+  const lat = parseFloat(meta.lat);
+  const lng = parseFloat(meta.lng);
+  const slackKm = Math.min(parseFloat(meta.accuracy) || 0, GEOFENCE_MAX_GPS_SLACK_M) / 1000;
 
-  const thresholdKm = 0.150; // 150m (allows for GPS drift)
+  if (polygon) {
+    if (isPointInPolygon(lat, lng, polygon)) return { valid: true, policy: policy, distance: 0 };
+    const edgeKm = getDistanceToPolygonKm(lat, lng, polygon);
+    if (edgeKm <= slackKm) return { valid: true, policy: policy, distance: 0 };
+    return {
+      valid: false,
+      policy: policy,
+      reason: 'OUTSIDE_FENCE',
+      distance: Math.round(edgeKm * 1000), // meters outside the polygon
+      radius: null,
+      message: 'Outside site boundary by ' + Math.round(edgeKm * 1000) + 'm'
+    };
+  }
 
-  // TEMPORARILY DISABLED as per user request
-  return { valid: true, skipped: true, message: 'Geofencing disabled' };
+  const dist = getDistanceKm(lat, lng, parseFloat(siteConfig.lat), parseFloat(siteConfig.lng));
+  if (dist === null) return { valid: true, skipped: true, policy: policy };
 
-  /*
-  if (dist > thresholdKm) {
+  const radiusM = parseFloat(siteConfig.geofenceRadius) || GEOFENCE_DEFAULT_RADIUS_M;
+  if (dist - slackKm > radiusM / 1000) {
     return {
       valid: false,
+      policy: policy,
+      reason: 'OUTSIDE_FENCE',
       distance: Math.round(dist * 1000), // meters
-      message: 'Too far: ' + Math.round(dist * 1000) + 'm away'
+      radius: radiusM,
+      message: 'Too far: ' + Math.round(dist * 1000) + 'm away (limit ' + radiusM + 'm)'
+    };
+  }
+  return { valid: true, policy: policy, distance: Math.round(dist * 1000), radius: radiusM };
+}
+
+/**
+ * Applies a failed geofence result to a scan.
+ * Returns { response } to send straight back to the app (blocked / reason needed),
+ * or { fields } to merge into the Scans record (stored as GEO_VIOLATION for review).
+ */
+function resolveGeofenceViolation(geoResult, scanType, geoReason) {
+  if (geoResult.policy === 'block') {
+    return {
+      response: {
+        success: false,
+        action: 'GEO_BLOCKED',
+        distance: geoResult.distance,
+        radius: geoResult.radius,
+        message: 'ທ່ານຢູ່ນອກເຂດພື້ນທີ່ (Outside site area): ' + geoResult.message
+      }
+    };
+  }
+
+  const reason = String(geoReason || '').trim();
+  if (!reason) {
+    return {
+      response: {
+        success: false,
+        action: 'GEO_REASON_REQUIRED',
+        scanType: scanType,
+        distance: geoResult.distance,
+        radius: geoResult.radius,
+        geoCheck: geoResult.reason,
+        message: geoResult.message
+      }
     };
   }
-  return { valid: true, distance: Math.round(dist * 1000) };
-  */
+
+  return {
+    fields: {
+      status: 'GEO_VIOLATION',
+      geoIntent: scanType,
+      geoCheck: geoResult.reason,
+      geoDistance: geoResult.distance === null ? '' : geoResult.distance,
+      geoRadius: geoResult.radius || '',
+      geoReason: reason,
+      geoReview: 'pending'
+    }
+  };
+}
+
+// ========================================
+// IDEMPOTENT SCAN SAVE
+// ========================================
+const SCAN_KEY_CACHE_SECONDS = 21600; // CacheService maximum (6h)
+
+/**
+ * Check whether a Scans row already carries this key, without loading the whole sheet
+ * (recent keys come from the script cache, older ones via TextFinder on the key column)
+ */
+function scanKeyExists(column, value) {
+  if (!value) return false;
+  const cache = CacheService.getScriptCache();
+  const cacheKey = column + ':' + value;
+  if (cache.get(cacheKey)) return true;
+
+  const sheet = SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName('Scans');
+  if (!sheet || sheet.getLastRow() < 2) return false;
+
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const col = headers.indexOf(column);
+  if (col === -1) return false;
+
+  const found = sheet.getRange(2, col + 1, sheet.getLastRow() - 1, 1)
+    .createTextFinder(String(value))
+    .matchEntireCell(true)
+    .findNext();
+  if (found) cache.put(cacheKey, '1', SCAN_KEY_CACHE_SECONDS);
+  return !!found;
+}
+
+/**
+ * Append a scan unless its clientScanId (or patrolKey) was already saved
+ * @returns {Object} {duplicate: boolean}
+ */
+function saveScanOnce(record) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(15000);
+  try {
+    if (scanKeyExists('clientScanId', record.clientScanId) || scanKeyExists('patrolKey', record.patrolKey)) {
+      console.warn('Server dedup: duplicate scan skipped', record.clientScanId || record.patrolKey);
+      return { duplicate: true };
+    }
+
+    const result = appendRecord('Scans', record);
+    if (!result.success) throw new Error(result.error);
+
+    const cache = CacheService.getScriptCache();
+    if (record.clientScanId) cache.put('clientScanId:' + record.clientScanId, '1', SCAN_KEY_CACHE_SECONDS);
+    if (record.patrolKey) cache.put('patrolKey:' + record.patrolKey, '1', SCAN_KEY_CACHE_SECONDS);
+    return { duplicate: false };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Replay the offline queue in one call. Each record is saved, recognised as a duplicate
+ * (its clientScanId is already on file), sent back for the guard's geofence reason, left for a
+ * later retry (lock timeout, Sheets quota... - thrown, not a verdict on the scan) or rejected
+ * with the reason shown to the guard.
+ * @param {Array} records - [{clientScanId, qrString, guardId, locationId, scanType, meta}]
+ * @returns {Object} {success, results: [{clientScanId, status: 'saved'|'duplicate'|'needs_reason'|'retry'|'rejected', message}]}
+ */
+function processScanBatch(records) {
+  if (!Array.isArray(records)) return { success: false, message: 'No records', results: [] };
+
+  const results = records.map(rec => {
+    const clientScanId = rec.clientScanId || (rec.meta && rec.meta.clientScanId) || '';
+    try {
+      const meta = Object.assign({}, rec.meta, { clientScanId: clientScanId });
+      const res = processScan(rec.qrString, rec.guardId, rec.locationId, rec.scanType, meta);
+
+      if (res && res.success) {
+        return { clientScanId: clientScanId, status: res.duplicate ? 'duplicate' : 'saved' };
+      }
+      // Outside the fence with no reason: the app asks the guard on its next foreground sync
+      if (res && res.action === 'GEO_REASON_REQUIRED') {
+        return {
+          clientScanId: clientScanId,
+          status: 'needs_reason',
+          message: res.message,
+          distance: res.distance,
+          radius: res.radius
+        };
+      }
+      return { clientScanId: clientScanId, status: 'rejected', message: res ? res.message : 'Unknown error' };
+    } catch (e) {
+      // processScan answers validation failures; a throw is the lock / Sheets side failing
+      console.error('Batch record failed, left for retry: ' + e.message);
+      return { clientScanId: clientScanId, status: 'retry', message: e.message };
+    }
+  });
+
+  return { success: true, results: results };
 }
 
 function processScan(qrContent, guardIdentifier, locationId, scanType, meta) {
@@ -250,20 +517,16 @@ function processScan(qrContent, guardIdentifier, locationId, scanType, meta) {
   // Cache Sites data once for performance
   const sites = getTableData('Sites');
 
+  // Signature check (QRSecurity.gs); its locId / siteId are the values it verified, parsed once
+  const qrResult = verifyCheckpointQR(qrContent);
+
   // 1. Detect Dual-Purpose URL Format
   if (qrContent.includes('?type=info')) {
-    const locIdMatch = qrContent.match(/locId=([^&]+)/);
-    const cpNameMatch = qrContent.match(/cpName=([^&]+)/);
-    const siteIdMatch = qrContent.match(/siteId=([^&]+)/);
-    // Legacy fallback for old QRs
-    const legacySiteMatch = qrContent.match(/site=([^&]+)/);
-
-    extractedLocId = locIdMatch ? decodeURIComponent(locIdMatch[1]) : '';
-    const cpName = cpNameMatch ? decodeURIComponent(cpNameMatch[1]) : (legacySiteMatch ? decodeURIComponent(legacySiteMatch[1]) : '');
-    const siteIdFromQR = siteIdMatch ? decodeURIComponent(siteIdMatch[1]) : '';
-
-    // Use siteId from QR directly if available, otherwise try to resolve
-    canonicalSiteId = siteIdFromQR || resolveSiteId(cpName || extractedLocId, sites);
+    extractedLocId = qrResult.locId;
+    // A signed code's site is its signed siteId; only unsigned legacy codes fall back to resolving the name
+    canonicalSiteId = qrResult.qrCheck === 'SIGNED'
+      ? qrResult.siteId
+      : (qrResult.siteId || resolveSiteId(qrResult.cpName || extractedLocId, sites));
     checkpointNum = extractedLocId; // For URL format, locId is the checkpoint identifier
   }
   // 2. Legacy Format: VKS|SITE|POINT
@@ -280,6 +543,33 @@ function processScan(qrContent, guardIdentifier, locationId, scanType, meta) {
   // guardIdentifier can be a string (ID) or an object (Profile)
   let guardId = (typeof guardIdentifier === 'object') ? guardIdentifier.empId : guardIdentifier;
 
+  // === IDENTITY CHECK ===
+  // Only the phone bound to this guard (Identity.gs) may scan for them
+  const identity = verifyGuardIdentity(guardId, meta ? meta.deviceToken : '');
+  if (!identity.ok) {
+    console.warn(`Identity refused [${scanType}]: ${guardId}`);
+    return { success: false, action: 'IDENTITY_REJECTED', message: identity.message };
+  }
+
+  // === QR SIGNATURE CHECK ===
+  // Revoked / forged / expired-legacy codes are refused; the attempt is still saved so the dashboard can flag it
+  if (!qrResult.ok) {
+    console.warn(`QR refused [${qrResult.qrCheck}]: ${checkpointNum} by ${guardId}`);
+    appendRecord('Scans', {
+      guardId: guardId,
+      checkpointId: checkpointNum,
+      siteId: canonicalSiteId,
+      lat: meta ? meta.lat : '',
+      lng: meta ? meta.lng : '',
+      accuracy: meta ? (meta.accuracy || '') : '',
+      status: 'QR_REJECTED',
+      qrIntent: scanType,
+      qrCheck: qrResult.qrCheck
+    });
+    return { success: false, action: 'QR_REJECTED', qrCheck: qrResult.qrCheck, message: qrResult.message };
+  }
+  // ==========================
+
   let dynCheckpoints = 4; // Default
   let dynRounds = 7;      // Default
   let dynTiming = '06:00-14:00';
@@ -337,27 +627,30 @@ function processScan(qrContent, guardIdentifier, locationId, scanType, meta) {
       siteConfig.lng = siteInfo.lng;
     }
 
+    // Geofence settings only live on the Sites table
+    if (siteInfo) {
+      ['geofenceRadius', 'geofencePolygon', 'geofenceCheckin', 'geofencePatrol', 'geofenceCheckout'].forEach(key => {
+        siteConfig[key] = siteInfo[key];
+      });
+    }
+
   } catch (e) {
     console.warn('Failed to load Site_Config:', e);
   }
 
   // === GEOFENCING CHECK ===
-  // Only check if we have meta GPS data
-  if (meta && meta.lat && meta.lng) {
-    const geoResult = validateGeofence(meta, siteConfig || {});
-    if (!geoResult.valid) {
-      console.warn(`Geofence failed: ${geoResult.message}`);
-      return { success: false, message: geoResult.message };
-    }
+  // Out-of-fence scans are either blocked or saved as GEO_VIOLATION with the guard's reason
+  let geoFields = null;
+  const geoResult = validateGeofence(meta, siteConfig || {}, scanType);
+  if (!geoResult.valid) {
+    console.warn(`Geofence failed [${scanType}]: ${geoResult.message}`);
+    const geo = resolveGeofenceViolation(geoResult, scanType, meta ? meta.geoReason : '');
+    if (geo.response) return geo.response;
+    geoFields = geo.fields;
   }
   // ========================
 
-  // AUTO-REGISTRATION for CHECKIN
   if (scanType === 'CHECKIN') {
-    if (typeof guardIdentifier === 'object') {
-      ensureGuardExists(guardIdentifier);
-    }
-
     // === SMART SHIFT CALCULATION ===
     let calculatedShift = null;
 
@@ -412,20 +705,26 @@ function processScan(qrContent, guardIdentifier, locationId, scanType, meta) {
       lng: meta ? meta.lng : '',
       accuracy: meta ? (meta.accuracy || '') : '',
       status: 'CHECKIN',
-      round: ''
+      round: '',
+      isOT: isOT, // Overtime check-in; the Dashboard overtime engine counts the whole session as OT
+      qrCheck: qrResult.qrCheck,
+      clientScanId: meta ? (meta.clientScanId || '') : ''
     };
+    if (geoFields) Object.assign(record, geoFields);
 
-    appendRecord('Scans', record);
+    const saved = saveScanOnce(record);
     return {
       success: true,
       action: 'CHECKIN_COMPLETE',
+      duplicate: saved.duplicate,
       locationId: canonicalSiteId, // Return normalized ID for frontend state
       locationName: (siteInfo && siteInfo.nameEN) ? siteInfo.nameEN : ((siteConfig && siteConfig.name) ? siteConfig.name : canonicalSiteId),
       shift: record.shift || determineShift(new Date()),
       shiftTiming: dynTiming,
       isOT: isOT,
       checkpointTarget: dynCheckpoints,
-      roundsTarget: dynRounds
+      roundsTarget: dynRounds,
+      geoViolation: !!geoFields
     };
   }
 
@@ -441,32 +740,6 @@ function processScan(qrContent, guardIdentifier, locationId, scanType, meta) {
     }
     */
 
-    // SERVER-SIDE DEDUP: Prevent duplicate patrol scans (offline replays, race conditions)
-    try {
-      const existingScans = getTableData('Scans');
-      const roundNum = meta ? meta.roundNumber : '';
-      const isDuplicate = existingScans.some(scan => 
-        scan.guardId === guardId && 
-        scan.checkpointId === checkpointNum && 
-        scan.status === 'PATROL' &&
-        String(scan.roundNumber || scan.round) === String(roundNum) &&
-        // Same day only (prevent blocking across shifts)
-        scan.timestamp && new Date(scan.timestamp).toDateString() === new Date().toDateString()
-      );
-      if (isDuplicate) {
-        console.warn('Server dedup: duplicate patrol scan blocked', guardId, checkpointNum, roundNum);
-        // Still return success so frontend doesn't error — data already saved
-        return {
-          success: true,
-          action: 'ALREADY_SAVED',
-          checkpoint: checkpointNum,
-          totalCheckpoints: dynCheckpoints
-        };
-      }
-    } catch (dedupErr) {
-      console.warn('Dedup check failed (non-blocking):', dedupErr);
-    }
-
     const record = {
       guardId: guardId,
       checkpointId: checkpointNum,
@@ -477,19 +750,42 @@ function processScan(qrContent, guardIdentifier, locationId, scanType, meta) {
       status: 'PATROL',
       assessment: meta ? meta.assessment : '',
       note: meta ? meta.note : '',
-      photo: meta ? meta.photo : '',
+      photo: '',
       roundNumber: meta ? meta.roundNumber : '',
       pointInRound: meta ? meta.pointInRound : '',
-      round: meta ? meta.roundNumber : ''
+      round: meta ? meta.roundNumber : '',
+      qrCheck: qrResult.qrCheck,
+      clientScanId: meta ? (meta.clientScanId || '') : '',
+      // Same guard + checkpoint + round + day counts once, even from clients that send no clientScanId
+      patrolKey: [guardId, checkpointNum, meta ? meta.roundNumber : '',
+        Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd')].join('|')
     };
+    if (geoFields) Object.assign(record, geoFields);
 
-    appendRecord('Scans', record);
+    // Replays of an already-saved scan skip the Drive upload (saveScanOnce still has the final say)
+    if (meta && meta.photo && !scanKeyExists('clientScanId', record.clientScanId)) {
+      Object.assign(record, buildPhotoFields(meta.photo, canonicalSiteId, guardId, 'patrol'));
+    }
+
+    // SERVER-SIDE DEDUP: offline replays, double taps and race conditions
+    const saved = saveScanOnce(record);
+    if (saved.duplicate) {
+      // Still return success so frontend doesn't error — data already saved
+      return {
+        success: true,
+        action: 'ALREADY_SAVED',
+        duplicate: true,
+        checkpoint: checkpointNum,
+        totalCheckpoints: dynCheckpoints
+      };
+    }
 
     return {
       success: true,
       action: 'SCAN_SAVED',
       checkpoint: checkpointNum,
-      totalCheckpoints: dynCheckpoints
+      totalCheckpoints: dynCheckpoints,
+      geoViolation: !!geoFields
     };
   }
 
@@ -498,19 +794,8 @@ function processScan(qrContent, guardIdentifier, locationId, scanType, meta) {
 
 
 /**
- * Public function to register a guard from the app frontend.
- */
-function registerGuard(profile) {
-  try {
-    ensureGuardExists(profile);
-    return { success: true };
-  } catch (e) {
-    return { success: false, message: e.toString() };
-  }
-}
-
-/**
- * Ensures a guard exists in the Guards sheet.
+ * Ensures a guard exists in the Guards sheet (developer sandbox only - test_registerGuards).
+ * Real guards enroll against the roster; unknown IDs wait for approval (Identity.gs).
  * Deduplicates based on Employee ID (empId).
  */
 function ensureGuardExists(profile) {
@@ -522,14 +807,19 @@ function ensureGuardExists(profile) {
 
   if (!existingGuard) {
     console.log("Auto-registering new guard: " + profile.empId);
-    appendRecord('Guards', {
+    const guard = {
+      id: Utilities.getUuid(),
       name: profile.name || '',
       surname: profile.surname || '',
       empId: profile.empId || '',
       phone: profile.phone || '',
       status: 'active',
       createdAt: new Date().toISOString()
-    });
+    };
+    const result = appendRecord('Guards', guard);
+    if (result.success) {
+      logGuardAppAudit('Guards', guard.id, (guard.name + ' ' + guard.surname).trim(), guard);
+    }
   }
 }
 
@@ -554,9 +844,23 @@ function getGuardList() {
 }
 function submitCheckoutReport(reportData) {
   try {
+    const identity = verifyGuardIdentity(reportData.guardId, reportData.deviceToken);
+    if (!identity.ok) return { success: false, action: 'IDENTITY_REJECTED', message: identity.message };
+
     // Resolve Canonical Site ID
     const sites = getTableData('Sites');
     const canonicalSiteId = resolveSiteId(reportData.locationId, sites);
+    const siteInfo = sites.find(s => s.code === canonicalSiteId || s.id === canonicalSiteId);
+
+    // Geofence: checkout has its own per-site policy
+    let geoFields = null;
+    const geoResult = validateGeofence(reportData, siteInfo || {}, 'CHECKOUT');
+    if (!geoResult.valid) {
+      console.warn(`Geofence failed [CHECKOUT]: ${geoResult.message}`);
+      const geo = resolveGeofenceViolation(geoResult, 'CHECKOUT', reportData.geoReason);
+      if (geo.response) return geo.response;
+      geoFields = geo.fields;
+    }
 
     // Map to QC Dashboard Scans columns
     const record = {
@@ -569,14 +873,16 @@ function submitCheckoutReport(reportData) {
       status: 'CHECKOUT',
       assessment: '',
       note: reportData.notes || '',
-      photo: reportData.photoBase64 || '', // Store base64 like patrol scans do
+      photo: '',
       roundNumber: '',
       pointInRound: '',
       round: (reportData.completedRounds || '') + '/' + (reportData.totalRounds || '')
     };
+    if (geoFields) Object.assign(record, geoFields);
+    Object.assign(record, buildPhotoFields(reportData.photoBase64, canonicalSiteId, reportData.guardId, 'checkout'));
 
     appendRecord('Scans', record);
-    return { success: true };
+    return { success: true, geoViolation: !!geoFields };
   } catch (e) {
     console.error("submitCheckoutReport error:", e);
     return { success: false, message: e.toString() };
@@ -8,14 +8,20 @@ const PATROL_DASHBOARD_ID = '199tZWltRfX1t4-WYqXlz7z89seGkZuB7eV4RlsbLhl0';
 // Primary write destination - now using QC Master
 const SPREADSHEET_ID = QC_MASTER_ID;
 
+// Shared audit trail in QC Master (same columns as the QC Dashboard writes)
+const ACTIVITY_LOG_SHEET = 'VKS_ActivityLog';
+const ACTIVITY_LOG_COLUMNS = ['Timestamp', 'UserID', 'UserName', 'Action', 'Page', 'Target', 'Details', 'Entity', 'EntityID', 'Changes', 'Source'];
+
 /**
  * GENERIC: Get all rows from a sheet as an array of objects
  * Uses QC Master for Sites/Locations, Patrol Dashboard for others
  */
 function getTableData(sheetName) {
   try {
-    // Sites config comes from QC Master
-    const sourceId = (sheetName === 'Sites' || sheetName === 'Site_Config' || sheetName === 'Locations' || sheetName === 'Guards') 
+    // Sites config (plus checkpoint QR signing data, SOS incidents and their SLA policies) comes from QC Master
+    const sourceId = (sheetName === 'Sites' || sheetName === 'Site_Config' || sheetName === 'Locations' || sheetName === 'Guards' ||
+      sheetName === 'Checkpoints' || sheetName === 'QR_Keys' || sheetName === 'Incidents' || sheetName === 'SOS_Trail' ||
+      sheetName === 'SLAPolicies')
       ? QC_MASTER_ID 
       : PATROL_DASHBOARD_ID;
     
@@ -111,3 +117,52 @@ function appendRecord(sheetName, recordObj) {
     return { success: false, error: e.message };
   }
 }
+
+/**
+ * AUDIT: Record a record created from the Guard App in the QC activity log
+ * Same columns as the QC Dashboard's VKS_ActivityLog, Source = 'Guard App'.
+ * Scans are not logged here: the Scans tab is already an append-only event log.
+ * Never throws - a failed log line must not fail the guard's action.
+ */
+function logGuardAppAudit(entity, entityId, actorName, recordObj) {
+  try {
+    const changes = Object.keys(recordObj)
+      .filter(field => recordObj[field] !== '' && recordObj[field] !== null && recordObj[field] !== undefined)
+      .map(field => ({
+        field: field,
+        from: '',
+        to: recordObj[field] instanceof Date ? recordObj[field].toISOString() : String(recordObj[field]).substring(0, 500)
+      }));
+
+    // Written directly (not appendRecord): a log line must not raise a data-change signal
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    let sheet = ss.getSheetByName(ACTIVITY_LOG_SHEET);
+    if (!sheet) {
+      sheet = ss.insertSheet(ACTIVITY_LOG_SHEET);
+      sheet.appendRow(ACTIVITY_LOG_COLUMNS);
+    }
+    let headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const missing = ACTIVITY_LOG_COLUMNS.filter(col => !headers.includes(col));
+    if (missing.length > 0) {
+      sheet.getRange(1, headers.length + 1, 1, missing.length).setValues([missing]);
+      headers = headers.concat(missing);
+    }
+
+    const values = {
+      Timestamp: new Date().toISOString(),
+      UserID: '',
+      UserName: actorName || 'Guard App',
+      Action: 'CREATE',
+      Page: entity,
+      Target: entity + ': ' + entityId,
+      Details: 'Submitted from Guard App',
+      Entity: entity,
+      EntityID: String(entityId),
+      Changes: JSON.stringify(changes),
+      Source: 'Guard App'
+    };
+    sheet.appendRow(headers.map(h => values[h] !== undefined ? values[h] : ''));
+  } catch (e) {
+    console.error('Audit Error: ' + e.message);
+  }
+}
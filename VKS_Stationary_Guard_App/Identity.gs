@@ -0,0 +1,235 @@
+// VKS Guard App - Guard Identity (roster enrollment, PIN, device binding)
+// A guard signs in with an employee ID from the QC Master Guards roster and a 4-6 digit PIN. The first sign-in
+// sets the PIN and binds the phone: the app keeps a random device token, the Guards row keeps its hash.
+// Both hashes are keyed with a pepper kept in Script Properties, and the PIN hash is salted per guard.
+// Scans and checkouts must come from the bound device. Unknown employee IDs go to GuardEnrollments for a
+// supervisor to approve in the Dashboard (Guards page), which is also where a PIN or device binding is reset.
+
+const GUARD_IDENTITY_COLUMNS = ['pinHash', 'pinSetAt', 'pinFailures', 'deviceHash', 'deviceLabel', 'deviceBoundAt', 'pinSalt']; // Dashboard Config.js
+const ENROLLMENT_SHEET = 'GuardEnrollments';
+const ENROLLMENT_COLUMNS = ['id', 'empId', 'name', 'surname', 'phone', 'deviceLabel', 'status', 'requestedAt', 'decidedBy', 'decidedAt', 'guardId', 'note'];
+const PIN_PATTERN = /^\d{4,6}$/;
+const PIN_MAX_FAILURES = 5; // GUARD_PIN_MAX_FAILURES in the Dashboard Config.js
+// Script property holding the HMAC key of pinHash / deviceHash; it never reaches the sheet, so a copied Guards tab
+// alone cannot be brute-forced. Deleting it invalidates every PIN and device binding
+const GUARD_SECRET_PEPPER_PROPERTY = 'GUARD_SECRET_PEPPER';
+const GUARD_HASH_PREFIX = 'h2:'; // keyed hashes; unprefixed ones are the older plain SHA-256, replaced at the next sign-in
+
+/**
+ * Sign in (or enroll) from the identity screen
+ * @param {Object} payload - {empId, name, surname, phone, pin, deviceToken, deviceLabel}
+ * @returns {Object} {success, action: 'ENROLLED'|'VERIFIED'|'PENDING_APPROVAL'|'PIN_INVALID'|'PIN_LOCKED'|'DEVICE_MISMATCH'|'INACTIVE'|'INVALID', profile, message}
+ */
+function enrollGuard(payload) {
+  const empId = String((payload && payload.empId) || '').trim();
+  const pin = String((payload && payload.pin) || '').trim();
+  const deviceToken = String((payload && payload.deviceToken) || '');
+  if (!empId || !deviceToken) return { success: false, action: 'INVALID', message: 'ກະລຸນາປ້ອນລະຫັດພະນັກງານ (Employee ID required)' };
+  if (!PIN_PATTERN.test(pin)) return { success: false, action: 'INVALID', message: 'PIN ຕ້ອງເປັນຕົວເລກ 4-6 ໂຕ (PIN must be 4-6 digits)' };
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(15000);
+  try {
+    const sheet = SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName('Guards');
+    if (!sheet) throw new Error('Guards sheet not found');
+    const headers = ensureGuardIdentityColumns(sheet);
+    const data = sheet.getDataRange().getValues();
+    const col = name => headers.indexOf(name);
+    const rowIndex = findGuardRow(data, headers, empId);
+
+    if (rowIndex === -1) return queueGuardEnrollment(payload);
+
+    const row = data[rowIndex];
+    const setCells = values => Object.keys(values).forEach(key => {
+      sheet.getRange(rowIndex + 1, col(key) + 1).setValue(values[key]);
+    });
+    const status = String(row[col('status')] || 'active').toLowerCase();
+    if (status === 'terminated' || status === 'inactive' || status === 'deleted') {
+      return { success: false, action: 'INACTIVE', message: 'ບັນຊີນີ້ຖືກປິດແລ້ວ (This employee ID is not active)' };
+    }
+
+    const failures = parseInt(row[col('pinFailures')], 10) || 0;
+    if (failures >= PIN_MAX_FAILURES) {
+      return { success: false, action: 'PIN_LOCKED', message: 'PIN ຖືກລັອກ - ກະລຸນາຕິດຕໍ່ຫົວໜ້າ (PIN locked - ask your supervisor to reset it)' };
+    }
+
+    const deviceSecret = 'device|' + deviceToken;
+    const boundHash = String(row[col('deviceHash')] || '');
+    if (boundHash && !matchesGuardSecret(boundHash, empId, deviceSecret, '')) {
+      return { success: false, action: 'DEVICE_MISMATCH', message: 'ລະຫັດນີ້ຜູກກັບໂທລະສັບເຄື່ອງອື່ນ - ກະລຸນາຕິດຕໍ່ຫົວໜ້າ (This ID is bound to another phone - ask your supervisor to reset it)' };
+    }
+
+    const now = new Date();
+    const storedPin = String(row[col('pinHash')] || '');
+    const newPinCells = () => {
+      const salt = Utilities.getUuid().replace(/-/g, '');
+      return { pinHash: hashGuardSecret(empId, 'pin|' + pin, salt), pinSalt: salt };
+    };
+    let action = 'VERIFIED';
+
+    if (storedPin) {
+      if (!matchesGuardSecret(storedPin, empId, 'pin|' + pin, String(row[col('pinSalt')] || ''))) {
+        setCells({ pinFailures: failures + 1 });
+        const left = PIN_MAX_FAILURES - failures - 1;
+        return {
+          success: false,
+          action: left > 0 ? 'PIN_INVALID' : 'PIN_LOCKED',
+          message: left > 0 ? `PIN ບໍ່ຖືກຕ້ອງ - ເຫຼືອ ${left} ຄັ້ງ (Wrong PIN - ${left} tries left)`
+            : 'PIN ຖືກລັອກ - ກະລຸນາຕິດຕໍ່ຫົວໜ້າ (PIN locked - ask your supervisor to reset it)'
+        };
+      }
+      if (failures > 0) setCells({ pinFailures: 0 });
+      if (!isKeyedGuardHash(storedPin)) setCells(newPinCells());
+    } else {
+      // First sign-in: the roster phone (when on file) must match, so nobody can claim someone else's ID
+      const rosterPhone = String(row[col('phone')] || '');
+      if (rosterPhone && !phonesMatch(rosterPhone, payload.phone)) {
+        return { success: false, action: 'INVALID', message: 'ເບີໂທບໍ່ກົງກັບຂໍ້ມູນພະນັກງານ (Phone does not match the roster)' };
+      }
+      setCells(Object.assign(newPinCells(), { pinSetAt: now, pinFailures: 0 }));
+      action = 'ENROLLED';
+    }
+
+    if (!boundHash) {
+      setCells({ deviceHash: hashGuardSecret(empId, deviceSecret, ''), deviceLabel: String(payload.deviceLabel || '').substring(0, 100), deviceBoundAt: now });
+      action = 'ENROLLED';
+    } else if (!isKeyedGuardHash(boundHash)) {
+      setCells({ deviceHash: hashGuardSecret(empId, deviceSecret, '') });
+    }
+
+    const profile = {
+      guardId: String(row[col('id')] || ''),
+      empId: String(row[col('empId')] || empId),
+      name: String(row[col('name')] || payload.name || ''),
+      surname: String(row[col('surname')] || payload.surname || ''),
+      phone: String(row[col('phone')] || payload.phone || '')
+    };
+    if (action === 'ENROLLED') {
+      logGuardAppAudit('Guards', profile.guardId || empId, (profile.name + ' ' + profile.surname).trim(),
+        { empId: profile.empId, pinSetAt: storedPin ? '' : now, deviceLabel: boundHash ? '' : payload.deviceLabel, deviceBoundAt: boundHash ? '' : now });
+    }
+    return { success: true, action: action, profile: profile };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Check that a scan / checkout comes from the phone bound to this guard
+ * @param {string} empId - Guard employee ID (or Guards id)
+ * @param {string} deviceToken - Token kept by the app since enrollment
+ * @returns {Object} {ok, message}
+ */
+function verifyGuardIdentity(empId, deviceToken) {
+  const rejected = { ok: false, message: 'ຢືນຢັນຕົວຕົນບໍ່ໄດ້ - ກະລຸນາເຂົ້າສູ່ລະບົບໃໝ່ (Identity not verified - please sign in again)' };
+  if (!empId || !deviceToken) return rejected;
+
+  const guard = getTableData('Guards').find(g =>
+    String(g.empId || '').trim().toUpperCase() === String(empId).trim().toUpperCase() || String(g.id) === String(empId));
+  if (!guard || !guard.deviceHash) return rejected;
+  if ((parseInt(guard.pinFailures, 10) || 0) >= PIN_MAX_FAILURES) return rejected;
+  if (!matchesGuardSecret(guard.deviceHash, String(guard.empId || empId).trim(), 'device|' + deviceToken, '')) return rejected;
+  return { ok: true };
+}
+
+/**
+ * Put an unknown employee ID on the approval queue (one pending request per ID)
+ */
+function queueGuardEnrollment(payload) {
+  const empId = String(payload.empId).trim();
+  const pending = { success: false, action: 'PENDING_APPROVAL', message: 'ລໍຖ້າຫົວໜ້າອະນຸມັດ (Waiting for supervisor approval - try again once approved)' };
+
+  const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+  let sheet = ss.getSheetByName(ENROLLMENT_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(ENROLLMENT_SHEET);
+    sheet.appendRow(ENROLLMENT_COLUMNS);
+  }
+
+  const data = sheet.getDataRange().getValues();
+  const exists = data.slice(1).some(r =>
+    String(r[1]).trim().toUpperCase() === empId.toUpperCase() && String(r[6]) === 'pending');
+  if (exists) return pending;
+
+  const request = {
+    id: 'ENR-' + Utilities.getUuid().substring(0, 8).toUpperCase(),
+    empId: empId,
+    name: String(payload.name || '').trim(),
+    surname: String(payload.surname || '').trim(),
+    phone: String(payload.phone || '').trim(),
+    deviceLabel: String(payload.deviceLabel || '').substring(0, 100),
+    status: 'pending',
+    requestedAt: new Date()
+  };
+  sheet.appendRow(ENROLLMENT_COLUMNS.map(c => request[c] !== undefined ? request[c] : ''));
+  logGuardAppAudit('Guard Enrollments', request.id, (request.name + ' ' + request.surname).trim(), request);
+  return pending;
+}
+
+// ========================================
+// HELPERS
+// ========================================
+
+function ensureGuardIdentityColumns(sheet) {
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const missing = GUARD_IDENTITY_COLUMNS.filter(c => headers.indexOf(c) === -1);
+  if (missing.length > 0) {
+    sheet.getRange(1, headers.length + 1, 1, missing.length).setValues([missing]);
+    return headers.concat(missing);
+  }
+  return headers;
+}
+
+function findGuardRow(data, headers, empId) {
+  const empCol = headers.indexOf('empId');
+  const key = empId.toUpperCase();
+  return data.findIndex((r, i) => i > 0 && empCol !== -1 && String(r[empCol]).trim().toUpperCase() === key);
+}
+
+/**
+ * Keyed hash of a PIN or device token: HMAC-SHA256 of salt|empId|secret with the script's pepper.
+ * PINs get a random salt per guard (pinSalt); device tokens are random already and use ''.
+ */
+function hashGuardSecret(empId, secret, salt) {
+  const bytes = Utilities.computeHmacSha256Signature(
+    String(salt || '') + '|' + String(empId).trim().toUpperCase() + '|' + secret, getGuardSecretPepper(), Utilities.Charset.UTF_8);
+  return GUARD_HASH_PREFIX + Utilities.base64Encode(bytes);
+}
+
+/**
+ * Whether a stored pinHash / deviceHash is for this secret (keyed, or the older plain SHA-256 of empId|secret)
+ */
+function matchesGuardSecret(stored, empId, secret, salt) {
+  stored = String(stored || '');
+  if (!stored) return false;
+  if (isKeyedGuardHash(stored)) return stored === hashGuardSecret(empId, secret, salt);
+  const legacy = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256,
+    String(empId).trim().toUpperCase() + '|' + secret, Utilities.Charset.UTF_8);
+  return stored === Utilities.base64Encode(legacy);
+}
+
+function isKeyedGuardHash(stored) {
+  return String(stored || '').indexOf(GUARD_HASH_PREFIX) === 0;
+}
+
+/**
+ * HMAC key from Script Properties, made on first use. Only enrollGuard hashes before one exists,
+ * and it holds the script lock, so two runs cannot each create a different key.
+ */
+function getGuardSecretPepper() {
+  const props = PropertiesService.getScriptProperties();
+  let pepper = props.getProperty(GUARD_SECRET_PEPPER_PROPERTY);
+  if (!pepper) {
+    pepper = Utilities.getUuid().replace(/-/g, '') + Utilities.getUuid().replace(/-/g, '');
+    props.setProperty(GUARD_SECRET_PEPPER_PROPERTY, pepper);
+  }
+  return pepper;
+}
+
+/**
+ * Same number ignoring spaces, dashes and the +856 / 0 prefix (compares the last 8 digits)
+ */
+function phonesMatch(a, b) {
+  const digits = v => String(v || '').replace(/\D/g, '').slice(-8);
+  return digits(a) !== '' && digits(a) === digits(b);
+}
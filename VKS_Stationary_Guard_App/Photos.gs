@@ -0,0 +1,180 @@
+// VKS Guard App - Scan & Checkout Photos
+// Photos go to Drive (<root>/Guard_Scans/<siteId>/<yyyy-MM-dd>/); the Scans row keeps only
+// photo (Drive URL), photoFileId and photoThumb (small Drive thumbnail for the dashboard).
+
+const PHOTO_ROOT_FOLDER_ID = '1WMmdSqDeUP3GmDVJ1pxAr-_3Sj05tfl9'; // Shared evidence folder (same as the Patrol app)
+const PHOTO_SUBFOLDER = 'Guard_Scans';
+const PHOTO_THUMB_WIDTH = 320;
+const PHOTO_MIGRATION_BUDGET_MS = 4.5 * 60 * 1000; // stay under the 6 min execution limit
+
+/**
+ * Per-site / per-date folder, created on first use
+ * @param {string} subfolder - Top-level folder under the root (default Guard_Scans)
+ */
+function getPhotoFolder(siteId, takenAt, subfolder) {
+  const dateStr = Utilities.formatDate(takenAt, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  const path = [subfolder || PHOTO_SUBFOLDER, siteId || 'UNKNOWN_SITE', dateStr];
+
+  // Two guards on the same site can upload at once - don't let both create the date folder
+  const lock = LockService.getScriptLock();
+  lock.waitLock(15000);
+  try {
+    let folder = DriveApp.getFolderById(PHOTO_ROOT_FOLDER_ID);
+    path.forEach(name => {
+      const safeName = String(name).replace(/[\\/:*?"<>|]/g, '_');
+      const existing = folder.getFoldersByName(safeName);
+      folder = existing.hasNext() ? existing.next() : folder.createFolder(safeName);
+    });
+    return folder;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Save a base64 data URL (FileReader.readAsDataURL - photos, or MediaRecorder voice notes) to Drive
+ * @returns {Object} {fileId, url, thumbUrl}
+ */
+function savePhotoToDrive(dataUrl, siteId, takenAt, label, subfolder) {
+  const match = String(dataUrl).match(/^data:([^;,]+)[^,]*;base64,(.+)$/);
+  if (!match) throw new Error('Photo is not a base64 data URL');
+
+  const mime = match[1];
+  const ext = (mime.split('/')[1] || 'jpg').replace('jpeg', 'jpg');
+  const time = Utilities.formatDate(takenAt, Session.getScriptTimeZone(), 'HHmmss');
+  const fileName = `${label}_${time}.${ext}`.replace(/[\\/:*?"<>|\s]/g, '_');
+
+  const blob = Utilities.newBlob(Utilities.base64Decode(match[2]), mime, fileName);
+  const file = getPhotoFolder(siteId, takenAt, subfolder).createFile(blob);
+  file.setSharing(DriveApp.Access.ANYONE_WITH_LINK, DriveApp.Permission.VIEW);
+
+  const fileId = file.getId();
+  return {
+    fileId: fileId,
+    url: file.getUrl(),
+    thumbUrl: `https://drive.google.com/thumbnail?id=${fileId}&sz=w${PHOTO_THUMB_WIDTH}`
+  };
+}
+
+/**
+ * Scans columns for a submitted photo. Empty input gives empty columns;
+ * anything that is already a URL is kept as-is.
+ * A failed upload must not lose the scan itself - it is saved without the photo and flagged.
+ */
+function buildPhotoFields(photo, siteId, guardId, kind) {
+  if (!photo) return { photo: '' };
+  if (String(photo).indexOf('data:') !== 0) return { photo: photo };
+
+  try {
+    const saved = savePhotoToDrive(photo, siteId, new Date(), `${kind}_${guardId || 'guard'}`);
+    return { photo: saved.url, photoFileId: saved.fileId, photoThumb: saved.thumbUrl };
+  } catch (e) {
+    console.error(`Photo upload failed [${kind}] ${guardId}: ${e.message}`);
+    return { photo: '', photoError: e.message };
+  }
+}
+
+const PHOTO_MIGRATION_ERROR_PREFIX = 'Migration: '; // photoError marker of a row the migration gave up on
+
+/**
+ * ONE-OFF: move base64 photos already stored in Scans cells to Drive.
+ * Run from the Apps Script editor; re-run until "remaining" is 0 (each run stops before the time limit).
+ * A row that fails (e.g. base64 cut off by the 50k cell limit) keeps its cell and gets photoError
+ * "Migration: <reason>", so later runs skip it; listFailedScanPhotos shows them. Clear photoError to retry one.
+ * @returns {Object} {moved, failed (this run), skipped (failed on an earlier run), remaining}
+ */
+function migrateScanPhotosToDrive() {
+  const started = Date.now();
+  const sheet = SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName('Scans');
+  if (!sheet || sheet.getLastRow() < 2) return { moved: 0, failed: 0, skipped: 0, remaining: 0 };
+
+  let headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const missing = ['photoFileId', 'photoThumb', 'photoError'].filter(col => headers.indexOf(col) === -1);
+  if (missing.length > 0) {
+    sheet.getRange(1, headers.length + 1, 1, missing.length).setValues([missing]);
+    headers = headers.concat(missing);
+  }
+
+  const col = (name) => headers.findIndex(h => String(h).trim().toLowerCase() === name.toLowerCase());
+  const photoCol = col('photo');
+  const fileIdCol = col('photoFileId');
+  const thumbCol = col('photoThumb');
+  const errorCol = col('photoError');
+  const siteCol = col('siteId');
+  const guardCol = col('guardId');
+  const statusCol = col('status');
+  const tsCol = col('timestamp');
+  if (photoCol === -1) return { moved: 0, failed: 0, skipped: 0, remaining: 0 };
+
+  const data = sheet.getRange(1, 1, sheet.getLastRow(), headers.length).getValues();
+  const result = { moved: 0, failed: 0, skipped: 0, remaining: 0 };
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    if (String(row[photoCol] || '').indexOf('data:') !== 0) continue;
+    if (String(row[errorCol] || '').indexOf(PHOTO_MIGRATION_ERROR_PREFIX) === 0) {
+      result.skipped++;
+      continue;
+    }
+
+    if (Date.now() - started > PHOTO_MIGRATION_BUDGET_MS) {
+      result.remaining++;
+      continue;
+    }
+
+    try {
+      const ts = row[tsCol] instanceof Date ? row[tsCol] : new Date(row[tsCol]);
+      const takenAt = isNaN(ts) ? new Date() : ts;
+      const kind = String(row[statusCol] || 'SCAN').toLowerCase();
+      const saved = savePhotoToDrive(row[photoCol], String(row[siteCol] || ''), takenAt, `${kind}_${row[guardCol] || 'guard'}`);
+
+      sheet.getRange(i + 1, photoCol + 1).setValue(saved.url);
+      sheet.getRange(i + 1, fileIdCol + 1).setValue(saved.fileId);
+      sheet.getRange(i + 1, thumbCol + 1).setValue(saved.thumbUrl);
+      if (row[errorCol]) sheet.getRange(i + 1, errorCol + 1).setValue('');
+      result.moved++;
+    } catch (e) {
+      console.error(`Photo migration failed on row ${i + 1}: ${e.message}`);
+      sheet.getRange(i + 1, errorCol + 1).setValue(PHOTO_MIGRATION_ERROR_PREFIX + e.message);
+      result.failed++;
+    }
+  }
+
+  console.log(`Photo migration: moved ${result.moved}, failed ${result.failed}, skipped ${result.skipped}, remaining ${result.remaining}`);
+  return result;
+}
+
+/**
+ * Scans rows migrateScanPhotosToDrive gave up on (still base64, photoError "Migration: ...").
+ * Run from the Apps Script editor; the list is also written to the log.
+ * @returns {Array} [{row, timestamp, guardId, siteId, error}]
+ */
+function listFailedScanPhotos() {
+  const sheet = SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName('Scans');
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const col = (name) => headers.findIndex(h => String(h).trim().toLowerCase() === name.toLowerCase());
+  const photoCol = col('photo');
+  const errorCol = col('photoError');
+  if (photoCol === -1 || errorCol === -1) return [];
+
+  const failed = [];
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    const error = String(row[errorCol] || '');
+    if (error.indexOf(PHOTO_MIGRATION_ERROR_PREFIX) !== 0 || String(row[photoCol] || '').indexOf('data:') !== 0) continue;
+    failed.push({
+      row: i + 1,
+      timestamp: row[col('timestamp')],
+      guardId: String(row[col('guardId')] || ''),
+      siteId: String(row[col('siteId')] || ''),
+      error: error.substring(PHOTO_MIGRATION_ERROR_PREFIX.length)
+    });
+  }
+
+  failed.forEach(f => console.log(`Row ${f.row} (${f.guardId} @ ${f.siteId}, ${f.timestamp}): ${f.error}`));
+  console.log(`${failed.length} Scans photo(s) could not be migrated`);
+  return failed;
+}
@@ -0,0 +1,111 @@
+// VKS Guard App - Checkpoint QR Verification
+// QR codes are signed by the QC Dashboard (QRSecurity.js): ...&kv=<key version>&sn=<serial>&sig=<hmac>
+// Keys come from the hidden QR_Keys tab on QC Master; revocation / serial from the Checkpoints tab.
+
+const QR_SIGNATURE_LENGTH = 22; // must match the Dashboard
+
+/**
+ * HMAC over locId|siteId|serial. Must match signCheckpointQR_ in the Dashboard.
+ */
+function signCheckpointQR(secret, locId, siteId, serial) {
+  const payload = [locId, siteId, serial].join('|');
+  const bytes = Utilities.computeHmacSha256Signature(payload, secret);
+  return Utilities.base64EncodeWebSafe(bytes).replace(/=+$/, '').substring(0, QR_SIGNATURE_LENGTH);
+}
+
+/**
+ * Read one value from the QC Master Settings tab (key in column A, value in column B)
+ */
+function getQCSetting(key, defaultValue) {
+  try {
+    const sheet = SpreadsheetApp.openById(QC_MASTER_ID).getSheetByName('Settings');
+    if (!sheet) return defaultValue;
+    const row = sheet.getDataRange().getValues().find(r => r[0] === key);
+    return (row && row[1] !== '') ? row[1] : defaultValue;
+  } catch (e) {
+    console.warn('Settings read failed: ' + e.message);
+    return defaultValue;
+  }
+}
+
+/**
+ * Unsigned (legacy) codes are accepted until the end of Settings.qrLegacyGraceUntil.
+ * Blank means the cut-off has not been set yet.
+ */
+function isLegacyQRAllowed() {
+  const until = getQCSetting('qrLegacyGraceUntil', '');
+  if (!until) return true;
+
+  const cutoff = until instanceof Date ? new Date(until.getTime()) : new Date(String(until) + 'T00:00:00');
+  if (isNaN(cutoff)) return true;
+  cutoff.setHours(23, 59, 59, 999);
+  return new Date() <= cutoff;
+}
+
+/**
+ * Query parameters of a checkpoint URL, read once for both verifying and recording the scan
+ * @param {string} qrContent - Raw scanned text
+ * @returns {Object|null} name -> decoded value; null when a parameter repeats or does not decode
+ */
+function readCheckpointQRParams(qrContent) {
+  const text = String(qrContent || '');
+  const query = text.indexOf('?') === -1 ? '' : text.substring(text.indexOf('?') + 1).split('#')[0];
+  const params = {};
+  try {
+    for (const pair of query.split('&')) {
+      if (!pair) continue;
+      const eq = pair.indexOf('=');
+      const name = eq === -1 ? pair : pair.substring(0, eq);
+      if (Object.prototype.hasOwnProperty.call(params, name)) return null;
+      params[name] = eq === -1 ? '' : decodeURIComponent(pair.substring(eq + 1));
+    }
+  } catch (e) {
+    return null;
+  }
+  return params;
+}
+
+/**
+ * Verify a scanned checkpoint QR
+ * @param {string} qrContent - Raw scanned text
+ * @returns {Object} {ok, qrCheck: 'SIGNED'|'LEGACY'|'REVOKED'|'BAD_SIGNATURE'|'LEGACY_EXPIRED', message,
+ *   locId, siteId, cpName}. Only locId and siteId of a SIGNED code are verified; processScan records those
+ */
+function verifyCheckpointQR(qrContent) {
+  const params = readCheckpointQRParams(qrContent);
+  if (!params) {
+    return { ok: false, qrCheck: 'BAD_SIGNATURE', locId: '', siteId: '', cpName: '', message: 'QR ບໍ່ຖືກຕ້ອງ - ແຈ້ງຫົວໜ້າ (QR code failed verification)' };
+  }
+  const param = (name) => params[name] || '';
+  const locId = param('locId');
+  const siteId = param('siteId');
+  // Legacy codes used site= for the checkpoint name
+  const cpName = param('cpName') || param('site');
+
+  const sig = param('sig');
+  if (!sig) {
+    return isLegacyQRAllowed()
+      ? { ok: true, qrCheck: 'LEGACY', locId: locId, siteId: siteId, cpName: cpName }
+      : { ok: false, qrCheck: 'LEGACY_EXPIRED', locId: locId, siteId: siteId, cpName: cpName, message: 'QR ເກົ່າໝົດອາຍຸ - ແຈ້ງຫົວໜ້າ (Old QR code no longer accepted)' };
+  }
+
+  const serial = parseInt(param('sn')) || 1;
+
+  // The site is part of what is signed, so a signed code must carry one (the Dashboard no longer signs without)
+  const key = getTableData('QR_Keys').find(k => String(k.version) === param('kv'));
+  const keyUsable = key && key.secret && String(key.status || 'active').toLowerCase() !== 'revoked';
+  if (!siteId || !keyUsable || signCheckpointQR(String(key.secret), locId, siteId, serial) !== sig) {
+    return { ok: false, qrCheck: 'BAD_SIGNATURE', locId: locId, siteId: siteId, cpName: cpName, message: 'QR ບໍ່ຖືກຕ້ອງ - ແຈ້ງຫົວໜ້າ (QR code failed verification)' };
+  }
+
+  // Rotation bumps the serial, so an older printout of the same checkpoint counts as revoked
+  const checkpoint = getTableData('Checkpoints').find(cp => String(cp.id) === locId);
+  if (checkpoint) {
+    const revoked = String(checkpoint.qrStatus || '').toLowerCase() === 'revoked';
+    if (revoked || (parseInt(checkpoint.qrSerial) || 1) !== serial) {
+      return { ok: false, qrCheck: 'REVOKED', locId: locId, siteId: siteId, cpName: cpName, message: 'QR ນີ້ຖືກຍົກເລີກແລ້ວ - ແຈ້ງຫົວໜ້າ (This QR code has been revoked)' };
+    }
+  }
+
+  return { ok: true, qrCheck: 'SIGNED', locId: locId, siteId: siteId, cpName: cpName };
+}
@@ -0,0 +1,196 @@
+// VKS Guard App - SOS / Emergency Alert
+// One tap opens an incident on the QC Master Incidents tab (category 'sos') with the SLA clock of its
+// QC Dashboard SLA policy running, and starts its acknowledgement trail on SOS_Trail (RAISED -> SEEN -> RESPONDING -> RESOLVED).
+// The Dashboard (Sos.js) shows open SOS at the top of Live Alerts and the Patrol Status page.
+
+const SOS_CATEGORY = 'sos';
+const SOS_DEFAULT_SEVERITY = 'critical'; // When no 'sos' policy names a severity
+const SLA_DEFAULT_HOURS = { critical: 4, high: 24, medium: 72, low: 168 }; // Same as the QC Dashboard Config.js
+const SOS_SUBFOLDER = 'Guard_SOS';
+
+/**
+ * Raise an SOS from the guard's phone
+ * @param {Object} payload - {clientSosId, guardId, guardName, deviceToken, siteId, lat, lng, accuracy, message, photo, voice, raisedAt}
+ * @returns {Object} {success, incidentId, duplicate}
+ */
+function raiseSOS(payload) {
+  try {
+    if (!payload || !payload.guardId) return { success: false, message: 'Guard ID required' };
+
+    // A retry after a dropped connection must not open a second incident
+    const existing = findSOSByClientId(payload.clientSosId);
+    if (existing) return { success: true, incidentId: existing.id, duplicate: true };
+
+    const now = new Date();
+    const sites = getTableData('Sites');
+    const siteId = resolveSiteId(payload.siteId, sites) || String(payload.siteId || '');
+    const site = sites.find(s => s.code === siteId || s.id === siteId);
+    const siteName = site ? (site.nameEN || site.name || siteId) : siteId;
+    const guardName = String(payload.guardName || payload.guardId);
+    // Never block an emergency on identity - just flag SOS that did not come from the guard's bound phone
+    const identityVerified = verifyGuardIdentity(payload.guardId, payload.deviceToken).ok;
+
+    const incidentId = 'INC-' + Utilities.formatDate(now, 'Asia/Vientiane', 'yyyyMMdd') + '-' +
+      Math.random().toString(36).substr(2, 4).toUpperCase();
+    // A resent (offline) SOS keeps the time the guard pressed the button
+    const raisedAt = payload.raisedAt && !isNaN(new Date(payload.raisedAt)) ? new Date(payload.raisedAt) : now;
+    const sla = resolveSOSSlaPolicy(site);
+    // The Guard App cannot walk the business-hour calendar: the Dashboard's SLA run fills those due dates in
+    const dueDate = sla.businessHours ? '' : new Date(raisedAt.getTime() + sla.hours * 3600000);
+
+    // Attachments never block the alert itself
+    const attach = (dataUrl, kind) => {
+      if (!dataUrl) return '';
+      try {
+        return savePhotoToDrive(dataUrl, siteId, now, `${kind}_${payload.guardId}`, SOS_SUBFOLDER).url;
+      } catch (e) {
+        console.error(`SOS ${kind} upload failed: ${e.message}`);
+        return '';
+      }
+    };
+    const photoUrl = attach(payload.photo, 'sos_photo');
+    const voiceUrl = attach(payload.voice, 'sos_voice');
+    const hasGps = payload.lat && payload.lng;
+
+    const incident = {
+      id: incidentId,
+      title: `SOS - ${guardName}`,
+      description: String(payload.message || '').trim() || 'Guard pressed the emergency button',
+      location: hasGps ? `${payload.lat},${payload.lng}` : '',
+      siteId: siteId,
+      category: SOS_CATEGORY,
+      severity: sla.severity,
+      status: 'new',
+      incidentTime: raisedAt,
+      reportedTime: now,
+      reportedBy: guardName,
+      photos: photoUrl,
+      notes: voiceUrl ? 'Voice note: ' + voiceUrl : '',
+      dueDate: dueDate,
+      createdAt: now,
+      updatedAt: now,
+      source: 'guard_sos',
+      guardId: payload.guardId,
+      lat: payload.lat || '',
+      lng: payload.lng || '',
+      accuracy: payload.accuracy || '',
+      voiceNote: voiceUrl,
+      clientSosId: payload.clientSosId || '',
+      identityVerified: identityVerified ? 'yes' : 'no',
+      acknowledgedBy: '',
+      acknowledgedAt: ''
+    };
+    const result = appendRecord('Incidents', incident);
+    if (!result.success) throw new Error(result.error);
+    logGuardAppAudit('Incidents', incidentId, guardName, incident);
+
+    appendSOSTrail(incidentId, 'RAISED', payload.guardId, guardName,
+      `${siteName}${hasGps ? ' @ ' + payload.lat + ',' + payload.lng + ' (±' + (payload.accuracy || '?') + 'm)' : ' - no GPS'}`);
+
+    // Dedicated signal so the Dashboard can react without waiting for a full refresh
+    signalSOS();
+
+    return { success: true, incidentId: incidentId };
+  } catch (e) {
+    console.error('raiseSOS error: ' + e.message);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * SLA policy of an SOS, matched the way the QC Dashboard resolveSlaPolicy_ (SLA.js) matches incidents:
+ * active 'incident' rows whose category / severity / clientGroup are blank or equal, most specific wins
+ * (clientGroup 4, category 2, severity 1), else Settings sla<Severity> hours, else SLA_DEFAULT_HOURS.
+ * The severity itself comes from the most specific 'sos' policy that names one.
+ * @param {Object} site - QC Master Sites row (or null)
+ * @returns {Object} {severity, hours, businessHours}
+ */
+function resolveSOSSlaPolicy(site) {
+  const flag = (value, fallback) => value === undefined || value === '' ? fallback : value === true || String(value).toLowerCase() === 'true';
+  const clientGroup = String((site && site.clientGroup) || '').trim().toUpperCase();
+  const policies = getTableData('SLAPolicies')
+    .map(p => ({
+      id: String(p.id || '').trim(),
+      caseType: String(p.caseType || '').trim().toLowerCase(),
+      category: String(p.category || '').trim().toLowerCase(),
+      severity: String(p.severity || '').trim().toLowerCase(),
+      clientGroup: String(p.clientGroup || '').trim().toUpperCase(),
+      hours: parseFloat(p.hours) || 0,
+      businessHours: flag(p.businessHours, false),
+      active: flag(p.active, true)
+    }))
+    .filter(p => p.id && p.active && p.caseType === 'incident' &&
+      (!p.category || p.category === SOS_CATEGORY) && (!p.clientGroup || p.clientGroup === clientGroup));
+
+  const best = (candidates) => {
+    let found = null;
+    let bestScore = -1;
+    candidates.forEach(p => {
+      const score = (p.clientGroup ? 4 : 0) + (p.category ? 2 : 0) + (p.severity ? 1 : 0);
+      if (score > bestScore) {
+        found = p;
+        bestScore = score;
+      }
+    });
+    return found;
+  };
+
+  const named = best(policies.filter(p => p.category && SLA_DEFAULT_HOURS[p.severity]));
+  const severity = named ? named.severity : SOS_DEFAULT_SEVERITY;
+  const policy = best(policies.filter(p => !p.severity || p.severity === severity));
+  if (policy) return { severity: severity, hours: policy.hours, businessHours: policy.businessHours };
+
+  const key = 'sla' + severity.charAt(0).toUpperCase() + severity.substring(1);
+  return { severity: severity, hours: parseFloat(getQCSetting(key, '')) || SLA_DEFAULT_HOURS[severity], businessHours: false };
+}
+
+/**
+ * Acknowledgement trail for the guard's screen ("seen by ... / responding ...")
+ * @returns {Object} {success, status, trail: [{action, byName, at, note}]}
+ */
+function getSOSStatus(incidentId) {
+  try {
+    const incident = getTableData('Incidents').find(i => String(i.id) === String(incidentId));
+    if (!incident) return { success: false, message: 'Incident not found' };
+
+    const trail = getTableData('SOS_Trail')
+      .filter(t => String(t.incidentId) === String(incidentId))
+      .map(t => ({
+        action: String(t.action || ''),
+        byName: String(t.byName || t.by || ''),
+        at: t.at instanceof Date ? t.at.toISOString() : String(t.at || ''),
+        note: String(t.note || '')
+      }));
+
+    return { success: true, status: String(incident.status || ''), trail: trail };
+  } catch (e) {
+    return { success: false, message: e.message };
+  }
+}
+
+function findSOSByClientId(clientSosId) {
+  if (!clientSosId) return null;
+  return getTableData('Incidents').find(i => String(i.clientSosId || '') === String(clientSosId)) || null;
+}
+
+function appendSOSTrail(incidentId, action, by, byName, note) {
+  appendRecord('SOS_Trail', {
+    incidentId: incidentId,
+    action: action,
+    by: by,
+    byName: byName,
+    at: new Date(),
+    note: note || ''
+  });
+}
+
+function signalSOS() {
+  try {
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    ss.addDeveloperMetadata('LAST_SOS_SIGNAL', Date.now().toString(), SpreadsheetApp.DeveloperMetadataVisibility.DOCUMENT);
+    const oldMeta = ss.getDeveloperMetadata().filter(m => m.getKey() === 'LAST_SOS_SIGNAL');
+    if (oldMeta.length > 5) oldMeta.slice(0, oldMeta.length - 1).forEach(m => m.remove());
+  } catch (e) {
+    console.error('SOS signal error: ' + e.message);
+  }
+}